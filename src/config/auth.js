@@ -0,0 +1,54 @@
+/**
+ * Auth / JWT Configuration
+ * Settings for verifying Supabase access tokens locally.
+ *
+ * - HS256 tokens (legacy projects) are verified with SUPABASE_JWT_SECRET
+ * - ES256/RS256 tokens (asymmetric signing keys) are verified against the
+ *   project's JWKS, fetched from SUPABASE_JWKS_URL and cached in memory.
+ *   SUPABASE_JWKS can hold an inline JWKS JSON instead (useful for tests).
+ * - AUTH_REMOTE_FALLBACK=true falls back to supabase.auth.getUser() when a
+ *   token cannot be verified locally (missing secret, JWKS unreachable).
+ *   Unset, it defaults to on when SUPABASE_JWT_SECRET is missing, since HS256
+ *   tokens could not be verified at all otherwise
+ */
+
+const supabaseUrl = (process.env.SUPABASE_URL || '').replace(/\/+$/, '')
+
+function parseInlineJwks(value) {
+  if (!value) return null
+  try {
+    return JSON.parse(value)
+  } catch {
+    console.warn('⚠️  SUPABASE_JWKS is not valid JSON — ignoring it')
+    return null
+  }
+}
+
+const secret = process.env.SUPABASE_JWT_SECRET || null
+
+function resolveRemoteFallback(value) {
+  if (value === 'true') return true
+  if (value === 'false') {
+    if (!secret) {
+      console.warn('⚠️  SUPABASE_JWT_SECRET not set and AUTH_REMOTE_FALLBACK=false — HS256 tokens will be rejected (503)')
+    }
+    return false
+  }
+  if (!secret) {
+    console.warn('⚠️  SUPABASE_JWT_SECRET not set — verifying HS256 tokens through the Supabase Auth API')
+  }
+  return !secret
+}
+
+export const jwtConfig = {
+  secret,
+  issuer: process.env.SUPABASE_JWT_ISSUER || (supabaseUrl ? `${supabaseUrl}/auth/v1` : null),
+  audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+  jwksUrl: process.env.SUPABASE_JWKS_URL || (supabaseUrl ? `${supabaseUrl}/auth/v1/.well-known/jwks.json` : null),
+  jwks: parseInlineJwks(process.env.SUPABASE_JWKS),
+  jwksCacheMaxAgeMs: 10 * 60 * 1000, // refetch signing keys every 10 minutes
+  clockToleranceSec: 5,
+  remoteFallback: resolveRemoteFallback(process.env.AUTH_REMOTE_FALLBACK)
+}
+
+export default jwtConfig
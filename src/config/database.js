@@ -0,0 +1,11 @@
+/**
+ * Data Layer Configuration
+ * DATA_DRIVER=memory keeps all repository data in process memory,
+ * so the API can run without a Supabase project (local runs, API tests).
+ */
+
+export const dataDriverName = process.env.DATA_DRIVER === 'memory' ? 'memory' : 'supabase'
+
+export const useMemoryDriver = dataDriverName === 'memory'
+
+export default { dataDriverName, useMemoryDriver }
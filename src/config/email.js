@@ -0,0 +1,46 @@
+/**
+ * Email Configuration
+ * Transport for the email notification channel, picked from the environment:
+ *   SMTP_HOST         - send through an SMTP server; a local catcher such as
+ *                       Mailpit or MailHog works (SMTP_HOST=localhost SMTP_PORT=1025)
+ *   EMAIL_OUTBOX_DIR  - no server: write each message to <dir>/<time>-<id>.eml
+ * With neither set, email is disabled.
+ */
+
+import nodemailer from 'nodemailer'
+
+const SMTP_HOST = process.env.SMTP_HOST
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true'
+const SMTP_USER = process.env.SMTP_USER
+const SMTP_PASS = process.env.SMTP_PASS
+
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || null
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Daylock <no-reply@daylock.app>'
+
+// Links in emails point here
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')
+
+let transporter = null
+let emailEnabled = false
+let outboxDir = null
+
+if (SMTP_HOST) {
+  transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+  })
+  emailEnabled = true
+  console.log(`✅ Email configured (SMTP ${SMTP_HOST}:${SMTP_PORT})`)
+} else if (EMAIL_OUTBOX_DIR) {
+  transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+  outboxDir = EMAIL_OUTBOX_DIR
+  emailEnabled = true
+  console.log(`✅ Email configured (writing .eml files to ${EMAIL_OUTBOX_DIR})`)
+} else {
+  console.warn('⚠️  SMTP_HOST not set — email notifications disabled')
+}
+
+export { transporter, emailEnabled, outboxDir, EMAIL_FROM, APP_URL }
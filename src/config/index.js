@@ -1,3 +1,5 @@
 export { supabaseAdmin } from './supabase.js'
 export { corsOptions } from './cors.js'
 export { webpush, pushEnabled, VAPID_PUBLIC_KEY } from './webpush.js'
+export { transporter, emailEnabled, EMAIL_FROM, APP_URL } from './email.js'
+export { webhookConfig } from './webhooks.js'
@@ -4,16 +4,19 @@
  */
 
 import { createClient } from '@supabase/supabase-js'
+import { useMemoryDriver } from './database.js'
 
 const supabaseUrl = process.env.SUPABASE_URL
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
 
-if (!supabaseUrl || !supabaseServiceKey) {
+// The memory driver needs no Supabase project; the client below is only
+// created so modules that still import it can load (it is never reachable)
+if ((!supabaseUrl || !supabaseServiceKey) && !useMemoryDriver) {
   throw new Error('Missing Supabase environment variables')
 }
 
 // Admin client with service role - bypasses RLS
-export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+export const supabaseAdmin = createClient(supabaseUrl || 'http://localhost', supabaseServiceKey || 'memory-driver', {
   auth: {
     autoRefreshToken: false,
     persistSession: false
@@ -0,0 +1,13 @@
+/**
+ * Webhooks Configuration
+ *   WEBHOOK_ALLOW_PRIVATE_URLS=true - let webhooks point at loopback and
+ *   private network addresses (e.g. http://localhost:4000 as a local test
+ *   receiver). Off by default: the server refuses to call anything that is
+ *   not on the public internet.
+ */
+
+export const webhookConfig = {
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+}
+
+export default webhookConfig
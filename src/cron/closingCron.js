@@ -0,0 +1,146 @@
+/**
+ * Room Closing Cron
+ *
+ * Runs every minute and warns attendees whose room is about to close while
+ * they still have nothing recorded for the day:
+ * - `streak_at_risk` when they have an active streak in the room
+ * - `room_closing` otherwise
+ *
+ * Flow:
+ * 1. Load active (non-paused) rooms that have a schedule or time window
+ * 2. Find the day's close (end of its last window, in the room's timezone);
+ *    overnight windows close the next morning, so yesterday is checked too
+ * 3. If the close is less than CLOSING_NOTICE_MINUTES away and the attendee
+ *    has no entry for that day, notify through the notification dispatcher,
+ *    which applies the user's preferences and quiet hours
+ *
+ * Each warning carries a dedup key per room, day and close time, so restarts
+ * and multiple instances send it once.
+ */
+
+import cron from 'node-cron'
+import { roomsRepository, attendanceRepository } from '../repositories/index.js'
+import { notificationDispatcher } from '../services/notificationDispatcher.js'
+import { roomsService } from '../services/roomsService.js'
+import { streakService } from '../services/streakService.js'
+import { getRoomAttendeeIds } from '../policies/roomPolicy.js'
+import { todayIn, addDays, formatMinutes } from '../utils/dates.js'
+import { resolveSchedule, getDaySchedule, getDayClose, hasConfiguredSchedule } from '../utils/schedule.js'
+
+// How long before a room closes the warning goes out
+const NOTICE_MINUTES = parseInt(process.env.CLOSING_NOTICE_MINUTES) || 30
+
+const ROOM_COLUMNS = ['id', 'user_id', 'created_at', 'name', 'emoji', 'timezone', 'is_paused', 'schedule', 'time_start', 'time_end']
+
+/**
+ * The day (if any) whose close falls within the notice period
+ * @returns {{ date: string, closesAt: Date } | null}
+ */
+function findClosingDay(schedule, timezone, now) {
+  const today = todayIn(timezone, now)
+
+  for (const date of [addDays(today, -1), today]) {
+    if (!getDaySchedule(schedule, date).scheduled) continue
+
+    const closesAt = getDayClose(schedule, date, timezone)
+    const msLeft = closesAt.getTime() - now.getTime()
+    if (msLeft > 0 && msLeft <= NOTICE_MINUTES * 60 * 1000) {
+      return { date, closesAt }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Warn one attendee of a closing room if they have nothing recorded
+ * @returns {Promise<boolean>} whether a notification was dispatched
+ */
+async function warnAttendee(room, userId, closing, now) {
+  // Proofs are filed under the day whose window they answer, so an overnight
+  // window closing after midnight is still checked against the day it opened
+  const recorded = await attendanceRepository.exists({ room_id: room.id, user_id: userId, date: closing.date })
+  if (recorded) return false
+
+  const { current_streak: streak } = await streakService.getRoomStreak(room.id, userId)
+  const minutesLeft = Math.max(1, Math.round((closing.closesAt.getTime() - now.getTime()) / 60000))
+  const roomLabel = `${room.emoji || '📋'} ${room.name}`
+  const atRisk = streak > 0
+
+  const result = await notificationDispatcher.dispatch(userId, {
+    type: atRisk ? 'streak_at_risk' : 'room_closing',
+    title: atRisk
+      ? `🔥 Your ${streak}-day streak in ${roomLabel} is at risk!`
+      : `⏳ ${roomLabel} closes soon`,
+    body: atRisk
+      ? `${room.name} closes in ${formatMinutes(minutesLeft)}. Submit your proof to keep your ${streak}-day streak.`
+      : `${room.name} closes in ${formatMinutes(minutesLeft)} and you haven't submitted proof today.`,
+    data: { roomId: room.id, date: closing.date, streak, closesAt: closing.closesAt.toISOString() },
+    push: { url: `/rooms/${room.id}`, tag: `room-closing-${room.id}` },
+    dedupKey: `room_closing:${room.id}:${closing.date}:${closing.closesAt.toISOString()}`,
+    now
+  })
+
+  return result.status !== 'duplicate'
+}
+
+/**
+ * Warn every attendee of a room (the owner and its members) if the room is
+ * closing with nothing recorded
+ * @returns {Promise<number>} notifications dispatched
+ */
+async function warnIfClosing(room, now) {
+  const timezone = await roomsService.getRoomTimezone(room)
+  const closing = findClosingDay(resolveSchedule(room), timezone, now)
+  if (!closing) return 0
+
+  let warned = 0
+  for (const userId of await getRoomAttendeeIds(room)) {
+    try {
+      if (await warnAttendee(room, userId, closing, now)) warned++
+    } catch (err) {
+      console.error(`Closing cron: failed for user ${userId} in room ${room.id}:`, err.message)
+    }
+  }
+  return warned
+}
+
+/**
+ * Core check: warn attendees of rooms closing within the notice period
+ * @param {Date} [now]
+ * @returns {Promise<number>} notifications dispatched
+ */
+export async function checkClosingRooms(now = new Date()) {
+  let warned = 0
+
+  try {
+    const rooms = await roomsRepository.find({ is_paused: false }, { columns: ROOM_COLUMNS })
+
+    for (const room of rooms.filter(hasConfiguredSchedule)) {
+      try {
+        warned += await warnIfClosing(room, now)
+      } catch (err) {
+        console.error(`Closing cron: failed for room ${room.id}:`, err.message)
+      }
+    }
+
+    if (warned > 0) {
+      console.log(`⏳ Sent ${warned} room closing warning(s) [checked ${rooms.length} room(s)]`)
+    }
+  } catch (err) {
+    console.error('Closing cron: unexpected error:', err)
+  }
+
+  return warned
+}
+
+/**
+ * Start the room closing cron job
+ */
+export function startClosingCron() {
+  cron.schedule('* * * * *', () => checkClosingRooms())
+
+  console.log(`⏳ Room closing cron started (warns ${NOTICE_MINUTES} min before close)`)
+}
+
+export default startClosingCron
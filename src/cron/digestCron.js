@@ -0,0 +1,35 @@
+/**
+ * Weekly Digest Cron
+ *
+ * Runs hourly and sends the weekly digests (user and admin) to everyone for
+ * whom it is Monday 08:00 or later in their timezone. Each digest is sent once
+ * per week (deduplicated on the week), so hourly runs and restarts are safe.
+ */
+
+import cron from 'node-cron'
+import { digestService } from '../services/digestService.js'
+
+/**
+ * Send the digests that are due
+ */
+async function sendDigests() {
+  try {
+    const sent = await digestService.sendDueDigests()
+    if (sent > 0) {
+      console.log(`📊 Sent ${sent} weekly digest(s)`)
+    }
+  } catch (err) {
+    console.error('Digest cron: unexpected error:', err)
+  }
+}
+
+/**
+ * Start the weekly digest cron job
+ */
+export function startDigestCron() {
+  cron.schedule('5 * * * *', sendDigests)
+
+  console.log('📊 Weekly digest cron started (checks hourly)')
+}
+
+export default startDigestCron
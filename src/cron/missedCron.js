@@ -0,0 +1,153 @@
+/**
+ * Missed Day Cron
+ *
+ * Runs every 15 minutes and records a 'missed' attendance entry for every
+ * scheduled day that closed without one, so unattended days show up in
+ * history, stats and streaks without an admin marking them by hand.
+ *
+ * Flow:
+ * 1. Load active (non-paused) rooms; rooms with no schedule or time window
+ *    are all-day rooms and close at midnight in the room's timezone (the
+ *    owner's when the room has none), as getDayClose does for days without windows
+ * 2. For each day in the lookback period, in the room's timezone, check that
+ *    it was scheduled, not paused, and that its last window has closed
+ *    (midnight when late uploads are allowed)
+ * 3. Record 'missed' for each attendee (the owner and every member, from the
+ *    day they joined) on days with no entry at all; approved, pending, late,
+ *    rejected and excused entries are never touched
+ *
+ * Everything it needs is read back from the database, so restarts are safe:
+ * days already recorded are skipped, and days that closed while the server
+ * was down are caught up (within the lookback period).
+ */
+
+import cron from 'node-cron'
+import { roomsRepository, attendanceRepository } from '../repositories/index.js'
+import { attendanceService } from '../services/attendanceService.js'
+import { roomsService } from '../services/roomsService.js'
+import { streakService } from '../services/streakService.js'
+import { isPausedOn } from '../policies/streakPolicy.js'
+import { getRoomAttendees } from '../policies/roomPolicy.js'
+import { todayIn, toDateString, addDays } from '../utils/dates.js'
+import { resolveSchedule, getDaySchedule, getDayClose } from '../utils/schedule.js'
+
+// How many past days are checked on every run
+const LOOKBACK_DAYS = 7
+
+const ROOM_COLUMNS = ['id', 'user_id', 'timezone', 'is_paused', 'updated_at', 'created_at', 'schedule', 'time_start', 'time_end', 'allow_late_upload']
+
+/**
+ * Closed, scheduled, unpaused days of a room that may need a 'missed' entry
+ */
+async function getClosedDays(room, now) {
+  const timezone = await roomsService.getRoomTimezone(room)
+  const schedule = resolveSchedule(room)
+  const today = todayIn(timezone, now)
+  const created = room.created_at ? toDateString(new Date(room.created_at), timezone) : today
+  const lookbackStart = addDays(today, -LOOKBACK_DAYS)
+  const pauses = await streakService.getPauseRanges(room, timezone)
+
+  const days = []
+  for (let date = created > lookbackStart ? created : lookbackStart; date <= today; date = addDays(date, 1)) {
+    if (!getDaySchedule(schedule, date).scheduled) continue
+    if (isPausedOn(date, pauses)) continue
+    if (getDayClose(schedule, date, timezone, { allowLate: room.allow_late_upload }) > now) continue
+    days.push(date)
+  }
+  return days
+}
+
+/**
+ * Record missed days for one attendee of a room
+ * @returns {Promise<number>} number of days recorded
+ */
+async function markMissedForAttendee(room, userId, days) {
+  const existing = await attendanceRepository.find({
+    room_id: room.id,
+    user_id: userId,
+    date: { gte: days[0], lte: days[days.length - 1] }
+  }, { columns: ['date'] })
+  const recorded = new Set(existing.map(r => r.date))
+
+  let marked = 0
+  for (const date of days) {
+    if (recorded.has(date)) continue
+    const record = await attendanceService.recordMissed(room.id, userId, date, { onlyIfEmpty: true })
+    if (record) marked++
+  }
+
+  if (marked > 0) {
+    try {
+      await streakService.recalculate(room.id, userId)
+    } catch (err) {
+      console.error('Streak recalculation failed:', err.message)
+    }
+  }
+  return marked
+}
+
+/**
+ * Record missed days for every attendee of one room (the owner and its
+ * members); members are only held to days from the day they joined
+ * @returns {Promise<number>} number of days recorded
+ */
+async function markMissedForRoom(room, now) {
+  const days = await getClosedDays(room, now)
+  if (days.length === 0) return 0
+
+  const timezone = await roomsService.getRoomTimezone(room)
+  const attendees = await getRoomAttendees(room)
+
+  let marked = 0
+  for (const attendee of attendees) {
+    const joined = attendee.joined_at ? toDateString(new Date(attendee.joined_at), timezone) : null
+    const owed = joined ? days.filter(date => date >= joined) : days
+    if (owed.length === 0) continue
+    marked += await markMissedForAttendee(room, attendee.user_id, owed)
+  }
+  return marked
+}
+
+/**
+ * Core check: record 'missed' for every closed day without an entry
+ * @param {Date} [now]
+ * @returns {Promise<number>} total days recorded
+ */
+export async function markMissedDays(now = new Date()) {
+  let total = 0
+
+  try {
+    const rooms = await roomsRepository.find({ is_paused: false }, { columns: ROOM_COLUMNS })
+
+    for (const room of rooms) {
+      try {
+        total += await markMissedForRoom(room, now)
+      } catch (err) {
+        console.error(`Missed day cron: failed for room ${room.id}:`, err.message)
+      }
+    }
+
+    if (total > 0) {
+      console.log(`📕 Marked ${total} missed day(s) [checked ${rooms.length} room(s)]`)
+    }
+  } catch (err) {
+    console.error('Missed day cron: unexpected error:', err)
+  }
+
+  return total
+}
+
+/**
+ * Start the missed day cron job
+ */
+export function startMissedCron() {
+  // Run every 15 minutes; windows are compared in each room's timezone
+  cron.schedule('*/15 * * * *', () => markMissedDays())
+
+  // Catch up on days that closed while the server was down
+  markMissedDays()
+
+  console.log('📕 Missed day cron started (checks every 15 minutes)')
+}
+
+export default startMissedCron
@@ -0,0 +1,85 @@
+/**
+ * Notification Cron
+ *
+ * Every minute, retries queued web pushes that are due (see pushService).
+ * Every 5 minutes, sends the web pushes the notification dispatcher deferred
+ * because they fell in the user's quiet hours. Nightly, prunes old rows from
+ * notification_deliveries and finished rows from push_queue.
+ */
+
+import cron from 'node-cron'
+import { notificationDeliveriesRepository, pushQueueRepository } from '../repositories/index.js'
+import { notificationDispatcher } from '../services/notificationDispatcher.js'
+import { pushService } from '../services/pushService.js'
+import { pushEnabled } from '../config/webpush.js'
+
+// Delivery rows older than this are pruned nightly
+const DELIVERY_RETENTION_DAYS = 30
+
+/**
+ * Retry queued pushes that are due
+ */
+async function processPushQueue() {
+  try {
+    const { sent, failed, queued } = await pushService.processQueue()
+    if (sent + failed > 0) {
+      console.log(`🔁 Push queue: ${sent} sent, ${failed} failed, ${queued} still queued`)
+    }
+  } catch (err) {
+    console.error('Notification cron: push queue error:', err)
+  }
+}
+
+/**
+ * Send deferred pushes that are now due
+ */
+async function flushDeferred() {
+  try {
+    const sent = await notificationDispatcher.flushDeferred()
+    if (sent > 0) {
+      console.log(`🔕 Sent ${sent} push(es) deferred by quiet hours`)
+    }
+  } catch (err) {
+    console.error('Notification cron: unexpected error:', err)
+  }
+}
+
+/**
+ * Delete old delivery rows (deferred ones are kept until sent) and finished
+ * push queue rows
+ */
+async function pruneDeliveries() {
+  try {
+    const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    await notificationDeliveriesRepository.remove({
+      created_at: { lt: cutoff },
+      status: { neq: 'deferred' }
+    })
+    await pushQueueRepository.remove({
+      created_at: { lt: cutoff },
+      status: ['sent', 'failed', 'gone']
+    })
+  } catch (err) {
+    console.error('Notification cron: failed to prune deliveries:', err.message)
+  }
+}
+
+/**
+ * Start the notification cron jobs
+ */
+export function startNotificationCron() {
+  // Deliveries are pruned whether or not push is configured
+  cron.schedule('30 3 * * *', pruneDeliveries)
+
+  if (!pushEnabled) {
+    console.log('⏭️  Deferred push cron skipped (Web Push not configured)')
+    return
+  }
+
+  cron.schedule('* * * * *', processPushQueue)
+  cron.schedule('*/5 * * * *', flushDeferred)
+
+  console.log('🔕 Push queue and deferred push cron started (every minute / every 5 minutes)')
+}
+
+export default startNotificationCron
@@ -2,168 +2,209 @@
  * Room Reminder Cron Scheduler
  * 
  * Runs every minute, checks which room reminders should fire,
- * and sends Web Push notifications to users — even if their
- * PWA/browser is closed.
+ * and notifies users through the notification dispatcher, which picks
+ * the channels (in-app, Web Push, email) from their preferences.
  * 
  * Flow:
  * 1. Every minute, query room_reminders joined with rooms
- * 2. For each reminder, compare current time with (room.time_start - minutes_before)
- *    using the user's stored timezone to correctly interpret room.time_start
- * 3. If the reminder should fire within this minute window, send push
- * 4. Track sent reminders to avoid duplicates (using in-memory dedup)
+ * 2. For each reminder, compare current time with (window start - minutes_before)
+ *    for every window the room's schedule has today, using the room's timezone
+ *    (or the reminder's stored timezone) to interpret the window times
+ * 3. If the reminder is due (within a few minutes of its target time), claim its
+ *    delivery row in reminder_deliveries and notify through the notification
+ *    dispatcher (preferences, quiet hours, in-app row and push)
+ * 4. Record the outcome (sent / queued / failed / skipped) on the delivery row;
+ *    a queued push is settled by the push queue when its retries finish
+ *
+ * Deliveries are keyed by (reminder_id, local_date, window_start), where
+ * local_date is the window's date in the room's timezone. The claim is an
+ * insert on that key, so a restart or a second instance never sends twice;
+ * failed deliveries are retried up to MAX_ATTEMPTS while still due. A claim
+ * still 'sending' after SENDING_LEASE_MS (its run crashed or was restarted)
+ * is released as failed, so it is retried too.
  */
 
 import cron from 'node-cron'
-import { supabaseAdmin } from '../config/supabase.js'
-import { pushService } from '../services/pushService.js'
-import { pushEnabled } from '../config/webpush.js'
+import { roomRemindersRepository, reminderDeliveriesRepository } from '../repositories/index.js'
+import { notificationDispatcher } from '../services/notificationDispatcher.js'
+import { safeTimezone, todayIn, zonedTimeToUtc, formatMinutes } from '../utils/dates.js'
+import { resolveSchedule, getDaySchedule } from '../utils/schedule.js'
 
-// In-memory dedup: track reminders fired today to avoid re-sends
-// Key: `${userId}-${roomId}-${minutesBefore}-${YYYY-MM-DD}`
-const firedToday = new Set()
+// A reminder stays due this long after its target time, so a run missed by a
+// restart, or a failed send, is picked up on the next runs
+const DUE_WINDOW_MS = 5 * 60 * 1000
+const MAX_ATTEMPTS = 3
+
+// How long a run may hold a delivery in 'sending' before another run takes it over
+// (shorter than DUE_WINDOW_MS, so a released claim is retried while still due)
+const SENDING_LEASE_MS = 2 * 60 * 1000
+
+// Delivery rows older than this are pruned nightly
+const DELIVERY_RETENTION_DAYS = 30
 
 /**
- * Clear the dedup set at midnight
+ * Delete old delivery rows
  */
-function clearDailyLog() {
-  firedToday.clear()
-  console.log('🔄 Cleared daily reminder dedup log')
+async function pruneDeliveries() {
+  try {
+    const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    await reminderDeliveriesRepository.remove({ created_at: { lt: cutoff } })
+  } catch (err) {
+    console.error('Reminder cron: failed to prune deliveries:', err.message)
+  }
 }
 
 /**
- * Convert a TIME string (e.g. "09:00:00") in a given IANA timezone
- * to a UTC Date for today.
- * 
- * E.g. parseTimeInTimezone("09:00:00", "Asia/Kolkata") → Date at 03:30 UTC today
+ * Release delivery claims whose run never recorded an outcome
+ */
+async function releaseStaleClaims(now) {
+  try {
+    const released = await reminderDeliveriesRepository.releaseStale(new Date(now.getTime() - SENDING_LEASE_MS).toISOString())
+    if (released.length) console.warn(`Reminder cron: released ${released.length} stale delivery claim(s)`)
+  } catch (err) {
+    console.error('Reminder cron: failed to release stale claims:', err.message)
+  }
+}
+
+/**
+ * Find the scheduled window (if any) whose reminder is due now
+ * Checks today's and tomorrow's windows so reminders before early windows still fire
+ * @returns {{ date: string, start: string } | null}
+ */
+function findWindowToRemind(schedule, timezone, minutesBefore, now) {
+  const todayStr = todayIn(timezone, now)
+  const tomorrowStr = todayIn(timezone, new Date(now.getTime() + 24 * 60 * 60 * 1000))
+
+  for (const date of [todayStr, tomorrowStr]) {
+    const { scheduled, windows } = getDaySchedule(schedule, date)
+    if (!scheduled) continue
+
+    for (const window of windows) {
+      const opens = zonedTimeToUtc(date, window.start, timezone)
+      const reminderTime = new Date(opens.getTime() - minutesBefore * 60 * 1000)
+
+      // Due from the target time until DUE_WINDOW_MS later, but not once the
+      // window has opened (always for at least the target minute)
+      const dueForMs = Math.max(60 * 1000, Math.min(DUE_WINDOW_MS, minutesBefore * 60 * 1000))
+      const diffMs = now.getTime() - reminderTime.getTime()
+      if (diffMs >= 0 && diffMs < dueForMs) {
+        return { date, start: window.start }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Claim the delivery of a reminder for one window
+ * @returns {Promise<object|null>} the delivery row to send, or null if it was
+ *   already sent, skipped, in flight elsewhere, or out of attempts
  */
-function parseTimeInTimezone(timeStr, timezone) {
-  if (!timeStr) return null
+async function claimDelivery(reminder, window) {
+  const claimed = await reminderDeliveriesRepository.claim({
+    reminder_id: reminder.id,
+    user_id: reminder.user_id,
+    room_id: reminder.room_id,
+    local_date: window.date,
+    window_start: window.start
+  })
+  if (claimed) return claimed
 
-  const parts = timeStr.split(':').map(Number)
-  const hours = parts[0] || 0
-  const minutes = parts[1] || 0
+  const existing = await reminderDeliveriesRepository.findForWindow(reminder.id, window.date, window.start)
+  if (existing?.status === 'failed' && existing.attempts < MAX_ATTEMPTS) {
+    return reminderDeliveriesRepository.reclaim(existing)
+  }
+  return null
+}
 
-  // Create a date string for today in the user's timezone
-  // We use a reference date in the user's timezone to calculate the UTC offset
-  const now = new Date()
-  const year = now.getUTCFullYear()
-  const month = String(now.getUTCMonth() + 1).padStart(2, '0')
-  const day = String(now.getUTCDate()).padStart(2, '0')
+/**
+ * Map a dispatch result to a delivery status
+ */
+function deliveryOutcome(result) {
+  switch (result.status) {
+    case 'sent': return { status: 'sent', error: null }
+    case 'failed': return { status: 'failed', error: result.delivery?.error || 'Push failed' }
+    case 'queued': return { status: 'queued', error: 'Push queued for retry' }
+    case 'no_subscription': return { status: 'skipped', error: 'No active push subscriptions' }
+    case 'push_disabled': return { status: 'skipped', error: 'Web Push not configured' }
+    case 'disabled': return { status: 'skipped', error: 'Room opening notifications are turned off' }
+    case 'push_off': return { status: 'skipped', error: 'Room opening push notifications are turned off' }
+    case 'dropped':
+    case 'deferred': return { status: 'skipped', error: 'Quiet hours' }
+    default: return { status: 'skipped', error: 'Already notified' }
+  }
+}
 
+/**
+ * Record how a delivery went
+ * A 'queued' delivery keeps the dispatcher's delivery id; the push queue settles
+ * both when its retries finish (see pushService)
+ */
+async function recordOutcome(delivery, { status, error }, notificationDeliveryId = null) {
   try {
-    // Build a date-time string and parse it as if it's in the user's timezone
-    // Use Intl.DateTimeFormat to find the actual date in the user's timezone
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
+    const now = new Date().toISOString()
+    await reminderDeliveriesRepository.updateById(delivery.id, {
+      status,
+      error,
+      notification_delivery_id: notificationDeliveryId,
+      sent_at: status === 'sent' ? now : null,
+      updated_at: now
     })
-    const tzParts = formatter.formatToParts(now)
-    const tzYear = tzParts.find(p => p.type === 'year').value
-    const tzMonth = tzParts.find(p => p.type === 'month').value
-    const tzDay = tzParts.find(p => p.type === 'day').value
-
-    // Construct ISO string as if in that timezone, then compute UTC offset
-    // by comparing formatted "now" in that timezone to actual UTC
-    const localDateStr = `${tzYear}-${tzMonth}-${tzDay}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`
-    
-    // Get the offset for this timezone at this moment
-    const tempDate = new Date(localDateStr + 'Z') // treat as UTC first
-    const utcStr = tempDate.toLocaleString('en-US', { timeZone: 'UTC' })
-    const tzStr = tempDate.toLocaleString('en-US', { timeZone: timezone })
-    const utcDate = new Date(utcStr)
-    const tzDate = new Date(tzStr)
-    const offsetMs = tzDate.getTime() - utcDate.getTime()
-
-    // The actual UTC time for "hours:minutes in timezone" today
-    const result = new Date(tempDate.getTime() - offsetMs)
-    return result
   } catch (err) {
-    // Fallback: treat as server local time
-    console.warn(`Invalid timezone "${timezone}", falling back to server time:`, err.message)
-    const fallback = new Date()
-    fallback.setHours(hours, minutes, 0, 0)
-    return fallback
+    console.error(`Reminder cron: failed to record delivery ${delivery.id}:`, err.message)
   }
 }
 
 /**
- * Core check: find reminders that should fire NOW and send pushes
+ * Core check: find reminders that should fire NOW and notify their users
  */
 async function checkAndSendReminders() {
-  if (!pushEnabled) return
-
   try {
+    await releaseStaleClaims(new Date())
+
     // Fetch all enabled reminders with their room details
-    const { data: reminders, error } = await supabaseAdmin
-      .from('room_reminders')
-      .select('*, rooms(id, name, emoji, time_start, time_end)')
-      .eq('enabled', true)
-
-    if (error) {
-      console.error('Reminder cron: DB error:', error)
-      return
-    }
+    const reminders = await roomRemindersRepository.find({ enabled: true }, {
+      include: { rooms: ['id', 'name', 'emoji', 'time_start', 'time_end', 'timezone', 'schedule'] }
+    })
 
-    if (!reminders || reminders.length === 0) return
+    if (reminders.length === 0) return
 
     const now = new Date()
-    const todayStr = now.toISOString().slice(0, 10) // YYYY-MM-DD
     let sentCount = 0
     let checkedCount = reminders.length
 
     for (const reminder of reminders) {
       const room = reminder.rooms
-      if (!room || !room.time_start) continue
+      if (!room) continue
 
-      // Calculate when this reminder should fire, using user's timezone
-      const userTz = reminder.timezone || 'UTC'
-      const roomOpens = parseTimeInTimezone(room.time_start, userTz)
-      if (!roomOpens) continue
+      // Today's windows from the room's schedule, on today's date in the room's timezone
+      // (the reminder may fire the day before, for a window opening just after midnight)
+      const timezone = safeTimezone(room.timezone || reminder.timezone)
+      const schedule = resolveSchedule(room)
+      const window = findWindowToRemind(schedule, timezone, reminder.minutes_before, now)
+      if (!window) continue
 
-      const reminderTime = new Date(roomOpens.getTime() - reminder.minutes_before * 60 * 1000)
+      // Dedup: claim the delivery row (or a failed one for another attempt)
+      const delivery = await claimDelivery(reminder, window)
+      if (!delivery) continue
 
-      // Check if the reminder should fire within this minute window
-      // (current time is within 0-59 seconds of the reminder time)
-      const diffMs = now.getTime() - reminderTime.getTime()
-      const isInWindow = diffMs >= 0 && diffMs < 60 * 1000 // 0 to 59 seconds after target
-
-      if (!isInWindow) continue
-
-      // Dedup check
-      const dedupKey = `${reminder.user_id}-${reminder.room_id}-${reminder.minutes_before}-${todayStr}`
-      if (firedToday.has(dedupKey)) continue
-
-      // Send push notification
+      // Notify (in-app + push, subject to the user's preferences and quiet hours)
       try {
-        const result = await pushService.sendRoomReminder(
-          reminder.user_id,
-          room,
-          reminder.minutes_before
-        )
-
-        // Mark as fired regardless of result (to avoid spam retries)
-        firedToday.add(dedupKey)
-
-        if (result.sent > 0) {
-          sentCount++
-
-          // Also create an in-app notification record
-          await supabaseAdmin
-            .from('notifications')
-            .insert({
-              user_id: reminder.user_id,
-              type: 'room_opening',
-              title: `${room.emoji || '📋'} ${room.name} opens soon!`,
-              body: `Your room opens in ${reminder.minutes_before} min. Get ready!`,
-              data: { roomId: room.id, minutesBefore: reminder.minutes_before },
-              push_sent: result.sent > 0
-            })
-        }
+        const result = await notificationDispatcher.dispatch(reminder.user_id, {
+          type: 'room_opening',
+          title: `${room.emoji || '📋'} ${room.name} opens soon!`,
+          body: `Your room opens in ${formatMinutes(reminder.minutes_before)}. Get ready!`,
+          data: { roomId: room.id, minutesBefore: reminder.minutes_before },
+          push: { type: 'room_reminder', url: `/rooms/${room.id}`, tag: `room-reminder-${room.id}-${reminder.minutes_before}` },
+          dedupKey: `room_opening:${reminder.id}:${window.date}:${window.start}`,
+          now
+        })
+
+        await recordOutcome(delivery, deliveryOutcome(result), result.delivery?.id)
+        if (result.status === 'sent') sentCount++
       } catch (err) {
-        // Mark as fired to avoid retry-spam
-        firedToday.add(dedupKey)
+        await recordOutcome(delivery, { status: 'failed', error: err.message })
         console.error(`Failed to send reminder for user ${reminder.user_id}, room ${room.id}:`, err)
       }
     }
@@ -180,19 +221,13 @@ async function checkAndSendReminders() {
  * Start the reminder cron jobs
  */
 export function startReminderCron() {
-  if (!pushEnabled) {
-    console.log('⏭️  Reminder cron skipped (Web Push not configured)')
-    console.log('   Set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY environment variables to enable.')
-    return
-  }
-
   // Run every minute
   cron.schedule('* * * * *', checkAndSendReminders, {
     timezone: undefined // Server timezone; room times are converted using user's stored timezone
   })
 
-  // Clear dedup log at midnight
-  cron.schedule('0 0 * * *', clearDailyLog)
+  // Prune old delivery rows nightly
+  cron.schedule('0 3 * * *', pruneDeliveries)
 
   console.log('⏰ Room reminder cron started (checks every minute)')
 }
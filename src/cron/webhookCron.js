@@ -0,0 +1,63 @@
+/**
+ * Webhook Cron
+ *
+ * Every minute, retries webhook deliveries whose backoff has elapsed.
+ * Nightly, prunes old rows from webhook_deliveries.
+ *
+ * Flow:
+ * 1. Put deliveries abandoned mid-attempt (stuck in 'sending') back in the queue
+ * 2. Attempt each pending delivery whose next_attempt_at has passed; the
+ *    claim on the attempt count means only one instance sends it
+ * 3. Failures are rescheduled by the webhook policy's backoff, or left
+ *    'failed' once attempts run out
+ */
+
+import cron from 'node-cron'
+import { webhookDeliveriesRepository } from '../repositories/index.js'
+import { webhookService } from '../services/webhookService.js'
+
+// Delivery rows older than this are pruned nightly
+const DELIVERY_RETENTION_DAYS = 30
+
+/**
+ * Retry due deliveries
+ */
+export async function retryWebhooks(now = new Date()) {
+  try {
+    const released = await webhookService.releaseStale(now)
+    const { succeeded, failed } = await webhookService.retryDue(now)
+
+    if (released + succeeded + failed > 0) {
+      console.log(`🪝 Webhook retries: ${succeeded} delivered, ${failed} failed${released ? `, ${released} released` : ''}`)
+    }
+  } catch (err) {
+    console.error('Webhook cron: unexpected error:', err)
+  }
+}
+
+/**
+ * Delete old delivery rows (pending ones are kept until they finish)
+ */
+async function pruneDeliveries() {
+  try {
+    const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    await webhookDeliveriesRepository.remove({
+      created_at: { lt: cutoff },
+      status: ['succeeded', 'failed']
+    })
+  } catch (err) {
+    console.error('Webhook cron: failed to prune deliveries:', err.message)
+  }
+}
+
+/**
+ * Start the webhook cron jobs
+ */
+export function startWebhookCron() {
+  cron.schedule('* * * * *', () => retryWebhooks())
+  cron.schedule('45 3 * * *', pruneDeliveries)
+
+  console.log('🪝 Webhook retry cron started (checks every minute)')
+}
+
+export default startWebhookCron
@@ -4,13 +4,20 @@
  */
 
 import 'dotenv/config'
+import { pathToFileURL } from 'url'
 import express from 'express'
 import cors from 'cors'
 
 import { corsOptions } from './config/index.js'
+import { dataDriverName } from './config/database.js'
 import { errorHandler, notFoundHandler, securityHeaders, apiLimiter } from './middleware/index.js'
 import routes from './routes/index.js'
 import { startReminderCron } from './cron/reminderCron.js'
+import { startMissedCron } from './cron/missedCron.js'
+import { startNotificationCron } from './cron/notificationCron.js'
+import { startClosingCron } from './cron/closingCron.js'
+import { startDigestCron } from './cron/digestCron.js'
+import { startWebhookCron } from './cron/webhookCron.js'
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -51,19 +58,30 @@ app.get('/', (req, res) => {
 app.use(notFoundHandler)
 app.use(errorHandler)
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Start server only when run directly (`node src/index.js`), so tests can
+// import the app and bind it themselves
+const isEntrypoint = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href
+
+if (isEntrypoint) {
+  app.listen(PORT, () => {
+    console.log(`
 🚀 Daylock API Server running!
    
    Local:   http://localhost:${PORT}
    Health:  http://localhost:${PORT}/api/health
    
    Environment: ${process.env.NODE_ENV || 'development'}
-  `)
+   Data driver: ${dataDriverName}
+    `)
 
-  // Start cron jobs after server is ready
-  startReminderCron()
-})
+    // Start cron jobs after server is ready
+    startReminderCron()
+    startMissedCron()
+    startNotificationCron()
+    startClosingCron()
+    startDigestCron()
+    startWebhookCron()
+  })
+}
 
 export default app
@@ -1,14 +1,55 @@
 /**
  * Authentication Middleware
- * Validates Supabase JWT tokens using Supabase Auth API
- * Works with both legacy HS256 and new ECC (P-256) keys
+ * Verifies Supabase JWT tokens locally:
+ * - legacy HS256 tokens with SUPABASE_JWT_SECRET
+ * - ECC (P-256) / RSA tokens against the project's cached JWKS
+ * Falls back to the Supabase Auth API only when AUTH_REMOTE_FALLBACK=true
+ * and the token cannot be verified locally.
  */
 
+import { decodeJwt } from 'jose'
 import { supabaseAdmin } from '../config/supabase.js'
+import { jwtConfig } from '../config/auth.js'
+import { ERROR_CODES } from '../utils/errors.js'
+import { verifyAccessToken, userFromClaims, InvalidTokenError, UnverifiableTokenError } from '../utils/jwt.js'
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null
+  return authHeader.split(' ')[1] || null
+}
+
+/**
+ * Resolve the user for a token: local verification first,
+ * then the (optional) remote getUser() fallback
+ */
+async function resolveUser(token) {
+  try {
+    return userFromClaims(await verifyAccessToken(token))
+  } catch (error) {
+    if (!(error instanceof UnverifiableTokenError) || !jwtConfig.remoteFallback) throw error
+
+    console.warn('Auth: local verification unavailable, using remote fallback:', error.message)
+    const { data: { user }, error: remoteError } = await supabaseAdmin.auth.getUser(token)
+    if (remoteError || !user) {
+      throw new InvalidTokenError(remoteError?.message || 'Invalid token')
+    }
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      aud: user.aud,
+      // Supabase Auth accepted the token, so its own exp claim can be trusted
+      exp: decodeJwt(token).exp ?? null
+    }
+  }
+}
 
 /**
  * Middleware to verify Supabase JWT token
- * Uses supabase.auth.getUser() for reliable token validation
  */
 export async function authenticate(req, res, next) {
   try {
@@ -18,81 +59,84 @@ export async function authenticate(req, res, next) {
       console.log('Auth failed: Missing or invalid authorization header')
       return res.status(401).json({ 
         error: 'Unauthorized',
+        code: ERROR_CODES.UNAUTHORIZED,
         message: 'Missing or invalid authorization header' 
       })
     }
     
-    const token = authHeader.split(' ')[1]
+    const token = getBearerToken(req)
     
     if (!token) {
       console.log('Auth failed: No token provided')
       return res.status(401).json({ 
         error: 'Unauthorized',
+        code: ERROR_CODES.UNAUTHORIZED,
         message: 'No token provided' 
       })
     }
     
-    // Verify token using Supabase Auth API
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token)
-    
-    if (error || !user) {
-      console.log('Auth failed:', error?.message || 'No user found')
+    // Attach user info to request
+    req.user = await resolveUser(token)
+    next()
+  } catch (error) {
+    if (error instanceof InvalidTokenError) {
+      console.log('Auth failed:', error.message)
       return res.status(401).json({ 
         error: 'Unauthorized',
-        message: error?.message || 'Invalid token' 
+        code: ERROR_CODES.UNAUTHORIZED,
+        message: error.message
       })
     }
     
-    // Attach user info to request
-    req.user = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      aud: user.aud
+    if (error instanceof UnverifiableTokenError) {
+      console.error('Auth unavailable:', error.message)
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        code: 'AUTH_UNAVAILABLE',
+        message: 'Authentication is temporarily unavailable'
+      })
     }
     
-    console.log(`Auth success: ${user.email} (${user.id})`)
-    next()
-  } catch (error) {
     console.error('Auth middleware error:', error)
     return res.status(500).json({ 
       error: 'Internal Server Error',
+      code: ERROR_CODES.INTERNAL_ERROR,
       message: 'Authentication failed' 
     })
   }
 }
 
+/**
+ * Accept the token as `?access_token=` when there is no Authorization header
+ * For clients that cannot set headers (the browser EventSource); mount it
+ * before `authenticate` on those routes only
+ */
+export function allowQueryToken(req, res, next) {
+  const token = req.query.access_token
+  if (!req.headers.authorization && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`
+  }
+  next()
+}
+
 /**
  * Optional authentication - doesn't fail if no token
  * Useful for endpoints that work for both auth and non-auth users
  */
 export async function optionalAuth(req, res, next) {
-  const authHeader = req.headers.authorization
+  const token = getBearerToken(req)
   
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!token) {
     req.user = null
     return next()
   }
   
   try {
-    const token = authHeader.split(' ')[1]
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token)
-    
-    if (user && !error) {
-      req.user = {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        aud: user.aud
-      }
-    } else {
-      req.user = null
-    }
-    next()
+    req.user = await resolveUser(token)
   } catch {
     req.user = null
-    next()
   }
+  next()
 }
 
 export default authenticate
@@ -3,17 +3,9 @@
  * Centralized error handling for the API
  */
 
-/**
- * Custom API Error class
- */
-export class ApiError extends Error {
-  constructor(statusCode, message, details = null) {
-    super(message)
-    this.statusCode = statusCode
-    this.details = details
-    this.isOperational = true
-  }
-}
+import { ApiError, ERROR_CODES } from '../utils/errors.js'
+
+export { ApiError }
 
 /**
  * Not Found handler
@@ -21,6 +13,7 @@ export class ApiError extends Error {
 export function notFoundHandler(req, res, next) {
   res.status(404).json({
     error: 'Not Found',
+    code: ERROR_CODES.ROUTE_NOT_FOUND,
     message: `Route ${req.method} ${req.path} not found`
   })
 }
@@ -31,10 +24,11 @@ export function notFoundHandler(req, res, next) {
 export function errorHandler(err, req, res, next) {
   console.error('Error:', err)
   
-  // Handle ApiError
+  // Handle ApiError (and the domain errors built on it)
   if (err instanceof ApiError) {
     return res.status(err.statusCode).json({
       error: err.message,
+      code: err.code,
       details: err.details
     })
   }
@@ -43,16 +37,27 @@ export function errorHandler(err, req, res, next) {
   if (err.name === 'ValidationError') {
     return res.status(400).json({
       error: 'Validation Error',
+      code: ERROR_CODES.VALIDATION_ERROR,
       message: err.message
     })
   }
   
-  // Handle Supabase/PostgreSQL errors
+  // Handle Supabase/PostgREST/PostgreSQL errors
   if (err.code) {
+    // .single() matched no rows
+    if (err.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        code: ERROR_CODES.NOT_FOUND,
+        message: 'Resource not found'
+      })
+    }
+    
     // Unique constraint violation
     if (err.code === '23505') {
       return res.status(409).json({
         error: 'Conflict',
+        code: ERROR_CODES.CONFLICT,
         message: 'Resource already exists'
       })
     }
@@ -61,9 +66,19 @@ export function errorHandler(err, req, res, next) {
     if (err.code === '23503') {
       return res.status(400).json({
         error: 'Bad Request',
+        code: ERROR_CODES.INVALID_REFERENCE,
         message: 'Referenced resource does not exist'
       })
     }
+    
+    // Invalid input syntax (e.g. malformed UUID)
+    if (err.code === '22P02') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Invalid identifier or value'
+      })
+    }
   }
   
   // Default to 500
@@ -74,6 +89,7 @@ export function errorHandler(err, req, res, next) {
   
   res.status(statusCode).json({
     error: 'Internal Server Error',
+    code: ERROR_CODES.INTERNAL_ERROR,
     message
   })
 }
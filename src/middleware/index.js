@@ -1,5 +1,6 @@
-export { authenticate, optionalAuth } from './auth.js'
+export { authenticate, optionalAuth, allowQueryToken } from './auth.js'
 export { errorHandler, notFoundHandler, ApiError } from './errorHandler.js'
 export { apiLimiter, authLimiter, sensitiveLimiter, uploadLimiter } from './rateLimiter.js'
 export { securityHeaders } from './securityHeaders.js'
+export { requireRoomRole, requireRoomPermission, roomIdFromRecord } from './roomAccess.js'
 export * from './validation.js'
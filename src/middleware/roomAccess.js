@@ -0,0 +1,88 @@
+/**
+ * Room Access Middleware
+ * Route-level guards built on the room policy
+ */
+
+import { repositories } from '../repositories/index.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { assertRoomRole, assertRoomPermission } from '../policies/roomPolicy.js'
+
+/**
+ * Default room id resolver: :roomId param, then room_id in the body
+ */
+function roomIdFromRequest(req) {
+  return req.params.roomId || req.body?.room_id || null
+}
+
+/**
+ * Build a resolver that reads room_id from the record referenced by a route param
+ * e.g. roomIdFromRecord('attendance', 'attendanceId')
+ * @param {string} table
+ * @param {string} param - route param holding the record id
+ */
+export function roomIdFromRecord(table, param) {
+  return async (req) => {
+    const record = await repositories[table].findById(req.params[param], { columns: ['room_id'] })
+
+    if (!record) throw new NotFoundError('Resource not found')
+    return record.room_id
+  }
+}
+
+/**
+ * Require the caller to hold one of the given roles in the room
+ * Sets req.room = { id, role } for downstream handlers
+ *
+ * Usage:
+ *   router.post('/:attendanceId/approve', requireRoomRole('admin', roomIdFromRecord('attendance', 'attendanceId')), ...)
+ *   router.get('/room/:roomId', requireRoomRole(['owner', 'admin']), ...)
+ *
+ * @param {string|string[]} roles
+ * @param {(req) => string|Promise<string>} [resolveRoomId]
+ */
+export function requireRoomRole(roles, resolveRoomId = roomIdFromRequest) {
+  return async (req, res, next) => {
+    try {
+      const roomId = await resolveRoomId(req)
+      if (!roomId) {
+        throw new ValidationError('room_id is required')
+      }
+
+      const role = await assertRoomRole(roomId, req.user.id, roles)
+      req.room = { id: roomId, role }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+/**
+ * Require the caller to be the room's owner (who holds every permission),
+ * or an admin of the room holding a permission
+ * Sets req.room = { id, role, permissions } for downstream handlers
+ *
+ * Usage:
+ *   router.post('/:attendanceId/approve', requireRoomPermission('review_proofs', roomIdFromRecord('attendance', 'attendanceId')), ...)
+ *
+ * @param {string} permission - one of ADMIN_PERMISSIONS
+ * @param {(req) => string|Promise<string>} [resolveRoomId]
+ */
+export function requireRoomPermission(permission, resolveRoomId = roomIdFromRequest) {
+  return async (req, res, next) => {
+    try {
+      const roomId = await resolveRoomId(req)
+      if (!roomId) {
+        throw new ValidationError('room_id is required')
+      }
+
+      const { role, permissions } = await assertRoomPermission(roomId, req.user.id, permission)
+      req.room = { id: roomId, role, permissions }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+export default requireRoomRole
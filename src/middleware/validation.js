@@ -4,6 +4,13 @@
  */
 
 import { body, param, query, validationResult } from 'express-validator'
+import { isValidTimezone } from '../utils/dates.js'
+import { validateSchedule } from '../utils/schedule.js'
+import { isValidInviteCode } from '../utils/inviteCodes.js'
+import { ERROR_CODES } from '../utils/errors.js'
+import { WEBHOOK_EVENTS, WILDCARD_EVENT } from '../policies/webhookPolicy.js'
+import { NOTIFICATION_PREFERENCE_FLAGS, NOTIFICATION_CHANNELS } from '../policies/notificationPolicy.js'
+import { ALL_ADMIN_PERMISSIONS } from '../policies/roomPolicy.js'
 
 /**
  * Validation error handler
@@ -13,6 +20,7 @@ export const validate = (req, res, next) => {
   if (!errors.isEmpty()) {
     return res.status(400).json({ 
       error: 'Validation Error',
+      code: ERROR_CODES.VALIDATION_ERROR,
       errors: errors.array().map(err => ({
         field: err.path,
         message: err.msg,
@@ -35,6 +43,15 @@ export const validateUUID = (field, location = 'param') => {
     .withMessage(`${field} must be a valid UUID`)
 }
 
+/**
+ * IANA timezone validation (e.g. "Asia/Kolkata"); null clears the value
+ */
+export const validateTimezone = (field = 'timezone') =>
+  body(field)
+    .optional({ values: 'null' })
+    .custom(isValidTimezone)
+    .withMessage(`${field} must be a valid IANA timezone`)
+
 /**
  * Room creation validation
  */
@@ -49,6 +66,7 @@ export const validateRoomCreation = [
   body('description')
     .optional()
     .isLength({ max: 500 }).withMessage('Description must be max 500 characters'),
+  validateTimezone(),
   validate
 ]
 
@@ -73,6 +91,26 @@ export const validateRoomUpdate = [
   body('time_end')
     .optional()
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid time format (HH:MM)'),
+  body('schedule')
+    .optional({ values: 'null' })
+    .custom((schedule) => {
+      const error = validateSchedule(schedule)
+      if (error) throw new Error(error)
+      return true
+    }),
+  validateTimezone(),
+  validate
+]
+
+/**
+ * Profile update validation
+ */
+export const validateProfileUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  validateTimezone(),
   validate
 ]
 
@@ -94,7 +132,7 @@ export const validateAttendanceSubmit = [
 ]
 
 /**
- * Attendance review validation
+ * Attendance review validation (approve and reject; `reason` is the rejection reason)
  */
 export const validateAttendanceReview = [
   validateUUID('attendanceId', 'param'),
@@ -105,20 +143,97 @@ export const validateAttendanceReview = [
     .optional()
     .isLength({ max: 500 }).withMessage('Feedback must be max 500 characters')
     .trim(),
-  body('rejection_reason')
-    .optional()
-    .isLength({ max: 500 }).withMessage('Rejection reason must be max 500 characters')
-    .trim(),
+  body('reason')
+    .optional({ values: 'null' })
+    .isString().withMessage('Rejection reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Rejection reason must be max 500 characters'),
   validate
 ]
 
 /**
- * Invite code validation
+ * Invite code validation (any case; see src/utils/inviteCodes.js)
  */
 export const validateInviteCode = [
   body('invite_code')
     .notEmpty().withMessage('invite_code is required')
-    .matches(/^[A-Z]{3}-[A-Z0-9]{4}$/).withMessage('Invalid invite code format'),
+    .bail()
+    .custom(isValidInviteCode).withMessage('Invalid invite code format'),
+  validate
+]
+
+/**
+ * Invite email validation
+ */
+export const validateInviteEmail = [
+  validateUUID('inviteId', 'param'),
+  body('email')
+    .trim()
+    .notEmpty().withMessage('email is required')
+    .isEmail().withMessage('email must be a valid email address'),
+  validate
+]
+
+/**
+ * Invite QR code validation
+ */
+export const validateInviteQr = [
+  validateUUID('inviteId', 'param'),
+  query('format')
+    .optional()
+    .isIn(['png', 'svg']).withMessage('format must be png or svg'),
+  query('size')
+    .optional()
+    .isInt({ min: 128, max: 1024 }).withMessage('size must be between 128 and 1024')
+    .toInt(),
+  validate
+]
+
+/**
+ * Optional invite limits: expiry, number of uses and who may accept it
+ */
+const inviteLimits = [
+  body('role')
+    .optional()
+    .isIn(['admin', 'member']).withMessage('role must be admin or member'),
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expires_at must be an ISO 8601 date')
+    .bail()
+    .custom((value) => {
+      if (new Date(value) <= new Date()) throw new Error('expires_at must be in the future')
+      return true
+    }),
+  body('max_uses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 10000 }).withMessage('max_uses must be between 1 and 10000')
+    .toInt(),
+  body('target_email')
+    .optional({ values: 'null' })
+    .trim()
+    .isEmail().withMessage('target_email must be a valid email address'),
+  body('target_user_id')
+    .optional({ values: 'null' })
+    .isUUID().withMessage('target_user_id must be a valid UUID')
+]
+
+/**
+ * Invite creation validation
+ */
+export const validateInviteCreate = [
+  body('room_id')
+    .notEmpty().withMessage('room_id is required')
+    .isUUID().withMessage('room_id must be a valid UUID'),
+  ...inviteLimits,
+  validate
+]
+
+/**
+ * Room code regeneration validation (same limits as a new invite)
+ */
+export const validateInviteRegenerate = [
+  validateUUID('roomId', 'param'),
+  ...inviteLimits,
   validate
 ]
 
@@ -140,13 +255,197 @@ export const validateRuleCreation = [
   validate
 ]
 
+/**
+ * Webhook URL and event filter
+ * Plain http is allowed and TLDs are optional; whether the host is public is
+ * checked by the webhook service (WEBHOOK_ALLOW_PRIVATE_URLS for local receivers)
+ */
+const webhookUrl = (optional) => {
+  const chain = body('url')
+  return (optional ? chain.optional() : chain.notEmpty().withMessage('url is required'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http(s) URL')
+    .isLength({ max: 2000 }).withMessage('url must be max 2000 characters')
+}
+
+const webhookEvents = (optional) => {
+  const chain = body('events')
+  return (optional ? chain.optional() : chain)
+    .isArray({ min: 1 }).withMessage('events must be a non-empty array')
+    .custom((events) => {
+      const unknown = events.filter(e => e !== WILDCARD_EVENT && !WEBHOOK_EVENTS.includes(e))
+      if (unknown.length) throw new Error(`Unknown event(s): ${unknown.join(', ')}`)
+      return true
+    })
+}
+
+/**
+ * Webhook registration validation
+ */
+export const validateWebhookCreate = [
+  body('room_id')
+    .notEmpty().withMessage('room_id is required')
+    .isUUID().withMessage('room_id must be a valid UUID'),
+  webhookUrl(false),
+  webhookEvents(false),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 200 }).withMessage('Description must be max 200 characters'),
+  validate
+]
+
+/**
+ * Webhook update validation
+ */
+export const validateWebhookUpdate = [
+  validateUUID('webhookId', 'param'),
+  webhookUrl(true),
+  webhookEvents(true),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 200 }).withMessage('Description must be max 200 characters'),
+  body('is_active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('is_active must be a boolean'),
+  validate
+]
+
+/**
+ * Push device update validation
+ */
+export const validateDeviceUpdate = [
+  validateUUID('deviceId', 'param'),
+  body('name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Device name must be 1-100 characters'),
+  body('muted_types')
+    .optional()
+    .isArray().withMessage('muted_types must be an array')
+    .bail()
+    .custom((types) => {
+      const unknown = types.filter(t => !NOTIFICATION_PREFERENCE_FLAGS.includes(t))
+      if (unknown.length) throw new Error(`Unknown notification type(s): ${unknown.join(', ')}`)
+      return true
+    }),
+  validate
+]
+
+const PREFERENCE_FIELDS = [...NOTIFICATION_PREFERENCE_FLAGS, 'channels', 'quiet_hours_start', 'quiet_hours_end']
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Notification preferences update validation
+ * Known flags only (booleans), quiet hours as HH:MM (null clears them),
+ * and per-channel flags: { channels: { push: { room_opening: false }, email: { ... } } }
+ */
+export const validateNotificationPreferences = [
+  body()
+    .custom((prefs) => {
+      if (!isPlainObject(prefs)) throw new Error('Preferences must be an object')
+      const unknown = Object.keys(prefs).filter(key => !PREFERENCE_FIELDS.includes(key))
+      if (unknown.length) throw new Error(`Unknown preference(s): ${unknown.join(', ')}`)
+      return true
+    }),
+  ...NOTIFICATION_PREFERENCE_FLAGS.map(flag =>
+    body(flag)
+      .optional()
+      .isBoolean({ strict: true }).withMessage(`${flag} must be a boolean`)
+  ),
+  ...['quiet_hours_start', 'quiet_hours_end'].map(field =>
+    body(field)
+      .optional({ values: 'null' })
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/).withMessage(`${field} must be a time (HH:MM)`)
+  ),
+  body('channels')
+    .optional()
+    .custom((channels) => {
+      if (!isPlainObject(channels)) throw new Error('channels must be an object')
+      for (const [channel, flags] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) throw new Error(`Unknown channel: ${channel}`)
+        if (!isPlainObject(flags)) throw new Error(`channels.${channel} must be an object`)
+        for (const [flag, enabled] of Object.entries(flags)) {
+          if (!NOTIFICATION_PREFERENCE_FLAGS.includes(flag)) throw new Error(`Unknown notification type: ${flag}`)
+          if (typeof enabled !== 'boolean') throw new Error(`channels.${channel}.${flag} must be a boolean`)
+        }
+      }
+      return true
+    }),
+  validate
+]
+
+/**
+ * Test push validation (deviceId targets a single device)
+ */
+export const validatePushTest = [
+  body('deviceId')
+    .optional()
+    .isUUID().withMessage('deviceId must be a valid UUID'),
+  validate
+]
+
+/**
+ * Push unsubscribe validation: the endpoint picks the one device to remove
+ */
+export const validatePushUnsubscribe = [
+  body('endpoint')
+    .isString().withMessage('endpoint is required')
+    .bail()
+    .trim()
+    .notEmpty().withMessage('endpoint is required'),
+  validate
+]
+
+/**
+ * Admin permissions validation (replaces the admin's permission set)
+ */
+export const validateAdminPermissions = [
+  validateUUID('adminId', 'param'),
+  body('permissions')
+    .isArray().withMessage('permissions must be an array')
+    .bail()
+    .custom((permissions) => {
+      const unknown = permissions.filter(p => !ALL_ADMIN_PERMISSIONS.includes(p))
+      if (unknown.length) throw new Error(`Unknown permission(s): ${unknown.join(', ')}`)
+      return true
+    }),
+  validate
+]
+
+/**
+ * Leaving or removing someone from a room (optional reason for the audit log)
+ */
+export const validateDepartureReason = [
+  body('reason')
+    .optional({ values: 'null' })
+    .isString().withMessage('reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('reason must be at most 500 characters'),
+  validate
+]
+
 export default {
   validate,
   validateUUID,
+  validateTimezone,
   validateRoomCreation,
   validateRoomUpdate,
+  validateProfileUpdate,
   validateAttendanceSubmit,
   validateAttendanceReview,
   validateInviteCode,
-  validateRuleCreation
+  validateInviteEmail,
+  validateInviteCreate,
+  validateInviteRegenerate,
+  validateInviteQr,
+  validateRuleCreation,
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeviceUpdate,
+  validateNotificationPreferences,
+  validatePushTest,
+  validatePushUnsubscribe,
+  validateAdminPermissions,
+  validateDepartureReason
 }
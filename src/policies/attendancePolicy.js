@@ -0,0 +1,51 @@
+/**
+ * Attendance Policy
+ * Rules for writing attendance records on someone's behalf.
+ * Shared by the admin review actions and the missed-day job.
+ */
+
+import { ConflictError, ForbiddenError } from '../utils/errors.js'
+import { AWAITING_REVIEW_STATUSES } from './submissionPolicy.js'
+
+/**
+ * Statuses a 'missed' record must never overwrite
+ */
+export const MISSED_PROTECTED_STATUSES = ['approved', ...AWAITING_REVIEW_STATUSES]
+
+/**
+ * Whether a day can be recorded as missed given its existing record (if any)
+ * @param {{ status: string }|null} existing
+ */
+export function canMarkMissed(existing) {
+  return !existing || !MISSED_PROTECTED_STATUSES.includes(existing.status)
+}
+
+/**
+ * Throw a 409 when the day already has an approved or pending entry
+ */
+export function assertCanMarkMissed(existing, date) {
+  if (!canMarkMissed(existing)) {
+    throw new ConflictError(`Cannot mark absent — user already has "${existing.status}" entry for ${date}`, {
+      code: 'ATTENDANCE_ALREADY_RECORDED'
+    })
+  }
+}
+
+/**
+ * Throw a 403 when a reviewer would approve, reject or excuse their own day
+ * The owner holds every admin permission but attends the room too
+ * @param {string} attendeeId - whose attendance it is
+ * @param {string} reviewerId
+ */
+export function assertNotOwnAttendance(attendeeId, reviewerId) {
+  if (attendeeId === reviewerId) {
+    throw new ForbiddenError('You cannot review your own attendance', { code: 'OWN_ATTENDANCE' })
+  }
+}
+
+export default {
+  MISSED_PROTECTED_STATUSES,
+  canMarkMissed,
+  assertCanMarkMissed,
+  assertNotOwnAttendance
+}
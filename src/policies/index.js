@@ -0,0 +1,87 @@
+export {
+  SUBMISSION_REJECTIONS,
+  AWAITING_REVIEW_STATUSES,
+  evaluateSubmission,
+  assertCanSubmit
+} from './submissionPolicy.js'
+export {
+  ROOM_ROLES,
+  ATTENDEE_ROLES,
+  ANY_ROOM_ROLE,
+  ADMIN_PERMISSIONS,
+  ALL_ADMIN_PERMISSIONS,
+  MANAGER_ROLES,
+  getAdminPermissions,
+  resolveRoomAccess,
+  getRoomRole,
+  hasRoomRole,
+  assertRoomRole,
+  hasRoomPermission,
+  assertRoomPermission,
+  assertRoomAttendee,
+  getAdminRoomIds,
+  getAttendedRoomIds,
+  getMemberRoomIds,
+  getRoomAdmins,
+  getRoomAdminIds,
+  getRoomAttendees,
+  getRoomAttendeeIds,
+  getRoomMemberIds
+} from './roomPolicy.js'
+export {
+  INVITE_STATES,
+  getInviteMaxUses,
+  getInviteUsesLeft,
+  getInviteState,
+  isTargetedInvite,
+  isInviteFor,
+  assertInviteActive,
+  assertInviteUsable
+} from './invitePolicy.js'
+export {
+  DAY_OUTCOMES,
+  classifyDay,
+  isPausedOn,
+  roomDayOutcomes,
+  mergeDayOutcomes,
+  foldStreak
+} from './streakPolicy.js'
+export {
+  MISSED_PROTECTED_STATUSES,
+  canMarkMissed,
+  assertCanMarkMissed,
+  assertNotOwnAttendance
+} from './attendancePolicy.js'
+export {
+  NOTIFICATION_PREFERENCE_KEYS,
+  NOTIFICATION_PREFERENCE_FLAGS,
+  DROP_IN_QUIET_HOURS,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_CHANNEL_PREFERENCES,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  isTypeEnabled,
+  isChannelEnabled,
+  isMutedOnDevice,
+  mergeChannelPreferences,
+  isInQuietHours,
+  quietHoursEnd,
+  evaluateNotification
+} from './notificationPolicy.js'
+export {
+  WEBHOOK_EVENTS,
+  WILDCARD_EVENT,
+  ATTENDANCE_WEBHOOK_EVENTS,
+  RETRY_DELAYS_MS,
+  MAX_ATTEMPTS,
+  isSubscribed,
+  nextAttemptAt
+} from './webhookPolicy.js'
+export {
+  MAX_PUSH_ATTEMPTS,
+  SUBSCRIPTION_FAILURE_LIMIT,
+  classifyPushError,
+  parseRetryAfter,
+  backoffMs,
+  nextPushAttemptAt,
+  shouldDeactivateSubscription
+} from './pushPolicy.js'
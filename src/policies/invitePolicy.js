@@ -0,0 +1,115 @@
+/**
+ * Invite Policy
+ * Whether an invite code can still be used, and by whom. Shared by accepting
+ * an invite and the public code lookup so both agree on why a code is dead.
+ *
+ * Limits (all optional, set when the invite is created):
+ * - expires_at: the code stops working at this time
+ * - max_uses: how many people can join with it; admin invites are always single-use
+ * - target_email / target_user_id: only that person can accept it
+ */
+
+import { ConflictError, ForbiddenError } from '../utils/errors.js'
+
+/**
+ * What a code looks like to someone trying to use it
+ */
+export const INVITE_STATES = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  USED_UP: 'used_up',
+  REVOKED: 'revoked'
+}
+
+/**
+ * How many people can join with an invite (null means no limit)
+ * @param {{ role?: string, max_uses?: number|null }} invite
+ * @returns {number|null}
+ */
+export function getInviteMaxUses(invite) {
+  if ((invite.role || 'admin') === 'admin') return 1
+  return invite.max_uses ?? null
+}
+
+/**
+ * Joins an invite has left (null means no limit)
+ * @returns {number|null}
+ */
+export function getInviteUsesLeft(invite) {
+  const max = getInviteMaxUses(invite)
+  if (max === null) return null
+  if (invite.status !== 'pending') return 0
+  return Math.max(0, max - (invite.use_count || 0))
+}
+
+/**
+ * Whether an invite can still be accepted, and why not
+ * @param {{ status: string, role?: string, expires_at?: string|null, max_uses?: number|null, use_count?: number|null }} invite
+ * @returns {'active'|'expired'|'used_up'|'revoked'}
+ */
+export function getInviteState(invite, now = new Date()) {
+  if (invite.status === 'revoked') return INVITE_STATES.REVOKED
+  if (invite.status === 'accepted') return INVITE_STATES.USED_UP
+  if (invite.expires_at && new Date(invite.expires_at) <= now) return INVITE_STATES.EXPIRED
+  if (getInviteUsesLeft(invite) === 0) return INVITE_STATES.USED_UP
+  return INVITE_STATES.ACTIVE
+}
+
+/**
+ * Whether an invite is meant for only one person
+ */
+export function isTargetedInvite(invite) {
+  return !!(invite.target_email || invite.target_user_id)
+}
+
+/**
+ * Whether a user may accept an invite: anyone, unless it targets someone
+ * @param {{ target_email?: string|null, target_user_id?: string|null }} invite
+ * @param {{ id?: string, email?: string|null }} [user]
+ */
+export function isInviteFor(invite, user) {
+  if (!isTargetedInvite(invite)) return true
+  if (!user) return false
+  if (invite.target_user_id && invite.target_user_id === user.id) return true
+  return !!(invite.target_email && user.email &&
+    invite.target_email.toLowerCase() === user.email.toLowerCase())
+}
+
+/**
+ * Throw a 409 unless the code still works (not revoked, expired or used up)
+ */
+export function assertInviteActive(invite, now = new Date()) {
+  const state = getInviteState(invite, now)
+
+  if (state === INVITE_STATES.REVOKED) {
+    throw new ConflictError('This invite has been revoked', { code: 'INVITE_REVOKED' })
+  }
+  if (state === INVITE_STATES.EXPIRED) {
+    throw new ConflictError('This invite has expired', { code: 'INVITE_EXPIRED' })
+  }
+  if (state === INVITE_STATES.USED_UP) {
+    throw new ConflictError('This invite has already been used', { code: 'INVITE_ALREADY_USED' })
+  }
+}
+
+/**
+ * Throw unless the user can accept the invite right now
+ * 409 for a revoked, expired or used up code, 403 when it is meant for someone else
+ */
+export function assertInviteUsable(invite, user, now = new Date()) {
+  assertInviteActive(invite, now)
+  if (!isInviteFor(invite, user)) {
+    throw new ForbiddenError('This invite is for someone else', { code: 'INVITE_NOT_FOR_YOU' })
+  }
+}
+
+export default {
+  INVITE_STATES,
+  getInviteMaxUses,
+  getInviteUsesLeft,
+  getInviteState,
+  isTargetedInvite,
+  isInviteFor,
+  assertInviteActive,
+  assertInviteUsable
+}
@@ -0,0 +1,206 @@
+/**
+ * Notification Policy
+ * Decides whether a notification goes out, and when, from the recipient's
+ * notification_preferences.
+ *
+ * Rules:
+ * - Each event type maps to a preference flag; a disabled flag suppresses it
+ *   (in-app row, push and email)
+ * - Each delivery channel (push, email) can also be toggled per flag in
+ *   `channels`, e.g. { email: { weekly_digest: false } }; unset entries use
+ *   DEFAULT_CHANNEL_PREFERENCES
+ * - A push device can mute preference flags of its own (`muted_types` on
+ *   push_subscriptions), e.g. no room reminders on a work laptop
+ * - During quiet hours (quiet_hours_start..quiet_hours_end in the user's
+ *   timezone, may cross midnight) the in-app row is still written, but the push
+ *   is deferred until quiet hours end, or dropped for time-sensitive events
+ *   that would be stale by then
+ */
+
+import { minutesInTimezone, todayIn, addDays, zonedTimeToUtc, DEFAULT_TIMEZONE } from '../utils/dates.js'
+import { isInsideWindow, toMinutes } from '../utils/schedule.js'
+
+/**
+ * Event type -> preference flag on notification_preferences
+ * Types without a flag (e.g. 'test') are always delivered.
+ */
+export const NOTIFICATION_PREFERENCE_KEYS = {
+  room_opening: 'room_opening',
+  room_closing: 'room_closing',
+  streak_at_risk: 'streak_at_risk',
+  proof_reviewed: 'proof_reviewed',
+  proof_submitted: 'proof_submitted',
+  achievement_earned: 'achievement_earned',
+  challenge_update: 'challenge_updates',
+  weekly_digest: 'weekly_digest',
+  admin_digest: 'weekly_digest',
+  warning_issued: 'warnings',
+  consequence_issued: 'consequences'
+}
+
+/**
+ * Every preference flag, once each
+ */
+export const NOTIFICATION_PREFERENCE_FLAGS = [...new Set(Object.values(NOTIFICATION_PREFERENCE_KEYS))]
+
+/**
+ * Delivery channels besides the in-app row
+ */
+export const NOTIFICATION_CHANNELS = ['push', 'email']
+
+/**
+ * Per-channel defaults by preference flag
+ * Email is on only for less frequent, non-urgent events.
+ * Types without a flag go out by push but not by email.
+ */
+export const DEFAULT_CHANNEL_PREFERENCES = {
+  push: {
+    room_opening: true,
+    room_closing: true,
+    streak_at_risk: true,
+    proof_reviewed: true,
+    proof_submitted: true,
+    achievement_earned: true,
+    challenge_updates: true,
+    weekly_digest: true,
+    warnings: true,
+    consequences: true
+  },
+  email: {
+    room_opening: false,
+    room_closing: false,
+    streak_at_risk: false,
+    proof_reviewed: true,
+    proof_submitted: false,
+    achievement_earned: false,
+    challenge_updates: false,
+    weekly_digest: true,
+    warnings: true,
+    consequences: true
+  }
+}
+
+const CHANNEL_FALLBACK = { push: true, email: false }
+
+/**
+ * Event types whose push is dropped (not deferred) during quiet hours
+ */
+export const DROP_IN_QUIET_HOURS = ['room_opening', 'room_closing', 'streak_at_risk']
+
+/**
+ * Preferences used when a user has no notification_preferences row
+ */
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  room_opening: true,
+  room_closing: true,
+  streak_at_risk: true,
+  proof_reviewed: true,
+  proof_submitted: true,
+  achievement_earned: true,
+  challenge_updates: true,
+  weekly_digest: true,
+  warnings: true,
+  consequences: true,
+  channels: DEFAULT_CHANNEL_PREFERENCES,
+  quiet_hours_start: null,
+  quiet_hours_end: null
+}
+
+/**
+ * Whether the user wants this event type at all
+ */
+export function isTypeEnabled(preferences, type) {
+  const key = NOTIFICATION_PREFERENCE_KEYS[type]
+  if (!key) return true
+  return preferences?.[key] !== false
+}
+
+/**
+ * Whether the user wants this event type on a channel ('push' or 'email')
+ */
+export function isChannelEnabled(preferences, type, channel) {
+  if (!isTypeEnabled(preferences, type)) return false
+
+  const key = NOTIFICATION_PREFERENCE_KEYS[type]
+  const value = key ? preferences?.channels?.[channel]?.[key] : undefined
+  if (typeof value === 'boolean') return value
+  return DEFAULT_CHANNEL_PREFERENCES[channel]?.[key] ?? CHANNEL_FALLBACK[channel] ?? false
+}
+
+/**
+ * Whether a push device muted this event type
+ * Types without a flag (e.g. 'test') reach every device.
+ * @param {{ muted_types?: string[] }} subscription - push_subscriptions row
+ */
+export function isMutedOnDevice(subscription, type) {
+  const key = NOTIFICATION_PREFERENCE_KEYS[type]
+  return Boolean(key) && (subscription?.muted_types || []).includes(key)
+}
+
+/**
+ * Merge a partial `channels` update into the saved one
+ * e.g. { email: { weekly_digest: false } } leaves every other flag as it was
+ */
+export function mergeChannelPreferences(current = {}, updates = {}) {
+  const merged = {}
+  for (const channel of NOTIFICATION_CHANNELS) {
+    merged[channel] = { ...DEFAULT_CHANNEL_PREFERENCES[channel], ...current?.[channel], ...updates?.[channel] }
+  }
+  return merged
+}
+
+/**
+ * Whether `now` falls in the user's quiet hours
+ */
+export function isInQuietHours(preferences, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const start = preferences?.quiet_hours_start
+  const end = preferences?.quiet_hours_end
+  if (!start || !end || toMinutes(start) === toMinutes(end)) return false
+
+  return isInsideWindow({ start, end }, minutesInTimezone(now, timezone))
+}
+
+/**
+ * The moment the current quiet hours end
+ * @returns {Date}
+ */
+export function quietHoursEnd(preferences, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const today = todayIn(timezone, now)
+  const endsToday = minutesInTimezone(now, timezone) < toMinutes(preferences.quiet_hours_end)
+  return zonedTimeToUtc(endsToday ? today : addDays(today, 1), preferences.quiet_hours_end, timezone)
+}
+
+/**
+ * Decide what happens to a notification for this user right now
+ * @param {object} preferences
+ * @param {string} type
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timezone] - the user's timezone
+ * @param {'defer'|'drop'} [options.quietHours] - override the type's quiet-hours handling
+ * @returns {{ action: 'disabled' } | { action: 'send' } | { action: 'drop' } | { action: 'defer', until: Date }}
+ */
+export function evaluateNotification(preferences, type, { now = new Date(), timezone = DEFAULT_TIMEZONE, quietHours } = {}) {
+  if (!isTypeEnabled(preferences, type)) return { action: 'disabled' }
+  if (!isInQuietHours(preferences, { now, timezone })) return { action: 'send' }
+
+  const handling = quietHours || (DROP_IN_QUIET_HOURS.includes(type) ? 'drop' : 'defer')
+  if (handling === 'drop') return { action: 'drop' }
+  return { action: 'defer', until: quietHoursEnd(preferences, { now, timezone }) }
+}
+
+export default {
+  NOTIFICATION_PREFERENCE_KEYS,
+  NOTIFICATION_PREFERENCE_FLAGS,
+  DROP_IN_QUIET_HOURS,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_CHANNEL_PREFERENCES,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  isTypeEnabled,
+  isChannelEnabled,
+  isMutedOnDevice,
+  mergeChannelPreferences,
+  isInQuietHours,
+  quietHoursEnd,
+  evaluateNotification
+}
@@ -0,0 +1,90 @@
+/**
+ * Push Policy
+ * How a failed web push to one subscription is handled.
+ *
+ * Rules:
+ * - 404/410: the subscription is gone; deactivate it, never retry
+ * - 408, 429, 5xx and network errors are transient: retry with exponential
+ *   backoff (30s, 1m, 2m, 4m ... capped at 1h), or after the push service's
+ *   Retry-After when it asks for longer, up to MAX_PUSH_ATTEMPTS
+ * - Any other 4xx (bad payload, VAPID mismatch) fails without retry
+ * - Every failed attempt counts against the subscription; a success resets
+ *   the count, and SUBSCRIPTION_FAILURE_LIMIT consecutive failures deactivate it
+ */
+
+export const MAX_PUSH_ATTEMPTS = 6
+
+export const SUBSCRIPTION_FAILURE_LIMIT = 10
+
+const BACKOFF_BASE_MS = 30 * 1000
+const BACKOFF_MAX_MS = 60 * 60 * 1000
+
+// A Retry-After longer than this is not waited for
+const RETRY_AFTER_MAX_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Classify a web push error
+ * @param {{ statusCode?: number }} error
+ * @returns {'gone'|'retry'|'fail'}
+ */
+export function classifyPushError(error) {
+  const status = error?.statusCode
+  if (status === 404 || status === 410) return 'gone'
+  if (!status || status === 408 || status === 429 || status >= 500) return 'retry'
+  return 'fail'
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.max(0, date - now.getTime())
+}
+
+/**
+ * Exponential backoff after `attempts` failed attempts
+ */
+export function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS)
+}
+
+/**
+ * When to retry a push after a transient failure
+ * @param {number} attempts - attempts made so far
+ * @param {{ retryAfter?: string, now?: Date }} [options]
+ * @returns {Date|null} null when no attempts are left or Retry-After is too far out
+ */
+export function nextPushAttemptAt(attempts, { retryAfter, now = new Date() } = {}) {
+  if (attempts >= MAX_PUSH_ATTEMPTS) return null
+
+  const requested = parseRetryAfter(retryAfter, now)
+  if (requested !== null && requested > RETRY_AFTER_MAX_MS) return null
+
+  const delay = Math.max(backoffMs(attempts), requested ?? 0)
+  return new Date(now.getTime() + delay)
+}
+
+/**
+ * Whether a subscription has failed often enough to be switched off
+ */
+export function shouldDeactivateSubscription(failureCount) {
+  return failureCount >= SUBSCRIPTION_FAILURE_LIMIT
+}
+
+export default {
+  MAX_PUSH_ATTEMPTS,
+  SUBSCRIPTION_FAILURE_LIMIT,
+  classifyPushError,
+  parseRetryAfter,
+  backoffMs,
+  nextPushAttemptAt,
+  shouldDeactivateSubscription
+}
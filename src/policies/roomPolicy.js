@@ -0,0 +1,304 @@
+/**
+ * Room Policy
+ * Resolves a user's role in a room and answers room-scoped
+ * authorization questions. This is the single place that knows how
+ * ownership (rooms.user_id), membership (room_members) and legacy admin
+ * access (accepted room_invites from before room_members) are stored.
+ *
+ * Rules:
+ * - The owner and members attend the room: each submits their own proofs
+ * - Admins review proofs and manage the room; they do not attend it
+ * - A room can have several admins, each with a set of permissions
+ *   (ADMIN_PERMISSIONS); legacy invite admins hold all of them
+ * - The owner holds every admin permission in their own room, but never
+ *   reviews or excuses their own attendance (see attendancePolicy)
+ */
+
+import { roomsRepository, roomInvitesRepository, roomMembersRepository } from '../repositories/index.js'
+import { ForbiddenError, NotFoundError } from '../utils/errors.js'
+
+/**
+ * Roles a user can hold in a room
+ */
+export const ROOM_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+}
+
+/**
+ * Roles that submit attendance in a room
+ */
+export const ATTENDEE_ROLES = [ROOM_ROLES.OWNER, ROOM_ROLES.MEMBER]
+
+/**
+ * Every role, for routes any member of the room may use
+ */
+export const ANY_ROOM_ROLE = Object.values(ROOM_ROLES)
+
+/**
+ * What an admin may do in a room
+ */
+export const ADMIN_PERMISSIONS = {
+  REVIEW_PROOFS: 'review_proofs',
+  EDIT_RULES: 'edit_rules',
+  EDIT_SCHEDULE: 'edit_schedule',
+  ISSUE_CONSEQUENCES: 'issue_consequences',
+  MANAGE_WEBHOOKS: 'manage_webhooks'
+}
+
+export const ALL_ADMIN_PERMISSIONS = Object.values(ADMIN_PERMISSIONS)
+
+/**
+ * An admin membership's permissions; rows without any stored get them all
+ * @param {{ permissions?: string[]|null }} [membership]
+ * @returns {string[]}
+ */
+export function getAdminPermissions(membership) {
+  if (!Array.isArray(membership?.permissions)) return [...ALL_ADMIN_PERMISSIONS]
+  return ALL_ADMIN_PERMISSIONS.filter(p => membership.permissions.includes(p))
+}
+
+/**
+ * Resolve the caller's role in a room, and their permissions if they are an admin
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<{ exists: boolean, role: 'owner'|'admin'|'member'|null, permissions: string[] }>}
+ */
+export async function resolveRoomAccess(roomId, userId) {
+  const [room, membership, adminInvites] = await Promise.all([
+    roomsRepository.findById(roomId, { columns: ['user_id'] }),
+    roomMembersRepository.findMembership(roomId, userId, { columns: ['role', 'permissions'] }),
+    roomInvitesRepository.findAccepted(userId, roomId, { columns: ['id'], limit: 1 })
+  ])
+
+  if (!room) return { exists: false, role: null, permissions: [] }
+
+  if (room.user_id === userId) return { exists: true, role: ROOM_ROLES.OWNER, permissions: [...ALL_ADMIN_PERMISSIONS] }
+  if (membership) {
+    const permissions = membership.role === ROOM_ROLES.ADMIN ? getAdminPermissions(membership) : []
+    return { exists: true, role: membership.role, permissions }
+  }
+  if (adminInvites.length) return { exists: true, role: ROOM_ROLES.ADMIN, permissions: [...ALL_ADMIN_PERMISSIONS] }
+  return { exists: true, role: null, permissions: [] }
+}
+
+/**
+ * Get the caller's role in a room ('owner', 'admin', 'member' or null)
+ */
+export async function getRoomRole(roomId, userId) {
+  const { role } = await resolveRoomAccess(roomId, userId)
+  return role
+}
+
+/**
+ * Check whether the caller holds one of the given roles in a room
+ * @param {string|string[]} roles
+ */
+export async function hasRoomRole(roomId, userId, roles) {
+  const allowed = Array.isArray(roles) ? roles : [roles]
+  const role = await getRoomRole(roomId, userId)
+  return !!role && allowed.includes(role)
+}
+
+/**
+ * Throw unless the caller holds one of the given roles in a room
+ * 404 when the room does not exist, 403 when the role does not match
+ * @param {string|string[]} roles
+ * @returns {Promise<string>} the caller's role
+ */
+export async function assertRoomRole(roomId, userId, roles, message = 'You do not have access to this room') {
+  const allowed = Array.isArray(roles) ? roles : [roles]
+  const { exists, role } = await resolveRoomAccess(roomId, userId)
+
+  if (!exists) throw new NotFoundError('Room not found')
+  if (!role || !allowed.includes(role)) throw new ForbiddenError(message)
+
+  return role
+}
+
+/**
+ * Roles that can hold admin permissions: admins, and the owner who holds them all
+ */
+export const MANAGER_ROLES = [ROOM_ROLES.OWNER, ROOM_ROLES.ADMIN]
+
+/**
+ * Check whether the caller is the owner, or an admin of the room holding a permission
+ * @param {string} permission - one of ADMIN_PERMISSIONS
+ */
+export async function hasRoomPermission(roomId, userId, permission) {
+  const { role, permissions } = await resolveRoomAccess(roomId, userId)
+  return MANAGER_ROLES.includes(role) && permissions.includes(permission)
+}
+
+/**
+ * Throw unless the caller is the owner, or an admin of the room holding a permission
+ * 404 when the room does not exist, 403 when they are neither or lack it
+ * @param {string} permission - one of ADMIN_PERMISSIONS
+ * @returns {Promise<{ role: 'owner'|'admin', permissions: string[] }>}
+ */
+export async function assertRoomPermission(roomId, userId, permission, message = 'You are not an admin of this room') {
+  const { exists, role, permissions } = await resolveRoomAccess(roomId, userId)
+
+  if (!exists) throw new NotFoundError('Room not found')
+  if (!MANAGER_ROLES.includes(role)) throw new ForbiddenError(message)
+  if (!permissions.includes(permission)) {
+    throw new ForbiddenError(`You do not have the ${permission} permission in this room`, { code: 'MISSING_PERMISSION' })
+  }
+
+  return { role, permissions }
+}
+
+/**
+ * Throw unless a user attends the room (owner or member)
+ * Used when an admin acts on someone's attendance, e.g. marking them absent
+ */
+export async function assertRoomAttendee(roomId, userId) {
+  const { exists, role } = await resolveRoomAccess(roomId, userId)
+
+  if (!exists) throw new NotFoundError('Room not found')
+  if (!ATTENDEE_ROLES.includes(role)) {
+    throw new NotFoundError('This user is not a member of the room', { code: 'NOT_ROOM_MEMBER' })
+  }
+}
+
+/**
+ * IDs of all rooms the user administers
+ * @param {string} [permission] - only rooms where they hold this permission
+ * @returns {Promise<string[]>}
+ */
+export async function getAdminRoomIds(userId, permission = undefined) {
+  const [memberships, invites] = await Promise.all([
+    roomMembersRepository.findForUser(userId, ROOM_ROLES.ADMIN, { columns: ['room_id', 'permissions'] }),
+    roomInvitesRepository.findAccepted(userId, undefined, { columns: ['room_id'] })
+  ])
+  const granted = memberships.filter(m => !permission || getAdminPermissions(m).includes(permission))
+  const legacy = invites.filter(i => !memberships.some(m => m.room_id === i.room_id))
+  return [...new Set([...granted, ...legacy].map(m => m.room_id))]
+}
+
+/**
+ * IDs of all rooms the user attends (owns or joined as a member)
+ * @returns {Promise<string[]>}
+ */
+export async function getAttendedRoomIds(userId) {
+  const [owned, memberships] = await Promise.all([
+    roomsRepository.find({ user_id: userId }, { columns: ['id'] }),
+    roomMembersRepository.findForUser(userId, ROOM_ROLES.MEMBER, { columns: ['room_id'] })
+  ])
+  return [...new Set([...owned.map(r => r.id), ...memberships.map(m => m.room_id)])]
+}
+
+/**
+ * IDs of all rooms the user belongs to, in any role
+ * @returns {Promise<string[]>}
+ */
+export async function getMemberRoomIds(userId) {
+  const [attended, administered] = await Promise.all([getAttendedRoomIds(userId), getAdminRoomIds(userId)])
+  return [...new Set([...attended, ...administered])]
+}
+
+/**
+ * Everyone who administers a room, with their permissions
+ * Admins who joined before room_members existed come from their accepted invite
+ * @returns {Promise<Array<{ user_id: string, permissions: string[], joined_at: string|null, invite_id: string|null }>>}
+ */
+export async function getRoomAdmins(roomId) {
+  const [memberships, invites] = await Promise.all([
+    roomMembersRepository.findForRoom(roomId, ROOM_ROLES.ADMIN, {
+      columns: ['user_id', 'permissions', 'invite_id', 'joined_at', 'created_at'],
+      order: { column: 'joined_at', ascending: true }
+    }),
+    roomInvitesRepository.find({ room_id: roomId, status: 'accepted' }, { columns: ['id', 'admin_id', 'accepted_at'] })
+  ])
+
+  const admins = memberships.map(m => ({
+    user_id: m.user_id,
+    permissions: getAdminPermissions(m),
+    joined_at: m.joined_at || m.created_at || null,
+    invite_id: m.invite_id || null
+  }))
+  for (const invite of invites) {
+    if (invite.admin_id && !admins.some(a => a.user_id === invite.admin_id)) {
+      admins.push({ user_id: invite.admin_id, permissions: [...ALL_ADMIN_PERMISSIONS], joined_at: invite.accepted_at || null, invite_id: invite.id })
+    }
+  }
+  return admins
+}
+
+/**
+ * IDs of everyone who administers a room
+ * @param {string} [permission] - only admins holding this permission
+ * @returns {Promise<string[]>}
+ */
+export async function getRoomAdminIds(roomId, permission = undefined) {
+  const admins = await getRoomAdmins(roomId)
+  return admins
+    .filter(a => !permission || a.permissions.includes(permission))
+    .map(a => a.user_id)
+}
+
+/**
+ * Everyone who attends a room, with the date they joined
+ * @param {string|{ id: string, user_id: string, created_at?: string }} roomOrId
+ * @returns {Promise<Array<{ user_id: string, role: 'owner'|'member', joined_at: string|null }>>}
+ */
+export async function getRoomAttendees(roomOrId) {
+  const room = typeof roomOrId === 'string'
+    ? await roomsRepository.findById(roomOrId, { columns: ['id', 'user_id', 'created_at'] })
+    : roomOrId
+  if (!room) return []
+
+  const members = await roomMembersRepository.findForRoom(room.id, ROOM_ROLES.MEMBER, { columns: ['user_id', 'joined_at', 'created_at'] })
+  return [
+    { user_id: room.user_id, role: ROOM_ROLES.OWNER, joined_at: room.created_at || null },
+    ...members
+      .filter(m => m.user_id !== room.user_id)
+      .map(m => ({ user_id: m.user_id, role: ROOM_ROLES.MEMBER, joined_at: m.joined_at || m.created_at || null }))
+  ]
+}
+
+/**
+ * IDs of everyone who attends a room (the owner and its members)
+ * @returns {Promise<string[]>}
+ */
+export async function getRoomAttendeeIds(roomOrId) {
+  return (await getRoomAttendees(roomOrId)).map(a => a.user_id)
+}
+
+/**
+ * IDs of everyone in a room: the owner, its admins and its members
+ * @returns {Promise<string[]>}
+ */
+export async function getRoomMemberIds(roomId) {
+  const [attendeeIds, adminIds] = await Promise.all([
+    getRoomAttendeeIds(roomId),
+    getRoomAdminIds(roomId)
+  ])
+  return [...new Set([...attendeeIds, ...adminIds])]
+}
+
+export default {
+  ROOM_ROLES,
+  ATTENDEE_ROLES,
+  ANY_ROOM_ROLE,
+  ADMIN_PERMISSIONS,
+  ALL_ADMIN_PERMISSIONS,
+  MANAGER_ROLES,
+  getAdminPermissions,
+  resolveRoomAccess,
+  getRoomRole,
+  hasRoomRole,
+  assertRoomRole,
+  hasRoomPermission,
+  assertRoomPermission,
+  assertRoomAttendee,
+  getAdminRoomIds,
+  getAttendedRoomIds,
+  getMemberRoomIds,
+  getRoomAdmins,
+  getRoomAdminIds,
+  getRoomAttendees,
+  getRoomAttendeeIds,
+  getRoomMemberIds
+}
@@ -0,0 +1,132 @@
+/**
+ * Streak Policy
+ * The one definition of a streak. Every calendar day (in the room's
+ * timezone) is classified as a hit, a miss or a skip:
+ *
+ *   hit  - approved proof
+ *   miss - rejected or missed, or nothing recorded once the day is over
+ *   skip - not a scheduled day, room paused, excused, awaiting review,
+ *          or today with nothing recorded yet
+ *
+ * Skipped days neither extend nor break a streak.
+ */
+
+import { addDays } from '../utils/dates.js'
+import { AWAITING_REVIEW_STATUSES } from './submissionPolicy.js'
+
+export const DAY_OUTCOMES = {
+  HIT: 'hit',
+  MISS: 'miss',
+  SKIP: 'skip'
+}
+
+/**
+ * Classify a single day for a room
+ * @param {object} day
+ * @param {string} day.date - YYYY-MM-DD
+ * @param {string} day.today - YYYY-MM-DD in the room's timezone
+ * @param {string} [day.status] - attendance status recorded for the day, if any
+ * @param {boolean} [day.scheduled=true] - whether the room expects attendance that day
+ * @param {boolean} [day.paused=false] - whether the room was paused that day
+ * @returns {'hit'|'miss'|'skip'}
+ */
+export function classifyDay({ date, today, status, scheduled = true, paused = false }) {
+  if (status === 'approved') return DAY_OUTCOMES.HIT
+  if (!scheduled || paused) return DAY_OUTCOMES.SKIP
+  if (status === 'excused' || AWAITING_REVIEW_STATUSES.includes(status)) return DAY_OUTCOMES.SKIP
+  if (status === 'rejected' || status === 'missed') return DAY_OUTCOMES.MISS
+  return date < today ? DAY_OUTCOMES.MISS : DAY_OUTCOMES.SKIP
+}
+
+/**
+ * Whether a date falls inside any pause period
+ * @param {string} date - YYYY-MM-DD
+ * @param {{ start: string, end: string|null }[]} pauses - local dates, end null while still paused
+ */
+export function isPausedOn(date, pauses = []) {
+  return pauses.some(p => p.start <= date && (!p.end || date <= p.end))
+}
+
+/**
+ * Outcome of every day from the first record up to today for one room
+ * @param {object} input
+ * @param {{ date: string, status: string }[]} input.records
+ * @param {string} input.today
+ * @param {(date: string) => boolean} [input.isScheduled]
+ * @param {{ start: string, end: string|null }[]} [input.pauses]
+ * @returns {Map<string, string>} date -> outcome
+ */
+export function roomDayOutcomes({ records, today, isScheduled = () => true, pauses = [] }) {
+  const outcomes = new Map()
+  if (!records.length) return outcomes
+
+  const statusByDate = new Map(records.map(r => [r.date, r.status]))
+  const dates = [...statusByDate.keys()].sort()
+  const last = dates[dates.length - 1] > today ? dates[dates.length - 1] : today
+
+  for (let date = dates[0]; date <= last; date = addDays(date, 1)) {
+    outcomes.set(date, classifyDay({
+      date,
+      today,
+      status: statusByDate.get(date),
+      scheduled: isScheduled(date),
+      paused: isPausedOn(date, pauses)
+    }))
+  }
+
+  return outcomes
+}
+
+/**
+ * Combine per-room outcomes into one per-user calendar:
+ * a day is a hit if any room hit, a miss if a room missed and none hit
+ * @param {Map<string, string>[]} outcomeMaps
+ */
+export function mergeDayOutcomes(outcomeMaps) {
+  const merged = new Map()
+
+  for (const outcomes of outcomeMaps) {
+    for (const [date, outcome] of outcomes) {
+      const current = merged.get(date)
+      if (current === DAY_OUTCOMES.HIT) continue
+      if (outcome === DAY_OUTCOMES.HIT || !current || current === DAY_OUTCOMES.SKIP) {
+        merged.set(date, outcome)
+      }
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Walk outcomes in date order and measure the streaks
+ * @param {Map<string, string>} outcomes
+ * @returns {{ current: number, longest: number, lastHitDate: string|null }}
+ */
+export function foldStreak(outcomes) {
+  let current = 0
+  let longest = 0
+  let lastHitDate = null
+
+  for (const date of [...outcomes.keys()].sort()) {
+    const outcome = outcomes.get(date)
+    if (outcome === DAY_OUTCOMES.HIT) {
+      current++
+      lastHitDate = date
+      if (current > longest) longest = current
+    } else if (outcome === DAY_OUTCOMES.MISS) {
+      current = 0
+    }
+  }
+
+  return { current, longest, lastHitDate }
+}
+
+export default {
+  DAY_OUTCOMES,
+  classifyDay,
+  isPausedOn,
+  roomDayOutcomes,
+  mergeDayOutcomes,
+  foldStreak
+}
@@ -0,0 +1,140 @@
+/**
+ * Submission Policy
+ * Decides whether a proof can be submitted to a room right now and
+ * which attendance status the submission should be recorded with.
+ *
+ * Rules:
+ * - Paused rooms accept no submissions
+ * - Days the room's schedule does not cover accept no submissions
+ * - Before the day's next window opens, submissions are rejected
+ * - After the day's last window closes, submissions are rejected unless the
+ *   room allows late uploads, in which case they are recorded as `late`
+ * - Scheduled days without windows accept submissions all day
+ * - A window that crosses midnight (22:00–02:00) belongs to the day it opens:
+ *   its early-morning part records attendance for the previous calendar day
+ */
+
+import { PreconditionFailedError } from '../utils/errors.js'
+import { minutesInTimezone, todayIn, addDays, DEFAULT_TIMEZONE } from '../utils/dates.js'
+import { resolveSchedule, getDaySchedule, isInsideWindow, crossesMidnight, toMinutes } from '../utils/schedule.js'
+
+/**
+ * Machine-readable rejection reasons returned to the client
+ */
+export const SUBMISSION_REJECTIONS = {
+  ROOM_PAUSED: 'ROOM_PAUSED',
+  NOT_SCHEDULED: 'NOT_SCHEDULED',
+  WINDOW_NOT_OPEN: 'WINDOW_NOT_OPEN',
+  WINDOW_CLOSED: 'WINDOW_CLOSED'
+}
+
+/**
+ * Attendance statuses that are still waiting for an admin decision
+ */
+export const AWAITING_REVIEW_STATUSES = ['pending_review', 'late']
+
+// Whether a time is in the part of a window that falls on the window's own day
+// (for overnight windows, from the start until midnight)
+function isInsideOpeningDay(window, minutes) {
+  return crossesMidnight(window)
+    ? minutes >= toMinutes(window.start)
+    : isInsideWindow(window, minutes)
+}
+
+// Whether a time is in the after-midnight part of one of the previous day's overnight windows
+function isInsideCarriedOver(windows, minutes) {
+  return windows.some(window => crossesMidnight(window) && minutes < toMinutes(window.end))
+}
+
+/**
+ * Evaluate a submission against the room's state and schedule
+ * Before an overnight window from yesterday closes, the submission counts for
+ * yesterday; otherwise it is checked against today's schedule.
+ * @param {object} room - needs is_paused, schedule (or legacy time_start/time_end), allow_late_upload
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timezone] - IANA timezone the room times are expressed in
+ * @returns {{ allowed: true, status: string, date: string } | { allowed: false, reason: string, message: string }}
+ *   date - the calendar day (YYYY-MM-DD, room timezone) the attendance counts for
+ */
+export function evaluateSubmission(room, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  if (room.is_paused) {
+    return {
+      allowed: false,
+      reason: SUBMISSION_REJECTIONS.ROOM_PAUSED,
+      message: 'This room is paused and is not accepting submissions'
+    }
+  }
+
+  const schedule = resolveSchedule(room)
+  const today = todayIn(timezone, now)
+  const current = minutesInTimezone(now, timezone)
+
+  const yesterday = addDays(today, -1)
+  const carried = getDaySchedule(schedule, yesterday)
+  if (carried.scheduled && isInsideCarriedOver(carried.windows, current)) {
+    return { allowed: true, status: 'pending_review', date: yesterday }
+  }
+
+  const { scheduled, windows } = getDaySchedule(schedule, today)
+
+  if (!scheduled) {
+    return {
+      allowed: false,
+      reason: SUBMISSION_REJECTIONS.NOT_SCHEDULED,
+      message: 'This room is not scheduled today'
+    }
+  }
+
+  // No window for today — accept submissions at any time
+  if (!windows.length) {
+    return { allowed: true, status: 'pending_review', date: today }
+  }
+
+  if (windows.some(window => isInsideOpeningDay(window, current))) {
+    return { allowed: true, status: 'pending_review', date: today }
+  }
+
+  const next = windows.find(window => current < toMinutes(window.start))
+  if (next) {
+    return {
+      allowed: false,
+      reason: SUBMISSION_REJECTIONS.WINDOW_NOT_OPEN,
+      message: `This room opens at ${next.start.slice(0, 5)}`
+    }
+  }
+
+  if (room.allow_late_upload) {
+    return { allowed: true, status: 'late', date: today }
+  }
+
+  const last = windows[windows.length - 1]
+  return {
+    allowed: false,
+    reason: SUBMISSION_REJECTIONS.WINDOW_CLOSED,
+    message: `This room closed at ${last.end.slice(0, 5)}`
+  }
+}
+
+/**
+ * Same as evaluateSubmission, but throws a PreconditionFailedError (412)
+ * whose code is the rejection reason when the submission is not allowed
+ * @returns {{ status: string, date: string }} attendance status and date to record
+ */
+export function assertCanSubmit(room, options) {
+  const result = evaluateSubmission(room, options)
+  if (!result.allowed) {
+    throw new PreconditionFailedError(result.message, {
+      code: result.reason,
+      details: { reason: result.reason }
+    })
+  }
+  return { status: result.status, date: result.date }
+}
+
+export default {
+  SUBMISSION_REJECTIONS,
+  AWAITING_REVIEW_STATUSES,
+  evaluateSubmission,
+  assertCanSubmit
+}
@@ -0,0 +1,81 @@
+/**
+ * Webhook Policy
+ * Which room events webhooks can subscribe to, and when a failed delivery
+ * is retried.
+ *
+ * Rules:
+ * - A webhook receives the events listed in its `events` ('*' means all)
+ * - A delivery that fails (network error, timeout, non-2xx) is retried with
+ *   backoff: 1 min, 5 min, 30 min, 2 h, then 6 h; after the last attempt it
+ *   stays 'failed' until redelivered by hand
+ */
+
+export const WEBHOOK_EVENTS = [
+  'attendance.submitted',
+  'attendance.approved',
+  'attendance.rejected',
+  'attendance.missed',
+  'attendance.excused',
+  'warning.created',
+  'challenge.completed'
+]
+
+/**
+ * Subscribes to every event
+ */
+export const WILDCARD_EVENT = '*'
+
+/**
+ * Attendance status -> the event announcing it
+ */
+export const ATTENDANCE_WEBHOOK_EVENTS = {
+  pending_review: 'attendance.submitted',
+  late: 'attendance.submitted',
+  approved: 'attendance.approved',
+  rejected: 'attendance.rejected',
+  missed: 'attendance.missed',
+  excused: 'attendance.excused'
+}
+
+/**
+ * Delay before each retry, by attempts made so far
+ */
+export const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000
+]
+
+export const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1
+
+/**
+ * Whether a webhook wants this event
+ * @param {{ events: string[], is_active?: boolean }} webhook
+ */
+export function isSubscribed(webhook, event) {
+  if (!webhook || webhook.is_active === false) return false
+  const events = webhook.events || []
+  return events.includes(WILDCARD_EVENT) || events.includes(event)
+}
+
+/**
+ * When to retry after `attempts` failed attempts
+ * @returns {Date|null} null when no attempts are left
+ */
+export function nextAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) return null
+  const delay = RETRY_DELAYS_MS[Math.max(0, attempts - 1)]
+  return new Date(now.getTime() + delay)
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  WILDCARD_EVENT,
+  ATTENDANCE_WEBHOOK_EVENTS,
+  RETRY_DELAYS_MS,
+  MAX_ATTEMPTS,
+  isSubscribed,
+  nextAttemptAt
+}
@@ -0,0 +1,20 @@
+/**
+ * Achievements Repositories
+ * Achievement definitions and the achievements each user has earned.
+ *
+ * Table user_achievements:
+ *   id, user_id, achievement_id (unique per user), metadata (JSONB),
+ *   notified, earned_at, created_at
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createAchievementsRepository(driver) {
+  return createRepository(driver, 'achievements')
+}
+
+export function createUserAchievementsRepository(driver) {
+  return createRepository(driver, 'user_achievements')
+}
+
+export default createAchievementsRepository
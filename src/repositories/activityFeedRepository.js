@@ -0,0 +1,16 @@
+/**
+ * Activity Feed Repository
+ * Timeline events shown in room, user and global feeds.
+ *
+ * Table activity_feed:
+ *   id, user_id, room_id, event_type, actor_name, title, description,
+ *   data / metadata (JSONB), visibility ('room' | 'public'), created_at
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createActivityFeedRepository(driver) {
+  return createRepository(driver, 'activity_feed')
+}
+
+export default createActivityFeedRepository
@@ -0,0 +1,32 @@
+/**
+ * Attendance Repository
+ * One row per (room, user, date)
+ */
+
+import { createRepository } from './createRepository.js'
+
+const DAY_KEY = ['room_id', 'user_id', 'date']
+
+export function createAttendanceRepository(driver) {
+  const repository = createRepository(driver, 'attendance')
+
+  return {
+    ...repository,
+
+    /**
+     * The record for a user's day in a room, or null
+     */
+    findForDay(roomId, userId, date, options = {}) {
+      return repository.findOne({ room_id: roomId, user_id: userId, date }, options)
+    },
+
+    /**
+     * Insert or overwrite the record for a user's day in a room
+     */
+    saveForDay(record, options = {}) {
+      return repository.upsert(record, { ...options, onConflict: DAY_KEY })
+    }
+  }
+}
+
+export default createAttendanceRepository
@@ -0,0 +1,28 @@
+/**
+ * Challenges Repositories
+ * Challenges, their participants and the per-day completion log
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createChallengesRepository(driver) {
+  return createRepository(driver, 'challenges')
+}
+
+export function createChallengeParticipantsRepository(driver) {
+  const repository = createRepository(driver, 'challenge_participants')
+
+  return {
+    ...repository,
+
+    findParticipant(challengeId, userId, options = {}) {
+      return repository.findOne({ challenge_id: challengeId, user_id: userId }, options)
+    }
+  }
+}
+
+export function createChallengeDailyLogRepository(driver) {
+  return createRepository(driver, 'challenge_daily_log')
+}
+
+export default createChallengesRepository
@@ -0,0 +1,101 @@
+/**
+ * Base Repository
+ * Table-scoped CRUD on top of a driver (Supabase or memory).
+ *
+ * Queries take a `where` object:
+ *   { room_id: id }                  -> equality (null -> IS NULL)
+ *   { status: ['pending', 'late'] }  -> IN
+ *   { date: { gte: from, lt: to } }  -> operators (eq, neq, gt, gte, lt, lte, in, is, not)
+ *
+ * and options:
+ *   columns - columns to return (default all)
+ *   include - embedded relations from ./schema.js, e.g. { user: ['id', 'name'] }
+ *   order   - { column, ascending, nullsFirst } or an array of them
+ *   limit   - max rows
+ *
+ * Reads skip `undefined` filters, so optional narrowing can be passed as is.
+ * Updates and removes refuse them (and an empty `where`): a dropped filter
+ * would widen the write to every row it no longer rules out.
+ */
+
+/**
+ * Throw unless every filter of a write is set
+ */
+function assertWriteFilter(table, where) {
+  const entries = Object.entries(where || {})
+  if (entries.length === 0) {
+    throw new Error(`Refusing to write to every row of ${table}: the where is empty`)
+  }
+  for (const [column, condition] of entries) {
+    const isOperators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+    const values = isOperators ? Object.values(condition) : [condition]
+    if (values.length === 0 || values.includes(undefined)) {
+      throw new Error(`Refusing to write to ${table}: the filter on ${column} is undefined`)
+    }
+  }
+}
+
+export function createRepository(driver, table) {
+  const repository = {
+    table,
+
+    find(where = {}, options = {}) {
+      return driver.select(table, { ...options, where })
+    },
+
+    async findOne(where = {}, options = {}) {
+      const [row] = await driver.select(table, { ...options, where, limit: 1 })
+      return row || null
+    },
+
+    findById(id, options = {}) {
+      return repository.findOne({ id }, options)
+    },
+
+    count(where = {}) {
+      return driver.count(table, where)
+    },
+
+    async exists(where = {}) {
+      return (await driver.count(table, where)) > 0
+    },
+
+    async insert(row, options = {}) {
+      const [created] = await driver.insert(table, [row], options)
+      return created
+    },
+
+    insertMany(rows, options = {}) {
+      if (!rows.length) return Promise.resolve([])
+      return driver.insert(table, rows, options)
+    },
+
+    async upsert(row, options = {}) {
+      const [saved] = await driver.upsert(table, [row], options)
+      return saved || null
+    },
+
+    async update(where, patch, options = {}) {
+      assertWriteFilter(table, where)
+      return driver.update(table, where, patch, options)
+    },
+
+    async updateById(id, patch, options = {}) {
+      const [updated] = await repository.update({ id }, patch, options)
+      return updated || null
+    },
+
+    async remove(where) {
+      assertWriteFilter(table, where)
+      return driver.remove(table, where)
+    },
+
+    removeById(id) {
+      return repository.remove({ id })
+    }
+  }
+
+  return repository
+}
+
+export default createRepository
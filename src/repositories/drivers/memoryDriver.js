@@ -0,0 +1,217 @@
+/**
+ * Memory Driver
+ * In-process implementation of the repository driver API.
+ * Mirrors the Supabase driver closely enough to run the API offline:
+ * filters, ordering, limits, embedded relations and unique constraints.
+ */
+
+import { randomUUID } from 'crypto'
+import { relations, uniqueKeys, columnDefaults, cascades } from '../schema.js'
+import { views } from './memoryViews.js'
+
+const clone = (value) => structuredClone(value)
+
+const MATCHERS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual != null && actual > expected,
+  gte: (actual, expected) => actual != null && actual >= expected,
+  lt: (actual, expected) => actual != null && actual < expected,
+  lte: (actual, expected) => actual != null && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  is: (actual, expected) => (actual ?? null) === expected,
+  not: (actual, expected) => (actual ?? null) !== expected
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([column, condition]) => {
+    if (condition === undefined) return true
+    const actual = row[column]
+
+    if (condition === null) return MATCHERS.is(actual, null)
+    if (Array.isArray(condition)) return MATCHERS.in(actual, condition)
+    if (typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([op, expected]) => {
+        const matcher = MATCHERS[op]
+        if (!matcher) throw new Error(`Unsupported filter operator: ${op}`)
+        return matcher(actual, expected)
+      })
+    }
+    return actual === condition
+  })
+}
+
+// PostgREST defaults: nulls last when ascending, first when descending
+function compareRows(order) {
+  const clauses = [].concat(order || [])
+  return (a, b) => {
+    for (const { column, ascending = true, nullsFirst = !ascending } of clauses) {
+      const x = a[column] ?? null
+      const y = b[column] ?? null
+      if (x === y) continue
+      if (x === null) return nullsFirst ? -1 : 1
+      if (y === null) return nullsFirst ? 1 : -1
+      const result = x < y ? -1 : 1
+      return ascending ? result : -result
+    }
+    return 0
+  }
+}
+
+function uniqueViolation(table, columns) {
+  const error = new Error(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`)
+  error.code = '23505'
+  return error
+}
+
+export function createMemoryDriver(seed = {}) {
+  const tables = new Map()
+
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, [])
+    return tables.get(table)
+  }
+
+  const sameKey = (a, b, columns) => columns.every(column => (a[column] ?? null) === (b[column] ?? null))
+
+  function findConflict(table, row, ignore = null) {
+    for (const columns of uniqueKeys[table] || []) {
+      if (columns.some(column => row[column] == null)) continue
+      const existing = rowsOf(table).find(other => other !== ignore && sameKey(other, row, columns))
+      if (existing) return columns
+    }
+    return null
+  }
+
+  /**
+   * Project a stored row into the shape a select would return
+   */
+  function shape(table, row, columns, include) {
+    const base = columns?.length
+      ? Object.fromEntries(columns.map(column => [column, row[column] ?? null]))
+      : clone(row)
+
+    for (const [name, spec] of Object.entries(include || {})) {
+      const relation = relations[table]?.[name]
+      if (!relation) throw new Error(`Unknown relation "${name}" on ${table}`)
+
+      const nested = Array.isArray(spec) ? { columns: spec } : (spec || {})
+      const related = rowsOf(relation.table).filter(other => other[relation.foreignKey] === row[relation.localKey])
+      const shaped = related.map(other => shape(relation.table, other, nested.columns, nested.include))
+      base[name] = relation.many ? shaped : (shaped[0] || null)
+    }
+
+    return base
+  }
+
+  function withDefaults(table, row) {
+    return {
+      id: randomUUID(),
+      created_at: new Date().toISOString(),
+      ...columnDefaults[table],
+      ...row
+    }
+  }
+
+  const driver = {
+    name: 'memory',
+
+    async select(table, { where, columns, include, order, limit } = {}) {
+      const source = views[table] ? views[table](rowsOf) : rowsOf(table)
+      let rows = source.filter(row => matches(row, where))
+      if (order) rows = [...rows].sort(compareRows(order))
+      if (limit) rows = rows.slice(0, limit)
+      return rows.map(row => shape(table, row, columns, include))
+    },
+
+    async count(table, where = {}) {
+      return rowsOf(table).filter(row => matches(row, where)).length
+    },
+
+    async insert(table, rows, { columns, include } = {}) {
+      const created = rows.map(row => withDefaults(table, row))
+      const pending = []
+      for (const row of created) {
+        const conflict = findConflict(table, row) ||
+          (uniqueKeys[table] || []).find(key => pending.some(other => sameKey(other, row, key)))
+        if (conflict) throw uniqueViolation(table, conflict)
+        pending.push(row)
+      }
+
+      rowsOf(table).push(...created.map(clone))
+      return created.map(row => shape(table, row, columns, include))
+    },
+
+    async upsert(table, rows, { onConflict = ['id'], ignoreDuplicates = false, columns, include } = {}) {
+      const target = [].concat(onConflict)
+      const stored = rowsOf(table)
+      const result = []
+
+      for (const row of rows) {
+        const existing = stored.find(other => sameKey(other, row, target))
+        if (existing) {
+          if (!ignoreDuplicates) {
+            // The merged row must not collide on another unique key either
+            const conflict = findConflict(table, { ...existing, ...row }, existing)
+            if (conflict) throw uniqueViolation(table, conflict)
+            Object.assign(existing, clone(row))
+            result.push(existing)
+          }
+          continue
+        }
+        const [created] = await driver.insert(table, [row])
+        result.push(stored.find(other => other.id === created.id))
+      }
+
+      return result.map(row => shape(table, row, columns, include))
+    },
+
+    async update(table, where, patch, { columns, include } = {}) {
+      const updated = rowsOf(table).filter(row => matches(row, where))
+      for (const row of updated) {
+        const conflict = findConflict(table, { ...row, ...patch }, row)
+        if (conflict) throw uniqueViolation(table, conflict)
+      }
+      for (const row of updated) Object.assign(row, clone(patch))
+      return updated.map(row => shape(table, row, columns, include))
+    },
+
+    async remove(table, where) {
+      const removed = rowsOf(table).filter(row => matches(row, where))
+      tables.set(table, rowsOf(table).filter(row => !removed.includes(row)))
+
+      for (const [child, column] of cascades[table] || []) {
+        const ids = removed.map(row => row.id)
+        if (ids.length) await driver.remove(child, { [column]: ids })
+      }
+    },
+
+    /**
+     * Replace the contents of one or more tables (test helper)
+     */
+    seed(data = {}) {
+      for (const [table, rows] of Object.entries(data)) {
+        tables.set(table, rows.map(row => clone(withDefaults(table, row))))
+      }
+    },
+
+    /**
+     * Drop all stored rows (test helper)
+     */
+    reset() {
+      tables.clear()
+    },
+
+    /**
+     * Raw copy of a table's rows (test helper)
+     */
+    dump(table) {
+      return clone(rowsOf(table))
+    }
+  }
+
+  driver.seed(seed)
+  return driver
+}
+
+export default createMemoryDriver
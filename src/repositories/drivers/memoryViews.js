@@ -0,0 +1,72 @@
+/**
+ * Memory Views
+ * Read-only views the memory driver computes from its tables, matching the
+ * database views of the same name:
+ *
+ *   leaderboard_view      - one row per profile: score, streaks, attendance rate, achievements
+ *   room_leaderboard_view - one row per room and user with attendance in it
+ */
+
+const rate = (approved, total) => (total > 0 ? Math.round(approved / total * 100) : 0)
+
+function tally(records) {
+  const approved = records.filter(record => record.status === 'approved').length
+  return { approved, total: records.length }
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map()
+  for (const row of rows) {
+    const key = keyOf(row)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  }
+  return groups
+}
+
+export const views = {
+  leaderboard_view(rowsOf) {
+    const attendanceByUser = groupBy(rowsOf('attendance'), row => row.user_id)
+    const achievementsByUser = groupBy(rowsOf('user_achievements'), row => row.user_id)
+
+    return rowsOf('profiles').map(profile => {
+      const { approved, total } = tally(attendanceByUser.get(profile.id) || [])
+      return {
+        user_id: profile.id,
+        name: profile.name ?? null,
+        avatar_url: profile.avatar_url ?? null,
+        discipline_score: profile.total_discipline_points || 0,
+        current_streak: profile.current_streak || 0,
+        longest_streak: profile.longest_streak || 0,
+        attendance_rate: rate(approved, total),
+        total_approved: approved,
+        achievements_count: (achievementsByUser.get(profile.id) || []).length
+      }
+    })
+  },
+
+  room_leaderboard_view(rowsOf) {
+    const profiles = new Map(rowsOf('profiles').map(profile => [profile.id, profile]))
+    const streaks = rowsOf('streaks')
+    const groups = groupBy(rowsOf('attendance'), row => `${row.room_id}:${row.user_id}`)
+
+    return [...groups.values()].map(records => {
+      const { room_id: roomId, user_id: userId } = records[0]
+      const profile = profiles.get(userId)
+      const streak = streaks.find(row => row.room_id === roomId && row.user_id === userId)
+      const { approved, total } = tally(records)
+      return {
+        room_id: roomId,
+        user_id: userId,
+        name: profile?.name ?? null,
+        avatar_url: profile?.avatar_url ?? null,
+        approved_count: approved,
+        total_count: total,
+        attendance_rate: rate(approved, total),
+        current_streak: streak?.current_streak || 0
+      }
+    })
+  }
+}
+
+export default views
@@ -0,0 +1,127 @@
+/**
+ * Supabase Driver
+ * Translates repository queries into supabase-js query builder calls
+ */
+
+import { relations } from '../schema.js'
+
+const OPERATORS = {
+  eq: (query, column, value) => query.eq(column, value),
+  neq: (query, column, value) => query.neq(column, value),
+  gt: (query, column, value) => query.gt(column, value),
+  gte: (query, column, value) => query.gte(column, value),
+  lt: (query, column, value) => query.lt(column, value),
+  lte: (query, column, value) => query.lte(column, value),
+  in: (query, column, value) => query.in(column, value),
+  is: (query, column, value) => query.is(column, value),
+  not: (query, column, value) => query.not(column, 'is', value)
+}
+
+/**
+ * Apply a `where` object to a query
+ * { col: value }            -> eq (null -> is null)
+ * { col: [a, b] }           -> in
+ * { col: { gte, lt, ... } } -> operator filters
+ */
+function applyWhere(query, where = {}) {
+  for (const [column, condition] of Object.entries(where)) {
+    if (condition === undefined) continue
+
+    if (condition === null) {
+      query = query.is(column, null)
+    } else if (Array.isArray(condition)) {
+      query = query.in(column, condition)
+    } else if (typeof condition === 'object' && !(condition instanceof Date)) {
+      for (const [op, value] of Object.entries(condition)) {
+        const apply = OPERATORS[op]
+        if (!apply) throw new Error(`Unsupported filter operator: ${op}`)
+        query = apply(query, column, value)
+      }
+    } else {
+      query = query.eq(column, condition)
+    }
+  }
+  return query
+}
+
+function applyOrder(query, order) {
+  if (!order) return query
+  for (const { column, ascending = true, nullsFirst } of [].concat(order)) {
+    query = query.order(column, { ascending, nullsFirst })
+  }
+  return query
+}
+
+/**
+ * Build a PostgREST select string from columns + include spec
+ * include: { relationName: ['col', ...] | { columns, include } }
+ */
+export function buildSelect(table, columns, include) {
+  const parts = [columns?.length ? columns.join(', ') : '*']
+
+  for (const [name, spec] of Object.entries(include || {})) {
+    const relation = relations[table]?.[name]
+    if (!relation) throw new Error(`Unknown relation "${name}" on ${table}`)
+
+    const nested = Array.isArray(spec) ? { columns: spec } : (spec || {})
+    const target = relation.hint ? `${relation.table}!${relation.hint}` : relation.table
+    parts.push(`${name}:${target}(${buildSelect(relation.table, nested.columns, nested.include)})`)
+  }
+
+  return parts.join(', ')
+}
+
+export function createSupabaseDriver(client) {
+  return {
+    name: 'supabase',
+
+    async select(table, { where, columns, include, order, limit } = {}) {
+      let query = client.from(table).select(buildSelect(table, columns, include))
+      query = applyOrder(applyWhere(query, where), order)
+      if (limit) query = query.limit(limit)
+
+      const { data, error } = await query
+      if (error) throw error
+      return data || []
+    },
+
+    async count(table, where = {}) {
+      const query = applyWhere(client.from(table).select('*', { count: 'exact', head: true }), where)
+      const { count, error } = await query
+      if (error) throw error
+      return count || 0
+    },
+
+    async insert(table, rows, { columns, include } = {}) {
+      const { data, error } = await client
+        .from(table)
+        .insert(rows)
+        .select(buildSelect(table, columns, include))
+      if (error) throw error
+      return data || []
+    },
+
+    async upsert(table, rows, { onConflict, ignoreDuplicates = false, columns, include } = {}) {
+      const { data, error } = await client
+        .from(table)
+        .upsert(rows, { onConflict: [].concat(onConflict || []).join(',') || undefined, ignoreDuplicates })
+        .select(buildSelect(table, columns, include))
+      if (error) throw error
+      return data || []
+    },
+
+    async update(table, where, patch, { columns, include } = {}) {
+      const query = applyWhere(client.from(table).update(patch), where)
+      const { data, error } = await query.select(buildSelect(table, columns, include))
+      if (error) throw error
+      return data || []
+    },
+
+    async remove(table, where) {
+      const { error } = await applyWhere(client.from(table).delete(), where)
+      if (error) throw error
+    }
+  }
+}
+
+export default createSupabaseDriver
@@ -0,0 +1,112 @@
+/**
+ * Repositories
+ * Data access for services. The driver is picked by DATA_DRIVER:
+ *   supabase (default) - queries go through the service-role Supabase client
+ *   memory             - rows live in process memory (offline runs and API tests)
+ *
+ * In memory mode, `dataDriver.seed({ table: rows })` and `dataDriver.reset()`
+ * prepare fixtures before exercising the Express app.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js'
+import { useMemoryDriver } from '../config/database.js'
+import { createSupabaseDriver } from './drivers/supabaseDriver.js'
+import { createMemoryDriver } from './drivers/memoryDriver.js'
+import { createRoomsRepository } from './roomsRepository.js'
+import { createAttendanceRepository } from './attendanceRepository.js'
+import { createRoomInvitesRepository } from './roomInvitesRepository.js'
+import { createRoomMembersRepository, createRoomMemberEventsRepository } from './roomMembersRepository.js'
+import { createRoomRulesRepository } from './roomRulesRepository.js'
+import { createProfilesRepository } from './profilesRepository.js'
+import { createWarningsRepository, createConsequencesRepository } from './warningsRepository.js'
+import {
+  createChallengesRepository,
+  createChallengeParticipantsRepository,
+  createChallengeDailyLogRepository
+} from './challengesRepository.js'
+import { createStreaksRepository, createRoomPausesRepository } from './streaksRepository.js'
+import { createRoomRemindersRepository } from './roomRemindersRepository.js'
+import { createReminderDeliveriesRepository } from './reminderDeliveriesRepository.js'
+import { createAchievementsRepository, createUserAchievementsRepository } from './achievementsRepository.js'
+import { createActivityFeedRepository } from './activityFeedRepository.js'
+import { createLeaderboardRepository, createRoomLeaderboardRepository } from './leaderboardRepository.js'
+import {
+  createNotificationsRepository,
+  createNotificationPreferencesRepository,
+  createNotificationDeliveriesRepository
+} from './notificationsRepository.js'
+import { createWebhooksRepository, createWebhookDeliveriesRepository } from './webhooksRepository.js'
+import { createPushSubscriptionsRepository, createPushQueueRepository } from './pushRepository.js'
+
+export const dataDriver = useMemoryDriver
+  ? createMemoryDriver()
+  : createSupabaseDriver(supabaseAdmin)
+
+export const roomsRepository = createRoomsRepository(dataDriver)
+export const attendanceRepository = createAttendanceRepository(dataDriver)
+export const roomInvitesRepository = createRoomInvitesRepository(dataDriver)
+export const roomMembersRepository = createRoomMembersRepository(dataDriver)
+export const roomMemberEventsRepository = createRoomMemberEventsRepository(dataDriver)
+export const roomRulesRepository = createRoomRulesRepository(dataDriver)
+export const profilesRepository = createProfilesRepository(dataDriver)
+export const warningsRepository = createWarningsRepository(dataDriver)
+export const consequencesRepository = createConsequencesRepository(dataDriver)
+export const challengesRepository = createChallengesRepository(dataDriver)
+export const challengeParticipantsRepository = createChallengeParticipantsRepository(dataDriver)
+export const challengeDailyLogRepository = createChallengeDailyLogRepository(dataDriver)
+export const streaksRepository = createStreaksRepository(dataDriver)
+export const roomPausesRepository = createRoomPausesRepository(dataDriver)
+export const roomRemindersRepository = createRoomRemindersRepository(dataDriver)
+export const reminderDeliveriesRepository = createReminderDeliveriesRepository(dataDriver)
+export const achievementsRepository = createAchievementsRepository(dataDriver)
+export const userAchievementsRepository = createUserAchievementsRepository(dataDriver)
+export const activityFeedRepository = createActivityFeedRepository(dataDriver)
+export const leaderboardRepository = createLeaderboardRepository(dataDriver)
+export const roomLeaderboardRepository = createRoomLeaderboardRepository(dataDriver)
+export const notificationsRepository = createNotificationsRepository(dataDriver)
+export const notificationPreferencesRepository = createNotificationPreferencesRepository(dataDriver)
+export const notificationDeliveriesRepository = createNotificationDeliveriesRepository(dataDriver)
+export const webhooksRepository = createWebhooksRepository(dataDriver)
+export const webhookDeliveriesRepository = createWebhookDeliveriesRepository(dataDriver)
+export const pushSubscriptionsRepository = createPushSubscriptionsRepository(dataDriver)
+export const pushQueueRepository = createPushQueueRepository(dataDriver)
+
+/**
+ * Repositories keyed by table (or view) name
+ */
+export const repositories = {
+  rooms: roomsRepository,
+  attendance: attendanceRepository,
+  room_invites: roomInvitesRepository,
+  room_members: roomMembersRepository,
+  room_member_events: roomMemberEventsRepository,
+  room_rules: roomRulesRepository,
+  profiles: profilesRepository,
+  warnings: warningsRepository,
+  consequences: consequencesRepository,
+  challenges: challengesRepository,
+  challenge_participants: challengeParticipantsRepository,
+  challenge_daily_log: challengeDailyLogRepository,
+  streaks: streaksRepository,
+  room_pauses: roomPausesRepository,
+  room_reminders: roomRemindersRepository,
+  reminder_deliveries: reminderDeliveriesRepository,
+  achievements: achievementsRepository,
+  user_achievements: userAchievementsRepository,
+  activity_feed: activityFeedRepository,
+  leaderboard_view: leaderboardRepository,
+  room_leaderboard_view: roomLeaderboardRepository,
+  notifications: notificationsRepository,
+  notification_preferences: notificationPreferencesRepository,
+  notification_deliveries: notificationDeliveriesRepository,
+  webhooks: webhooksRepository,
+  webhook_deliveries: webhookDeliveriesRepository,
+  push_subscriptions: pushSubscriptionsRepository,
+  push_queue: pushQueueRepository
+}
+
+export { createRepository } from './createRepository.js'
+export { createSupabaseDriver } from './drivers/supabaseDriver.js'
+export { createMemoryDriver } from './drivers/memoryDriver.js'
+
+export default repositories
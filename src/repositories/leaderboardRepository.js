@@ -0,0 +1,29 @@
+/**
+ * Leaderboard Repositories
+ * Read-only access to the leaderboard views:
+ *
+ * View leaderboard_view (one row per profile):
+ *   user_id, name, avatar_url, discipline_score, current_streak, longest_streak,
+ *   attendance_rate, total_approved, achievements_count
+ *
+ * View room_leaderboard_view (one row per room and user with attendance):
+ *   room_id, user_id, name, avatar_url, approved_count, total_count,
+ *   attendance_rate, current_streak
+ */
+
+import { createRepository } from './createRepository.js'
+
+function createViewRepository(driver, view) {
+  const { table, find, findOne, count, exists } = createRepository(driver, view)
+  return { table, find, findOne, count, exists }
+}
+
+export function createLeaderboardRepository(driver) {
+  return createViewRepository(driver, 'leaderboard_view')
+}
+
+export function createRoomLeaderboardRepository(driver) {
+  return createViewRepository(driver, 'room_leaderboard_view')
+}
+
+export default createLeaderboardRepository
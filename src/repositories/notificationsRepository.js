@@ -0,0 +1,77 @@
+/**
+ * Notifications Repositories
+ * In-app notifications, per-user notification preferences, and the
+ * delivery log written by the notification dispatcher.
+ *
+ * Table notification_deliveries:
+ *   id, user_id, type, dedup_key (unique per user, nullable), notification_id,
+ *   status ('sending' | 'sent' | 'queued' | 'no_subscription' | 'push_disabled' | 'failed' |
+ *           'deferred' | 'dropped' | 'disabled' | 'push_off'),
+ *   ('queued': the push queue is retrying it; settled to 'sent' or 'failed' later)
+ *   payload (push payload, JSONB), deliver_after, attempts (push attempts), push_sent, push_failed,
+ *   error, email_status ('sending' | 'sent' | 'failed' | 'no_address' | 'email_disabled' | 'off';
+ *   'sending' while the background send is in flight),
+ *   email_error, created_at, updated_at
+ *
+ * Table notification_preferences gains `warnings`, `consequences` (booleans) and
+ * `channels` (JSONB, per-channel flags; see notificationPolicy)
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createNotificationsRepository(driver) {
+  return createRepository(driver, 'notifications')
+}
+
+export function createNotificationPreferencesRepository(driver) {
+  const repository = createRepository(driver, 'notification_preferences')
+
+  return {
+    ...repository,
+
+    findForUser(userId, options = {}) {
+      return repository.findOne({ user_id: userId }, options)
+    },
+
+    save(preferences, options = {}) {
+      return repository.upsert(preferences, { ...options, onConflict: ['user_id'] })
+    }
+  }
+}
+
+export function createNotificationDeliveriesRepository(driver) {
+  const repository = createRepository(driver, 'notification_deliveries')
+
+  return {
+    ...repository,
+
+    findByDedupKey(userId, dedupKey, options = {}) {
+      return repository.findOne({ user_id: userId, dedup_key: dedupKey }, options)
+    },
+
+    /**
+     * Insert a delivery row unless one with the same dedup key exists
+     * @returns {Promise<object|null>} the new row, or null if it was already there
+     */
+    claim(delivery) {
+      const row = { ...delivery, attempts: 0, updated_at: new Date().toISOString() }
+      if (!delivery.dedup_key) return repository.insert(row)
+      return repository.upsert(row, { onConflict: ['user_id', 'dedup_key'], ignoreDuplicates: true })
+    },
+
+    /**
+     * Move a delivery from `fromStatus` to 'sending' for another attempt
+     * Matches on the status and last update seen, so only one run wins it
+     * @returns {Promise<object|null>}
+     */
+    async reclaim(delivery, fromStatus) {
+      const [claimed] = await repository.update(
+        { id: delivery.id, status: fromStatus, updated_at: delivery.updated_at ?? null },
+        { status: 'sending', updated_at: new Date().toISOString() }
+      )
+      return claimed || null
+    }
+  }
+}
+
+export default createNotificationsRepository
@@ -0,0 +1,39 @@
+/**
+ * Profiles Repository
+ */
+
+import { createRepository } from './createRepository.js'
+
+// Concurrent increments retry against the value they lost to
+const INCREMENT_ATTEMPTS = 5
+
+export function createProfilesRepository(driver) {
+  const repository = createRepository(driver, 'profiles')
+
+  return {
+    ...repository,
+
+    /**
+     * Add to a profile's total_discipline_points
+     * The update matches on the value read, so a concurrent increment is not lost
+     * @returns {Promise<number|null>} the new total, or null if the profile does not exist
+     */
+    async addDisciplinePoints(userId, points) {
+      for (let attempt = 0; attempt < INCREMENT_ATTEMPTS; attempt++) {
+        const profile = await repository.findById(userId, { columns: ['total_discipline_points'] })
+        if (!profile) return null
+
+        const current = profile.total_discipline_points ?? null
+        const total = (current || 0) + points
+        const [updated] = await repository.update(
+          { id: userId, total_discipline_points: current },
+          { total_discipline_points: total }
+        )
+        if (updated) return total
+      }
+      throw new Error(`Could not update discipline points for ${userId}`)
+    }
+  }
+}
+
+export default createProfilesRepository
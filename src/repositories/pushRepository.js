@@ -0,0 +1,80 @@
+/**
+ * Push Repositories
+ * Web push subscriptions and the outbound push queue.
+ *
+ * Table push_subscriptions (one row per device):
+ *   id, user_id, endpoint (unique per user), keys (JSONB), user_agent,
+ *   name (user's label for the device), muted_types (JSONB array of preference
+ *   flags this device does not receive), active, last_used_at (last subscribe
+ *   or delivered push), failure_count (consecutive failed attempts),
+ *   last_success_at, last_failure_at, last_error, last_status_code,
+ *   created_at, updated_at
+ *
+ * Table push_queue (one row per push to one subscription):
+ *   id, subscription_id, user_id, delivery_id (notification_deliveries row, if any),
+ *   payload (JSONB), status ('pending' | 'sending' | 'sent' | 'failed' | 'gone'),
+ *   attempts, next_attempt_at, last_status_code, error, sent_at, created_at, updated_at
+ */
+
+import { createRepository } from './createRepository.js'
+
+// Large IN lists are split into chunks of this size
+const IN_CHUNK_SIZE = 500
+
+export function createPushSubscriptionsRepository(driver) {
+  const repository = createRepository(driver, 'push_subscriptions')
+
+  return {
+    ...repository,
+
+    /**
+     * Active subscriptions for one or many users
+     * @param {string|string[]} userIds
+     */
+    async findActive(userIds, options = {}) {
+      const ids = [...new Set([].concat(userIds))]
+      const rows = []
+      for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+        rows.push(...await repository.find({ user_id: ids.slice(i, i + IN_CHUNK_SIZE), active: true }, options))
+      }
+      return rows
+    },
+
+    save(subscription, options = {}) {
+      return repository.upsert(subscription, { ...options, onConflict: ['user_id', 'endpoint'] })
+    }
+  }
+}
+
+export function createPushQueueRepository(driver) {
+  const repository = createRepository(driver, 'push_queue')
+
+  return {
+    ...repository,
+
+    /**
+     * Pending pushes whose next attempt is due
+     */
+    findDue(now = new Date(), { limit = 500 } = {}) {
+      return repository.find(
+        { status: 'pending', next_attempt_at: { lte: now.toISOString() } },
+        { order: { column: 'next_attempt_at', ascending: true }, limit }
+      )
+    },
+
+    /**
+     * Take a pending push for an attempt
+     * Matches on the attempt count seen, so only one run wins it
+     * @returns {Promise<object|null>}
+     */
+    async claim(item) {
+      const [claimed] = await repository.update(
+        { id: item.id, status: 'pending', attempts: item.attempts },
+        { status: 'sending', attempts: item.attempts + 1, updated_at: new Date().toISOString() }
+      )
+      return claimed || null
+    }
+  }
+}
+
+export default createPushSubscriptionsRepository
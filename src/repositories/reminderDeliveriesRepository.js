@@ -0,0 +1,68 @@
+/**
+ * Reminder Deliveries Repository
+ * One row per reminder firing: (reminder_id, local_date, window_start) is unique,
+ * so the row doubles as a dedup claim shared by every server instance.
+ *
+ * Table reminder_deliveries:
+ *   id, reminder_id, user_id, room_id, local_date, window_start,
+ *   status ('sending' | 'sent' | 'queued' | 'failed' | 'skipped'), attempts, error,
+ *   notification_delivery_id (the dispatcher's delivery row), sent_at, created_at, updated_at
+ *   ('queued': the push queue is retrying the push; settled with the notification delivery)
+ */
+
+import { createRepository } from './createRepository.js'
+
+const DELIVERY_KEY = ['reminder_id', 'local_date', 'window_start']
+
+export function createReminderDeliveriesRepository(driver) {
+  const repository = createRepository(driver, 'reminder_deliveries')
+
+  return {
+    ...repository,
+
+    findForWindow(reminderId, localDate, windowStart, options = {}) {
+      return repository.findOne({ reminder_id: reminderId, local_date: localDate, window_start: windowStart }, options)
+    },
+
+    /**
+     * Insert the delivery row unless it already exists
+     * @returns {Promise<object|null>} the new row, or null if another run claimed it first
+     */
+    claim(delivery) {
+      return repository.upsert({
+        ...delivery,
+        status: 'sending',
+        attempts: 1,
+        updated_at: new Date().toISOString()
+      }, { onConflict: DELIVERY_KEY, ignoreDuplicates: true })
+    },
+
+    /**
+     * Take a failed delivery for another attempt
+     * Matches on the attempt count seen, so only one run wins the retry
+     * @returns {Promise<object|null>}
+     */
+    async reclaim(delivery) {
+      const [claimed] = await repository.update(
+        { id: delivery.id, status: 'failed', attempts: delivery.attempts },
+        { status: 'sending', attempts: delivery.attempts + 1, updated_at: new Date().toISOString() }
+      )
+      return claimed || null
+    },
+
+    /**
+     * Fail claims left in 'sending' since before a cutoff (the run holding them
+     * crashed or was restarted), so they can be retried or settle as failed
+     * @param {string} before - ISO timestamp
+     * @returns {Promise<object[]>} the released rows
+     */
+    releaseStale(before) {
+      return repository.update(
+        { status: 'sending', updated_at: { lt: before } },
+        { status: 'failed', error: 'Send interrupted', updated_at: new Date().toISOString() }
+      )
+    }
+  }
+}
+
+export default createReminderDeliveriesRepository
@@ -0,0 +1,35 @@
+/**
+ * Room Invites Repository
+ * An invite's role ('admin' or 'member') is what accepting it grants.
+ * Admin invites are single-use: accepting one sets its admin_id and status
+ * 'accepted'. Member invites stay 'pending' until revoked, so one code can
+ * bring in a whole group. Joining adds a room_members row either way; accepted
+ * admin invites from before room_members still grant admin access.
+ *
+ * Optional limits (see src/policies/invitePolicy.js): expires_at, max_uses
+ * (member invites; use_count counts joins), and target_email / target_user_id
+ * to make the code work for one person only.
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createRoomInvitesRepository(driver) {
+  const repository = createRepository(driver, 'room_invites')
+
+  return {
+    ...repository,
+
+    findByCode(code, options = {}) {
+      return repository.findOne({ invite_code: code }, options)
+    },
+
+    /**
+     * Accepted invites held by an admin, optionally narrowed to one room
+     */
+    findAccepted(adminId, roomId = undefined, options = {}) {
+      return repository.find({ admin_id: adminId, room_id: roomId, status: 'accepted' }, options)
+    }
+  }
+}
+
+export default createRoomInvitesRepository
@@ -0,0 +1,71 @@
+/**
+ * Room Members Repositories
+ * Everyone who joined a room besides its owner (rooms.user_id): admins who
+ * review proofs and members who attend the room alongside the owner, and the
+ * audit trail of people leaving or being removed.
+ *
+ * Table room_members:
+ *   id, room_id, user_id (unique per room), role ('admin' | 'member'),
+ *   permissions (text[], admins only: review_proofs, edit_rules,
+ *   edit_schedule, issue_consequences, manage_webhooks; null means all of them),
+ *   invite_id (the invite used to join, nullable), joined_at, created_at
+ *
+ * Table room_member_events (append-only audit log):
+ *   id, room_id, user_id (who left or was removed), actor_id (who did it;
+ *   the user themselves when leaving), action ('admin_removed' | 'admin_left' |
+ *   'member_removed' | 'member_left'), role, reason, details (JSONB, e.g. how
+ *   pending proofs were handed off), created_at
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createRoomMembersRepository(driver) {
+  const repository = createRepository(driver, 'room_members')
+
+  return {
+    ...repository,
+
+    /**
+     * A user's membership of a room, if any
+     */
+    findMembership(roomId, userId, options = {}) {
+      return repository.findOne({ room_id: roomId, user_id: userId }, options)
+    },
+
+    /**
+     * Memberships of a room, optionally narrowed to some roles
+     * @param {string|string[]} [roles]
+     */
+    findForRoom(roomId, roles = undefined, options = {}) {
+      return repository.find({ room_id: roomId, role: roles }, options)
+    },
+
+    /**
+     * A user's memberships, optionally narrowed to some roles
+     * @param {string|string[]} [roles]
+     */
+    findForUser(userId, roles = undefined, options = {}) {
+      return repository.find({ user_id: userId, role: roles }, options)
+    }
+  }
+}
+
+export function createRoomMemberEventsRepository(driver) {
+  const repository = createRepository(driver, 'room_member_events')
+
+  return {
+    ...repository,
+
+    /**
+     * A room's audit events, newest first
+     */
+    findForRoom(roomId, options = {}) {
+      return repository.find({ room_id: roomId }, {
+        order: { column: 'created_at', ascending: false },
+        ...options
+      })
+    }
+  }
+}
+
+export default createRoomMembersRepository
@@ -0,0 +1,23 @@
+/**
+ * Room Reminders Repository
+ * Per-user, per-room alert timings; (user_id, room_id, minutes_before) is unique.
+ *
+ * Table room_reminders:
+ *   id, user_id, room_id, minutes_before, enabled, timezone, created_at
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createRoomRemindersRepository(driver) {
+  const repository = createRepository(driver, 'room_reminders')
+
+  return {
+    ...repository,
+
+    save(reminder, options = {}) {
+      return repository.upsert(reminder, { ...options, onConflict: ['user_id', 'room_id', 'minutes_before'] })
+    }
+  }
+}
+
+export default createRoomRemindersRepository
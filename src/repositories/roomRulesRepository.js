@@ -0,0 +1,11 @@
+/**
+ * Room Rules Repository
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createRoomRulesRepository(driver) {
+  return createRepository(driver, 'room_rules')
+}
+
+export default createRoomRulesRepository
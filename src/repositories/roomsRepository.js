@@ -0,0 +1,11 @@
+/**
+ * Rooms Repository
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createRoomsRepository(driver) {
+  return createRepository(driver, 'rooms')
+}
+
+export default createRoomsRepository
@@ -0,0 +1,159 @@
+/**
+ * Repository Schema
+ * Relations and unique keys for the tables behind the repository layer.
+ *
+ * Relations describe embedded resources the way PostgREST does
+ * (e.g. `user:profiles!attendance_user_id_fkey(...)`), so the Supabase driver
+ * can build the select string and the memory driver can join rows itself.
+ *
+ *   localKey   - column on this table
+ *   foreignKey - column on the related table
+ *   hint       - FK constraint name used to disambiguate in PostgREST
+ *   many       - one-to-many (returns an array)
+ */
+
+export const relations = {
+  profiles: {},
+  rooms: {
+    user: { table: 'profiles', localKey: 'user_id', foreignKey: 'id', hint: 'rooms_user_id_fkey' },
+    room_invites: { table: 'room_invites', localKey: 'id', foreignKey: 'room_id', many: true },
+    room_members: { table: 'room_members', localKey: 'id', foreignKey: 'room_id', many: true },
+    room_rules: { table: 'room_rules', localKey: 'id', foreignKey: 'room_id', many: true }
+  },
+  room_invites: {
+    room: { table: 'rooms', localKey: 'room_id', foreignKey: 'id' },
+    admin: { table: 'profiles', localKey: 'admin_id', foreignKey: 'id', hint: 'room_invites_admin_id_fkey' }
+  },
+  room_members: {
+    room: { table: 'rooms', localKey: 'room_id', foreignKey: 'id' },
+    user: { table: 'profiles', localKey: 'user_id', foreignKey: 'id', hint: 'room_members_user_id_fkey' }
+  },
+  room_member_events: {
+    user: { table: 'profiles', localKey: 'user_id', foreignKey: 'id', hint: 'room_member_events_user_id_fkey' },
+    actor: { table: 'profiles', localKey: 'actor_id', foreignKey: 'id', hint: 'room_member_events_actor_id_fkey' }
+  },
+  room_rules: {},
+  attendance: {
+    room: { table: 'rooms', localKey: 'room_id', foreignKey: 'id' },
+    user: { table: 'profiles', localKey: 'user_id', foreignKey: 'id', hint: 'attendance_user_id_fkey' }
+  },
+  warnings: {
+    room: { table: 'rooms', localKey: 'room_id', foreignKey: 'id' },
+    user: { table: 'profiles', localKey: 'user_id', foreignKey: 'id', hint: 'warnings_user_id_fkey' }
+  },
+  consequences: {
+    user: { table: 'profiles', localKey: 'user_id', foreignKey: 'id', hint: 'consequences_user_id_fkey' }
+  },
+  challenges: {
+    challenge_participants: { table: 'challenge_participants', localKey: 'id', foreignKey: 'challenge_id', many: true }
+  },
+  challenge_participants: {},
+  challenge_daily_log: {},
+  streaks: {},
+  room_pauses: {},
+  room_reminders: {
+    rooms: { table: 'rooms', localKey: 'room_id', foreignKey: 'id' }
+  },
+  reminder_deliveries: {
+    room: { table: 'rooms', localKey: 'room_id', foreignKey: 'id' }
+  },
+  achievements: {},
+  user_achievements: {
+    achievement: { table: 'achievements', localKey: 'achievement_id', foreignKey: 'id' }
+  },
+  activity_feed: {},
+  notifications: {},
+  notification_preferences: {},
+  notification_deliveries: {},
+  webhooks: {},
+  webhook_deliveries: {
+    webhook: { table: 'webhooks', localKey: 'webhook_id', foreignKey: 'id' }
+  },
+  push_subscriptions: {},
+  push_queue: {
+    subscription: { table: 'push_subscriptions', localKey: 'subscription_id', foreignKey: 'id' }
+  }
+}
+
+/**
+ * Unique constraints enforced by the memory driver (and used as upsert targets)
+ */
+export const uniqueKeys = {
+  room_invites: [['invite_code']],
+  room_members: [['room_id', 'user_id']],
+  attendance: [['room_id', 'user_id', 'date']],
+  challenge_participants: [['challenge_id', 'user_id']],
+  challenge_daily_log: [['challenge_id', 'user_id', 'date']],
+  streaks: [['room_id', 'user_id']],
+  room_reminders: [['user_id', 'room_id', 'minutes_before']],
+  reminder_deliveries: [['reminder_id', 'local_date', 'window_start']],
+  user_achievements: [['user_id', 'achievement_id']],
+  notification_preferences: [['user_id']],
+  notification_deliveries: [['user_id', 'dedup_key']],
+  push_subscriptions: [['user_id', 'endpoint']]
+}
+
+/**
+ * Column defaults the database fills in, applied by the memory driver on insert
+ * (id and created_at are always generated)
+ */
+export const columnDefaults = {
+  rooms: { is_paused: false, allow_late_upload: false },
+  room_invites: { status: 'pending', role: 'admin', use_count: 0 },
+  room_members: { role: 'member' },
+  room_rules: { enabled: true },
+  warnings: { active: true, acknowledged: false },
+  consequences: { active: true },
+  streaks: { current_streak: 0, longest_streak: 0 },
+  room_reminders: { enabled: true, timezone: 'UTC' },
+  reminder_deliveries: { attempts: 0 },
+  user_achievements: { notified: false },
+  activity_feed: { visibility: 'room' },
+  notifications: { read: false, push_sent: false },
+  notification_deliveries: { attempts: 0 },
+  webhooks: { is_active: true },
+  webhook_deliveries: { attempts: 0 },
+  push_subscriptions: { active: true, failure_count: 0, muted_types: [] },
+  push_queue: { attempts: 0 }
+}
+
+/**
+ * ON DELETE CASCADE foreign keys, applied by the memory driver
+ * table -> [[childTable, childColumn], ...]
+ */
+export const cascades = {
+  rooms: [
+    ['room_invites', 'room_id'],
+    ['room_members', 'room_id'],
+    ['room_member_events', 'room_id'],
+    ['room_rules', 'room_id'],
+    ['attendance', 'room_id'],
+    ['warnings', 'room_id'],
+    ['consequences', 'room_id'],
+    ['streaks', 'room_id'],
+    ['room_pauses', 'room_id'],
+    ['room_reminders', 'room_id'],
+    ['reminder_deliveries', 'room_id'],
+    ['activity_feed', 'room_id'],
+    ['webhooks', 'room_id'],
+    ['webhook_deliveries', 'room_id']
+  ],
+  room_reminders: [
+    ['reminder_deliveries', 'reminder_id']
+  ],
+  achievements: [
+    ['user_achievements', 'achievement_id']
+  ],
+  challenges: [
+    ['challenge_participants', 'challenge_id'],
+    ['challenge_daily_log', 'challenge_id']
+  ],
+  webhooks: [
+    ['webhook_deliveries', 'webhook_id']
+  ],
+  push_subscriptions: [
+    ['push_queue', 'subscription_id']
+  ]
+}
+
+export default { relations, uniqueKeys, columnDefaults, cascades }
@@ -0,0 +1,49 @@
+/**
+ * Streaks Repositories
+ * Persisted per-room streaks (one row per room and user) and the
+ * pause periods that streaks skip over.
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createStreaksRepository(driver) {
+  const repository = createRepository(driver, 'streaks')
+
+  return {
+    ...repository,
+
+    findForRoom(roomId, userId, options = {}) {
+      return repository.findOne({ room_id: roomId, user_id: userId }, options)
+    },
+
+    save(streak, options = {}) {
+      return repository.upsert(streak, { ...options, onConflict: ['room_id', 'user_id'] })
+    }
+  }
+}
+
+export function createRoomPausesRepository(driver) {
+  const repository = createRepository(driver, 'room_pauses')
+
+  return {
+    ...repository,
+
+    /**
+     * Start a pause period unless one is already open
+     */
+    async open(roomId, startedAt = new Date().toISOString()) {
+      const existing = await repository.findOne({ room_id: roomId, ended_at: null })
+      return existing || repository.insert({ room_id: roomId, started_at: startedAt, ended_at: null })
+    },
+
+    /**
+     * End the open pause period, if any
+     */
+    async close(roomId, endedAt = new Date().toISOString()) {
+      const [closed] = await repository.update({ room_id: roomId, ended_at: null }, { ended_at: endedAt })
+      return closed || null
+    }
+  }
+}
+
+export default createStreaksRepository
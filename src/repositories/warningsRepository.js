@@ -0,0 +1,15 @@
+/**
+ * Warnings & Consequences Repositories
+ */
+
+import { createRepository } from './createRepository.js'
+
+export function createWarningsRepository(driver) {
+  return createRepository(driver, 'warnings')
+}
+
+export function createConsequencesRepository(driver) {
+  return createRepository(driver, 'consequences')
+}
+
+export default createWarningsRepository
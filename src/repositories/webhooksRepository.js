@@ -0,0 +1,74 @@
+/**
+ * Webhooks Repositories
+ * Outbound webhooks registered on a room, and the log of every delivery.
+ *
+ * Table webhooks:
+ *   id, room_id, created_by, url, description, events (text[]), secret,
+ *   is_active, created_at, updated_at
+ *
+ * Table webhook_deliveries:
+ *   id, webhook_id, room_id, event, event_id (shared by every delivery of one
+ *   event, including redeliveries), payload (JSONB),
+ *   status ('pending' | 'sending' | 'succeeded' | 'failed'), attempts,
+ *   next_attempt_at, response_status, response_summary (status and size,
+ *   never the receiver's body), error, duration_ms, delivered_at,
+ *   redelivery_of, created_at, updated_at. response_body is no longer written
+ *   and never returned.
+ */
+
+import { createRepository } from './createRepository.js'
+
+// Every column but the signing secret
+export const WEBHOOK_PUBLIC_COLUMNS = ['id', 'room_id', 'created_by', 'url', 'description', 'events', 'is_active', 'created_at', 'updated_at']
+
+// Every delivery column but the legacy response_body
+export const DELIVERY_PUBLIC_COLUMNS = [
+  'id', 'webhook_id', 'room_id', 'event', 'event_id', 'payload', 'status', 'attempts',
+  'next_attempt_at', 'response_status', 'response_summary', 'error', 'duration_ms',
+  'delivered_at', 'redelivery_of', 'created_at', 'updated_at'
+]
+
+export function createWebhooksRepository(driver) {
+  const repository = createRepository(driver, 'webhooks')
+
+  return {
+    ...repository,
+
+    findActiveForRoom(roomId, options = {}) {
+      return repository.find({ room_id: roomId, is_active: true }, options)
+    }
+  }
+}
+
+export function createWebhookDeliveriesRepository(driver) {
+  const repository = createRepository(driver, 'webhook_deliveries')
+
+  return {
+    ...repository,
+
+    /**
+     * Pending deliveries whose next attempt is due
+     */
+    findDue(now = new Date(), { limit = 100 } = {}) {
+      return repository.find(
+        { status: 'pending', next_attempt_at: { lte: now.toISOString() } },
+        { order: { column: 'next_attempt_at', ascending: true }, limit }
+      )
+    },
+
+    /**
+     * Take a pending delivery for an attempt
+     * Matches on the attempt count seen, so only one run wins it
+     * @returns {Promise<object|null>}
+     */
+    async claim(delivery) {
+      const [claimed] = await repository.update(
+        { id: delivery.id, status: 'pending', attempts: delivery.attempts },
+        { status: 'sending', attempts: delivery.attempts + 1, updated_at: new Date().toISOString() }
+      )
+      return claimed || null
+    }
+  }
+}
+
+export default createWebhooksRepository
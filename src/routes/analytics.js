@@ -5,6 +5,7 @@
 
 import { Router } from 'express'
 import { analyticsService } from '../services/analyticsService.js'
+import { NotFoundError } from '../utils/errors.js'
 
 const router = Router()
 
@@ -29,7 +30,7 @@ router.get('/user/room/:roomId', async (req, res, next) => {
   try {
     const data = await analyticsService.getUserRoomAnalytics(req.user.id, req.params.roomId)
     if (!data) {
-      return res.status(404).json({ error: 'Room not found' })
+      throw new NotFoundError('Room not found')
     }
     res.json(data)
   } catch (error) {
@@ -58,7 +59,7 @@ router.get('/admin/user/:userId', async (req, res, next) => {
   try {
     const data = await analyticsService.getAdminUserAnalytics(req.user.id, req.params.userId)
     if (!data) {
-      return res.status(404).json({ error: 'User not found or no managed rooms for this user' })
+      throw new NotFoundError('User not found or no managed rooms for this user')
     }
     res.json(data)
   } catch (error) {
@@ -5,7 +5,9 @@
 
 import { Router } from 'express'
 import { attendanceService } from '../services/index.js'
-import { validateAttendanceSubmit, validateAttendanceReview, sensitiveLimiter, uploadLimiter } from '../middleware/index.js'
+import { validateAttendanceSubmit, validateAttendanceReview, sensitiveLimiter, uploadLimiter, requireRoomRole, requireRoomPermission, roomIdFromRecord } from '../middleware/index.js'
+import { ROOM_ROLES, ANY_ROOM_ROLE, ADMIN_PERMISSIONS } from '../policies/index.js'
+import { ForbiddenError, ValidationError } from '../utils/errors.js'
 
 const router = Router()
 
@@ -29,28 +31,22 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/attendance/room/:roomId
- * Get attendance for a specific room
+ * Get attendance for a specific room (members of the room only)
  * Query params:
- *   - userId: (optional) when admin wants to view another user's attendance
+ *   - userId: (optional) when the owner or an admin wants to view another user's attendance
  */
-router.get('/room/:roomId', async (req, res, next) => {
+router.get('/room/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const targetUserId = req.query.userId
     const currentUserId = req.user.id
     const roomId = req.params.roomId
     
-    // If requesting another user's data, verify admin access
+    // Members can only see their own attendance
     if (targetUserId && targetUserId !== currentUserId) {
-      // Import roomsService to check admin status
-      const { roomsService } = await import('../services/index.js')
-      const isAdmin = await roomsService.isUserAdminOfRoom(roomId, currentUserId)
-      const isOwner = await roomsService.isUserOwnerOfRoom(roomId, currentUserId)
+      const allowed = [ROOM_ROLES.OWNER, ROOM_ROLES.ADMIN].includes(req.room.role)
       
-      if (!isAdmin && !isOwner) {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'Not authorized to view this user\'s attendance'
-        })
+      if (!allowed) {
+        throw new ForbiddenError('Not authorized to view this user\'s attendance')
       }
     }
     
@@ -66,7 +62,7 @@ router.get('/room/:roomId', async (req, res, next) => {
  * GET /api/attendance/room/:roomId/today
  * Get today's attendance status for a room
  */
-router.get('/room/:roomId/today', async (req, res, next) => {
+router.get('/room/:roomId/today', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const status = await attendanceService.getTodayStatus(
       req.params.roomId,
@@ -82,7 +78,7 @@ router.get('/room/:roomId/today', async (req, res, next) => {
  * GET /api/attendance/room/:roomId/stats
  * Get room attendance stats
  */
-router.get('/room/:roomId/stats', async (req, res, next) => {
+router.get('/room/:roomId/stats', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const stats = await attendanceService.getRoomStats(
       req.params.roomId,
@@ -103,10 +99,7 @@ router.post('/submit', uploadLimiter, validateAttendanceSubmit, async (req, res,
     const { room_id, proof_url, note } = req.body
     
     if (!room_id) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id is required'
-      })
+      throw new ValidationError('room_id is required')
     }
     
     const attendance = await attendanceService.submitProof(
@@ -136,9 +129,9 @@ router.get('/pending', async (req, res, next) => {
 
 /**
  * GET /api/attendance/pending/:roomId
- * Get pending proofs for a specific room (admin view)
+ * Get pending proofs for a specific room (owner and admin view)
  */
-router.get('/pending/:roomId', async (req, res, next) => {
+router.get('/pending/:roomId', requireRoomPermission(ADMIN_PERMISSIONS.REVIEW_PROOFS), async (req, res, next) => {
   try {
     const proofs = await attendanceService.getPendingProofs(req.params.roomId)
     res.json(proofs)
@@ -149,9 +142,9 @@ router.get('/pending/:roomId', async (req, res, next) => {
 
 /**
  * POST /api/attendance/:attendanceId/approve
- * Approve attendance (admin action)
+ * Approve attendance (the owner or an admin with review_proofs; not their own)
  */
-router.post('/:attendanceId/approve', sensitiveLimiter, validateAttendanceReview, async (req, res, next) => {
+router.post('/:attendanceId/approve', sensitiveLimiter, validateAttendanceReview, requireRoomPermission(ADMIN_PERMISSIONS.REVIEW_PROOFS, roomIdFromRecord('attendance', 'attendanceId')), async (req, res, next) => {
   try {
     const { quality_rating, admin_feedback } = req.body || {}
     const attendance = await attendanceService.approveAttendance(
@@ -167,11 +160,11 @@ router.post('/:attendanceId/approve', sensitiveLimiter, validateAttendanceReview
 
 /**
  * POST /api/attendance/:attendanceId/reject
- * Reject attendance (admin action)
+ * Reject attendance (the owner or an admin with review_proofs; not their own)
  */
-router.post('/:attendanceId/reject', async (req, res, next) => {
+router.post('/:attendanceId/reject', sensitiveLimiter, validateAttendanceReview, requireRoomPermission(ADMIN_PERMISSIONS.REVIEW_PROOFS, roomIdFromRecord('attendance', 'attendanceId')), async (req, res, next) => {
   try {
-    const { reason, quality_rating, admin_feedback } = req.body
+    const { reason, quality_rating, admin_feedback } = req.body || {}
     const attendance = await attendanceService.rejectAttendance(
       req.params.attendanceId,
       req.user.id,
@@ -186,18 +179,15 @@ router.post('/:attendanceId/reject', async (req, res, next) => {
 
 /**
  * POST /api/attendance/mark-absent
- * Mark user as absent for a date (admin action)
+ * Mark user as absent for a date (the owner or an admin with review_proofs)
  * Body: { room_id, user_id, date? }
  */
-router.post('/mark-absent', async (req, res, next) => {
+router.post('/mark-absent', requireRoomPermission(ADMIN_PERMISSIONS.REVIEW_PROOFS), async (req, res, next) => {
   try {
     const { room_id, user_id, date } = req.body
     
     if (!room_id || !user_id) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id and user_id are required'
-      })
+      throw new ValidationError('room_id and user_id are required')
     }
     
     const attendance = await attendanceService.markAbsent(
@@ -212,4 +202,31 @@ router.post('/mark-absent', async (req, res, next) => {
   }
 })
 
+/**
+ * POST /api/attendance/excuse
+ * Excuse a user for a date — the day is skipped by streaks
+ * (the owner or an admin with review_proofs; not their own)
+ * Body: { room_id, user_id, date?, reason? }
+ */
+router.post('/excuse', requireRoomPermission(ADMIN_PERMISSIONS.REVIEW_PROOFS), async (req, res, next) => {
+  try {
+    const { room_id, user_id, date, reason } = req.body
+    
+    if (!room_id || !user_id) {
+      throw new ValidationError('room_id and user_id are required')
+    }
+    
+    const attendance = await attendanceService.excuseDay(
+      room_id,
+      user_id,
+      date,
+      req.user.id,
+      reason
+    )
+    res.status(201).json(attendance)
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
@@ -5,6 +5,7 @@
 
 import { Router } from 'express'
 import { challengesService } from '../services/challengesService.js'
+import { NotFoundError } from '../utils/errors.js'
 
 const router = Router()
 
@@ -28,7 +29,7 @@ router.get('/', async (req, res, next) => {
 router.get('/:id', async (req, res, next) => {
   try {
     const data = await challengesService.getById(req.params.id)
-    if (!data) return res.status(404).json({ error: 'Challenge not found' })
+    if (!data) throw new NotFoundError('Challenge not found')
     res.json(data)
   } catch (error) {
     next(error)
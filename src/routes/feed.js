@@ -5,6 +5,8 @@
 
 import { Router } from 'express'
 import { feedService } from '../services/feedService.js'
+import { requireRoomRole } from '../middleware/index.js'
+import { ANY_ROOM_ROLE } from '../policies/index.js'
 
 const router = Router()
 
@@ -24,9 +26,9 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/feed/room/:roomId
- * Get feed for a specific room
+ * Get feed for a specific room (its members only)
  */
-router.get('/room/:roomId', async (req, res, next) => {
+router.get('/room/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const { limit = 50, before } = req.query
     const data = await feedService.getForRoom(req.params.roomId, { limit: parseInt(limit), before })
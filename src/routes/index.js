@@ -4,12 +4,12 @@
  */
 
 import { Router } from 'express'
-import { authenticate } from '../middleware/index.js'
+import { authenticate, allowQueryToken } from '../middleware/index.js'
 
 import profileRoutes from './profile.js'
 import roomsRoutes from './rooms.js'
 import attendanceRoutes from './attendance.js'
-import invitesRoutes from './invites.js'
+import invitesRoutes, { publicRouter as publicInvitesRoutes } from './invites.js'
 import rulesRoutes from './rules.js'
 import analyticsRoutes from './analytics.js'
 import galleryRoutes from './gallery.js'
@@ -20,6 +20,8 @@ import challengesRoutes from './challenges.js'
 import notificationsRoutes from './notifications.js'
 import feedRoutes from './feed.js'
 import remindersRoutes from './reminders.js'
+import streamRoutes from './stream.js'
+import webhooksRoutes from './webhooks.js'
 
 const router = Router()
 
@@ -31,6 +33,9 @@ router.get('/health', (req, res) => {
   })
 })
 
+// Invite code lookup (public, the caller is attached when a token is sent)
+router.use('/invites', publicInvitesRoutes)
+
 // All routes below require authentication
 router.use('/profile', authenticate, profileRoutes)
 router.use('/rooms', authenticate, roomsRoutes)
@@ -46,5 +51,7 @@ router.use('/challenges', authenticate, challengesRoutes)
 router.use('/notifications', authenticate, notificationsRoutes)
 router.use('/feed', authenticate, feedRoutes)
 router.use('/reminders', authenticate, remindersRoutes)
+router.use('/webhooks', authenticate, webhooksRoutes)
+router.use('/stream', allowQueryToken, authenticate, streamRoutes)
 
 export default router
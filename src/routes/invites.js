@@ -1,27 +1,49 @@
 /**
  * Invites Routes
  * /api/invites
+ *
+ * The code lookup is on its own router (publicRouter), mounted ahead of the
+ * auth guard so it works without a token; everything else requires one.
  */
 
 import { Router } from 'express'
 import { invitesService } from '../services/index.js'
-import { optionalAuth, authLimiter, validateInviteCode } from '../middleware/index.js'
+import {
+  optionalAuth,
+  authLimiter,
+  sensitiveLimiter,
+  validateInviteCode,
+  validateInviteEmail,
+  validateInviteCreate,
+  validateInviteRegenerate,
+  validateInviteQr,
+  requireRoomRole
+} from '../middleware/index.js'
+import { ROOM_ROLES } from '../policies/index.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+
+/**
+ * Invite limits from a request body (see validateInviteCreate)
+ */
+function inviteLimits(body) {
+  const { expires_at, max_uses, target_email, target_user_id } = body
+  return { expires_at, max_uses, target_email, target_user_id }
+}
 
 const router = Router()
+export const publicRouter = Router()
 
 /**
  * GET /api/invites/code/:code
- * Get invite by code (public - for accepting invites)
+ * Look up a code before accepting it (public): whether it still works, and
+ * the room's name only while it does (and is meant for the caller)
  */
-router.get('/code/:code', optionalAuth, async (req, res, next) => {
+publicRouter.get('/code/:code', optionalAuth, async (req, res, next) => {
   try {
-    const invite = await invitesService.getInviteByCode(req.params.code)
+    const invite = await invitesService.getPublicInvite(req.params.code, req.user)
     
     if (!invite) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Invalid invite code'
-      })
+      throw new NotFoundError('Invalid invite code', { code: 'INVITE_NOT_FOUND' })
     }
     
     res.json(invite)
@@ -34,7 +56,7 @@ router.get('/code/:code', optionalAuth, async (req, res, next) => {
  * GET /api/invites/room/:roomId
  * Get all invites for a room
  */
-router.get('/room/:roomId', async (req, res, next) => {
+router.get('/room/:roomId', requireRoomRole(ROOM_ROLES.OWNER), async (req, res, next) => {
   try {
     const invites = await invitesService.getRoomInvites(req.params.roomId)
     res.json(invites)
@@ -43,22 +65,34 @@ router.get('/room/:roomId', async (req, res, next) => {
   }
 })
 
+/**
+ * POST /api/invites/room/:roomId/regenerate
+ * Replace the room's code (rooms.room_code) with a new one; the old code stops working
+ * Body: { role?, expires_at?, max_uses?, target_email?, target_user_id? }
+ */
+router.post('/room/:roomId/regenerate', validateInviteRegenerate, requireRoomRole(ROOM_ROLES.OWNER), async (req, res, next) => {
+  try {
+    const result = await invitesService.regenerateRoomCode(req.params.roomId, req.user.id, {
+      role: req.body.role,
+      ...inviteLimits(req.body)
+    })
+    res.status(201).json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * POST /api/invites
  * Create a new invite for a room
+ * Body: { room_id, role?, expires_at?, max_uses?, target_email?, target_user_id? }
+ * role is 'admin' (default, single use) or 'member' (reusable, for group rooms)
  */
-router.post('/', async (req, res, next) => {
+router.post('/', validateInviteCreate, async (req, res, next) => {
   try {
-    const { room_id } = req.body
-    
-    if (!room_id) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id is required'
-      })
-    }
+    const { room_id, role = ROOM_ROLES.ADMIN } = req.body
     
-    const invite = await invitesService.createInvite(room_id, req.user.id)
+    const invite = await invitesService.createInvite(room_id, req.user.id, undefined, role, inviteLimits(req.body))
     res.status(201).json(invite)
   } catch (error) {
     next(error)
@@ -67,17 +101,14 @@ router.post('/', async (req, res, next) => {
 
 /**
  * POST /api/invites/accept
- * Accept an invite (become admin for a room)
+ * Accept an invite: join the room as admin or member, per the invite's role
  */
 router.post('/accept', authLimiter, validateInviteCode, async (req, res, next) => {
   try {
     const { invite_code } = req.body
     
     if (!invite_code) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'invite_code is required'
-      })
+      throw new ValidationError('invite_code is required')
     }
     
     const result = await invitesService.acceptInvite(invite_code, req.user.id)
@@ -100,4 +131,39 @@ router.post('/:inviteId/revoke', async (req, res, next) => {
   }
 })
 
+/**
+ * GET /api/invites/:inviteId/qr
+ * QR code of an active invite's deep link (owner)
+ * Query: format=png|svg (default png), size=128-1024 (pixels, default 512)
+ */
+router.get('/:inviteId/qr', validateInviteQr, async (req, res, next) => {
+  try {
+    const { format, size } = req.query
+    const qr = await invitesService.getInviteQr(req.params.inviteId, req.user.id, { format, size })
+    
+    res.set({
+      'Content-Type': qr.contentType,
+      'Content-Disposition': `inline; filename="${qr.code}.${format || 'png'}"`,
+      'Cache-Control': 'no-store'
+    })
+    res.send(qr.image)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/invites/:inviteId/email
+ * Email a pending invite to someone
+ * Body: { email }
+ */
+router.post('/:inviteId/email', sensitiveLimiter, validateInviteEmail, async (req, res, next) => {
+  try {
+    const result = await invitesService.emailInvite(req.params.inviteId, req.user.id, req.body.email)
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
@@ -5,6 +5,8 @@
 
 import { Router } from 'express'
 import { leaderboardService } from '../services/leaderboardService.js'
+import { requireRoomRole } from '../middleware/index.js'
+import { ANY_ROOM_ROLE } from '../policies/index.js'
 
 const router = Router()
 
@@ -25,9 +27,9 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/leaderboard/room/:roomId
- * Get leaderboard for a specific room
+ * Get leaderboard for a specific room (its members only)
  */
-router.get('/room/:roomId', async (req, res, next) => {
+router.get('/room/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const data = await leaderboardService.getForRoom(req.params.roomId)
     res.json(data)
@@ -5,8 +5,13 @@
 
 import { Router } from 'express'
 import { notificationsService } from '../services/notificationsService.js'
+import { digestService } from '../services/digestService.js'
 import { VAPID_PUBLIC_KEY, pushEnabled } from '../config/webpush.js'
 import { pushService } from '../services/pushService.js'
+import { emailService } from '../services/emailService.js'
+import { emailEnabled } from '../config/email.js'
+import { NotFoundError, BadGatewayError, ServiceUnavailableError } from '../utils/errors.js'
+import { validateUUID, validate, validateDeviceUpdate, validatePushTest, validatePushUnsubscribe, validateNotificationPreferences } from '../middleware/index.js'
 
 const router = Router()
 
@@ -51,6 +56,20 @@ router.get('/unread-count', async (req, res, next) => {
   }
 })
 
+/**
+ * GET /api/notifications/digest/latest
+ * Latest weekly digest for current user
+ * Query: ?audience=admin for the admin digest
+ */
+router.get('/digest/latest', async (req, res, next) => {
+  try {
+    const data = await digestService.getLatest(req.user.id, req.query.audience)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * POST /api/notifications/:id/read
  * Mark a notification as read
@@ -93,8 +112,10 @@ router.get('/preferences', async (req, res, next) => {
 /**
  * PUT /api/notifications/preferences
  * Update notification preferences
+ * Body: any of the preference flags (booleans), quiet_hours_start/end (HH:MM or null),
+ * channels ({ push: { flag: bool }, email: { flag: bool } })
  */
-router.put('/preferences', async (req, res, next) => {
+router.put('/preferences', validateNotificationPreferences, async (req, res, next) => {
   try {
     const data = await notificationsService.updatePreferences(req.user.id, req.body)
     res.json(data)
@@ -119,8 +140,9 @@ router.post('/push/subscribe', async (req, res, next) => {
 /**
  * DELETE /api/notifications/push/subscribe
  * Remove push subscription
+ * Body: { endpoint }
  */
-router.delete('/push/subscribe', async (req, res, next) => {
+router.delete('/push/subscribe', validatePushUnsubscribe, async (req, res, next) => {
   try {
     await notificationsService.removePushSubscription(req.user.id, req.body.endpoint)
     res.json({ success: true })
@@ -132,13 +154,24 @@ router.delete('/push/subscribe', async (req, res, next) => {
 /**
  * POST /api/notifications/push/test
  * Send a test push notification to the current user
+ * Body: { deviceId? } - only this device
  */
-router.post('/push/test', async (req, res, next) => {
+router.post('/push/test', validatePushTest, async (req, res, next) => {
   try {
     if (!pushEnabled) {
       return res.status(503).json({ error: 'Push notifications not configured on server' })
     }
 
+    const { deviceId } = req.body
+    if (deviceId) {
+      const device = await notificationsService.getDevice(req.user.id, deviceId)
+      if (!device.active) {
+        throw new NotFoundError('This device is no longer subscribed. Re-enable push notifications on it first.', {
+          code: 'DEVICE_INACTIVE'
+        })
+      }
+    }
+
     const result = await pushService.sendToUser(req.user.id, {
       type: 'test',
       title: '🔔 Daylock Test Notification',
@@ -147,15 +180,95 @@ router.post('/push/test', async (req, res, next) => {
       tag: 'test-push',
       icon: '/Assets/daylock_logo.png',
       badge: '/favicon.svg'
-    })
+    }, { subscriptionId: deviceId })
 
-    if (result.sent === 0) {
-      return res.status(404).json({
-        error: 'No active push subscriptions found. Please enable push notifications first.'
+    if (result.sent + result.failed + result.queued === 0) {
+      throw new NotFoundError('No active push subscriptions found. Please enable push notifications first.', {
+        code: 'NO_PUSH_SUBSCRIPTIONS'
       })
     }
 
-    res.json({ success: true, sent: result.sent })
+    res.json({ success: result.sent > 0, ...result })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/notifications/push/stats
+ * Push delivery stats for the current user: per-device health and queue outcomes
+ * Query: days (default 7, max 90)
+ */
+router.get('/push/stats', async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90)
+    const data = await pushService.getStats(req.user.id, { days })
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/notifications/devices
+ * The current user's push devices
+ */
+router.get('/devices', async (req, res, next) => {
+  try {
+    const data = await notificationsService.getDevices(req.user.id)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * PUT /api/notifications/devices/:deviceId
+ * Rename a device or set the notification types it mutes
+ * Body: { name?, muted_types? } - muted_types are preference flags, e.g. ["room_opening", "room_closing"]
+ */
+router.put('/devices/:deviceId', validateDeviceUpdate, async (req, res, next) => {
+  try {
+    const data = await notificationsService.updateDevice(req.user.id, req.params.deviceId, req.body)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * DELETE /api/notifications/devices/:deviceId
+ * Revoke a device; it gets no more pushes until it subscribes again
+ */
+router.delete('/devices/:deviceId', validateUUID('deviceId', 'param'), validate, async (req, res, next) => {
+  try {
+    await notificationsService.revokeDevice(req.user.id, req.params.deviceId)
+    res.json({ success: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/notifications/email/test
+ * Send a test email to the current user's profile address
+ */
+router.post('/email/test', async (req, res, next) => {
+  try {
+    if (!emailEnabled) {
+      throw new ServiceUnavailableError('Email notifications not configured on server', { code: 'EMAIL_DISABLED' })
+    }
+
+    const result = await emailService.sendTest(req.user.id)
+
+    if (result.status === 'no_address') {
+      throw new NotFoundError('Your profile has no email address', { code: 'NO_EMAIL_ADDRESS' })
+    }
+    if (result.status !== 'sent') {
+      throw new BadGatewayError('Failed to send test email', { code: 'EMAIL_SEND_FAILED' })
+    }
+
+    res.json({ success: true })
   } catch (error) {
     next(error)
   }
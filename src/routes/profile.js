@@ -5,6 +5,7 @@
 
 import { Router } from 'express'
 import { profileService } from '../services/index.js'
+import { validate, validateTimezone, validateProfileUpdate } from '../middleware/index.js'
 
 const router = Router()
 
@@ -25,13 +26,14 @@ router.get('/', async (req, res, next) => {
  * PUT /api/profile
  * Update current user's profile
  */
-router.put('/', async (req, res, next) => {
+router.put('/', validateProfileUpdate, async (req, res, next) => {
   try {
-    const { name, avatar_url, settings } = req.body
+    const { name, avatar_url, settings, timezone } = req.body
     const profile = await profileService.updateProfile(req.user.id, {
       name,
       avatar_url,
-      settings
+      settings,
+      timezone
     })
     res.json(profile)
   } catch (error) {
@@ -43,13 +45,14 @@ router.put('/', async (req, res, next) => {
  * POST /api/profile/ensure
  * Ensure profile exists (create if not)
  */
-router.post('/ensure', async (req, res, next) => {
+router.post('/ensure', validateTimezone(), validate, async (req, res, next) => {
   try {
-    const { email, name, avatar_url } = req.body
+    const { email, name, avatar_url, timezone } = req.body
     const profile = await profileService.ensureProfile(req.user.id, {
       email: email || req.user.email,
       name,
-      avatar_url
+      avatar_url,
+      timezone
     })
     res.json(profile)
   } catch (error) {
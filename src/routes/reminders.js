@@ -21,6 +21,21 @@ router.get('/', async (req, res, next) => {
   }
 })
 
+/**
+ * GET /api/reminders/deliveries
+ * Recent reminder deliveries for current user (sent, failed, skipped)
+ * Query: ?roomId=&status=&limit=50
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const { roomId, status, limit = 50 } = req.query
+    const data = await remindersService.getDeliveries(req.user.id, { roomId, status, limit: parseInt(limit) })
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * GET /api/reminders/room/:roomId
  * Get reminders for a specific room
@@ -5,13 +5,15 @@
 
 import { Router } from 'express'
 import { roomsService } from '../services/index.js'
-import { validateRoomCreation, validateRoomUpdate, validateUUID } from '../middleware/index.js'
+import { validateRoomCreation, validateRoomUpdate, validateUUID, validateAdminPermissions, validateDepartureReason, requireRoomRole } from '../middleware/index.js'
+import { ROOM_ROLES, ANY_ROOM_ROLE } from '../policies/index.js'
+import { ValidationError } from '../utils/errors.js'
 
 const router = Router()
 
 /**
  * GET /api/rooms
- * Get all rooms for current user
+ * Get all rooms the current user attends (owned and joined)
  */
 router.get('/', async (req, res, next) => {
   try {
@@ -42,7 +44,7 @@ router.get('/admin', async (req, res, next) => {
  * GET /api/rooms/:roomId
  * Get single room by ID
  */
-router.get('/:roomId', async (req, res, next) => {
+router.get('/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const room = await roomsService.getRoom(req.params.roomId)
     res.json(room)
@@ -55,7 +57,7 @@ router.get('/:roomId', async (req, res, next) => {
  * GET /api/rooms/:roomId/stats
  * Get room with stats
  */
-router.get('/:roomId/stats', async (req, res, next) => {
+router.get('/:roomId/stats', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const room = await roomsService.getRoomWithStats(req.params.roomId, req.user.id)
     res.json(room)
@@ -64,6 +66,103 @@ router.get('/:roomId/stats', async (req, res, next) => {
   }
 })
 
+/**
+ * GET /api/rooms/:roomId/members
+ * Everyone in the room with their role (owner, admin, member)
+ */
+router.get('/:roomId/members', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
+  try {
+    const members = await roomsService.getRoomMembers(req.params.roomId)
+    res.json(members)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * DELETE /api/rooms/:roomId/members/:userId
+ * Remove someone from the room (owner: admins and members; admin: members)
+ */
+router.delete('/:roomId/members/:userId', validateUUID('userId', 'param'), validateDepartureReason, requireRoomRole([ROOM_ROLES.OWNER, ROOM_ROLES.ADMIN]), async (req, res, next) => {
+  try {
+    const result = await roomsService.removeMember(req.params.roomId, req.user.id, req.params.userId, { reason: req.body?.reason })
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/rooms/:roomId/admins
+ * The room's admins with their permissions
+ */
+router.get('/:roomId/admins', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
+  try {
+    const admins = await roomsService.getAdmins(req.params.roomId)
+    res.json(admins)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * PUT /api/rooms/:roomId/admins/:adminId
+ * Replace an admin's permissions (owner)
+ * Body: { permissions: ['review_proofs', 'edit_rules', 'edit_schedule', 'issue_consequences', 'manage_webhooks'] }
+ */
+router.put('/:roomId/admins/:adminId', validateAdminPermissions, requireRoomRole(ROOM_ROLES.OWNER), async (req, res, next) => {
+  try {
+    const admin = await roomsService.updateAdminPermissions(req.params.roomId, req.user.id, req.params.adminId, req.body.permissions)
+    res.json(admin)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/rooms/:roomId/admins/:adminId/remove
+ * DELETE /api/rooms/:roomId/admins/:adminId
+ * Remove an admin from the room (owner)
+ * Body: { reason } (optional; shown to the admin and kept in the audit log)
+ */
+const removeAdmin = async (req, res, next) => {
+  try {
+    const result = await roomsService.removeAdmin(req.params.roomId, req.user.id, req.params.adminId, { reason: req.body?.reason })
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+}
+router.post('/:roomId/admins/:adminId/remove', validateUUID('adminId', 'param'), validateDepartureReason, requireRoomRole(ROOM_ROLES.OWNER), removeAdmin)
+router.delete('/:roomId/admins/:adminId', validateUUID('adminId', 'param'), validateDepartureReason, requireRoomRole(ROOM_ROLES.OWNER), removeAdmin)
+
+/**
+ * POST /api/rooms/:roomId/leave
+ * Leave a room as an admin or member (the owner deletes the room instead)
+ * Body: { reason } (optional; shown to the owner and kept in the audit log)
+ */
+router.post('/:roomId/leave', validateDepartureReason, async (req, res, next) => {
+  try {
+    const result = await roomsService.leaveRoom(req.params.roomId, req.user.id, { reason: req.body?.reason })
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/rooms/:roomId/audit
+ * Who left or was removed from the room, by whom and why (owner, admin)
+ */
+router.get('/:roomId/audit', requireRoomRole([ROOM_ROLES.OWNER, ROOM_ROLES.ADMIN]), async (req, res, next) => {
+  try {
+    const events = await roomsService.getMemberEvents(req.params.roomId, { limit: Math.min(parseInt(req.query.limit) || 50, 200) })
+    res.json(events)
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * POST /api/rooms
  * Create a new room (name + description + emoji)
@@ -71,19 +170,17 @@ router.get('/:roomId/stats', async (req, res, next) => {
  */
 router.post('/', validateRoomCreation, async (req, res, next) => {
   try {
-    const { name, emoji, description } = req.body
+    const { name, emoji, description, timezone } = req.body
     
     if (!name || !name.trim()) {
-      return res.status(400).json({ 
-        error: 'Bad Request',
-        message: 'Room name is required' 
-      })
+      throw new ValidationError('Room name is required')
     }
     
     const room = await roomsService.createRoom(req.user.id, {
       name: name.trim(),
       emoji,
-      description
+      description,
+      timezone
     })
     res.status(201).json(room)
   } catch (error) {
@@ -97,13 +194,14 @@ router.post('/', validateRoomCreation, async (req, res, next) => {
  */
 router.put('/:roomId', validateRoomUpdate, async (req, res, next) => {
   try {
-    const { name, emoji, description, time_start, time_end } = req.body
+    const { name, emoji, description, time_start, time_end, timezone } = req.body
     const room = await roomsService.updateRoom(req.params.roomId, req.user.id, {
       name,
       emoji,
       description,
       time_start,
-      time_end
+      time_end,
+      timezone
     })
     res.json(room)
   } catch (error) {
@@ -113,14 +211,16 @@ router.put('/:roomId', validateRoomUpdate, async (req, res, next) => {
 
 /**
  * PUT /api/rooms/:roomId/admin-update
- * Admin update a room (time window, toggles, description)
+ * Admin update a room (schedule, time window, timezone, toggles, description)
  */
-router.put('/:roomId/admin-update', async (req, res, next) => {
+router.put('/:roomId/admin-update', validateRoomUpdate, async (req, res, next) => {
   try {
-    const { time_start, time_end, is_paused, allow_late_upload, description } = req.body
+    const { schedule, time_start, time_end, timezone, is_paused, allow_late_upload, description } = req.body
     const room = await roomsService.adminUpdateRoom(req.params.roomId, req.user.id, {
+      schedule,
       time_start,
       time_end,
+      timezone,
       is_paused,
       allow_late_upload,
       description
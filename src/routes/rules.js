@@ -5,6 +5,9 @@
 
 import { Router } from 'express'
 import { rulesService } from '../services/index.js'
+import { requireRoomRole } from '../middleware/index.js'
+import { ANY_ROOM_ROLE } from '../policies/index.js'
+import { ValidationError } from '../utils/errors.js'
 
 const router = Router()
 
@@ -12,7 +15,7 @@ const router = Router()
  * GET /api/rules/room/:roomId
  * Get rules for a room
  */
-router.get('/room/:roomId', async (req, res, next) => {
+router.get('/room/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
     const rules = await rulesService.getRoomRules(req.params.roomId)
     res.json(rules)
@@ -30,10 +33,7 @@ router.post('/', async (req, res, next) => {
     const { room_id, text, group_title, group_sort } = req.body
     
     if (!room_id || !text) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id and text are required'
-      })
+      throw new ValidationError('room_id and text are required')
     }
     
     const rule = await rulesService.addRule(room_id, text, req.user.id, group_title || null, group_sort || 0)
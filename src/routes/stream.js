@@ -0,0 +1,89 @@
+/**
+ * Live Stream Routes
+ * /api/stream
+ *
+ * Server-Sent Events for the current user:
+ * - notification     a new in-app notification
+ * - attendance       an attendance record changed (own, or in a room they administer)
+ * - pending_proof    a proof is waiting for their review (admins)
+ * - feed             a new activity feed event in one of their rooms
+ *
+ * Reconnecting clients send `Last-Event-ID` (EventSource does this itself) and
+ * get the events they missed. When those can't be replayed (server restart,
+ * too long away) a `resync` event tells the client to refetch instead.
+ *
+ * The stream ends when the access token it was opened with expires: a
+ * `token_expired` event is sent and the connection closed, so the client
+ * reconnects with a fresh token.
+ */
+
+import { Router } from 'express'
+import { eventBus } from '../services/eventBus.js'
+
+const router = Router()
+
+// Comment line sent between events so proxies keep the connection open
+const HEARTBEAT_MS = 25 * 1000
+
+// Reconnect delay suggested to the client
+const RETRY_MS = 5000
+
+// Longest delay setTimeout accepts; longer ones fire immediately
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
+
+function writeEvent(res, { id, type, data }) {
+  if (id) res.write(`id: ${id}\n`)
+  res.write(`event: ${type}\n`)
+  res.write(`data: ${JSON.stringify(data ?? {})}\n\n`)
+}
+
+/**
+ * GET /api/stream
+ * Open the event stream (`?access_token=` is accepted for EventSource)
+ */
+router.get('/', (req, res) => {
+  const userId = req.user.id
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId
+  if (lastEventId) {
+    const { events, complete } = eventBus.replay(userId, lastEventId)
+    if (!complete) writeEvent(res, { type: 'resync', data: { reason: 'events_unavailable' } })
+    events.forEach(event => writeEvent(res, event))
+  }
+
+  // Replay and subscribe run in the same tick, so no event falls in between
+  const unsubscribe = eventBus.subscribe(userId, event => writeEvent(res, event))
+  writeEvent(res, { type: 'ready', data: { userId } })
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS)
+  let expiry = null
+
+  const stop = () => {
+    clearInterval(heartbeat)
+    clearTimeout(expiry)
+    unsubscribe()
+  }
+
+  // End the stream along with the token it was opened with
+  if (req.user.exp) {
+    const expiresIn = Math.max(0, req.user.exp * 1000 - Date.now())
+    expiry = setTimeout(() => {
+      stop()
+      writeEvent(res, { type: 'token_expired', data: {} })
+      res.end()
+    }, Math.min(expiresIn, MAX_TIMEOUT_MS))
+  }
+
+  req.on('close', stop)
+})
+
+export default router
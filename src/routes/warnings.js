@@ -5,9 +5,19 @@
 
 import { Router } from 'express'
 import { warningsService } from '../services/index.js'
+import { requireRoomRole, requireRoomPermission, roomIdFromRecord } from '../middleware/index.js'
+import { ROOM_ROLES, ATTENDEE_ROLES, ANY_ROOM_ROLE, ADMIN_PERMISSIONS } from '../policies/index.js'
+import { ValidationError } from '../utils/errors.js'
 
 const router = Router()
 
+const warningRoom = roomIdFromRecord('warnings', 'warningId')
+const consequenceRoom = roomIdFromRecord('consequences', 'consequenceId')
+const canIssue = (resolveRoomId) => requireRoomPermission(ADMIN_PERMISSIONS.ISSUE_CONSEQUENCES, resolveRoomId)
+
+// Members only see their own warnings and consequences
+const ownOnly = (req) => req.room.role === ROOM_ROLES.MEMBER ? { userId: req.user.id } : {}
+
 /**
  * GET /api/warnings
  * Get all active warnings for admin's rooms
@@ -23,11 +33,11 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/warnings/room/:roomId
- * Get warnings for a specific room
+ * Get warnings for a specific room (members only see their own)
  */
-router.get('/room/:roomId', async (req, res, next) => {
+router.get('/room/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
-    const warnings = await warningsService.getWarnings(req.params.roomId)
+    const warnings = await warningsService.getWarnings(req.params.roomId, ownOnly(req))
     res.json(warnings)
   } catch (error) {
     next(error)
@@ -38,15 +48,12 @@ router.get('/room/:roomId', async (req, res, next) => {
  * POST /api/warnings
  * Create a manual warning
  */
-router.post('/', async (req, res, next) => {
+router.post('/', canIssue(), async (req, res, next) => {
   try {
     const { room_id, user_id, severity, message } = req.body
     
     if (!room_id || !user_id || !message) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id, user_id, and message are required'
-      })
+      throw new ValidationError('room_id, user_id, and message are required')
     }
     
     const warning = await warningsService.createWarning({
@@ -66,15 +73,12 @@ router.post('/', async (req, res, next) => {
  * POST /api/warnings/auto
  * Create auto-detected warning (deduplicates)
  */
-router.post('/auto', async (req, res, next) => {
+router.post('/auto', canIssue(), async (req, res, next) => {
   try {
     const { room_id, user_id, trigger_reason, severity, message } = req.body
     
     if (!room_id || !user_id || !trigger_reason || !message) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id, user_id, trigger_reason, and message are required'
-      })
+      throw new ValidationError('room_id, user_id, trigger_reason, and message are required')
     }
     
     const warning = await warningsService.createAutoWarning({
@@ -93,11 +97,11 @@ router.post('/auto', async (req, res, next) => {
 
 /**
  * POST /api/warnings/:warningId/acknowledge
- * Acknowledge a warning (user action)
+ * Acknowledge a warning (user action, the warned user only)
  */
-router.post('/:warningId/acknowledge', async (req, res, next) => {
+router.post('/:warningId/acknowledge', requireRoomRole(ATTENDEE_ROLES, warningRoom), async (req, res, next) => {
   try {
-    const warning = await warningsService.acknowledgeWarning(req.params.warningId)
+    const warning = await warningsService.acknowledgeWarning(req.params.warningId, req.user.id)
     res.json(warning)
   } catch (error) {
     next(error)
@@ -108,7 +112,7 @@ router.post('/:warningId/acknowledge', async (req, res, next) => {
  * POST /api/warnings/:warningId/dismiss
  * Dismiss a warning (admin action)
  */
-router.post('/:warningId/dismiss', async (req, res, next) => {
+router.post('/:warningId/dismiss', canIssue(warningRoom), async (req, res, next) => {
   try {
     const warning = await warningsService.dismissWarning(req.params.warningId)
     res.json(warning)
@@ -121,11 +125,11 @@ router.post('/:warningId/dismiss', async (req, res, next) => {
 
 /**
  * GET /api/warnings/consequences/room/:roomId
- * Get consequences for a room
+ * Get consequences for a room (members only see their own)
  */
-router.get('/consequences/room/:roomId', async (req, res, next) => {
+router.get('/consequences/room/:roomId', requireRoomRole(ANY_ROOM_ROLE), async (req, res, next) => {
   try {
-    const consequences = await warningsService.getConsequences(req.params.roomId)
+    const consequences = await warningsService.getConsequences(req.params.roomId, ownOnly(req))
     res.json(consequences)
   } catch (error) {
     next(error)
@@ -136,15 +140,12 @@ router.get('/consequences/room/:roomId', async (req, res, next) => {
  * POST /api/warnings/consequences
  * Issue a consequence
  */
-router.post('/consequences', async (req, res, next) => {
+router.post('/consequences', canIssue(), async (req, res, next) => {
   try {
     const { room_id, user_id, level, reason, notes, expires_at } = req.body
     
     if (!room_id || !user_id || !reason) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'room_id, user_id, and reason are required'
-      })
+      throw new ValidationError('room_id, user_id, and reason are required')
     }
     
     const consequence = await warningsService.issueConsequence({
@@ -166,7 +167,7 @@ router.post('/consequences', async (req, res, next) => {
  * POST /api/warnings/consequences/:consequenceId/resolve
  * Resolve a consequence
  */
-router.post('/consequences/:consequenceId/resolve', async (req, res, next) => {
+router.post('/consequences/:consequenceId/resolve', canIssue(consequenceRoom), async (req, res, next) => {
   try {
     const consequence = await warningsService.resolveConsequence(req.params.consequenceId)
     res.json(consequence)
@@ -0,0 +1,172 @@
+/**
+ * Webhooks Routes
+ * /api/webhooks
+ *
+ * Room owners, and admins with the manage_webhooks permission, manage a
+ * room's outbound webhooks and their delivery log.
+ */
+
+import { Router } from 'express'
+import { webhookService } from '../services/index.js'
+import {
+  requireRoomPermission,
+  roomIdFromRecord,
+  validate,
+  validateUUID,
+  validateWebhookCreate,
+  validateWebhookUpdate
+} from '../middleware/index.js'
+import { ADMIN_PERMISSIONS, WEBHOOK_EVENTS } from '../policies/index.js'
+
+const router = Router()
+
+const canManage = (resolveRoomId) => requireRoomPermission(ADMIN_PERMISSIONS.MANAGE_WEBHOOKS, resolveRoomId)
+
+// Resolve the room from :webhookId, then require manage_webhooks
+const webhookAccess = [
+  validateUUID('webhookId', 'param'),
+  validate,
+  canManage(roomIdFromRecord('webhooks', 'webhookId'))
+]
+
+/**
+ * GET /api/webhooks/events
+ * Events a webhook can subscribe to ('*' subscribes to all)
+ */
+router.get('/events', (req, res) => {
+  res.json(WEBHOOK_EVENTS)
+})
+
+/**
+ * GET /api/webhooks/room/:roomId
+ * Webhooks registered on a room (without secrets)
+ */
+router.get('/room/:roomId', canManage(), async (req, res, next) => {
+  try {
+    const data = await webhookService.getForRoom(req.params.roomId)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/webhooks
+ * Register a webhook; the response includes the signing secret (shown once)
+ * Body: { room_id, url, events: ['attendance.submitted', ...], description? }
+ */
+router.post('/', validateWebhookCreate, canManage(), async (req, res, next) => {
+  try {
+    const { room_id, url, events, description } = req.body
+    const data = await webhookService.create(room_id, req.user.id, { url, events, description })
+    res.status(201).json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/webhooks/:webhookId
+ */
+router.get('/:webhookId', webhookAccess, async (req, res, next) => {
+  try {
+    const data = await webhookService.getById(req.params.webhookId)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * PUT /api/webhooks/:webhookId
+ * Body: { url?, events?, description?, is_active? }
+ */
+router.put('/:webhookId', validateWebhookUpdate, webhookAccess, async (req, res, next) => {
+  try {
+    const { url, events, description, is_active } = req.body
+    const data = await webhookService.update(req.params.webhookId, { url, events, description, is_active })
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ */
+router.delete('/:webhookId', webhookAccess, async (req, res, next) => {
+  try {
+    await webhookService.remove(req.params.webhookId)
+    res.json({ success: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/webhooks/:webhookId/rotate-secret
+ * Replace the signing secret; the response includes the new secret
+ */
+router.post('/:webhookId/rotate-secret', webhookAccess, async (req, res, next) => {
+  try {
+    const data = await webhookService.rotateSecret(req.params.webhookId)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/webhooks/:webhookId/ping
+ * Send a `ping` event now and return the delivery
+ */
+router.post('/:webhookId/ping', webhookAccess, async (req, res, next) => {
+  try {
+    const data = await webhookService.ping(req.params.webhookId)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries
+ * Delivery log, newest first
+ * Query: ?status=&event=&limit=50
+ */
+router.get('/:webhookId/deliveries', webhookAccess, async (req, res, next) => {
+  try {
+    const { status, event, limit = 50 } = req.query
+    const data = await webhookService.getDeliveries(req.params.webhookId, { status, event, limit: parseInt(limit) })
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries/:deliveryId
+ */
+router.get('/:webhookId/deliveries/:deliveryId', validateUUID('deliveryId', 'param'), webhookAccess, async (req, res, next) => {
+  try {
+    const data = await webhookService.getDelivery(req.params.webhookId, req.params.deliveryId)
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Send a past delivery's payload again and return the new delivery
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', validateUUID('deliveryId', 'param'), webhookAccess, async (req, res, next) => {
+  try {
+    const data = await webhookService.redeliver(req.params.webhookId, req.params.deliveryId)
+    res.status(201).json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
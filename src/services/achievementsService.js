@@ -3,58 +3,56 @@
  * Phase 3: Server-side achievement tracking and auto-unlock
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import {
+  achievementsRepository,
+  userAchievementsRepository,
+  activityFeedRepository,
+  attendanceRepository,
+  profilesRepository,
+  roomsRepository
+} from '../repositories/index.js'
+import { profileService } from './profileService.js'
+import { streakService } from './streakService.js'
+import { todayIn } from '../utils/dates.js'
+
+const WITH_ACHIEVEMENT = { include: { achievement: [] } }
 
 export const achievementsService = {
   /**
    * Get all achievement definitions
    */
   async getAll() {
-    const { data, error } = await supabaseAdmin
-      .from('achievements')
-      .select('*')
-      .order('sort_order')
-    if (error) throw error
-    return data || []
+    return achievementsRepository.find({}, { order: { column: 'sort_order' } })
   },
 
   /**
    * Get user's earned achievements
    */
   async getUserAchievements(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('user_achievements')
-      .select('*, achievement:achievements(*)')
-      .eq('user_id', userId)
-      .order('earned_at', { ascending: false })
-    if (error) throw error
-    return data || []
+    return userAchievementsRepository.find({ user_id: userId }, {
+      ...WITH_ACHIEVEMENT,
+      order: { column: 'earned_at', ascending: false }
+    })
   },
 
   /**
    * Get unnotified achievements for toast display
    */
   async getUnnotified(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('user_achievements')
-      .select('*, achievement:achievements(*)')
-      .eq('user_id', userId)
-      .eq('notified', false)
-      .order('earned_at', { ascending: false })
-    if (error) throw error
-    return data || []
+    return userAchievementsRepository.find({ user_id: userId, notified: false }, {
+      ...WITH_ACHIEVEMENT,
+      order: { column: 'earned_at', ascending: false }
+    })
   },
 
   /**
    * Mark achievements as notified
    */
   async markNotified(userId, achievementIds) {
-    const { error } = await supabaseAdmin
-      .from('user_achievements')
-      .update({ notified: true })
-      .eq('user_id', userId)
-      .in('achievement_id', achievementIds)
-    if (error) throw error
+    await userAchievementsRepository.update(
+      { user_id: userId, achievement_id: achievementIds },
+      { notified: true }
+    )
   },
 
   /**
@@ -62,52 +60,44 @@ export const achievementsService = {
    */
   async award(userId, achievementId, metadata = {}) {
     // Check if already earned
-    const { data: existing } = await supabaseAdmin
-      .from('user_achievements')
-      .select('id')
-      .eq('user_id', userId)
-      .eq('achievement_id', achievementId)
-      .single()
-
-    if (existing) return null // already earned
-
-    const { data, error } = await supabaseAdmin
-      .from('user_achievements')
-      .insert({ user_id: userId, achievement_id: achievementId, metadata })
-      .select('*, achievement:achievements(*)')
-      .single()
-    if (error) throw error
+    if (await userAchievementsRepository.exists({ user_id: userId, achievement_id: achievementId })) {
+      return null
+    }
+
+    let data
+    try {
+      data = await userAchievementsRepository.insert({
+        user_id: userId,
+        achievement_id: achievementId,
+        metadata,
+        earned_at: new Date().toISOString()
+      }, WITH_ACHIEVEMENT)
+    } catch (error) {
+      // Another request awarded it first
+      if (error.code === '23505') return null
+      throw error
+    }
 
     // Add XP to profile
-    const { data: achievement } = await supabaseAdmin
-      .from('achievements')
-      .select('xp_reward')
-      .eq('id', achievementId)
-      .single()
-
-    if (achievement?.xp_reward) {
-      await supabaseAdmin.rpc('increment_discipline_points', {
-        p_user_id: userId,
-        p_points: achievement.xp_reward
-      }).catch(() => {
-        // Fallback: direct update if RPC doesn't exist
-        return supabaseAdmin
-          .from('profiles')
-          .update({ total_discipline_points: supabaseAdmin.raw(`COALESCE(total_discipline_points, 0) + ${achievement.xp_reward}`) })
-          .eq('id', userId)
-      })
+    const xpReward = data.achievement?.xp_reward
+    if (xpReward) {
+      await profilesRepository.addDisciplinePoints(userId, xpReward)
     }
 
     // Add to activity feed
-    if (data?.achievement) {
-      await supabaseAdmin.from('activity_feed').insert({
-        user_id: userId,
-        event_type: 'achievement_earned',
-        title: `Earned: ${data.achievement.name}`,
-        description: data.achievement.description,
-        metadata: { achievement_id: achievementId, icon: data.achievement.icon },
-        visibility: 'public'
-      }).catch(() => {})
+    if (data.achievement) {
+      try {
+        await activityFeedRepository.insert({
+          user_id: userId,
+          event_type: 'achievement_earned',
+          title: `Earned: ${data.achievement.name}`,
+          description: data.achievement.description,
+          metadata: { achievement_id: achievementId, icon: data.achievement.icon },
+          visibility: 'public'
+        })
+      } catch (err) {
+        console.error('Achievement feed event failed:', err.message)
+      }
     }
 
     return data
@@ -121,26 +111,21 @@ export const achievementsService = {
     const awarded = []
 
     // Get user stats
-    const { data: profile } = await supabaseAdmin
-      .from('profiles')
-      .select('current_streak, longest_streak')
-      .eq('id', userId)
-      .single()
-
-    const { data: attendance } = await supabaseAdmin
-      .from('attendance')
-      .select('id, status, quality_rating, date, created_at, room_id')
-      .eq('user_id', userId)
-
-    const { data: existing } = await supabaseAdmin
-      .from('user_achievements')
-      .select('achievement_id')
-      .eq('user_id', userId)
-
-    const earned = new Set((existing || []).map(e => e.achievement_id))
-    const records = attendance || []
+    const userStreak = await streakService.getUserStreak(userId)
+
+    const records = await attendanceRepository.find(
+      { user_id: userId },
+      { columns: ['id', 'status', 'quality_rating', 'date', 'created_at', 'room_id'] }
+    )
+
+    const existing = await userAchievementsRepository.find(
+      { user_id: userId },
+      { columns: ['achievement_id'] }
+    )
+
+    const earned = new Set(existing.map(e => e.achievement_id))
     const approved = records.filter(r => r.status === 'approved')
-    const streak = Math.max(profile?.current_streak || 0, profile?.longest_streak || 0)
+    const streak = Math.max(userStreak.current_streak, userStreak.longest_streak)
 
     // Streak achievements
     const streakChecks = [
@@ -175,13 +160,10 @@ export const achievementsService = {
 
     // Perfect day check
     if (!earned.has('perfect_day')) {
-      const { data: rooms } = await supabaseAdmin
-        .from('rooms')
-        .select('id')
-        .eq('user_id', userId)
-      
-      if (rooms?.length > 0) {
-        const today = new Date().toISOString().split('T')[0]
+      const rooms = await roomsRepository.find({ user_id: userId }, { columns: ['id'] })
+
+      if (rooms.length > 0) {
+        const today = todayIn(await profileService.getTimezone(userId))
         const todayApproved = records.filter(r => r.date === today && r.status === 'approved')
         const uniqueRooms = new Set(todayApproved.map(r => r.room_id))
         if (uniqueRooms.size >= rooms.length) {
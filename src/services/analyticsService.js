@@ -3,7 +3,14 @@
  * Compute stats, trends, streaks for user & admin dashboards
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { attendanceRepository, roomsRepository, profilesRepository } from '../repositories/index.js'
+import { AWAITING_REVIEW_STATUSES } from '../policies/submissionPolicy.js'
+import { getAdminRoomIds, getAttendedRoomIds, getRoomAttendees, hasRoomRole, ATTENDEE_ROLES } from '../policies/roomPolicy.js'
+import { profileService } from './profileService.js'
+import { roomsService } from './roomsService.js'
+import { streakService } from './streakService.js'
+import { todayIn, addDays, dayOfWeek, safeTimezone } from '../utils/dates.js'
+import { resolveSchedule, getDaySchedule } from '../utils/schedule.js'
 
 export const analyticsService = {
   // ─── USER ANALYTICS ────────────────────────────────────────────
@@ -13,47 +20,39 @@ export const analyticsService = {
    */
   async getUserAnalytics(userId) {
     // 1. All attendance records with room info
-    const { data: records, error } = await supabaseAdmin
-      .from('attendance')
-      .select(`
-        id, room_id, date, status, submitted_at, reviewed_at,
-        room:rooms ( id, name, emoji )
-      `)
-      .eq('user_id', userId)
-      .order('date', { ascending: true })
-
-    if (error) throw error
-    const all = records || []
-
-    // 2. All rooms
-    const { data: rooms } = await supabaseAdmin
-      .from('rooms')
-      .select('id, name, emoji')
-      .eq('user_id', userId)
+    const all = await attendanceRepository.find({ user_id: userId }, {
+      columns: ['id', 'room_id', 'date', 'status', 'submitted_at', 'reviewed_at'],
+      include: { room: ['id', 'name', 'emoji'] },
+      order: { column: 'date', ascending: true }
+    })
+    const today = todayIn(await profileService.getTimezone(userId))
+
+    // 2. All rooms the user attends (owned or joined as a member)
+    const rooms = await roomsRepository.find({ id: await getAttendedRoomIds(userId) }, {
+      columns: ['id', 'name', 'emoji', 'schedule', 'time_start', 'time_end']
+    })
 
     // ── Overall stats ──
     const totalDays = all.length
     const approved = all.filter(r => r.status === 'approved').length
     const rejected = all.filter(r => r.status === 'rejected').length
     const missed = all.filter(r => r.status === 'missed').length
-    const pending = all.filter(r => r.status === 'pending_review').length
+    const pending = all.filter(r => AWAITING_REVIEW_STATUSES.includes(r.status)).length
     const overallRate = totalDays > 0 ? Math.round((approved / totalDays) * 100) : 0
 
     // ── Streaks ──
-    const approvedDates = all
-      .filter(r => r.status === 'approved')
-      .map(r => r.date)
-      .sort()
-    const { currentStreak, bestStreak } = computeStreaks(approvedDates)
+    const streak = await streakService.getUserStreak(userId)
+    const currentStreak = streak.current_streak
+    const bestStreak = streak.longest_streak
 
     // ── Weekly trend (last 12 weeks) ──
-    const weeklyTrend = computeWeeklyTrend(all, 12)
+    const weeklyTrend = computeWeeklyTrend(all, 12, today)
 
     // ── Monthly trend (last 6 months) ──
-    const monthlyTrend = computeMonthlyTrend(all, 6)
+    const monthlyTrend = computeMonthlyTrend(all, 6, today)
 
     // ── Room breakdown (for pie chart) ──
-    const roomBreakdown = (rooms || []).map(room => {
+    const roomBreakdown = rooms.map(room => {
       const roomRecords = all.filter(r => r.room_id === room.id)
       const roomApproved = roomRecords.filter(r => r.status === 'approved').length
       const roomTotal = roomRecords.length
@@ -68,7 +67,7 @@ export const analyticsService = {
     })
 
     // ── Daily heatmap data (last 90 days) ──
-    const heatmap = computeHeatmap(all, 90)
+    const heatmap = computeHeatmap(all, 90, today, anyRoomScheduled(rooms))
 
     // ── Status distribution (for donut) ──
     const statusDistribution = [
@@ -86,7 +85,7 @@ export const analyticsService = {
       roomBreakdown,
       heatmap,
       statusDistribution,
-      totalRooms: (rooms || []).length,
+      totalRooms: rooms.length,
       records: all  // raw records for export
     }
   },
@@ -97,46 +96,39 @@ export const analyticsService = {
    * Full analytics for a user in a specific room
    */
   async getUserRoomAnalytics(userId, roomId) {
-    // 1. Verify room belongs to user
-    const { data: room } = await supabaseAdmin
-      .from('rooms')
-      .select('id, name, emoji')
-      .eq('id', roomId)
-      .eq('user_id', userId)
-      .single()
+    // 1. Verify the user attends the room (owner or member)
+    if (!(await hasRoomRole(roomId, userId, ATTENDEE_ROLES))) return null
+
+    const room = await roomsRepository.findById(roomId, {
+      columns: ['id', 'user_id', 'name', 'emoji', 'timezone', 'schedule', 'time_start', 'time_end']
+    })
 
     if (!room) return null
+    const today = todayIn(await roomsService.getRoomTimezone(room))
 
     // 2. All attendance for this room
-    const { data: records, error } = await supabaseAdmin
-      .from('attendance')
-      .select('id, room_id, date, status, submitted_at, reviewed_at')
-      .eq('user_id', userId)
-      .eq('room_id', roomId)
-      .order('date', { ascending: true })
-
-    if (error) throw error
-    const all = records || []
+    const all = await attendanceRepository.find({ user_id: userId, room_id: roomId }, {
+      columns: ['id', 'room_id', 'date', 'status', 'submitted_at', 'reviewed_at'],
+      order: { column: 'date', ascending: true }
+    })
 
     // ── Stats ──
     const totalDays = all.length
     const approved = all.filter(r => r.status === 'approved').length
     const rejected = all.filter(r => r.status === 'rejected').length
     const missed = all.filter(r => r.status === 'missed').length
-    const pending = all.filter(r => r.status === 'pending_review').length
+    const pending = all.filter(r => AWAITING_REVIEW_STATUSES.includes(r.status)).length
     const rate = totalDays > 0 ? Math.round((approved / totalDays) * 100) : 0
 
     // ── Streaks ──
-    const approvedDates = all
-      .filter(r => r.status === 'approved')
-      .map(r => r.date)
-      .sort()
-    const { currentStreak, bestStreak } = computeStreaks(approvedDates)
+    const streak = await streakService.getRoomStreak(roomId, userId)
+    const currentStreak = streak.current_streak
+    const bestStreak = streak.longest_streak
 
     // ── Trends ──
-    const weeklyTrend = computeWeeklyTrend(all, 12)
-    const monthlyTrend = computeMonthlyTrend(all, 6)
-    const heatmap = computeHeatmap(all, 90)
+    const weeklyTrend = computeWeeklyTrend(all, 12, today)
+    const monthlyTrend = computeMonthlyTrend(all, 6, today)
+    const heatmap = computeHeatmap(all, 90, today, anyRoomScheduled([room]))
 
     // ── Status distribution ──
     const statusDistribution = [
@@ -165,51 +157,41 @@ export const analyticsService = {
    */
   async getAdminAnalytics(adminId) {
     // 1. Get rooms this admin manages
-    const { data: invites } = await supabaseAdmin
-      .from('room_invites')
-      .select(`
-        room_id,
-        room:rooms (
-          id, name, emoji,
-          user:profiles!rooms_user_id_fkey ( id, name, email, avatar_url )
-        )
-      `)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-
-    if (!invites || invites.length === 0) {
+    const roomIds = await getAdminRoomIds(adminId)
+
+    if (roomIds.length === 0) {
       return { rooms: [], users: [], overview: {}, weeklyTrend: [], userPerformance: [], records: [] }
     }
 
-    const roomIds = invites.map(i => i.room_id)
+    const rooms = await roomsRepository.find({ id: roomIds }, {
+      columns: ['id', 'user_id', 'name', 'emoji', 'created_at'],
+      include: { user: ['id', 'name', 'email', 'avatar_url'] }
+    })
+
     const roomMap = {}
     const userMap = {}
-    for (const inv of invites) {
-      if (inv.room) {
-        roomMap[inv.room.id] = inv.room
-        if (inv.room.user) userMap[inv.room.user.id] = inv.room.user
-      }
+    const attendeesByRoom = {}
+    for (const room of rooms) {
+      roomMap[room.id] = room
+      if (room.user) userMap[room.user.id] = room.user
+      attendeesByRoom[room.id] = new Set((await getRoomAttendees(room)).map(a => a.user_id))
     }
 
-    // 2. All attendance across managed rooms
-    const { data: records, error } = await supabaseAdmin
-      .from('attendance')
-      .select(`
-        id, room_id, user_id, date, status, submitted_at, reviewed_at,
-        user:profiles!attendance_user_id_fkey ( id, name, email, avatar_url )
-      `)
-      .in('room_id', roomIds)
-      .order('date', { ascending: true })
-
-    if (error) throw error
-    const all = records || []
+    // 2. All attendance of current attendees across managed rooms
+    const records = await attendanceRepository.find({ room_id: roomIds }, {
+      columns: ['id', 'room_id', 'user_id', 'date', 'status', 'submitted_at', 'reviewed_at'],
+      include: { user: ['id', 'name', 'email', 'avatar_url'] },
+      order: { column: 'date', ascending: true }
+    })
+    const all = records.filter(r => attendeesByRoom[r.room_id]?.has(r.user_id))
+    const adminToday = todayIn(await profileService.getTimezone(adminId))
 
     // ── Overview ──
     const totalRecords = all.length
     const approved = all.filter(r => r.status === 'approved').length
     const rejected = all.filter(r => r.status === 'rejected').length
     const missed = all.filter(r => r.status === 'missed').length
-    const pendingReview = all.filter(r => r.status === 'pending_review').length
+    const pendingReview = all.filter(r => AWAITING_REVIEW_STATUSES.includes(r.status)).length
     const overallRate = totalRecords > 0 ? Math.round((approved / totalRecords) * 100) : 0
 
     // ── Per-user performance ──
@@ -221,19 +203,15 @@ export const analyticsService = {
       userGroups[rec.user_id].records.push(rec)
     }
 
-    const userPerformance = Object.values(userGroups).map(({ user, records: recs }) => {
+    const userPerformance = await Promise.all(Object.values(userGroups).map(async ({ user, records: recs }) => {
       const total = recs.length
       const app = recs.filter(r => r.status === 'approved').length
       const rej = recs.filter(r => r.status === 'rejected').length
       const mis = recs.filter(r => r.status === 'missed').length
       const rate = total > 0 ? Math.round((app / total) * 100) : 0
 
-      // streak
-      const approvedDates = recs
-        .filter(r => r.status === 'approved')
-        .map(r => r.date)
-        .sort()
-      const { currentStreak, bestStreak } = computeStreaks(approvedDates)
+      // streak: best of the user's streaks in the rooms this admin manages
+      const { currentStreak, bestStreak } = await getBestRoomStreak(user?.id, [...new Set(recs.map(r => r.room_id))])
 
       return {
         userId: user?.id,
@@ -242,7 +220,7 @@ export const analyticsService = {
         total, approved: app, rejected: rej, missed: mis, rate,
         currentStreak, bestStreak
       }
-    })
+    }))
 
     // ── Per-room stats ──
     const roomStats = Object.values(roomMap).map(room => {
@@ -254,6 +232,7 @@ export const analyticsService = {
         name: room.name,
         emoji: room.emoji,
         userName: room.user?.name || 'Unknown',
+        attendees: attendeesByRoom[room.id].size,
         total,
         approved: app,
         rate: total > 0 ? Math.round((app / total) * 100) : 0
@@ -261,7 +240,7 @@ export const analyticsService = {
     })
 
     // ── Weekly trend ──
-    const weeklyTrend = computeWeeklyTrend(all, 12)
+    const weeklyTrend = computeWeeklyTrend(all, 12, adminToday)
 
     // ── Status distribution ──
     const statusDistribution = [
@@ -289,70 +268,52 @@ export const analyticsService = {
    * Full personal analytics for a specific user, scoped to admin's managed rooms
    */
   async getAdminUserAnalytics(adminId, targetUserId) {
-    // 1. Get rooms this admin manages
-    const { data: invites } = await supabaseAdmin
-      .from('room_invites')
-      .select(`
-        room_id,
-        room:rooms ( id, name, emoji, user_id )
-      `)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-
-    if (!invites || invites.length === 0) {
-      return null
-    }
+    // 1. Rooms this admin manages that the target user attends
+    const [adminRoomIds, attendedRoomIds] = await Promise.all([
+      getAdminRoomIds(adminId),
+      getAttendedRoomIds(targetUserId)
+    ])
+    const sharedRoomIds = adminRoomIds.filter(id => attendedRoomIds.includes(id))
 
-    // Filter rooms that belong to this target user
-    const userRooms = invites
-      .filter(i => i.room?.user_id === targetUserId)
-      .map(i => i.room)
+    if (sharedRoomIds.length === 0) return null
+
+    const userRooms = await roomsRepository.find({ id: sharedRoomIds }, {
+      columns: ['id', 'name', 'emoji', 'user_id', 'schedule', 'time_start', 'time_end']
+    })
 
     if (userRooms.length === 0) return null
 
     const roomIds = userRooms.map(r => r.id)
 
     // 2. Get all attendance for this user in those rooms
-    const { data: records, error } = await supabaseAdmin
-      .from('attendance')
-      .select(`
-        id, room_id, user_id, date, status, submitted_at, reviewed_at,
-        room:rooms ( id, name, emoji )
-      `)
-      .eq('user_id', targetUserId)
-      .in('room_id', roomIds)
-      .order('date', { ascending: true })
-
-    if (error) throw error
-    const all = records || []
+    const all = await attendanceRepository.find({ user_id: targetUserId, room_id: roomIds }, {
+      columns: ['id', 'room_id', 'user_id', 'date', 'status', 'submitted_at', 'reviewed_at'],
+      include: { room: ['id', 'name', 'emoji'] },
+      order: { column: 'date', ascending: true }
+    })
 
     // 3. Get user profile
-    const { data: profile } = await supabaseAdmin
-      .from('profiles')
-      .select('id, name, email, avatar_url')
-      .eq('id', targetUserId)
-      .single()
+    const profile = await profilesRepository.findById(targetUserId, {
+      columns: ['id', 'name', 'email', 'avatar_url', 'timezone']
+    })
+    const today = todayIn(safeTimezone(profile?.timezone))
 
     // ── Overall stats ──
     const totalDays = all.length
     const approved = all.filter(r => r.status === 'approved').length
     const rejected = all.filter(r => r.status === 'rejected').length
     const missed = all.filter(r => r.status === 'missed').length
-    const pending = all.filter(r => r.status === 'pending_review').length
+    const pending = all.filter(r => AWAITING_REVIEW_STATUSES.includes(r.status)).length
     const overallRate = totalDays > 0 ? Math.round((approved / totalDays) * 100) : 0
 
-    // ── Streaks ──
-    const approvedDates = all
-      .filter(r => r.status === 'approved')
-      .map(r => r.date)
-      .sort()
-    const { currentStreak, bestStreak } = computeStreaks(approvedDates)
+    // ── Streaks (in the rooms this admin manages) ──
+    const { currentStreak, bestStreak } = await getBestRoomStreak(targetUserId, roomIds)
 
     // ── Weekly trend (last 12 weeks) ──
-    const weeklyTrend = computeWeeklyTrend(all, 12)
+    const weeklyTrend = computeWeeklyTrend(all, 12, today)
 
     // ── Monthly trend (last 6 months) ──
-    const monthlyTrend = computeMonthlyTrend(all, 6)
+    const monthlyTrend = computeMonthlyTrend(all, 6, today)
 
     // ── Room breakdown ──
     const roomBreakdown = userRooms.map(room => {
@@ -372,7 +333,7 @@ export const analyticsService = {
     })
 
     // ── Heatmap (last 90 days) ──
-    const heatmap = computeHeatmap(all, 90)
+    const heatmap = computeHeatmap(all, 90, today, anyRoomScheduled(userRooms))
 
     // ── Status distribution ──
     const statusDistribution = [
@@ -400,67 +361,36 @@ export const analyticsService = {
 
 // ──── HELPER FUNCTIONS ────────────────────────────────────────────
 
-function computeStreaks(sortedDates) {
-  if (!sortedDates.length) return { currentStreak: 0, bestStreak: 0 }
-
-  let currentStreak = 1
-  let bestStreak = 1
-  let tempStreak = 1
-
-  // Check if most recent date is today or yesterday (for "current" streak)
-  const today = new Date().toISOString().split('T')[0]
-  const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0]
-  const lastDate = sortedDates[sortedDates.length - 1]
-  const isActive = lastDate === today || lastDate === yesterday
-
-  for (let i = sortedDates.length - 2; i >= 0; i--) {
-    const curr = new Date(sortedDates[i + 1])
-    const prev = new Date(sortedDates[i])
-    const diffDays = (curr - prev) / 86400000
-
-    if (diffDays === 1) {
-      tempStreak++
-    } else {
-      if (tempStreak > bestStreak) bestStreak = tempStreak
-      tempStreak = 1
-    }
-  }
-  if (tempStreak > bestStreak) bestStreak = tempStreak
-
-  // Current streak = count backwards from the end
-  currentStreak = 1
-  for (let i = sortedDates.length - 2; i >= 0; i--) {
-    const curr = new Date(sortedDates[i + 1])
-    const prev = new Date(sortedDates[i])
-    if ((curr - prev) / 86400000 === 1) currentStreak++
-    else break
-  }
+/**
+ * Highest current and longest streak a user holds across the given rooms
+ */
+async function getBestRoomStreak(userId, roomIds) {
+  if (!userId || !roomIds.length) return { currentStreak: 0, bestStreak: 0 }
 
+  const streaks = await Promise.all(roomIds.map(roomId => streakService.getRoomStreak(roomId, userId)))
   return {
-    currentStreak: isActive ? currentStreak : 0,
-    bestStreak
+    currentStreak: Math.max(...streaks.map(s => s.current_streak)),
+    bestStreak: Math.max(...streaks.map(s => s.longest_streak))
   }
 }
 
-function computeWeeklyTrend(records, weeks) {
-  const now = new Date()
+// The trend helpers below take `today` as a YYYY-MM-DD string in the user's (or room's)
+// timezone, so day, week and month buckets line up with their calendar.
+
+function computeWeeklyTrend(records, weeks, today) {
   const trend = []
+  const thisWeekStart = addDays(today, -dayOfWeek(today))
 
   for (let w = weeks - 1; w >= 0; w--) {
-    const weekStart = new Date(now)
-    weekStart.setDate(now.getDate() - (w * 7) - now.getDay())
-    weekStart.setHours(0, 0, 0, 0)
-    const weekEnd = new Date(weekStart)
-    weekEnd.setDate(weekStart.getDate() + 6)
-
-    const startStr = weekStart.toISOString().split('T')[0]
-    const endStr = weekEnd.toISOString().split('T')[0]
+    const startStr = addDays(thisWeekStart, -w * 7)
+    const endStr = addDays(startStr, 6)
 
     const weekRecords = records.filter(r => r.date >= startStr && r.date <= endStr)
     const approved = weekRecords.filter(r => r.status === 'approved').length
     const total = weekRecords.length
 
-    const label = `${weekStart.getDate()}/${weekStart.getMonth() + 1}`
+    const [, month, day] = startStr.split('-').map(Number)
+    const label = `${day}/${month}`
 
     trend.push({
       week: label,
@@ -473,18 +403,17 @@ function computeWeeklyTrend(records, weeks) {
   return trend
 }
 
-function computeMonthlyTrend(records, months) {
-  const now = new Date()
+function computeMonthlyTrend(records, months, today) {
   const trend = []
   const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+  const [currentYear, currentMonth] = today.split('-').map(Number)
 
   for (let m = months - 1; m >= 0; m--) {
-    const d = new Date(now.getFullYear(), now.getMonth() - m, 1)
-    const year = d.getFullYear()
-    const month = d.getMonth()
+    const d = new Date(Date.UTC(currentYear, currentMonth - 1 - m, 1))
+    const year = d.getUTCFullYear()
+    const month = d.getUTCMonth()
     const startStr = `${year}-${String(month + 1).padStart(2, '0')}-01`
-    const endDate = new Date(year, month + 1, 0)
-    const endStr = endDate.toISOString().split('T')[0]
+    const endStr = new Date(Date.UTC(year, month + 1, 0)).toISOString().split('T')[0]
 
     const monthRecords = records.filter(r => r.date >= startStr && r.date <= endStr)
     const approved = monthRecords.filter(r => r.status === 'approved').length
@@ -503,21 +432,27 @@ function computeMonthlyTrend(records, months) {
   return trend
 }
 
-function computeHeatmap(records, days) {
-  const now = new Date()
+/**
+ * Predicate: is a date scheduled in at least one of the rooms
+ */
+function anyRoomScheduled(rooms) {
+  const schedules = rooms.map(resolveSchedule)
+  return (dateStr) => !schedules.length || schedules.some(schedule => getDaySchedule(schedule, dateStr).scheduled)
+}
+
+function computeHeatmap(records, days, today, isScheduled = () => true) {
   const heatmap = []
 
   for (let d = days - 1; d >= 0; d--) {
-    const date = new Date(now)
-    date.setDate(now.getDate() - d)
-    const dateStr = date.toISOString().split('T')[0]
+    const dateStr = addDays(today, -d)
     const dayRecords = records.filter(r => r.date === dateStr)
     const approved = dayRecords.filter(r => r.status === 'approved').length
     const total = dayRecords.length
 
     heatmap.push({
       date: dateStr,
-      day: date.getDay(),
+      day: dayOfWeek(dateStr),
+      scheduled: isScheduled(dateStr),
       approved,
       total,
       level: total === 0 ? 0 : approved === total ? 3 : approved > 0 ? 2 : 1
@@ -3,40 +3,190 @@
  * Handle attendance records and proof operations
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { attendanceRepository, roomsRepository, profilesRepository } from '../repositories/index.js'
+import { ConflictError, NotFoundError } from '../utils/errors.js'
+import { assertCanSubmit, AWAITING_REVIEW_STATUSES } from '../policies/submissionPolicy.js'
+import {
+  assertRoomRole,
+  assertRoomAttendee,
+  getAdminRoomIds,
+  getRoomAdminIds,
+  ATTENDEE_ROLES,
+  ADMIN_PERMISSIONS
+} from '../policies/roomPolicy.js'
+import { assertCanMarkMissed, assertNotOwnAttendance } from '../policies/attendancePolicy.js'
+import { ATTENDANCE_WEBHOOK_EVENTS } from '../policies/webhookPolicy.js'
+import { roomsService } from './roomsService.js'
+import { streakService } from './streakService.js'
+import { notificationsService } from './notificationsService.js'
+import { eventBus } from './eventBus.js'
+import { webhookService } from './webhookService.js'
+import { todayIn } from '../utils/dates.js'
+
+/**
+ * Recalculate streaks after an attendance change
+ * A failure here must not fail the attendance write itself
+ */
+async function refreshStreaks(record) {
+  if (!record) return
+  try {
+    await streakService.recalculate(record.room_id, record.user_id)
+  } catch (err) {
+    console.error('Streak recalculation failed:', err.message)
+  }
+}
+
+/**
+ * Load a record a reviewer is about to approve or reject
+ * 404 when it does not exist, 403 when it is the reviewer's own
+ */
+async function findForReview(attendanceId, reviewerId) {
+  const record = await attendanceRepository.findById(attendanceId, { columns: ['id', 'user_id'] })
+  if (!record) throw new NotFoundError('Attendance record not found')
+  assertNotOwnAttendance(record.user_id, reviewerId)
+  return record
+}
+
+/**
+ * Tell the submitter their proof was approved or rejected
+ * `review` is what this review set, so feedback from an earlier review isn't repeated.
+ * A failure here must not fail the review itself
+ */
+async function notifyReviewed(record, review) {
+  if (!record) return
+  try {
+    const room = await roomsRepository.findById(record.room_id, { columns: ['id', 'name', 'emoji'] })
+    const roomLabel = `${room?.emoji || '📋'} ${room?.name || 'your room'}`
+    const approved = review.status === 'approved'
+
+    const details = [
+      review.quality_rating && `Rated ${review.quality_rating}/5.`,
+      review.rejection_reason && `Reason: ${review.rejection_reason}`,
+      review.admin_feedback && `"${review.admin_feedback}"`
+    ]
+
+    await notificationsService.create(record.user_id, {
+      type: 'proof_reviewed',
+      title: approved ? `✅ Proof approved — ${roomLabel}` : `❌ Proof rejected — ${roomLabel}`,
+      body: [`Your proof for ${record.date} was ${approved ? 'approved' : 'rejected'}.`, ...details].filter(Boolean).join(' '),
+      data: {
+        roomId: record.room_id,
+        attendanceId: record.id,
+        date: record.date,
+        status: review.status,
+        quality_rating: review.quality_rating ?? null,
+        admin_feedback: review.admin_feedback ?? null,
+        rejection_reason: review.rejection_reason ?? null
+      },
+      push: { url: `/rooms/${record.room_id}` }
+    })
+  } catch (err) {
+    console.error('Review notification failed:', err.message)
+  }
+}
+
+/**
+ * Tell the room's admins who review proofs that one is waiting
+ */
+async function notifyProofSubmitted(record, room) {
+  if (!record || !AWAITING_REVIEW_STATUSES.includes(record.status)) return
+  try {
+    const adminIds = (await getRoomAdminIds(record.room_id, ADMIN_PERMISSIONS.REVIEW_PROOFS)).filter(id => id !== record.user_id)
+    if (adminIds.length === 0) return
+
+    const submitter = await profilesRepository.findById(record.user_id, { columns: ['name'] })
+    const late = record.status === 'late'
+
+    await notificationsService.createBulk(adminIds, {
+      type: 'proof_submitted',
+      title: `📸 New ${late ? 'late ' : ''}proof — ${room.emoji || '📋'} ${room.name}`,
+      body: `${submitter?.name || 'Someone'} submitted proof for ${record.date}. Review it now.`,
+      data: {
+        roomId: record.room_id,
+        attendanceId: record.id,
+        userId: record.user_id,
+        date: record.date,
+        status: record.status
+      },
+      push: { url: `/rooms/${record.room_id}` },
+      dedupKey: `proof_submitted:${record.id}:${record.submitted_at}`
+    })
+  } catch (err) {
+    console.error('Proof submission notification failed:', err.message)
+  }
+}
+
+/**
+ * Push an attendance change to the live streams of the attendee and the
+ * room's admins, plus a 'pending_proof' event for admins when a proof now
+ * awaits review, and to the room's webhooks (attendance.<change>).
+ * A failure here must not fail the attendance write itself
+ */
+async function publishAttendance(record) {
+  if (!record) return
+  await webhookService.emit(record.room_id, ATTENDANCE_WEBHOOK_EVENTS[record.status], record)
+  try {
+    const adminIds = await getRoomAdminIds(record.room_id)
+    const event = {
+      id: record.id,
+      roomId: record.room_id,
+      userId: record.user_id,
+      date: record.date,
+      status: record.status
+    }
+
+    eventBus.publish([record.user_id, ...adminIds], 'attendance', event)
+    if (AWAITING_REVIEW_STATUSES.includes(record.status)) {
+      eventBus.publish(adminIds.filter(id => id !== record.user_id), 'pending_proof', { ...event, proof_url: record.proof_url, submitted_at: record.submitted_at })
+    }
+  } catch (err) {
+    console.error('Attendance event failed:', err.message)
+  }
+}
 
 export const attendanceService = {
   /**
    * Submit attendance with proof URL
    * Note: Image upload happens on frontend to Supabase Storage
+   * Only the room's attendees (owner and members) submit, each for themselves.
+   * The room's pause state, time window and late-upload setting are
+   * enforced by the submission policy; late proofs get status 'late'.
+   * The attendance date is "today" in the room's timezone, or yesterday while
+   * yesterday's overnight window is still open.
    */
   async submitProof(roomId, userId, proofUrl, note = '') {
-    const today = new Date().toISOString().split('T')[0]
+    const room = await roomsRepository.findById(roomId, {
+      columns: ['id', 'user_id', 'name', 'emoji', 'timezone', 'is_paused', 'schedule', 'time_start', 'time_end', 'allow_late_upload']
+    })
     
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .upsert({
-        room_id: roomId,
-        user_id: userId,
-        date: today,
-        status: 'pending_review',
-        proof_url: proofUrl,
-        note,
-        submitted_at: new Date().toISOString()
-      }, {
-        onConflict: 'room_id,user_id,date'
-      })
-      .select()
-      .single()
+    if (!room) throw new NotFoundError('Room not found')
+    await assertRoomRole(roomId, userId, ATTENDEE_ROLES, 'Only members of this room can submit attendance')
+    
+    const timezone = await roomsService.getRoomTimezone(room)
+    const { status, date } = assertCanSubmit(room, { timezone })
     
-    if (error) throw error
-    return data
+    const record = await attendanceRepository.saveForDay({
+      room_id: roomId,
+      user_id: userId,
+      date,
+      status,
+      proof_url: proofUrl,
+      note,
+      submitted_at: new Date().toISOString()
+    })
+    
+    await refreshStreaks(record)
+    await publishAttendance(record)
+    await notifyProofSubmitted(record, room)
+    return record
   },
 
   /**
-   * Approve attendance (admin action)
+   * Approve attendance (the owner or an admin with review_proofs; never their own)
    */
   async approveAttendance(attendanceId, adminId, options = {}) {
+    await findForReview(attendanceId, adminId)
+
     const updateData = {
       status: 'approved',
       reviewed_at: new Date().toISOString(),
@@ -45,21 +195,21 @@ export const attendanceService = {
     if (options.quality_rating) updateData.quality_rating = options.quality_rating
     if (options.admin_feedback) updateData.admin_feedback = options.admin_feedback
 
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .update(updateData)
-      .eq('id', attendanceId)
-      .select()
-      .single()
+    const record = await attendanceRepository.updateById(attendanceId, updateData)
+    if (!record) throw new NotFoundError('Attendance record not found')
     
-    if (error) throw error
-    return data
+    await refreshStreaks(record)
+    await publishAttendance(record)
+    await notifyReviewed(record, updateData)
+    return record
   },
 
   /**
-   * Reject attendance (admin action)
+   * Reject attendance (the owner or an admin with review_proofs; never their own)
    */
   async rejectAttendance(attendanceId, adminId, reason = '', options = {}) {
+    await findForReview(attendanceId, adminId)
+
     const updateData = {
       status: 'rejected',
       rejection_reason: reason,
@@ -69,200 +219,170 @@ export const attendanceService = {
     if (options.quality_rating) updateData.quality_rating = options.quality_rating
     if (options.admin_feedback) updateData.admin_feedback = options.admin_feedback
 
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .update(updateData)
-      .eq('id', attendanceId)
-      .select()
-      .single()
+    const record = await attendanceRepository.updateById(attendanceId, updateData)
+    if (!record) throw new NotFoundError('Attendance record not found')
     
-    if (error) throw error
-    return data
+    await refreshStreaks(record)
+    await publishAttendance(record)
+    await notifyReviewed(record, updateData)
+    return record
   },
 
   /**
    * Get user's attendance for a specific room
    */
   async getUserAttendance(roomId, userId) {
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .select('*')
-      .eq('room_id', roomId)
-      .eq('user_id', userId)
-      .order('date', { ascending: false })
-    
-    if (error) throw error
-    return data || []
+    return attendanceRepository.find({ room_id: roomId, user_id: userId }, {
+      order: { column: 'date', ascending: false }
+    })
   },
 
   /**
    * Get all user's attendance across all rooms
    */
   async getAllUserAttendance(userId, options = {}) {
-    let query = supabaseAdmin
-      .from('attendance')
-      .select(`
-        *,
-        room:rooms (
-          id, name, emoji
-        )
-      `)
-      .eq('user_id', userId)
-      .order('date', { ascending: false })
+    const date = {}
+    if (options.fromDate) date.gte = options.fromDate
+    if (options.toDate) date.lte = options.toDate
     
-    if (options.fromDate) {
-      query = query.gte('date', options.fromDate)
-    }
-    
-    if (options.toDate) {
-      query = query.lte('date', options.toDate)
-    }
-    
-    if (options.limit) {
-      query = query.limit(options.limit)
-    }
-    
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return attendanceRepository.find({
+      user_id: userId,
+      date: Object.keys(date).length ? date : undefined
+    }, {
+      include: { room: ['id', 'name', 'emoji'] },
+      order: { column: 'date', ascending: false },
+      limit: options.limit
+    })
   },
 
   /**
-   * Get today's attendance status for a room
+   * Get today's attendance status for a room (today in the room's timezone)
    */
   async getTodayStatus(roomId, userId) {
-    const today = new Date().toISOString().split('T')[0]
-    
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .select('*')
-      .eq('room_id', roomId)
-      .eq('user_id', userId)
-      .eq('date', today)
-      .maybeSingle()
+    const today = todayIn(await roomsService.getRoomTimezone(roomId))
     
-    if (error) throw error
-    return data
+    return attendanceRepository.findForDay(roomId, userId, today)
   },
 
   /**
    * Get pending proofs for a room (admin view)
    */
   async getPendingProofs(roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .select(`
-        *,
-        user:profiles!attendance_user_id_fkey (
-          id, name, email, avatar_url
-        )
-      `)
-      .eq('room_id', roomId)
-      .eq('status', 'pending_review')
-      .order('submitted_at', { ascending: false })
-    
-    if (error) throw error
-    return data || []
+    return attendanceRepository.find({ room_id: roomId, status: AWAITING_REVIEW_STATUSES }, {
+      include: { user: ['id', 'name', 'email', 'avatar_url'] },
+      order: { column: 'submitted_at', ascending: false }
+    })
   },
 
   /**
    * Get all pending proofs for an admin (across all their rooms)
    */
   async getAllPendingProofsForAdmin(adminId) {
-    // First get all rooms this admin manages
-    const { data: invites } = await supabaseAdmin
-      .from('room_invites')
-      .select('room_id')
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-    
-    if (!invites || invites.length === 0) return []
-    
-    const roomIds = invites.map(i => i.room_id)
-    
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .select(`
-        *,
-        room:rooms (
-          id, name, emoji
-        ),
-        user:profiles!attendance_user_id_fkey (
-          id, name, email, avatar_url
-        )
-      `)
-      .in('room_id', roomIds)
-      .eq('status', 'pending_review')
-      .order('submitted_at', { ascending: false })
+    // First get all rooms where this admin reviews proofs
+    const roomIds = await getAdminRoomIds(adminId, ADMIN_PERMISSIONS.REVIEW_PROOFS)
+    if (roomIds.length === 0) return []
     
-    if (error) throw error
-    return data || []
+    return attendanceRepository.find({ room_id: roomIds, status: AWAITING_REVIEW_STATUSES }, {
+      include: {
+        room: ['id', 'name', 'emoji'],
+        user: ['id', 'name', 'email', 'avatar_url']
+      },
+      order: { column: 'submitted_at', ascending: false }
+    })
   },
 
   /**
    * Mark user as absent/missed for a specific date (admin action)
    * Creates or updates attendance record with 'missed' status
-   * Will NOT overwrite approved or pending_review entries
+   * Will NOT overwrite approved or pending (pending_review/late) entries
    */
   async markAbsent(roomId, userId, date, adminId) {
-    const targetDate = date || new Date().toISOString().split('T')[0]
+    await assertRoomAttendee(roomId, userId)
+    const targetDate = date || todayIn(await roomsService.getRoomTimezone(roomId))
     
+    const record = await this.recordMissed(roomId, userId, targetDate, { reviewedBy: adminId })
+    
+    await refreshStreaks(record)
+    return record
+  },
+
+  /**
+   * Record a day as 'missed' — shared by markAbsent and the missed-day job
+   * Throws 409 ATTENDANCE_ALREADY_RECORDED for approved or pending entries.
+   * With onlyIfEmpty, any existing record is left untouched and null is returned.
+   * A record that appears concurrently is never overwritten.
+   * Does not recalculate streaks; callers do that once they are done.
+   */
+  async recordMissed(roomId, userId, date, { reviewedBy = null, onlyIfEmpty = false } = {}) {
     // Check if there's already an approved or pending entry for this date
-    const { data: existing } = await supabaseAdmin
-      .from('attendance')
-      .select('id, status')
-      .eq('room_id', roomId)
-      .eq('user_id', userId)
-      .eq('date', targetDate)
-      .maybeSingle()
+    const existing = await attendanceRepository.findForDay(roomId, userId, date, { columns: ['id', 'status'] })
     
-    if (existing && (existing.status === 'approved' || existing.status === 'pending_review')) {
-      throw new Error(`Cannot mark absent — user already has "${existing.status}" entry for ${targetDate}`)
-    }
+    if (existing && onlyIfEmpty) return null
+    assertCanMarkMissed(existing, date)
+    
+    const record = await attendanceRepository.saveForDay({
+      room_id: roomId,
+      user_id: userId,
+      date,
+      status: 'missed',
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewedBy
+    }, {
+      // Insert-only when the day was empty, so a proof submitted meanwhile survives
+      ignoreDuplicates: !existing
+    })
+
+    await publishAttendance(record)
+    return record
+  },
+
+  /**
+   * Excuse a user for a date (admin action), e.g. sick day or travel
+   * Excused days are skipped by streaks: they neither extend nor break one.
+   * Will NOT overwrite an approved entry
+   */
+  async excuseDay(roomId, userId, date, adminId, reason = '') {
+    assertNotOwnAttendance(userId, adminId)
+    await assertRoomAttendee(roomId, userId)
+    const targetDate = date || todayIn(await roomsService.getRoomTimezone(roomId))
     
-    const { data, error } = await supabaseAdmin
-      .from('attendance')
-      .upsert({
-        room_id: roomId,
-        user_id: userId,
-        date: targetDate,
-        status: 'missed',
-        reviewed_at: new Date().toISOString(),
-        reviewed_by: adminId
-      }, {
-        onConflict: 'room_id,user_id,date'
+    const existing = await attendanceRepository.findForDay(roomId, userId, targetDate, { columns: ['id', 'status'] })
+    
+    if (existing?.status === 'approved') {
+      throw new ConflictError(`Cannot excuse — user already has an approved entry for ${targetDate}`, {
+        code: 'ATTENDANCE_ALREADY_RECORDED'
       })
-      .select()
-      .single()
+    }
+    
+    const record = await attendanceRepository.saveForDay({
+      room_id: roomId,
+      user_id: userId,
+      date: targetDate,
+      status: 'excused',
+      note: reason,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: adminId
+    })
     
-    if (error) throw error
-    return data
+    await refreshStreaks(record)
+    await publishAttendance(record)
+    return record
   },
 
   /**
    * Get room stats
    */
   async getRoomStats(roomId, userId) {
-    const { data: attendance } = await supabaseAdmin
-      .from('attendance')
-      .select('*')
-      .eq('room_id', roomId)
-      .eq('user_id', userId)
-    
-    const records = attendance || []
+    const [records, streak] = await Promise.all([
+      attendanceRepository.find({ room_id: roomId, user_id: userId }),
+      streakService.getRoomStreak(roomId, userId)
+    ])
     const approved = records.filter(a => a.status === 'approved').length
     const total = records.length
     
-    // Calculate streak
-    let streak = 0
-    const sorted = [...records].sort((a, b) => new Date(b.date) - new Date(a.date))
-    for (const record of sorted) {
-      if (record.status === 'approved') streak++
-      else break
-    }
-    
     return {
-      streak,
+      streak: streak.current_streak,
+      longestStreak: streak.longest_streak,
       total,
       approved,
       percentage: total > 0 ? Math.round((approved / total) * 100) : 0
@@ -3,32 +3,35 @@
  * Phase 3: Friend competitions / challenges between users
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import {
+  challengesRepository,
+  challengeParticipantsRepository,
+  challengeDailyLogRepository
+} from '../repositories/index.js'
+import { NotFoundError } from '../utils/errors.js'
+import { profileService } from './profileService.js'
+import { webhookService } from './webhookService.js'
+import { todayIn, addDays } from '../utils/dates.js'
 
 export const challengesService = {
   // ============ CRUD ============
 
   async create(creatorId, { title, description, type, targetDays, roomId = null }) {
-    const startDate = new Date()
-    const endDate = new Date()
-    endDate.setDate(endDate.getDate() + targetDays)
-
-    const { data, error } = await supabaseAdmin
-      .from('challenges')
-      .insert({
-        creator_id: creatorId,
-        room_id: roomId,
-        title,
-        description,
-        type,
-        goal: targetDays,
-        start_date: startDate.toISOString().split('T')[0],
-        end_date: endDate.toISOString().split('T')[0],
-        status: 'active'
-      })
-      .select()
-      .single()
-    if (error) throw error
+    // Challenge days follow the creator's calendar
+    const startDate = todayIn(await profileService.getTimezone(creatorId))
+    const endDate = addDays(startDate, targetDays)
+
+    const data = await challengesRepository.insert({
+      creator_id: creatorId,
+      room_id: roomId,
+      title,
+      description,
+      type,
+      goal: targetDays,
+      start_date: startDate,
+      end_date: endDate,
+      status: 'active'
+    })
 
     // Auto-join the creator
     await this.join(data.id, creatorId)
@@ -37,139 +40,89 @@ export const challengesService = {
   },
 
   async getById(challengeId) {
-    const { data, error } = await supabaseAdmin
-      .from('challenges')
-      .select('*, challenge_participants(*)')
-      .eq('id', challengeId)
-      .single()
-    if (error) throw error
+    const data = await challengesRepository.findById(challengeId, { include: { challenge_participants: [] } })
+    if (!data) throw new NotFoundError('Challenge not found')
     return data
   },
 
   async getActive(userId) {
     // Get challenges the user is part of
-    const { data: participantRows, error: pErr } = await supabaseAdmin
-      .from('challenge_participants')
-      .select('challenge_id')
-      .eq('user_id', userId)
-    if (pErr) throw pErr
+    const participantRows = await challengeParticipantsRepository.find({ user_id: userId }, { columns: ['challenge_id'] })
 
-    if (!participantRows || participantRows.length === 0) return []
+    if (participantRows.length === 0) return []
 
     const ids = participantRows.map(p => p.challenge_id)
 
-    const { data, error } = await supabaseAdmin
-      .from('challenges')
-      .select('*, challenge_participants(*)')
-      .in('id', ids)
-      .in('status', ['active', 'pending'])
-      .order('start_date', { ascending: false })
-    if (error) throw error
-    return data || []
+    return challengesRepository.find({ id: ids, status: ['active', 'pending'] }, {
+      include: { challenge_participants: [] },
+      order: { column: 'start_date', ascending: false }
+    })
   },
 
   async getForRoom(roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('challenges')
-      .select('*, challenge_participants(*)')
-      .eq('room_id', roomId)
-      .order('created_at', { ascending: false })
-    if (error) throw error
-    return data || []
+    return challengesRepository.find({ room_id: roomId }, {
+      include: { challenge_participants: [] },
+      order: { column: 'created_at', ascending: false }
+    })
   },
 
   // ============ PARTICIPANTS ============
 
   async join(challengeId, userId) {
-    const { data, error } = await supabaseAdmin
-      .from('challenge_participants')
-      .upsert({
-        challenge_id: challengeId,
-        user_id: userId,
-        progress: 0,
-        current_streak: 0,
-        status: 'joined'
-      }, { onConflict: 'challenge_id, user_id' })
-      .select()
-      .single()
-    if (error) throw error
-    return data
+    return challengeParticipantsRepository.upsert({
+      challenge_id: challengeId,
+      user_id: userId,
+      progress: 0,
+      current_streak: 0,
+      status: 'joined'
+    }, { onConflict: ['challenge_id', 'user_id'] })
   },
 
   async leave(challengeId, userId) {
-    const { error } = await supabaseAdmin
-      .from('challenge_participants')
-      .update({ status: 'withdrawn' })
-      .eq('challenge_id', challengeId)
-      .eq('user_id', userId)
-    if (error) throw error
+    await challengeParticipantsRepository.update({ challenge_id: challengeId, user_id: userId }, { status: 'withdrawn' })
   },
 
   async getParticipants(challengeId) {
-    const { data, error } = await supabaseAdmin
-      .from('challenge_participants')
-      .select('*')
-      .eq('challenge_id', challengeId)
-      .order('progress', { ascending: false })
-    if (error) throw error
-    return data || []
+    return challengeParticipantsRepository.find({ challenge_id: challengeId }, {
+      order: { column: 'progress', ascending: false }
+    })
   },
 
   // ============ DAILY LOG ============
 
   async logDay(challengeId, userId) {
-    const today = new Date().toISOString().split('T')[0]
+    const today = todayIn(await profileService.getTimezone(userId))
 
     // Check if already logged today
-    const { data: existing } = await supabaseAdmin
-      .from('challenge_daily_log')
-      .select('id')
-      .eq('challenge_id', challengeId)
-      .eq('user_id', userId)
-      .eq('date', today)
-      .single()
+    const existing = await challengeDailyLogRepository.findOne(
+      { challenge_id: challengeId, user_id: userId, date: today },
+      { columns: ['id'] }
+    )
 
     if (existing) return existing // Already logged
 
     // Insert log
-    const { data, error } = await supabaseAdmin
-      .from('challenge_daily_log')
-      .insert({ challenge_id: challengeId, user_id: userId, date: today, completed: true })
-      .select()
-      .single()
-    if (error) throw error
+    const data = await challengeDailyLogRepository.insert({ challenge_id: challengeId, user_id: userId, date: today, completed: true })
 
     // Update participant stats
-    const { data: participant } = await supabaseAdmin
-      .from('challenge_participants')
-      .select('progress, current_streak')
-      .eq('challenge_id', challengeId)
-      .eq('user_id', userId)
-      .single()
+    const participant = await challengeParticipantsRepository.findParticipant(challengeId, userId, {
+      columns: ['progress', 'current_streak']
+    })
 
     if (participant) {
-      await supabaseAdmin
-        .from('challenge_participants')
-        .update({
-          progress: (participant.progress || 0) + 1,
-          current_streak: (participant.current_streak || 0) + 1
-        })
-        .eq('challenge_id', challengeId)
-        .eq('user_id', userId)
+      await challengeParticipantsRepository.update({ challenge_id: challengeId, user_id: userId }, {
+        progress: (participant.progress || 0) + 1,
+        current_streak: (participant.current_streak || 0) + 1
+      })
     }
 
     return data
   },
 
   async getDailyLog(challengeId, userId) {
-    const { data, error } = await supabaseAdmin
-      .from('challenge_daily_log')
-      .select('*')
-      .eq('challenge_id', challengeId)
-      .eq('user_id', userId)
-      .order('date', { ascending: false })
-    if (error) throw error
-    return data || []
+    return challengeDailyLogRepository.find({ challenge_id: challengeId, user_id: userId }, {
+      order: { column: 'date', ascending: false }
+    })
   },
 
   // ============ STATUS MANAGEMENT ============
@@ -187,44 +140,41 @@ export const challengesService = {
 
     if (sorted.length > 0) {
       // Mark winner
-      await supabaseAdmin
-        .from('challenge_participants')
-        .update({ status: 'won', completed_at: new Date().toISOString() })
-        .eq('challenge_id', challengeId)
-        .eq('user_id', sorted[0].user_id)
+      await challengeParticipantsRepository.update(
+        { challenge_id: challengeId, user_id: sorted[0].user_id },
+        { status: 'won', completed_at: new Date().toISOString() }
+      )
 
       // Mark others as completed
-      await supabaseAdmin
-        .from('challenge_participants')
-        .update({ status: 'completed', completed_at: new Date().toISOString() })
-        .eq('challenge_id', challengeId)
-        .neq('user_id', sorted[0].user_id)
-        .eq('status', 'joined')
+      await challengeParticipantsRepository.update(
+        { challenge_id: challengeId, user_id: { neq: sorted[0].user_id }, status: 'joined' },
+        { status: 'completed', completed_at: new Date().toISOString() }
+      )
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('challenges')
-      .update({ status: 'completed', updated_at: new Date().toISOString() })
-      .eq('id', challengeId)
-      .select()
-      .single()
-    if (error) throw error
-    return data
+    const challenge = await challengesRepository.updateById(challengeId, { status: 'completed', updated_at: new Date().toISOString() })
+
+    await webhookService.emit(challenge?.room_id, 'challenge.completed', {
+      challenge,
+      winner_id: sorted[0]?.user_id || null,
+      participants: sorted.map(p => ({ user_id: p.user_id, progress: p.progress, current_streak: p.current_streak }))
+    })
+    return challenge
   },
 
   /**
    * Check and complete challenges that have passed their end date
+   * Only completes once the end date is over in every timezone
+   * (UTC-12 is at most one day behind UTC)
    */
   async completeExpired() {
-    const { data: expired, error } = await supabaseAdmin
-      .from('challenges')
-      .select('id')
-      .eq('status', 'active')
-      .lt('end_date', new Date().toISOString().split('T')[0])
-    if (error) throw error
+    const expired = await challengesRepository.find(
+      { status: 'active', end_date: { lt: addDays(todayIn(), -1) } },
+      { columns: ['id'] }
+    )
 
     const results = []
-    for (const challenge of (expired || [])) {
+    for (const challenge of expired) {
       const result = await this.complete(challenge.id)
       results.push(result)
     }
@@ -0,0 +1,264 @@
+/**
+ * Digest Service
+ * Weekly summaries, delivered as notifications:
+ *   - weekly_digest: a user's own week (approved/missed, streak change,
+ *     best room, new achievements, rank change)
+ *   - admin_digest: an admin's managed rooms (pending reviews, at-risk users,
+ *     room rates)
+ *
+ * A digest covers the 7 days before the day it is built (Monday..Sunday when
+ * built on a Monday) in the recipient's timezone. The digest itself is the
+ * notification's `data`; the previous digest is the baseline for changes.
+ */
+
+import { notificationsRepository, notificationDeliveriesRepository, profilesRepository } from '../repositories/index.js'
+import { getAdminRoomIds, getAttendedRoomIds } from '../policies/roomPolicy.js'
+import { NotFoundError } from '../utils/errors.js'
+import { analyticsService } from './analyticsService.js'
+import { achievementsService } from './achievementsService.js'
+import { profileService } from './profileService.js'
+import { leaderboardService } from './leaderboardService.js'
+import { notificationDispatcher } from './notificationDispatcher.js'
+import { todayIn, addDays, dayOfWeek, minutesInTimezone, safeTimezone } from '../utils/dates.js'
+
+export const DIGEST_TYPES = {
+  USER: 'weekly_digest',
+  ADMIN: 'admin_digest'
+}
+
+// Digests go out on Monday (1) from 08:00 in the recipient's timezone
+const DIGEST_WEEKDAY = 1
+const DIGEST_FROM_MINUTES = 8 * 60
+
+// Profiles loaded per page when looking for digests that are due
+const PROFILE_PAGE_SIZE = 500
+
+// A user's week below this approval rate (or with this many missed days) is "at risk"
+const AT_RISK_RATE = 50
+const AT_RISK_MISSED = 2
+
+function weekRange(today) {
+  return { from: addDays(today, -7), to: addDays(today, -1) }
+}
+
+function inRange(records, { from, to }) {
+  return records.filter(r => r.date >= from && r.date <= to)
+}
+
+function summarize(records) {
+  const approved = records.filter(r => r.status === 'approved').length
+  const missed = records.filter(r => r.status === 'missed').length
+  const rejected = records.filter(r => r.status === 'rejected').length
+  return {
+    total: records.length,
+    approved,
+    missed,
+    rejected,
+    rate: records.length > 0 ? Math.round((approved / records.length) * 100) : 0
+  }
+}
+
+function dedupKey(type, week) {
+  return `${type}:${week.from}`
+}
+
+async function getPreviousDigest(userId, type) {
+  const previous = await notificationsRepository.findOne({ user_id: userId, type }, {
+    order: { column: 'created_at', ascending: false }
+  })
+  return previous?.data || null
+}
+
+/**
+ * One page of profile ids and timezones, ordered by id (keyset pagination)
+ * @param {string} [afterId] - the last id of the previous page
+ */
+function findProfilePage(afterId) {
+  return profilesRepository.find({ id: afterId === undefined ? undefined : { gt: afterId } }, {
+    columns: ['id', 'timezone'],
+    order: { column: 'id', ascending: true },
+    limit: PROFILE_PAGE_SIZE
+  })
+}
+
+export const digestService = {
+  /**
+   * A user's weekly summary
+   * @param {string} userId
+   * @param {{ today?: string }} [options] - YYYY-MM-DD in the user's timezone
+   */
+  async buildUserDigest(userId, { today } = {}) {
+    const [analytics, achievements, rank, previous] = await Promise.all([
+      analyticsService.getUserAnalytics(userId),
+      achievementsService.getUserAchievements(userId),
+      leaderboardService.getUserRank(userId),
+      getPreviousDigest(userId, DIGEST_TYPES.USER)
+    ])
+    const week = weekRange(today || todayIn(await profileService.getTimezone(userId)))
+    const records = inRange(analytics.records, week)
+
+    const rooms = analytics.roomBreakdown
+      .map(room => ({ roomId: room.roomId, name: room.name, emoji: room.emoji, ...summarize(records.filter(r => r.room_id === room.roomId)) }))
+      .filter(room => room.total > 0)
+    const bestRoom = rooms.sort((a, b) => b.rate - a.rate || b.approved - a.approved)[0] || null
+
+    const streak = analytics.streaks.currentStreak
+    const previousStreak = previous?.streak?.current ?? null
+    const previousRank = previous?.rank?.rank ?? null
+
+    return {
+      audience: 'user',
+      week,
+      ...summarize(records),
+      streak: {
+        current: streak,
+        best: analytics.streaks.bestStreak,
+        change: previousStreak === null ? null : streak - previousStreak
+      },
+      bestRoom,
+      newAchievements: achievements
+        .filter(a => a.earned_at && a.earned_at.slice(0, 10) >= week.from && a.earned_at.slice(0, 10) <= week.to)
+        .map(a => ({ id: a.achievement_id, name: a.achievement?.name, icon: a.achievement?.icon })),
+      rank: {
+        rank: rank.rank,
+        total: rank.total,
+        // Positive when the user moved up
+        change: previousRank === null || !rank.rank ? null : previousRank - rank.rank
+      }
+    }
+  },
+
+  /**
+   * An admin's weekly summary across the rooms they manage
+   * @param {string} adminId
+   * @param {{ today?: string }} [options] - YYYY-MM-DD in the admin's timezone
+   */
+  async buildAdminDigest(adminId, { today } = {}) {
+    const analytics = await analyticsService.getAdminAnalytics(adminId)
+    const week = weekRange(today || todayIn(await profileService.getTimezone(adminId)))
+    const records = inRange(analytics.records || [], week)
+
+    const byUser = {}
+    for (const record of records) {
+      if (!byUser[record.user_id]) byUser[record.user_id] = { user: record.user, records: [] }
+      byUser[record.user_id].records.push(record)
+    }
+
+    const atRiskUsers = Object.entries(byUser)
+      .map(([userId, { user, records: recs }]) => ({
+        userId,
+        name: user?.name || user?.email || 'Unknown',
+        ...summarize(recs)
+      }))
+      .filter(u => u.rate < AT_RISK_RATE || u.missed >= AT_RISK_MISSED)
+      .sort((a, b) => a.rate - b.rate)
+
+    return {
+      audience: 'admin',
+      week,
+      ...summarize(records),
+      pendingReviews: analytics.overview?.pendingReview || 0,
+      atRiskUsers,
+      rooms: (analytics.roomStats || []).map(room => ({
+        roomId: room.roomId,
+        name: room.name,
+        emoji: room.emoji,
+        userName: room.userName,
+        ...summarize(records.filter(r => r.room_id === room.roomId))
+      }))
+    }
+  },
+
+  /**
+   * Build and deliver a user's weekly digest (once per week)
+   * @returns {Promise<object|null>} the dispatch result, or null if already sent
+   */
+  async sendUserDigest(userId, today) {
+    const week = weekRange(today)
+    if (await notificationDeliveriesRepository.findByDedupKey(userId, dedupKey(DIGEST_TYPES.USER, week))) return null
+
+    const digest = await this.buildUserDigest(userId, { today })
+    const streakNote = digest.streak.current > 0 ? ` · 🔥 ${digest.streak.current}-day streak` : ''
+    const bestNote = digest.bestRoom ? ` Best room: ${digest.bestRoom.emoji || '📋'} ${digest.bestRoom.name} (${digest.bestRoom.rate}%).` : ''
+
+    return notificationDispatcher.dispatch(userId, {
+      type: DIGEST_TYPES.USER,
+      title: `📊 Your week: ${digest.approved}/${digest.total} approved${streakNote}`,
+      body: `${digest.missed} missed, ${digest.rate}% approval.${bestNote}`,
+      data: digest,
+      push: { url: '/analytics' },
+      dedupKey: dedupKey(DIGEST_TYPES.USER, week)
+    })
+  },
+
+  /**
+   * Build and deliver an admin's weekly digest (once per week)
+   * @returns {Promise<object|null>} the dispatch result, or null if already sent
+   */
+  async sendAdminDigest(adminId, today) {
+    const week = weekRange(today)
+    if (await notificationDeliveriesRepository.findByDedupKey(adminId, dedupKey(DIGEST_TYPES.ADMIN, week))) return null
+
+    const digest = await this.buildAdminDigest(adminId, { today })
+    const atRisk = digest.atRiskUsers.length
+
+    return notificationDispatcher.dispatch(adminId, {
+      type: DIGEST_TYPES.ADMIN,
+      title: `🛡️ Admin week: ${digest.rate}% approval across ${digest.rooms.length} room(s)`,
+      body: `${digest.pendingReviews} proof(s) awaiting review${atRisk ? `, ${atRisk} user(s) at risk` : ''}.`,
+      data: digest,
+      push: { url: '/admin' },
+      dedupKey: dedupKey(DIGEST_TYPES.ADMIN, week)
+    })
+  },
+
+  /**
+   * Send this week's digests to everyone for whom it is digest time
+   * (Monday from 08:00 in their timezone). Safe to call repeatedly.
+   * @returns {Promise<number>} digests sent
+   */
+  async sendDueDigests(now = new Date()) {
+    let sent = 0
+    let page = await findProfilePage()
+
+    while (page.length) {
+      for (const profile of page) {
+        const timezone = safeTimezone(profile.timezone)
+        const today = todayIn(timezone, now)
+        if (dayOfWeek(today) !== DIGEST_WEEKDAY || minutesInTimezone(now, timezone) < DIGEST_FROM_MINUTES) continue
+
+        try {
+          const [attendedRoomIds, adminRoomIds] = await Promise.all([
+            getAttendedRoomIds(profile.id),
+            getAdminRoomIds(profile.id)
+          ])
+          if (attendedRoomIds.length && (await this.sendUserDigest(profile.id, today))?.notification) sent++
+          if (adminRoomIds.length && (await this.sendAdminDigest(profile.id, today))?.notification) sent++
+        } catch (err) {
+          console.error(`Digest failed for user ${profile.id}:`, err.message)
+        }
+      }
+
+      if (page.length < PROFILE_PAGE_SIZE) break
+      page = await findProfilePage(page[page.length - 1].id)
+    }
+
+    return sent
+  },
+
+  /**
+   * The most recent digest notification for a user
+   * @param {string} userId
+   * @param {'user'|'admin'} [audience]
+   */
+  async getLatest(userId, audience = 'user') {
+    const type = audience === 'admin' ? DIGEST_TYPES.ADMIN : DIGEST_TYPES.USER
+    const digest = await notificationsRepository.findOne({ user_id: userId, type }, {
+      order: { column: 'created_at', ascending: false }
+    })
+    if (!digest) throw new NotFoundError('No digest yet', { code: 'DIGEST_NOT_FOUND' })
+    return digest
+  }
+}
+
+export default digestService
@@ -0,0 +1,83 @@
+/**
+ * Email Service
+ * Sends email through the transport in src/config/email.js, rendered with
+ * src/templates/emailTemplates.js. Notification emails are sent by the
+ * notification dispatcher, which applies the user's channel preferences.
+ */
+
+import { writeFile, mkdir } from 'fs/promises'
+import path from 'path'
+import { transporter, emailEnabled, outboxDir, EMAIL_FROM } from '../config/email.js'
+import { profilesRepository } from '../repositories/index.js'
+import { renderNotificationEmail, renderInviteEmail } from '../templates/emailTemplates.js'
+
+/**
+ * Keep a copy of a message rendered by the outbox transport
+ */
+async function writeToOutbox(info) {
+  await mkdir(outboxDir, { recursive: true })
+  const name = `${Date.now()}-${String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '')}.eml`
+  const file = path.join(outboxDir, name)
+  await writeFile(file, info.message)
+  return file
+}
+
+export const emailService = {
+  /**
+   * Send one email
+   * @param {{ to: string, subject: string, html: string, text: string }} message
+   * @returns {Promise<{ status: 'sent'|'email_disabled', messageId?: string }>}
+   */
+  async send({ to, subject, html, text }) {
+    if (!emailEnabled) return { status: 'email_disabled' }
+
+    const info = await transporter.sendMail({ from: EMAIL_FROM, to, subject, html, text })
+    if (outboxDir) await writeToOutbox(info)
+
+    return { status: 'sent', messageId: info.messageId }
+  },
+
+  /**
+   * Email a notification to a user's profile address
+   * Never throws; the outcome is returned for the delivery log.
+   * @param {string} userId
+   * @param {{ type: string, title: string, body: string, data?: object }} notification
+   * @returns {Promise<{ status: 'sent'|'failed'|'no_address'|'email_disabled', error: string|null }>}
+   */
+  async sendNotification(userId, notification) {
+    if (!emailEnabled) return { status: 'email_disabled', error: null }
+
+    try {
+      const profile = await profilesRepository.findById(userId, { columns: ['email'] })
+      if (!profile?.email) return { status: 'no_address', error: null }
+
+      await this.send({ to: profile.email, ...renderNotificationEmail(notification) })
+      return { status: 'sent', error: null }
+    } catch (err) {
+      console.error(`Email failed for user ${userId}:`, err.message)
+      return { status: 'failed', error: err.message }
+    }
+  },
+
+  /**
+   * Email a room invite to an address (the recipient may not have an account)
+   * @param {string} to
+   * @param {{ code: string, room: object, inviterName?: string, url?: string }} invite
+   */
+  async sendInvite(to, invite) {
+    return this.send({ to, ...renderInviteEmail(invite) })
+  },
+
+  /**
+   * Send a test email to the user's profile address
+   */
+  async sendTest(userId) {
+    return this.sendNotification(userId, {
+      type: 'test',
+      title: '✉️ Test email from Daylock',
+      body: 'Email notifications are working.'
+    })
+  }
+}
+
+export default emailService
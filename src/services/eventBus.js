@@ -0,0 +1,101 @@
+/**
+ * Event Bus
+ * In-process pub/sub for live updates, consumed by the SSE stream
+ * (GET /api/stream). Services publish events addressed to user ids;
+ * each open stream subscribes for its user.
+ *
+ * Recent events are kept in a bounded buffer so a reconnecting client can
+ * resume from its Last-Event-ID. Event ids are `<boot>-<sequence>`: an id
+ * from before a restart, or one that has already left the buffer, cannot be
+ * resumed and the client is told to resync instead.
+ */
+
+import { EventEmitter } from 'events'
+
+const BOOT_ID = Date.now().toString(36)
+const BUFFER_SIZE = 1000
+const BUFFER_TTL_MS = 10 * 60 * 1000
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+let sequence = 0
+const buffer = []
+
+function channel(userId) {
+  return `user:${userId}`
+}
+
+function prune(now = Date.now()) {
+  while (buffer.length > BUFFER_SIZE || (buffer.length && now - buffer[0].at > BUFFER_TTL_MS)) {
+    buffer.shift()
+  }
+}
+
+function toMessage({ id, type, data }) {
+  return { id, type, data }
+}
+
+export const eventBus = {
+  /**
+   * Publish an event to one or more users
+   * @param {string|string[]} userIds
+   * @param {string} type - e.g. 'notification', 'attendance', 'pending_proof', 'feed'
+   * @param {object} data
+   * @returns {{ id: string, type: string, data: object }}
+   */
+  publish(userIds, type, data) {
+    const recipients = [...new Set([].concat(userIds).filter(Boolean))]
+    sequence++
+    const event = { id: `${BOOT_ID}-${sequence}`, seq: sequence, type, data, recipients, at: Date.now() }
+
+    buffer.push(event)
+    prune(event.at)
+
+    for (const userId of recipients) {
+      emitter.emit(channel(userId), toMessage(event))
+    }
+    return toMessage(event)
+  },
+
+  /**
+   * Listen for a user's events
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(userId, listener) {
+    emitter.on(channel(userId), listener)
+    return () => emitter.off(channel(userId), listener)
+  },
+
+  /**
+   * A user's events published after `lastEventId`
+   * @returns {{ events: object[], complete: boolean }} complete is false when
+   *   events may have been missed (unknown id, restart, or evicted from the buffer)
+   */
+  replay(userId, lastEventId) {
+    prune()
+    const [boot, seq] = String(lastEventId || '').split('-')
+    const lastSeq = Number(seq)
+
+    if (boot !== BOOT_ID || !Number.isInteger(lastSeq) || lastSeq > sequence) {
+      return { events: [], complete: false }
+    }
+
+    const oldest = buffer[0]?.seq ?? sequence + 1
+    const events = buffer
+      .filter(event => event.seq > lastSeq && event.recipients.includes(userId))
+      .map(toMessage)
+
+    return { events, complete: lastSeq >= oldest - 1 }
+  },
+
+  /**
+   * Number of open subscriptions for a user (or all users)
+   */
+  listenerCount(userId) {
+    if (userId) return emitter.listenerCount(channel(userId))
+    return emitter.eventNames().reduce((sum, name) => sum + emitter.listenerCount(name), 0)
+  }
+}
+
+export default eventBus
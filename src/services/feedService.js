@@ -3,78 +3,48 @@
  * Phase 3: Social timeline — attendance events, achievements, challenge updates
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { activityFeedRepository, profilesRepository } from '../repositories/index.js'
+import { getRoomMemberIds, getMemberRoomIds } from '../policies/roomPolicy.js'
+import { eventBus } from './eventBus.js'
+
+const NEWEST_FIRST = { column: 'created_at', ascending: false }
+
+// Events older than `before` (a created_at cursor), when given
+const olderThan = (before) => (before ? { lt: before } : undefined)
 
 export const feedService = {
   /**
    * Get feed for a specific room
    */
   async getForRoom(roomId, { limit = 50, before = null } = {}) {
-    let query = supabaseAdmin
-      .from('activity_feed')
-      .select('*')
-      .eq('room_id', roomId)
-      .eq('visibility', 'room')
-      .order('created_at', { ascending: false })
-      .limit(limit)
-
-    if (before) {
-      query = query.lt('created_at', before)
-    }
-
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return activityFeedRepository.find(
+      { room_id: roomId, visibility: 'room', created_at: olderThan(before) },
+      { order: NEWEST_FIRST, limit }
+    )
   },
 
   /**
    * Get global public feed
    */
   async getGlobal({ limit = 50, before = null } = {}) {
-    let query = supabaseAdmin
-      .from('activity_feed')
-      .select('*')
-      .eq('visibility', 'public')
-      .order('created_at', { ascending: false })
-      .limit(limit)
-
-    if (before) {
-      query = query.lt('created_at', before)
-    }
-
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return activityFeedRepository.find(
+      { visibility: 'public', created_at: olderThan(before) },
+      { order: NEWEST_FIRST, limit }
+    )
   },
 
   /**
    * Get feed for a user (from all their rooms)
    */
   async getForUser(userId, { limit = 50, before = null } = {}) {
-    // Get rooms user belongs to
-    const { data: memberships, error: mErr } = await supabaseAdmin
-      .from('room_members')
-      .select('room_id')
-      .eq('user_id', userId)
-    if (mErr) throw mErr
-
-    const roomIds = (memberships || []).map(m => m.room_id)
+    // Rooms the user belongs to, in any role
+    const roomIds = await getMemberRoomIds(userId)
     if (roomIds.length === 0) return []
 
-    let query = supabaseAdmin
-      .from('activity_feed')
-      .select('*')
-      .in('room_id', roomIds)
-      .order('created_at', { ascending: false })
-      .limit(limit)
-
-    if (before) {
-      query = query.lt('created_at', before)
-    }
-
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return activityFeedRepository.find(
+      { room_id: roomIds, created_at: olderThan(before) },
+      { order: NEWEST_FIRST, limit }
+    )
   },
 
   /**
@@ -84,29 +54,29 @@ export const feedService = {
     // Look up display name
     let actorName = 'Someone'
     if (userId) {
-      const { data: profile } = await supabaseAdmin
-        .from('profiles')
-        .select('display_name')
-        .eq('id', userId)
-        .single()
-      if (profile) actorName = profile.display_name || 'Someone'
+      const profile = await profilesRepository.findById(userId)
+      if (profile) actorName = profile.display_name || profile.name || 'Someone'
     }
 
-    const { data: event, error } = await supabaseAdmin
-      .from('activity_feed')
-      .insert({
-        user_id: userId,
-        room_id: roomId,
-        event_type: eventType,
-        actor_name: actorName,
-        title,
-        description,
-        data,
-        visibility
-      })
-      .select()
-      .single()
-    if (error) throw error
+    const event = await activityFeedRepository.insert({
+      user_id: userId,
+      room_id: roomId,
+      event_type: eventType,
+      actor_name: actorName,
+      title,
+      description,
+      data,
+      visibility
+    })
+
+    // Live update for the room's members (SSE stream)
+    if (roomId) {
+      try {
+        eventBus.publish(await getRoomMemberIds(roomId), 'feed', event)
+      } catch (err) {
+        console.error('Feed event broadcast failed:', err.message)
+      }
+    }
     return event
   },
 
@@ -3,7 +3,20 @@
  * Fetch approved proof photos organized by room
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { attendanceRepository, roomsRepository } from '../repositories/index.js'
+
+const PHOTO_COLUMNS = ['id', 'date', 'proof_url', 'note', 'submitted_at', 'reviewed_at']
+
+// Approved check-ins that have a proof photo
+const approvedWithPhoto = (where) => ({ ...where, status: 'approved', proof_url: { not: null } })
+
+// Optional { fromDate, toDate } as a date filter
+function dateRange({ fromDate, toDate } = {}) {
+  const range = {}
+  if (fromDate) range.gte = fromDate
+  if (toDate) range.lte = toDate
+  return Object.keys(range).length ? range : undefined
+}
 
 export const galleryService = {
   /**
@@ -12,31 +25,20 @@ export const galleryService = {
    */
   async getUserGalleryRooms(userId) {
     // Get user's rooms
-    const { data: rooms, error: roomsError } = await supabaseAdmin
-      .from('rooms')
-      .select('id, name, emoji')
-      .eq('user_id', userId)
-
-    if (roomsError) throw roomsError
-    if (!rooms || rooms.length === 0) return []
+    const rooms = await roomsRepository.find({ user_id: userId }, { columns: ['id', 'name', 'emoji'] })
+    if (rooms.length === 0) return []
 
     // For each room, count approved proofs with photos
     const roomIds = rooms.map(r => r.id)
 
-    const { data: proofs, error: proofsError } = await supabaseAdmin
-      .from('attendance')
-      .select('room_id, proof_url, date')
-      .eq('user_id', userId)
-      .eq('status', 'approved')
-      .not('proof_url', 'is', null)
-      .in('room_id', roomIds)
-      .order('date', { ascending: false })
-
-    if (proofsError) throw proofsError
+    const proofs = await attendanceRepository.find(
+      approvedWithPhoto({ user_id: userId, room_id: roomIds }),
+      { columns: ['room_id', 'proof_url', 'date'], order: { column: 'date', ascending: false } }
+    )
 
     // Group proofs by room
     const proofsByRoom = {}
-    for (const proof of (proofs || [])) {
+    for (const proof of proofs) {
       if (!proofsByRoom[proof.room_id]) {
         proofsByRoom[proof.room_id] = []
       }
@@ -60,76 +62,24 @@ export const galleryService = {
    * Returns photos with dates, sorted newest first
    */
   async getRoomGalleryPhotos(roomId, userId, options = {}) {
-    let query = supabaseAdmin
-      .from('attendance')
-      .select(`
-        id,
-        date,
-        proof_url,
-        note,
-        submitted_at,
-        reviewed_at,
-        room:rooms (
-          id, name, emoji
-        )
-      `)
-      .eq('room_id', roomId)
-      .eq('user_id', userId)
-      .eq('status', 'approved')
-      .not('proof_url', 'is', null)
-      .order('date', { ascending: false })
-
-    if (options.fromDate) {
-      query = query.gte('date', options.fromDate)
-    }
-    if (options.toDate) {
-      query = query.lte('date', options.toDate)
-    }
-    if (options.limit) {
-      query = query.limit(options.limit)
-    }
-
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return this.getAllGalleryPhotos(userId, { ...options, roomId })
   },
 
   /**
    * Get ALL approved proof photos across all rooms for a user
    * Useful for the "all photos" view
+   * @param {{ roomId?: string, fromDate?: string, toDate?: string, limit?: number }} [options]
    */
   async getAllGalleryPhotos(userId, options = {}) {
-    let query = supabaseAdmin
-      .from('attendance')
-      .select(`
-        id,
-        date,
-        proof_url,
-        note,
-        submitted_at,
-        reviewed_at,
-        room:rooms (
-          id, name, emoji
-        )
-      `)
-      .eq('user_id', userId)
-      .eq('status', 'approved')
-      .not('proof_url', 'is', null)
-      .order('date', { ascending: false })
-
-    if (options.fromDate) {
-      query = query.gte('date', options.fromDate)
-    }
-    if (options.toDate) {
-      query = query.lte('date', options.toDate)
-    }
-    if (options.limit) {
-      query = query.limit(options.limit)
-    }
-
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return attendanceRepository.find(
+      approvedWithPhoto({ user_id: userId, room_id: options.roomId, date: dateRange(options) }),
+      {
+        columns: PHOTO_COLUMNS,
+        include: { room: ['id', 'name', 'emoji'] },
+        order: { column: 'date', ascending: false },
+        limit: options.limit
+      }
+    )
   }
 }
 
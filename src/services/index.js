@@ -9,6 +9,12 @@ export { achievementsService } from './achievementsService.js'
 export { leaderboardService } from './leaderboardService.js'
 export { challengesService } from './challengesService.js'
 export { notificationsService } from './notificationsService.js'
+export { notificationDispatcher } from './notificationDispatcher.js'
+export { digestService } from './digestService.js'
 export { feedService } from './feedService.js'
 export { remindersService } from './remindersService.js'
 export { pushService } from './pushService.js'
+export { emailService } from './emailService.js'
+export { streakService } from './streakService.js'
+export { eventBus } from './eventBus.js'
+export { webhookService } from './webhookService.js'
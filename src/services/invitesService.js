@@ -1,204 +1,374 @@
 /**
  * Invites Service
- * Handle room invite codes for admin assignment
+ * Handle room invite codes: admin invites assign a reviewer, member invites
+ * let people join a group room. Codes can expire, be limited to a number of
+ * uses or to one person (see src/policies/invitePolicy.js). Each code has a
+ * deep link into the frontend's accept flow, which can be shared as a QR code.
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import QRCode from 'qrcode'
+
+import { roomsRepository, roomInvitesRepository, roomMembersRepository, profilesRepository } from '../repositories/index.js'
+import { ApiError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { assertRoomRole, getRoomRole, ROOM_ROLES, ALL_ADMIN_PERMISSIONS } from '../policies/roomPolicy.js'
+import {
+  INVITE_STATES,
+  getInviteState,
+  getInviteUsesLeft,
+  isTargetedInvite,
+  isInviteFor,
+  assertInviteActive,
+  assertInviteUsable
+} from '../policies/invitePolicy.js'
+import { emailService } from './emailService.js'
+import { roomsService } from './roomsService.js'
+import { emailEnabled, APP_URL } from '../config/email.js'
+import { generateInviteCode, normalizeInviteCode, isValidInviteCode } from '../utils/inviteCodes.js'
+
+// Fresh codes tried before giving up; with a random suffix a clash is rare
+const CODE_ATTEMPTS = 5
+
+const QR_CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml' }
 
 /**
- * Generate an invite code from the room name + unique number
- * e.g. "Gym" -> "gym-482", "Morning Study" -> "morning-study-731"
+ * Link that opens the frontend's accept flow for a code
+ * e.g. https://app.example.com/invite/gym-k7p2
  */
-async function generateInviteCode(roomName) {
-  const slug = (roomName || 'room')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9-]/g, '')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '')
-    || 'room'
-
-  // Try up to 10 times to find a unique code
-  for (let attempt = 0; attempt < 10; attempt++) {
-    const num = Math.floor(100 + Math.random() * 900) // 3-digit: 100-999
-    const code = `${slug}-${num}`
-
-    const { data } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('invite_code', code)
-      .maybeSingle()
-
-    if (!data) return code // unique
+function inviteUrl(code) {
+  return `${APP_URL}/invite/${encodeURIComponent(code)}`
+}
+
+/**
+ * Title and description for a link preview card of a code
+ * Only names the room when the viewer may see it (see getPublicInvite)
+ */
+function shareMetadata(invite, state, showRoom) {
+  const share = { url: inviteUrl(invite.invite_code), title: 'Daylock invite', description: null }
+
+  if (state === INVITE_STATES.EXPIRED) share.description = 'This invite has expired.'
+  else if (state === INVITE_STATES.USED_UP) share.description = 'This invite has already been used.'
+  else if (state === INVITE_STATES.REVOKED) share.description = 'This invite has been revoked.'
+  else if (!showRoom) share.description = 'This invite is for someone else. Sign in to see it.'
+  else {
+    const room = invite.room || {}
+    const who = room.user?.name || 'Someone'
+    share.title = `Join ${[room.emoji, room.name].filter(Boolean).join(' ')} on Daylock`
+    share.description = (invite.role || ROOM_ROLES.ADMIN) === ROOM_ROLES.ADMIN
+      ? `${who} invited you to keep them accountable as an admin.`
+      : `${who} invited you to join their group.`
   }
+  return share
+}
 
-  // Fallback: slug + timestamp fragment
-  const ts = Date.now().toString(36).slice(-4)
-  return `${slug}-${ts}`
+// Tries at counting a join against an invite when other joins race it
+const CLAIM_ATTEMPTS = 3
+
+/**
+ * Count one join against an invite; an admin invite is claimed outright
+ * Conditional on the use count we read, so two people cannot take the last use
+ * @returns {Promise<object|null>} the updated invite, or null if someone else got there first
+ */
+async function claimInviteUse(invite, userId) {
+  const uses = invite.use_count ?? null
+  const [claimed] = await roomInvitesRepository.update(
+    { id: invite.id, status: 'pending', use_count: uses },
+    (invite.role || ROOM_ROLES.ADMIN) === ROOM_ROLES.ADMIN
+      ? { admin_id: userId, status: 'accepted', accepted_at: new Date().toISOString(), use_count: 1 }
+      : { use_count: (uses || 0) + 1 }
+  )
+  return claimed || null
 }
 
 export const invitesService = {
   /**
    * Create a new invite for a room
+   * roomName is used to generate the invite code (e.g. gym-k7p2)
+   * @param {'admin'|'member'} [role] - what accepting the invite grants
+   * @param {object} [limits]
+   * @param {string} [limits.expires_at] - when the code stops working
+   * @param {number} [limits.max_uses] - joins allowed (member invites; admin invites are single-use)
+   * @param {string} [limits.target_email] - only the user with this email can accept it
+   * @param {string} [limits.target_user_id] - only this user can accept it
    */
-  /**
-   * Create a new invite for a room
-   * roomName is used to generate the invite code (e.g. gym-482)
-   */
-  async createInvite(roomId, userId, roomName) {
+  async createInvite(roomId, userId, roomName, role = ROOM_ROLES.ADMIN, limits = {}) {
     // Verify user owns the room
-    const { data: room } = await supabaseAdmin
-      .from('rooms')
-      .select('user_id, name')
-      .eq('id', roomId)
-      .single()
+    await assertRoomRole(roomId, userId, ROOM_ROLES.OWNER, 'Unauthorized to create invite for this room')
     
-    if (!room || room.user_id !== userId) {
-      throw new Error('Unauthorized to create invite for this room')
+    const { expires_at = null, max_uses = null, target_email = null, target_user_id = null } = limits
+    if (role === ROOM_ROLES.ADMIN && max_uses !== null && max_uses !== 1) {
+      throw new ValidationError('Admin invites are single-use', { code: 'ADMIN_INVITE_SINGLE_USE' })
     }
     
-    const code = await generateInviteCode(roomName || room.name)
-    
-    const { data, error } = await supabaseAdmin
-      .from('room_invites')
-      .insert({
-        room_id: roomId,
-        invite_code: code,
-        status: 'pending'
-      })
-      .select()
-      .single()
+    const room = await roomsRepository.findById(roomId, { columns: ['name'] })
     
-    if (error) {
-      // If code collision, retry
-      if (error.code === '23505') {
-        return this.createInvite(roomId, userId, roomName)
+    for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+      try {
+        return await roomInvitesRepository.insert({
+          room_id: roomId,
+          invite_code: generateInviteCode(roomName || room.name),
+          role,
+          status: 'pending',
+          expires_at,
+          max_uses: role === ROOM_ROLES.ADMIN ? 1 : max_uses,
+          use_count: 0,
+          target_email: target_email ? target_email.toLowerCase() : null,
+          target_user_id
+        })
+      } catch (error) {
+        // Another invite already has this code; try a fresh one
+        if (error.code !== '23505') throw error
       }
-      throw error
     }
-    
-    return data
+    throw new ConflictError('Could not generate a unique invite code, please try again', { code: 'INVITE_CODE_UNAVAILABLE' })
   },
 
   /**
-   * Get invite by code
+   * Get invite by code, in any case
    */
   async getInviteByCode(code) {
-    const { data, error } = await supabaseAdmin
-      .from('room_invites')
-      .select(`
-        *,
-        room:rooms (
-          id, name, emoji, time_start, time_end,
-          user:profiles!rooms_user_id_fkey (
-            id, name, email
-          )
-        )
-      `)
-      .eq('invite_code', code.toLowerCase())
-      .maybeSingle()
-    
-    if (error) throw error
-    return data
+    if (!isValidInviteCode(code)) return null
+    return roomInvitesRepository.findByCode(normalizeInviteCode(code), {
+      include: {
+        room: {
+          columns: ['id', 'name', 'emoji', 'time_start', 'time_end'],
+          include: { user: ['id', 'name'] }
+        }
+      }
+    })
+  },
+
+  /**
+   * What anyone holding a code may see about it (GET /api/invites/code/:code)
+   * Dead codes, and codes meant for someone else, say why without naming the room.
+   * @param {{ id: string, email?: string }} [viewer] - the signed-in caller, if any
+   * @returns {Promise<object|null>} null when no invite has this code
+   */
+  async getPublicInvite(code, viewer = null) {
+    const invite = await this.getInviteByCode(code)
+    if (!invite) return null
+
+    const state = getInviteState(invite)
+    const usable = state === INVITE_STATES.ACTIVE
+    const showRoom = usable && isInviteFor(invite, viewer)
+
+    return {
+      invite_code: invite.invite_code,
+      role: invite.role || ROOM_ROLES.ADMIN,
+      state,
+      usable,
+      expired: state === INVITE_STATES.EXPIRED,
+      used_up: state === INVITE_STATES.USED_UP,
+      revoked: state === INVITE_STATES.REVOKED,
+      expires_at: invite.expires_at || null,
+      uses_left: getInviteUsesLeft(invite),
+      restricted: isTargetedInvite(invite),
+      room: showRoom
+        ? {
+            name: invite.room?.name,
+            emoji: invite.room?.emoji,
+            time_start: invite.room?.time_start,
+            time_end: invite.room?.time_end,
+            owner: { name: invite.room?.user?.name || null }
+          }
+        : null,
+      share: shareMetadata(invite, state, showRoom)
+    }
   },
 
   /**
-   * Accept an invite (admin joins room)
+   * Accept an invite: join the room in the invite's role
+   * An admin invite is used up by accepting it; a member invite stays open
+   * for the rest of the group until it expires or runs out of uses.
+   * @returns {Promise<object>} the invite, with the room and the new membership
    */
-  async acceptInvite(inviteCode, adminId) {
+  async acceptInvite(inviteCode, userId) {
     const invite = await this.getInviteByCode(inviteCode)
     
     if (!invite) {
-      throw new Error('Invalid invite code')
+      throw new NotFoundError('Invalid invite code', { code: 'INVITE_NOT_FOUND' })
     }
     
-    if (invite.status !== 'pending') {
-      throw new Error('This invite has already been used')
+    const user = { id: userId, email: null }
+    if (isTargetedInvite(invite)) {
+      const profile = await profilesRepository.findById(userId, { columns: ['email'] })
+      user.email = profile?.email || null
     }
+    assertInviteUsable(invite, user)
     
-    // Check if admin already manages this room
-    const { data: existing } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', invite.room_id)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
+    const role = invite.role || ROOM_ROLES.ADMIN
+    const currentRole = await getRoomRole(invite.room_id, userId)
     
-    if (existing) {
-      throw new Error('You are already managing this room')
+    if (currentRole === ROOM_ROLES.OWNER) {
+      throw new ForbiddenError('You cannot join your own room', { code: 'OWN_ROOM_INVITE' })
+    }
+    if (currentRole === ROOM_ROLES.ADMIN) {
+      throw new ConflictError('You are already managing this room', { code: 'ALREADY_ROOM_ADMIN' })
+    }
+    if (currentRole) {
+      throw new ConflictError('You are already a member of this room', { code: 'ALREADY_ROOM_MEMBER' })
     }
     
-    // Check if admin is the room owner
-    if (invite.room?.user?.id === adminId) {
-      throw new Error('You cannot be admin of your own room')
+    // Take one use of the invite; if another join got in first, re-check it and try again
+    let current = invite
+    let accepted = await claimInviteUse(current, userId)
+    for (let attempt = 1; !accepted && attempt < CLAIM_ATTEMPTS; attempt++) {
+      current = await roomInvitesRepository.findById(invite.id)
+      if (!current) {
+        throw new NotFoundError('Invalid invite code', { code: 'INVITE_NOT_FOUND' })
+      }
+      assertInviteActive(current)
+      accepted = await claimInviteUse(current, userId)
+    }
+    if (!accepted) {
+      throw new ConflictError('This invite is busy, please try again', { code: 'INVITE_BUSY' })
     }
     
-    // Update invite with admin
-    const { data, error } = await supabaseAdmin
-      .from('room_invites')
-      .update({
-        admin_id: adminId,
-        status: 'accepted',
-        accepted_at: new Date().toISOString()
+    let membership
+    try {
+      membership = await roomMembersRepository.insert({
+        room_id: invite.room_id,
+        user_id: userId,
+        role,
+        invite_id: invite.id,
+        // New admins start with every permission; the owner can narrow them
+        permissions: role === ROOM_ROLES.ADMIN ? [...ALL_ADMIN_PERMISSIONS] : null,
+        joined_at: new Date().toISOString()
       })
-      .eq('id', invite.id)
-      .select(`
-        *,
-        room:rooms (
-          id, name, emoji
-        )
-      `)
-      .single()
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ConflictError('You are already a member of this room', { code: 'ALREADY_ROOM_MEMBER' })
+      }
+      throw error
+    }
     
-    if (error) throw error
-    return data
+    return {
+      ...accepted,
+      room: { id: invite.room?.id, name: invite.room?.name, emoji: invite.room?.emoji },
+      membership
+    }
   },
 
   /**
    * Revoke an invite
+   * A member invite stops admitting new members; those who already joined stay.
+   * Revoking an accepted admin invite removes the admin from the room.
    */
   async revokeInvite(inviteId, userId) {
     // Verify user owns the room
-    const { data: invite } = await supabaseAdmin
-      .from('room_invites')
-      .select('room_id, room:rooms(user_id)')
-      .eq('id', inviteId)
-      .single()
+    const invite = await roomInvitesRepository.findById(inviteId, { columns: ['room_id', 'role', 'status', 'admin_id'] })
     
-    if (!invite || invite.room?.user_id !== userId) {
-      throw new Error('Unauthorized to revoke this invite')
+    if (!invite) {
+      throw new NotFoundError('Invite not found')
     }
+    await assertRoomRole(invite.room_id, userId, ROOM_ROLES.OWNER, 'Unauthorized to revoke this invite')
     
-    const { data, error } = await supabaseAdmin
-      .from('room_invites')
-      .update({ status: 'revoked' })
-      .eq('id', inviteId)
-      .select()
-      .single()
+    // Revoking an accepted admin invite removes that admin, the same way as
+    // POST /api/rooms/:roomId/admins/:adminId/remove
+    if (invite.status === 'accepted' && invite.role !== ROOM_ROLES.MEMBER && invite.admin_id) {
+      if ((await getRoomRole(invite.room_id, invite.admin_id)) === ROOM_ROLES.ADMIN) {
+        await roomsService.removeAdmin(invite.room_id, userId, invite.admin_id, { reason: 'Invite revoked' })
+      }
+    }
     
-    if (error) throw error
-    return data
+    return roomInvitesRepository.updateById(inviteId, { status: 'revoked' })
+  },
+
+  /**
+   * Email an active invite's code to someone
+   */
+  async emailInvite(inviteId, userId, email) {
+    const invite = await roomInvitesRepository.findById(inviteId, {
+      columns: ['id', 'room_id', 'invite_code', 'role', 'status', 'expires_at', 'max_uses', 'use_count'],
+      include: { room: ['id', 'name', 'emoji'] }
+    })
+
+    if (!invite) {
+      throw new NotFoundError('Invite not found')
+    }
+    await assertRoomRole(invite.room_id, userId, ROOM_ROLES.OWNER, 'Unauthorized to send this invite')
+
+    assertInviteActive(invite)
+    if (!emailEnabled) {
+      throw new ApiError(503, 'Email is not configured on server', null, 'EMAIL_DISABLED')
+    }
+
+    const inviter = await profilesRepository.findById(userId, { columns: ['name'] })
+    await emailService.sendInvite(email, {
+      code: invite.invite_code,
+      room: invite.room,
+      inviterName: inviter?.name,
+      url: inviteUrl(invite.invite_code)
+    })
+
+    return { success: true, invite_id: invite.id, email }
+  },
+
+  /**
+   * QR code of an active invite's deep link, generated locally
+   * @param {{ format?: 'png'|'svg', size?: number }} [options] - size is the width in pixels
+   * @returns {Promise<{ code: string, url: string, contentType: string, image: Buffer|string }>}
+   */
+  async getInviteQr(inviteId, userId, { format = 'png', size = 512 } = {}) {
+    const invite = await roomInvitesRepository.findById(inviteId, {
+      columns: ['id', 'room_id', 'invite_code', 'role', 'status', 'expires_at', 'max_uses', 'use_count']
+    })
+
+    if (!invite) {
+      throw new NotFoundError('Invite not found')
+    }
+    await assertRoomRole(invite.room_id, userId, ROOM_ROLES.OWNER, 'Unauthorized to share this invite')
+
+    assertInviteActive(invite)
+
+    const url = inviteUrl(invite.invite_code)
+    const options = { type: format, width: size, margin: 2, errorCorrectionLevel: 'M' }
+    const image = format === 'svg'
+      ? await QRCode.toString(url, options)
+      : await QRCode.toBuffer(url, options)
+
+    return { code: invite.invite_code, url, contentType: QR_CONTENT_TYPES[format], image }
+  },
+
+  /**
+   * Regenerate a room's code (rooms.room_code) so the old one stops working
+   * The old invite is revoked unless someone already joined with it as an
+   * admin; the new one keeps its role unless another is given.
+   * @param {{ role?: 'admin'|'member' }} [options] - plus the limits createInvite takes
+   * @returns {Promise<{ room_code: string, invite: object, revoked_invite_id: string|null }>}
+   */
+  async regenerateRoomCode(roomId, userId, { role, ...limits } = {}) {
+    await assertRoomRole(roomId, userId, ROOM_ROLES.OWNER, 'Only the room owner can regenerate its code')
+
+    const room = await roomsRepository.findById(roomId, { columns: ['id', 'name', 'room_code'] })
+    const previous = room.room_code
+      ? await roomInvitesRepository.findByCode(room.room_code, { columns: ['id', 'role', 'status'] })
+      : null
+
+    const invite = await this.createInvite(roomId, userId, room.name, role || previous?.role || ROOM_ROLES.ADMIN, limits)
+
+    const revoke = previous?.status === 'pending'
+    if (revoke) {
+      await roomInvitesRepository.updateById(previous.id, { status: 'revoked' })
+    }
+    await roomsRepository.updateById(roomId, { room_code: invite.invite_code, updated_at: new Date().toISOString() })
+
+    return { room_code: invite.invite_code, invite, revoked_invite_id: revoke ? previous.id : null }
   },
 
   /**
-   * Get invites for a room
+   * Get invites for a room, with whether each code still works and its link
    */
   async getRoomInvites(roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('room_invites')
-      .select(`
-        *,
-        admin:profiles!room_invites_admin_id_fkey (
-          id, name, email
-        )
-      `)
-      .eq('room_id', roomId)
-      .order('created_at', { ascending: false })
-    
-    if (error) throw error
-    return data || []
+    const invites = await roomInvitesRepository.find({ room_id: roomId }, {
+      include: { admin: ['id', 'name', 'email'] },
+      order: { column: 'created_at', ascending: false }
+    })
+    return invites.map(invite => ({
+      ...invite,
+      state: getInviteState(invite),
+      uses_left: getInviteUsesLeft(invite),
+      url: inviteUrl(invite.invite_code)
+    }))
   }
 }
 
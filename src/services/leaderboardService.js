@@ -3,39 +3,53 @@
  * Phase 3: Rankings by discipline score, streak, attendance rate
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import {
+  attendanceRepository,
+  profilesRepository,
+  leaderboardRepository,
+  roomLeaderboardRepository
+} from '../repositories/index.js'
+import { getRoomAttendeeIds } from '../policies/roomPolicy.js'
+
+// Sort keys accepted by the global leaderboard ('streak' is the documented alias)
+const SORT_COLUMNS = {
+  discipline_score: 'discipline_score',
+  current_streak: 'current_streak',
+  streak: 'current_streak',
+  attendance_rate: 'attendance_rate',
+  achievements_count: 'achievements_count'
+}
+
+const rankRows = (rows) => rows.map((row, i) => ({ rank: i + 1, ...row }))
 
 export const leaderboardService = {
   /**
    * Get global leaderboard
-   * @param {string} sortBy - discipline_score | current_streak | attendance_rate | achievements_count
-   * @param {string} period - all | month | week
-   * @param {number} limit
+   * @param {{ sortBy?: string, period?: string, limit?: number }} [options]
+   *   sortBy - discipline_score | current_streak (streak) | attendance_rate | achievements_count
+   *   period - all | month | week
    */
-  async getGlobal(sortBy = 'discipline_score', period = 'all', limit = 50) {
-    let query = supabaseAdmin
-      .from('profiles')
-      .select('id, name, avatar_url, current_streak, longest_streak, total_discipline_points')
+  async getGlobal({ sortBy = 'discipline_score', period = 'all', limit = 50 } = {}) {
+    const column = SORT_COLUMNS[sortBy] || SORT_COLUMNS.discipline_score
+    limit = limit > 0 ? limit : 50
 
     // For period-based, we need attendance data
     if (period === 'all') {
       // Use the leaderboard view for comprehensive stats
-      const { data, error } = await supabaseAdmin
-        .from('leaderboard_view')
-        .select('*')
-        .order(sortBy, { ascending: false, nullsFirst: false })
-        .limit(limit)
-      
-      if (error) {
+      let rows
+      try {
+        rows = await leaderboardRepository.find({}, {
+          order: { column, ascending: false, nullsFirst: false },
+          limit
+        })
+      } catch {
         // Fallback: simple query from profiles
-        const { data: profiles, error: pErr } = await supabaseAdmin
-          .from('profiles')
-          .select('id, name, avatar_url, current_streak, longest_streak, total_discipline_points')
-          .order('total_discipline_points', { ascending: false, nullsFirst: false })
-          .limit(limit)
-        if (pErr) throw pErr
-        return (profiles || []).map((p, i) => ({
-          rank: i + 1,
+        const profiles = await profilesRepository.find({}, {
+          columns: ['id', 'name', 'avatar_url', 'current_streak', 'longest_streak', 'total_discipline_points'],
+          order: { column: 'total_discipline_points', ascending: false, nullsFirst: false },
+          limit
+        })
+        return rankRows(profiles.map(p => ({
           user_id: p.id,
           name: p.name,
           avatar_url: p.avatar_url,
@@ -44,13 +58,10 @@ export const leaderboardService = {
           longest_streak: p.longest_streak || 0,
           attendance_rate: 0,
           achievements_count: 0
-        }))
+        })))
       }
 
-      return (data || []).map((row, i) => ({
-        rank: i + 1,
-        ...row
-      }))
+      return rankRows(rows)
     }
 
     // Period-based: filter attendance by date range
@@ -62,16 +73,14 @@ export const leaderboardService = {
       fromDate = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0]
     }
 
-    const { data: attendance, error } = await supabaseAdmin
-      .from('attendance')
-      .select('user_id, status, quality_rating')
-      .gte('date', fromDate)
-
-    if (error) throw error
+    const attendance = await attendanceRepository.find(
+      { date: { gte: fromDate } },
+      { columns: ['user_id', 'status', 'quality_rating'] }
+    )
 
     // Aggregate per user
     const userMap = {}
-    for (const record of (attendance || [])) {
+    for (const record of attendance) {
       if (!userMap[record.user_id]) {
         userMap[record.user_id] = { approved: 0, total: 0, qualitySum: 0, qualityCount: 0 }
       }
@@ -87,12 +96,12 @@ export const leaderboardService = {
     const userIds = Object.keys(userMap)
     if (userIds.length === 0) return []
 
-    const { data: profiles } = await supabaseAdmin
-      .from('profiles')
-      .select('id, name, avatar_url, current_streak, total_discipline_points')
-      .in('id', userIds)
+    const profiles = await profilesRepository.find(
+      { id: userIds },
+      { columns: ['id', 'name', 'avatar_url', 'current_streak', 'total_discipline_points'] }
+    )
 
-    const results = (profiles || []).map(p => {
+    const results = profiles.map(p => {
       const stats = userMap[p.id] || { approved: 0, total: 0 }
       return {
         user_id: p.id,
@@ -106,48 +115,47 @@ export const leaderboardService = {
       }
     })
 
-    results.sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0))
-    return results.slice(0, limit).map((r, i) => ({ rank: i + 1, ...r }))
+    results.sort((a, b) => (b[column] || 0) - (a[column] || 0))
+    return rankRows(results.slice(0, limit))
   },
 
   /**
    * Get room-specific leaderboard
+   * Ranks the room's current attendees (the owner and its members) only;
+   * people who left or were removed drop off
    */
   async getForRoom(roomId, limit = 20) {
-    const { data, error } = await supabaseAdmin
-      .from('room_leaderboard_view')
-      .select('*')
-      .eq('room_id', roomId)
-      .order('attendance_rate', { ascending: false, nullsFirst: false })
-      .limit(limit)
-
-    if (error) {
+    const attendeeIds = await getRoomAttendeeIds(roomId)
+    if (attendeeIds.length === 0) return []
+
+    let rows
+    try {
+      rows = await roomLeaderboardRepository.find({ room_id: roomId, user_id: attendeeIds }, {
+        order: { column: 'attendance_rate', ascending: false, nullsFirst: false },
+        limit
+      })
+    } catch {
       // Fallback
-      const { data: attendance, error: aErr } = await supabaseAdmin
-        .from('attendance')
-        .select('user_id, status, quality_rating')
-        .eq('room_id', roomId)
-      if (aErr) throw aErr
-
-      const userMap = {}
-      for (const r of (attendance || [])) {
-        if (!userMap[r.user_id]) userMap[r.user_id] = { approved: 0, total: 0 }
+      const attendance = await attendanceRepository.find(
+        { room_id: roomId, user_id: attendeeIds },
+        { columns: ['user_id', 'status', 'quality_rating'] }
+      )
+
+      // Attendees with nothing recorded yet still get a row
+      const userMap = Object.fromEntries(attendeeIds.map(id => [id, { approved: 0, total: 0 }]))
+      for (const r of attendance) {
         userMap[r.user_id].total++
         if (r.status === 'approved') userMap[r.user_id].approved++
       }
 
-      const userIds = Object.keys(userMap)
-      if (userIds.length === 0) return []
+      const profiles = await profilesRepository.find(
+        { id: attendeeIds },
+        { columns: ['id', 'name', 'avatar_url', 'current_streak'] }
+      )
 
-      const { data: profiles } = await supabaseAdmin
-        .from('profiles')
-        .select('id, name, avatar_url, current_streak')
-        .in('id', userIds)
-
-      return (profiles || []).map((p, i) => {
+      return rankRows(profiles.map(p => {
         const stats = userMap[p.id]
         return {
-          rank: i + 1,
           user_id: p.id,
           name: p.name,
           avatar_url: p.avatar_url,
@@ -156,25 +164,27 @@ export const leaderboardService = {
           attendance_rate: stats.total > 0 ? Math.round(stats.approved / stats.total * 100) : 0,
           current_streak: p.current_streak || 0
         }
-      }).sort((a, b) => b.attendance_rate - a.attendance_rate)
-        .map((r, i) => ({ ...r, rank: i + 1 }))
-        .slice(0, limit)
+      }).sort((a, b) => b.attendance_rate - a.attendance_rate).slice(0, limit))
     }
 
-    return (data || []).map((row, i) => ({ rank: i + 1, ...row }))
+    return rankRows(rows)
   },
 
   /**
    * Get user's rank position
    */
   async getUserRank(userId) {
-    const { data } = await supabaseAdmin
-      .from('leaderboard_view')
-      .select('user_id, discipline_score')
-      .order('discipline_score', { ascending: false, nullsFirst: false })
-
-    if (!data) return { rank: 0, total: 0 }
-    const idx = data.findIndex(r => r.user_id === userId)
-    return { rank: idx >= 0 ? idx + 1 : data.length + 1, total: data.length }
+    let rows
+    try {
+      rows = await leaderboardRepository.find({}, {
+        columns: ['user_id', 'discipline_score'],
+        order: { column: 'discipline_score', ascending: false, nullsFirst: false }
+      })
+    } catch {
+      return { rank: 0, total: 0 }
+    }
+
+    const idx = rows.findIndex(r => r.user_id === userId)
+    return { rank: idx >= 0 ? idx + 1 : rows.length + 1, total: rows.length }
   }
 }
@@ -0,0 +1,285 @@
+/**
+ * Notification Dispatcher
+ * The single way to notify a user. For an event type and recipient it:
+ * 1. Looks up the user's notification preferences and timezone
+ * 2. Skips the event entirely if the user turned that type off
+ * 3. Writes the in-app notification row
+ * 4. Emails it if the user has the email channel on for that type
+ *    (email ignores quiet hours). The email goes out in the background so
+ *    a slow mail server never holds up the request that raised the event;
+ *    email_status stays 'sending' until it is done
+ * 5. Sends web push now, defers it until quiet hours end, or drops it
+ *    (see notificationPolicy); skipped when the push channel is off.
+ *    Pushes that fail transiently stay 'queued' while the push queue
+ *    retries them (see pushService)
+ * 6. Records the outcome in notification_deliveries
+ *
+ * A `dedupKey` makes dispatching idempotent per user: a second dispatch with
+ * the same key returns the first outcome (retrying the push if it failed).
+ * If anything throws after the delivery row is claimed, the row is marked
+ * 'failed' so a later dispatch retries it; a row left 'sending' by a crashed
+ * process is taken over once it is STALE_SENDING_MS old.
+ */
+
+import { notificationsRepository, notificationDeliveriesRepository } from '../repositories/index.js'
+import { evaluateNotification, isChannelEnabled } from '../policies/notificationPolicy.js'
+import { notificationsService } from './notificationsService.js'
+import { profileService } from './profileService.js'
+import { pushService } from './pushService.js'
+import { emailService } from './emailService.js'
+import { eventBus } from './eventBus.js'
+import { pushEnabled } from '../config/webpush.js'
+
+const MAX_PUSH_ATTEMPTS = 3
+
+// A delivery still 'sending' after this long was abandoned by a crashed process
+const STALE_SENDING_MS = 5 * 60 * 1000
+
+const PUSH_DEFAULTS = {
+  icon: '/Assets/daylock_logo.png',
+  badge: '/favicon.svg'
+}
+
+/**
+ * Build the web push payload for an event
+ * `push` may override the payload type, the click-through url and the tag.
+ */
+function buildPayload({ type, title, body, data, push = {} }) {
+  return {
+    ...PUSH_DEFAULTS,
+    type: push.type || type,
+    title,
+    body,
+    data: { ...data, ...(push.url && { url: push.url }) },
+    tag: push.tag || type
+  }
+}
+
+/**
+ * Map a pushService result to a delivery status
+ */
+function pushOutcome(result) {
+  if (result.sent > 0) return { status: 'sent', error: null }
+  if (result.error) return { status: 'failed', error: result.error.message || 'Failed to load push subscriptions' }
+  if (result.queued > 0) return { status: 'queued', error: `Push is being retried on ${result.queued} device(s)` }
+  if (result.failed > 0) return { status: 'failed', error: `Push failed on ${result.failed} device(s)` }
+  return { status: 'no_subscription', error: null }
+}
+
+async function updateDelivery(delivery, patch) {
+  return notificationDeliveriesRepository.updateById(delivery.id, {
+    ...patch,
+    updated_at: new Date().toISOString()
+  })
+}
+
+/**
+ * Why a delivery's push is held back instead of sent now, if it is
+ */
+function heldPushStatus(preferences, type, decision) {
+  if (!isChannelEnabled(preferences, type, 'push')) return 'push_off'
+  if (decision.action === 'drop') return 'dropped'
+  if (decision.action === 'defer') return 'deferred'
+  return null
+}
+
+/**
+ * The status a deduplicated delivery can be taken from for another attempt, if any
+ */
+function retryableStatus(delivery, now) {
+  if (!delivery || delivery.attempts >= MAX_PUSH_ATTEMPTS) return null
+  if (delivery.status === 'failed') return 'failed'
+  const abandoned = delivery.status === 'sending' &&
+    now.getTime() - new Date(delivery.updated_at || delivery.created_at).getTime() > STALE_SENDING_MS
+  return abandoned ? 'sending' : null
+}
+
+export const notificationDispatcher = {
+  /**
+   * Notify a user
+   * @param {string} userId
+   * @param {object} event
+   * @param {string} event.type - e.g. 'room_opening', 'proof_reviewed' (see NOTIFICATION_PREFERENCE_KEYS)
+   * @param {string} event.title
+   * @param {string} event.body
+   * @param {object} [event.data] - stored on the in-app row and sent with the push
+   * @param {{ type?: string, url?: string, tag?: string }} [event.push]
+   * @param {string} [event.dedupKey]
+   * @param {'defer'|'drop'} [event.quietHours] - override the type's quiet-hours handling
+   * @param {Date} [event.now]
+   * @returns {Promise<{ status: string, notification: object|null, delivery: object, push: { sent: number, failed: number }, email: string|null }>}
+   */
+  async dispatch(userId, event) {
+    const { type, title, body, data = {}, push = {}, dedupKey = null } = event
+    const payload = buildPayload({ type, title, body, data, push })
+
+    const delivery = await notificationDeliveriesRepository.claim({
+      user_id: userId,
+      type,
+      dedup_key: dedupKey,
+      status: 'sending',
+      payload
+    })
+    if (!delivery) return this.redispatch(userId, dedupKey, event)
+
+    return this.deliver(delivery, event)
+  },
+
+  /**
+   * Run a claimed ('sending') delivery: preferences, in-app row, email and push
+   * Marks the delivery 'failed' if any step throws, then rethrows
+   */
+  async deliver(delivery, { type, title, body, data = {}, quietHours, now = new Date() }) {
+    const userId = delivery.user_id
+
+    try {
+      const [preferences, timezone] = await Promise.all([
+        notificationsService.getPreferences(userId),
+        profileService.getTimezone(userId)
+      ])
+      const decision = evaluateNotification(preferences, type, { now, timezone, quietHours })
+
+      if (decision.action === 'disabled') {
+        const updated = await updateDelivery(delivery, { status: 'disabled' })
+        return { status: 'disabled', notification: null, delivery: updated, push: { sent: 0, failed: 0 }, email: null }
+      }
+
+      const notification = await notificationsRepository.insert({ user_id: userId, type, title, body, data })
+      eventBus.publish(userId, 'notification', notification)
+
+      const emailOn = isChannelEnabled(preferences, type, 'email')
+      const emailStatus = emailOn ? 'sending' : 'off'
+      const held = heldPushStatus(preferences, type, decision)
+
+      const updated = await updateDelivery(delivery, {
+        notification_id: notification.id,
+        email_status: emailStatus,
+        email_error: null,
+        ...(held && { status: held }),
+        ...(held === 'deferred' && { deliver_after: decision.until.toISOString() })
+      })
+
+      // Not awaited: the outcome is written to the delivery row when it is known
+      if (emailOn) this.sendEmail(updated, { type, title, body, data })
+
+      if (held) {
+        return { status: held, notification, delivery: updated, push: { sent: 0, failed: 0 }, email: emailStatus }
+      }
+      return { notification, email: emailStatus, ...(await this.sendPush(updated)) }
+    } catch (err) {
+      try {
+        await updateDelivery(delivery, { status: 'failed', error: err.message, attempts: delivery.attempts + 1 })
+      } catch (updateErr) {
+        console.error(`Failed to mark notification delivery ${delivery.id} as failed:`, updateErr.message)
+      }
+      throw err
+    }
+  },
+
+  /**
+   * Notify several users with the same event
+   * `dedupKey` is applied per user.
+   */
+  async dispatchMany(userIds, event) {
+    return Promise.all([...new Set(userIds)].map(userId => this.dispatch(userId, event)))
+  },
+
+  /**
+   * Dispatch with a dedup key that was already used: return that outcome,
+   * retrying first if it failed (or was abandoned mid-send) and attempts remain.
+   * A delivery that never got its in-app row is run again from the start.
+   */
+  async redispatch(userId, dedupKey, event) {
+    const existing = await notificationDeliveriesRepository.findByDedupKey(userId, dedupKey)
+    const notification = existing?.notification_id
+      ? await notificationsRepository.findById(existing.notification_id)
+      : null
+
+    const retryFrom = retryableStatus(existing, event.now || new Date())
+    if (retryFrom) {
+      const retry = await notificationDeliveriesRepository.reclaim(existing, retryFrom)
+      if (retry && !retry.notification_id) return this.deliver(retry, event)
+      if (retry) return { notification, ...(await this.sendPush(retry)) }
+    }
+
+    return { status: 'duplicate', notification, delivery: existing, push: { sent: 0, failed: 0 }, email: existing?.email_status ?? null }
+  },
+
+  /**
+   * Email a delivery's notification and record the outcome on the delivery
+   * Never throws. updated_at is left alone: it guards the push's status, not the email's
+   */
+  async sendEmail(delivery, notification) {
+    try {
+      const email = await emailService.sendNotification(delivery.user_id, notification)
+      await notificationDeliveriesRepository.updateById(delivery.id, {
+        email_status: email.status,
+        email_error: email.error
+      })
+    } catch (err) {
+      console.error(`Failed to record the email for notification delivery ${delivery.id}:`, err.message)
+    }
+  },
+
+  /**
+   * Send the push for a claimed ('sending') delivery and record the outcome
+   */
+  async sendPush(delivery) {
+    if (!pushEnabled) {
+      const updated = await updateDelivery(delivery, { status: 'push_disabled' })
+      return { status: 'push_disabled', delivery: updated, push: { sent: 0, failed: 0 } }
+    }
+
+    let result
+    try {
+      result = await pushService.sendToUser(delivery.user_id, delivery.payload, { deliveryId: delivery.id, type: delivery.type })
+    } catch (err) {
+      result = { sent: 0, failed: 0, queued: 0, error: err }
+    }
+
+    const { status, error } = pushOutcome(result)
+    const updated = await updateDelivery(delivery, {
+      status,
+      error,
+      attempts: delivery.attempts + 1,
+      push_sent: result.sent,
+      push_failed: result.failed
+    })
+
+    if (result.sent > 0 && delivery.notification_id) {
+      await notificationsRepository.updateById(delivery.notification_id, { push_sent: true })
+    }
+
+    return { status, delivery: updated, push: { sent: result.sent, failed: result.failed, queued: result.queued } }
+  },
+
+  /**
+   * Send pushes deferred by quiet hours that are now due
+   * Deliveries whose type (or its push channel) the user has since turned off are marked 'disabled'.
+   * @returns {Promise<number>} pushes sent
+   */
+  async flushDeferred(now = new Date()) {
+    const due = await notificationDeliveriesRepository.find({
+      status: 'deferred',
+      deliver_after: { lte: now.toISOString() }
+    }, { order: { column: 'deliver_after', ascending: true }, limit: 500 })
+
+    let sent = 0
+    for (const deferred of due) {
+      const delivery = await notificationDeliveriesRepository.reclaim(deferred, 'deferred')
+      if (!delivery) continue
+
+      const preferences = await notificationsService.getPreferences(delivery.user_id)
+      if (!isChannelEnabled(preferences, delivery.type, 'push')) {
+        await updateDelivery(delivery, { status: 'disabled' })
+        continue
+      }
+
+      const { status } = await this.sendPush(delivery)
+      if (status === 'sent') sent++
+    }
+    return sent
+  }
+}
+
+export default notificationDispatcher
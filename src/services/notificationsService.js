@@ -3,156 +3,164 @@
  * Phase 3: Push notifications, in-app notifications, preferences
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import {
+  notificationsRepository,
+  notificationPreferencesRepository,
+  pushSubscriptionsRepository
+} from '../repositories/index.js'
+import { DEFAULT_NOTIFICATION_PREFERENCES, mergeChannelPreferences } from '../policies/notificationPolicy.js'
+import { notificationDispatcher } from './notificationDispatcher.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+
+// What a user sees about each of their devices (never the endpoint or keys)
+const DEVICE_COLUMNS = [
+  'id', 'name', 'user_agent', 'active', 'muted_types', 'created_at',
+  'last_used_at', 'failure_count', 'last_error'
+]
 
 export const notificationsService = {
   // ============ PREFERENCES ============
 
   async getPreferences(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('notification_preferences')
-      .select('*')
-      .eq('user_id', userId)
-      .single()
-
-    if (error && error.code !== 'PGRST116') throw error
+    const data = await notificationPreferencesRepository.findForUser(userId)
 
     // Return defaults if no row exists
-    return data || {
-      user_id: userId,
-      room_opening: true,
-      room_closing: true,
-      streak_at_risk: true,
-      proof_reviewed: true,
-      achievement_earned: true,
-      challenge_updates: true,
-      weekly_digest: true,
-      quiet_hours_start: null,
-      quiet_hours_end: null
-    }
+    if (!data) return { user_id: userId, ...DEFAULT_NOTIFICATION_PREFERENCES }
+    return { ...data, channels: mergeChannelPreferences(data.channels) }
   },
 
+  /**
+   * Save preferences; `channels` is merged per channel, so a partial
+   * update such as { channels: { email: { weekly_digest: false } } } keeps the rest
+   */
   async updatePreferences(userId, prefs) {
-    const { data, error } = await supabaseAdmin
-      .from('notification_preferences')
-      .upsert({ user_id: userId, ...prefs, updated_at: new Date().toISOString() })
-      .select()
-      .single()
-    if (error) throw error
-    return data
+    const updates = { ...prefs }
+    if (prefs.channels !== undefined) {
+      const current = await notificationPreferencesRepository.findForUser(userId, { columns: ['channels'] })
+      updates.channels = mergeChannelPreferences(current?.channels, prefs.channels)
+    }
+
+    return notificationPreferencesRepository.save({
+      ...updates,
+      user_id: userId,
+      updated_at: new Date().toISOString()
+    })
   },
 
   // ============ PUSH SUBSCRIPTIONS ============
 
+  /**
+   * Save a browser's subscription; re-subscribing reactivates it and clears
+   * its failure history
+   */
   async savePushSubscription(userId, subscription) {
-    const { data, error } = await supabaseAdmin
-      .from('push_subscriptions')
-      .upsert({
-        user_id: userId,
-        endpoint: subscription.endpoint,
-        keys: subscription.keys,
-        user_agent: subscription.userAgent || null,
-        active: true
-      }, { onConflict: 'user_id, endpoint' })
-      .select()
-      .single()
-    if (error) throw error
-    return data
+    const now = new Date().toISOString()
+    return pushSubscriptionsRepository.save({
+      user_id: userId,
+      endpoint: subscription.endpoint,
+      keys: subscription.keys,
+      user_agent: subscription.userAgent || null,
+      ...(subscription.name !== undefined && { name: subscription.name }),
+      active: true,
+      failure_count: 0,
+      last_error: null,
+      last_used_at: now,
+      updated_at: now
+    })
   },
 
+  /**
+   * Remove one device's subscription; without an endpoint nothing is removed
+   */
   async removePushSubscription(userId, endpoint) {
-    const { error } = await supabaseAdmin
-      .from('push_subscriptions')
-      .delete()
-      .eq('user_id', userId)
-      .eq('endpoint', endpoint)
-    if (error) throw error
+    if (!endpoint) {
+      throw new ValidationError('endpoint is required', { code: 'ENDPOINT_REQUIRED' })
+    }
+    await pushSubscriptionsRepository.remove({ user_id: userId, endpoint })
   },
 
   async getActiveSubscriptions(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('push_subscriptions')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('active', true)
-    if (error) throw error
-    return data || []
+    return pushSubscriptionsRepository.findActive(userId)
+  },
+
+  // ============ DEVICES ============
+
+  /**
+   * The user's push devices, most recently used first
+   */
+  async getDevices(userId) {
+    return pushSubscriptionsRepository.find({ user_id: userId }, {
+      columns: DEVICE_COLUMNS,
+      order: { column: 'last_used_at', ascending: false }
+    })
+  },
+
+  async getDevice(userId, deviceId) {
+    const device = await pushSubscriptionsRepository.findOne({ id: deviceId, user_id: userId }, { columns: DEVICE_COLUMNS })
+    if (!device) throw new NotFoundError('Device not found', { code: 'DEVICE_NOT_FOUND' })
+    return device
+  },
+
+  /**
+   * Rename a device or change the notification types it mutes
+   * @param {{ name?: string|null, muted_types?: string[] }} updates
+   */
+  async updateDevice(userId, deviceId, { name, muted_types }) {
+    await this.getDevice(userId, deviceId)
+
+    const updates = { updated_at: new Date().toISOString() }
+    if (name !== undefined) updates.name = name
+    if (muted_types !== undefined) updates.muted_types = [...new Set(muted_types)]
+
+    return pushSubscriptionsRepository.updateById(deviceId, updates, { columns: DEVICE_COLUMNS })
+  },
+
+  /**
+   * Revoke a device: its subscription is deleted, along with queued pushes
+   */
+  async revokeDevice(userId, deviceId) {
+    await this.getDevice(userId, deviceId)
+    await pushSubscriptionsRepository.removeById(deviceId)
   },
 
   // ============ IN-APP NOTIFICATIONS ============
 
   async getNotifications(userId, { limit = 30, unreadOnly = false } = {}) {
-    let query = supabaseAdmin
-      .from('notifications')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit)
-
-    if (unreadOnly) {
-      query = query.eq('read', false)
-    }
-
-    const { data, error } = await query
-    if (error) throw error
-    return data || []
+    return notificationsRepository.find({
+      user_id: userId,
+      read: unreadOnly ? false : undefined
+    }, {
+      order: { column: 'created_at', ascending: false },
+      limit
+    })
   },
 
   async getUnreadCount(userId) {
-    const { count, error } = await supabaseAdmin
-      .from('notifications')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .eq('read', false)
-    if (error) throw error
-    return count || 0
+    return notificationsRepository.count({ user_id: userId, read: false })
   },
 
   async markRead(userId, notificationId) {
-    const { error } = await supabaseAdmin
-      .from('notifications')
-      .update({ read: true })
-      .eq('id', notificationId)
-      .eq('user_id', userId)
-    if (error) throw error
+    await notificationsRepository.update({ id: notificationId, user_id: userId }, { read: true })
   },
 
   async markAllRead(userId) {
-    const { error } = await supabaseAdmin
-      .from('notifications')
-      .update({ read: true })
-      .eq('user_id', userId)
-      .eq('read', false)
-    if (error) throw error
+    await notificationsRepository.update({ user_id: userId, read: false }, { read: true })
   },
 
   /**
-   * Create an in-app notification (and optionally push)
+   * Notify a user: in-app notification plus web push, subject to their
+   * preferences and quiet hours (see notificationDispatcher)
+   * @returns {Promise<object|null>} the in-app notification, or null if the user turned this type off
    */
-  async create(userId, { type, title, body, data = {} }) {
-    const { data: notif, error } = await supabaseAdmin
-      .from('notifications')
-      .insert({ user_id: userId, type, title, body, data })
-      .select()
-      .single()
-    if (error) throw error
-
-    // TODO: Send web push notification here if user has subscriptions
-    // This would use web-push library with VAPID keys in production
-
-    return notif
+  async create(userId, { type, title, body, data = {}, push, dedupKey }) {
+    const { notification } = await notificationDispatcher.dispatch(userId, { type, title, body, data, push, dedupKey })
+    return notification
   },
 
   /**
    * Send notifications to multiple users
    */
-  async createBulk(userIds, { type, title, body, data = {} }) {
-    const rows = userIds.map(uid => ({
-      user_id: uid, type, title, body, data
-    }))
-    const { error } = await supabaseAdmin
-      .from('notifications')
-      .insert(rows)
-    if (error) throw error
+  async createBulk(userIds, { type, title, body, data = {}, push, dedupKey }) {
+    await notificationDispatcher.dispatchMany(userIds, { type, title, body, data, push, dedupKey })
   }
 }
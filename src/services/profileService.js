@@ -3,57 +3,50 @@
  * Handle user profile operations
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { profilesRepository } from '../repositories/index.js'
+import { safeTimezone } from '../utils/dates.js'
+import { NotFoundError } from '../utils/errors.js'
 
 export const profileService = {
   /**
    * Get user profile by ID
    */
   async getProfile(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('profiles')
-      .select('*')
-      .eq('id', userId)
-      .single()
+    return profilesRepository.findById(userId)
+  },
+
+  /**
+   * Get a user's IANA timezone (falls back to UTC when unset or invalid)
+   */
+  async getTimezone(userId) {
+    if (!userId) return safeTimezone(null)
     
-    if (error && error.code !== 'PGRST116') throw error
-    return data
+    const profile = await profilesRepository.findById(userId, { columns: ['timezone'] })
+    return safeTimezone(profile?.timezone)
   },
 
   /**
    * Create or update profile
    */
   async upsertProfile(userId, profileData) {
-    const { data, error } = await supabaseAdmin
-      .from('profiles')
-      .upsert({
-        id: userId,
-        ...profileData,
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single()
-    
-    if (error) throw error
-    return data
+    return profilesRepository.upsert({
+      id: userId,
+      ...profileData,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'id' })
   },
 
   /**
    * Update profile
    */
   async updateProfile(userId, updates) {
-    const { data, error } = await supabaseAdmin
-      .from('profiles')
-      .update({
-        ...updates,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', userId)
-      .select()
-      .single()
+    const profile = await profilesRepository.updateById(userId, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
     
-    if (error) throw error
-    return data
+    if (!profile) throw new NotFoundError('Profile not found')
+    return profile
   },
 
   /**
@@ -67,7 +60,8 @@ export const profileService = {
     return this.upsertProfile(userId, {
       email: userData.email,
       name: userData.name || userData.email?.split('@')[0],
-      avatar_url: userData.avatar_url
+      avatar_url: userData.avatar_url,
+      timezone: userData.timezone || null
     })
   }
 }
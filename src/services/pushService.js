@@ -3,118 +3,322 @@
  * Handles sending push notifications to user subscriptions.
  * Works even when the PWA is closed because the service worker
  * receives the push event independently of the React app.
+ *
+ * Every push to a subscription is a push_queue row. The first attempt is
+ * made right away; transient failures (429, 5xx, network) are retried by the
+ * notification cron with exponential backoff or the push service's
+ * Retry-After (see src/policies/pushPolicy.js). Each attempt updates the
+ * subscription's health: failure_count, last_success_at, last_error.
+ *
+ * Each subscription is one of the user's devices; a device that muted the
+ * notification's type (see isMutedOnDevice) is skipped.
  */
 
 import { webpush, pushEnabled } from '../config/webpush.js'
-import { supabaseAdmin } from '../config/supabase.js'
+import {
+  pushSubscriptionsRepository,
+  pushQueueRepository,
+  notificationDeliveriesRepository,
+  notificationsRepository,
+  reminderDeliveriesRepository
+} from '../repositories/index.js'
+import {
+  classifyPushError,
+  nextPushAttemptAt,
+  shouldDeactivateSubscription
+} from '../policies/pushPolicy.js'
+import { isMutedOnDevice } from '../policies/notificationPolicy.js'
+
+// Pushes in flight at once (across users and devices)
+const SEND_CONCURRENCY = 20
+
+// Seconds the push service keeps an undelivered message for an offline device
+const PUSH_TTL_SECONDS = 24 * 60 * 60
+
+// A push still 'sending' after this long was abandoned by a crashed process
+const STALE_SENDING_MS = 5 * 60 * 1000
+
+const SUBSCRIPTION_HEALTH_COLUMNS = [
+  'id', 'user_agent', 'active', 'failure_count', 'last_success_at',
+  'last_failure_at', 'last_error', 'last_status_code', 'created_at'
+]
+
+/**
+ * Run `fn` over `items` with at most `limit` calls pending at once
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+function errorMessage(err) {
+  const body = typeof err.body === 'string' ? err.body.trim() : ''
+  return (body || err.message || 'Push failed').trim().slice(0, 500)
+}
+
+function tally(items) {
+  const counts = { sent: 0, failed: 0, queued: 0 }
+  for (const item of items) {
+    if (!item) continue
+    if (item.status === 'sent') counts.sent++
+    else if (item.status === 'pending') counts.queued++
+    else counts.failed++
+  }
+  return counts
+}
+
+async function recordSuccess(subscription, statusCode) {
+  const now = new Date().toISOString()
+  await pushSubscriptionsRepository.updateById(subscription.id, {
+    failure_count: 0,
+    last_success_at: now,
+    last_used_at: now,
+    last_status_code: statusCode ?? null,
+    last_error: null
+  })
+}
+
+async function recordFailure(subscription, err, outcome) {
+  const failureCount = (subscription.failure_count || 0) + 1
+  const deactivate = outcome === 'gone' || shouldDeactivateSubscription(failureCount)
+
+  await pushSubscriptionsRepository.updateById(subscription.id, {
+    failure_count: failureCount,
+    last_failure_at: new Date().toISOString(),
+    last_status_code: err.statusCode ?? null,
+    last_error: errorMessage(err),
+    ...(deactivate && { active: false })
+  })
+
+  if (deactivate) {
+    console.log(`Deactivated push subscription ${subscription.id} (${outcome === 'gone' ? `HTTP ${err.statusCode}` : `${failureCount} consecutive failures`})`)
+  }
+}
+
+/**
+ * Once a queued (retried) push for a notification delivery finishes, settle
+ * the delivery: 'sent' if any device got it, 'failed' once none are left pending.
+ * A reminder delivery waiting on it (see reminderCron) settles the same way.
+ */
+async function settleDelivery(deliveryId) {
+  const items = await pushQueueRepository.find({ delivery_id: deliveryId }, { columns: ['status'] })
+  const { sent, queued } = tally(items)
+  if (!sent && (queued || items.some(i => i.status === 'sending'))) return
+
+  const now = new Date().toISOString()
+  const status = sent ? 'sent' : 'failed'
+  const error = sent ? null : 'Push failed after retries'
+
+  const [delivery] = await notificationDeliveriesRepository.update(
+    { id: deliveryId, status: 'queued' },
+    { status, push_sent: sent, error, updated_at: now }
+  )
+  if (sent && delivery?.notification_id) {
+    await notificationsRepository.updateById(delivery.notification_id, { push_sent: true })
+  }
+
+  await reminderDeliveriesRepository.update(
+    { notification_delivery_id: deliveryId, status: 'queued' },
+    { status, error, sent_at: sent ? now : null, updated_at: now }
+  )
+}
 
 export const pushService = {
   /**
    * Send a push notification to a specific user (all their active subscriptions)
+   * @param {string} userId
+   * @param {object} payload
+   * @param {object} [options]
+   * @param {string} [options.deliveryId] - the notification delivery this push belongs to
+   * @param {string} [options.type] - notification type, for per-device muting (defaults to payload.type)
+   * @param {string} [options.subscriptionId] - send to this device only
+   * @returns {Promise<{ sent: number, failed: number, queued: number }>} devices reached,
+   *   failed for good, and waiting for a retry
    */
-  async sendToUser(userId, payload) {
+  async sendToUser(userId, payload, { deliveryId = null, type = payload.type, subscriptionId } = {}) {
     if (!pushEnabled) {
-      console.warn('Push disabled — skipping notification for user', userId)
-      return { sent: 0, failed: 0 }
+      return { sent: 0, failed: 0, queued: 0 }
     }
 
-    const { data: subscriptions, error } = await supabaseAdmin
-      .from('push_subscriptions')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('active', true)
+    const subscriptions = await pushSubscriptionsRepository.findActive(userId)
+    const targets = subscriptions.filter(sub =>
+      (!subscriptionId || sub.id === subscriptionId) && !isMutedOnDevice(sub, type)
+    )
+    return this.sendToSubscriptions(targets, payload, { deliveryId })
+  },
 
-    if (error) {
-      console.error('Failed to fetch push subscriptions:', error)
-      return { sent: 0, failed: 0, error }
-    }
+  /**
+   * Send the same push notification to many users
+   * Subscriptions are loaded in one pass and sent with bounded concurrency.
+   */
+  async sendToUsers(userIds, payload, { type = payload.type } = {}) {
+    if (!pushEnabled || !userIds.length) return { sent: 0, failed: 0, queued: 0 }
 
-    if (!subscriptions || subscriptions.length === 0) {
-      return { sent: 0, failed: 0 }
-    }
+    const subscriptions = await pushSubscriptionsRepository.findActive(userIds)
+    return this.sendToSubscriptions(subscriptions.filter(sub => !isMutedOnDevice(sub, type)), payload)
+  },
 
-    const payloadStr = JSON.stringify(payload)
-    let sent = 0
-    let failed = 0
-
-    const results = await Promise.allSettled(
-      subscriptions.map(async (sub) => {
-        try {
-          await webpush.sendNotification(
-            {
-              endpoint: sub.endpoint,
-              keys: sub.keys
-            },
-            payloadStr
-          )
-          sent++
-        } catch (err) {
-          failed++
-          // If subscription is expired/invalid (410 Gone or 404), deactivate it
-          if (err.statusCode === 410 || err.statusCode === 404) {
-            await supabaseAdmin
-              .from('push_subscriptions')
-              .update({ active: false })
-              .eq('id', sub.id)
-            console.log(`Deactivated expired subscription ${sub.id}`)
-          } else {
-            console.error(`Push failed for sub ${sub.id}:`, err.statusCode, err.body)
-          }
-        }
-      })
-    )
+  /**
+   * Queue a push for each subscription and make the first attempts now
+   */
+  async sendToSubscriptions(subscriptions, payload, { deliveryId = null } = {}) {
+    if (!subscriptions.length) return { sent: 0, failed: 0, queued: 0 }
+
+    const now = new Date().toISOString()
+    const items = await pushQueueRepository.insertMany(subscriptions.map(sub => ({
+      subscription_id: sub.id,
+      user_id: sub.user_id,
+      delivery_id: deliveryId,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now
+    })))
 
-    return { sent, failed }
+    const byId = new Map(subscriptions.map(sub => [sub.id, sub]))
+    const results = await mapWithConcurrency(items, SEND_CONCURRENCY, item => this.attempt(item, byId.get(item.subscription_id)))
+    return tally(results)
   },
 
   /**
-   * Send push notification to multiple users
+   * Make one attempt at a queued push and record the outcome on the queue
+   * row and the subscription
+   * @returns {Promise<object|null>} the updated queue row, or null if another run took it
    */
-  async sendToUsers(userIds, payload) {
-    if (!pushEnabled || !userIds.length) return { sent: 0, failed: 0 }
-
-    let totalSent = 0
-    let totalFailed = 0
-
-    // Process in batches of 10 to avoid overwhelming
-    const batchSize = 10
-    for (let i = 0; i < userIds.length; i += batchSize) {
-      const batch = userIds.slice(i, i + batchSize)
-      const results = await Promise.allSettled(
-        batch.map(uid => this.sendToUser(uid, payload))
+  async attempt(item, subscription, now = new Date()) {
+    const claimed = await pushQueueRepository.claim(item)
+    if (!claimed) return null
+
+    if (!subscription?.active) {
+      return pushQueueRepository.updateById(claimed.id, {
+        status: 'gone',
+        error: 'Subscription is no longer active',
+        next_attempt_at: null,
+        updated_at: new Date().toISOString()
+      })
+    }
+
+    try {
+      const response = await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify(claimed.payload),
+        { TTL: PUSH_TTL_SECONDS }
       )
+      await recordSuccess(subscription, response?.statusCode)
 
-      results.forEach(r => {
-        if (r.status === 'fulfilled') {
-          totalSent += r.value.sent
-          totalFailed += r.value.failed
-        }
+      return pushQueueRepository.updateById(claimed.id, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        last_status_code: response?.statusCode ?? null,
+        error: null,
+        next_attempt_at: null,
+        updated_at: new Date().toISOString()
+      })
+    } catch (err) {
+      const outcome = classifyPushError(err)
+      const retryAt = outcome === 'retry'
+        ? nextPushAttemptAt(claimed.attempts, { retryAfter: err.headers?.['retry-after'], now })
+        : null
+
+      await recordFailure(subscription, err, outcome)
+
+      return pushQueueRepository.updateById(claimed.id, {
+        status: outcome === 'gone' ? 'gone' : retryAt ? 'pending' : 'failed',
+        last_status_code: err.statusCode ?? null,
+        error: errorMessage(err),
+        next_attempt_at: retryAt ? retryAt.toISOString() : null,
+        updated_at: new Date().toISOString()
       })
     }
+  },
 
-    return { sent: totalSent, failed: totalFailed }
+  /**
+   * Retry queued pushes that are due, and settle the notification
+   * deliveries they belong to
+   * @returns {Promise<{ sent: number, failed: number, queued: number }>}
+   */
+  async processQueue(now = new Date()) {
+    await pushQueueRepository.update(
+      { status: 'sending', updated_at: { lt: new Date(now.getTime() - STALE_SENDING_MS).toISOString() } },
+      { status: 'pending', next_attempt_at: now.toISOString(), updated_at: now.toISOString() }
+    )
+
+    const due = await pushQueueRepository.findDue(now)
+    if (!due.length) return { sent: 0, failed: 0, queued: 0 }
+
+    // One subscription's retries run in order, re-reading it each time so
+    // its failure count stays accurate
+    const bySubscription = new Map()
+    for (const item of due) {
+      if (!bySubscription.has(item.subscription_id)) bySubscription.set(item.subscription_id, [])
+      bySubscription.get(item.subscription_id).push(item)
+    }
+
+    const results = (await mapWithConcurrency([...bySubscription.entries()], SEND_CONCURRENCY, async ([subscriptionId, items]) => {
+      const updated = []
+      for (const item of items) {
+        const subscription = await pushSubscriptionsRepository.findById(subscriptionId)
+        updated.push(await this.attempt(item, subscription, now))
+      }
+      return updated
+    })).flat()
+
+    const deliveryIds = [...new Set(results.filter(item => item && item.status !== 'pending' && item.delivery_id).map(item => item.delivery_id))]
+    for (const deliveryId of deliveryIds) {
+      await settleDelivery(deliveryId)
+    }
+
+    return tally(results)
   },
 
   /**
-   * Send a room reminder push notification
+   * Push delivery stats for a user: per-device health and queue outcomes
+   * @param {string} userId
+   * @param {{ days?: number }} [options] - window for queue counts
    */
-  async sendRoomReminder(userId, room, minutesBefore) {
-    const minLabel = minutesBefore < 60
-      ? `${minutesBefore} min`
-      : `${Math.floor(minutesBefore / 60)}h${minutesBefore % 60 ? ` ${minutesBefore % 60}m` : ''}`
-
-    return this.sendToUser(userId, {
-      type: 'room_reminder',
-      title: `${room.emoji || '📋'} ${room.name} opens soon!`,
-      body: `Your room opens in ${minLabel}. Get ready!`,
-      data: {
-        roomId: room.id,
-        url: `/rooms/${room.id}`,
-        minutesBefore
-      },
-      tag: `room-reminder-${room.id}-${minutesBefore}`,
-      icon: '/Assets/daylock_logo.png',
-      badge: '/favicon.svg'
-    })
+  async getStats(userId, { days = 7 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+    const [subscriptions, items] = await Promise.all([
+      pushSubscriptionsRepository.find({ user_id: userId }, {
+        columns: SUBSCRIPTION_HEALTH_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      }),
+      pushQueueRepository.find({ user_id: userId, created_at: { gte: since } }, {
+        columns: ['subscription_id', 'status', 'attempts']
+      })
+    ])
+
+    const byStatus = { pending: 0, sending: 0, sent: 0, failed: 0, gone: 0 }
+    for (const item of items) byStatus[item.status] = (byStatus[item.status] || 0) + 1
+    const finished = byStatus.sent + byStatus.failed + byStatus.gone
+
+    return {
+      days,
+      pushes: items.length,
+      ...byStatus,
+      attempts: items.reduce((sum, item) => sum + (item.attempts || 0), 0),
+      retried: items.filter(item => item.attempts > 1).length,
+      successRate: finished > 0 ? Math.round((byStatus.sent / finished) * 100) : null,
+      subscriptions: subscriptions.map(sub => {
+        const own = items.filter(item => item.subscription_id === sub.id)
+        return {
+          ...sub,
+          pushes: own.length,
+          sent: own.filter(item => item.status === 'sent').length
+        }
+      })
+    }
   }
 }
+
+export default pushService
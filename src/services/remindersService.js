@@ -3,35 +3,27 @@
  * Per-user, per-room custom alert timings
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { roomRemindersRepository, reminderDeliveriesRepository } from '../repositories/index.js'
+import { NotFoundError } from '../utils/errors.js'
 
 export const remindersService = {
   /**
    * Get all reminders for a user (across all rooms)
    */
   async getAll(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('room_reminders')
-      .select('*, rooms(id, name, emoji, time_start, time_end)')
-      .eq('user_id', userId)
-      .eq('enabled', true)
-      .order('created_at', { ascending: false })
-    if (error) throw error
-    return data || []
+    return roomRemindersRepository.find({ user_id: userId, enabled: true }, {
+      include: { rooms: ['id', 'name', 'emoji', 'time_start', 'time_end'] },
+      order: { column: 'created_at', ascending: false }
+    })
   },
 
   /**
    * Get reminders for a specific room
    */
   async getForRoom(userId, roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('room_reminders')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('room_id', roomId)
-      .order('minutes_before', { ascending: true })
-    if (error) throw error
-    return data || []
+    return roomRemindersRepository.find({ user_id: userId, room_id: roomId }, {
+      order: { column: 'minutes_before', ascending: true }
+    })
   },
 
   /**
@@ -42,12 +34,7 @@ export const remindersService = {
    */
   async setForRoom(userId, roomId, minutesBefore = [], timezone = 'UTC') {
     // Delete existing reminders for this user+room
-    const { error: delError } = await supabaseAdmin
-      .from('room_reminders')
-      .delete()
-      .eq('user_id', userId)
-      .eq('room_id', roomId)
-    if (delError) throw delError
+    await roomRemindersRepository.remove({ user_id: userId, room_id: roomId })
 
     // If no reminders requested, we're done
     if (!minutesBefore || minutesBefore.length === 0) {
@@ -55,65 +42,61 @@ export const remindersService = {
     }
 
     // Insert new reminders with user's timezone
-    const rows = minutesBefore.map(min => ({
+    return roomRemindersRepository.insertMany(minutesBefore.map(min => ({
       user_id: userId,
       room_id: roomId,
       minutes_before: min,
       enabled: true,
       timezone: timezone || 'UTC'
-    }))
-
-    const { data, error } = await supabaseAdmin
-      .from('room_reminders')
-      .insert(rows)
-      .select()
-    if (error) throw error
-    return data || []
+    })))
   },
 
   /**
    * Add a single reminder
    */
   async add(userId, roomId, minutesBefore, timezone = 'UTC') {
-    const { data, error } = await supabaseAdmin
-      .from('room_reminders')
-      .upsert({
-        user_id: userId,
-        room_id: roomId,
-        minutes_before: minutesBefore,
-        enabled: true,
-        timezone: timezone || 'UTC'
-      }, { onConflict: 'user_id, room_id, minutes_before' })
-      .select()
-      .single()
-    if (error) throw error
-    return data
+    return roomRemindersRepository.save({
+      user_id: userId,
+      room_id: roomId,
+      minutes_before: minutesBefore,
+      enabled: true,
+      timezone: timezone || 'UTC'
+    })
   },
 
   /**
    * Remove a single reminder
    */
   async remove(userId, reminderId) {
-    const { error } = await supabaseAdmin
-      .from('room_reminders')
-      .delete()
-      .eq('id', reminderId)
-      .eq('user_id', userId)
-    if (error) throw error
+    await roomRemindersRepository.remove({ id: reminderId, user_id: userId })
   },
 
   /**
    * Toggle a reminder on/off
    */
   async toggle(userId, reminderId, enabled) {
-    const { data, error } = await supabaseAdmin
-      .from('room_reminders')
-      .update({ enabled })
-      .eq('id', reminderId)
-      .eq('user_id', userId)
-      .select()
-      .single()
-    if (error) throw error
-    return data
+    const [reminder] = await roomRemindersRepository.update({ id: reminderId, user_id: userId }, { enabled })
+    if (!reminder) throw new NotFoundError('Reminder not found')
+    return reminder
+  },
+
+  /**
+   * Recent reminder deliveries for a user (newest first)
+   * @param {string} userId
+   * @param {{ roomId?: string, status?: string, limit?: number }} [options]
+   */
+  async getDeliveries(userId, { roomId, status, limit = 50 } = {}) {
+    return reminderDeliveriesRepository.find({
+      user_id: userId,
+      room_id: roomId,
+      status
+    }, {
+      include: { room: ['id', 'name', 'emoji'] },
+      order: [
+        { column: 'local_date', ascending: false },
+        { column: 'window_start', ascending: false }
+      ],
+      limit: Math.min(limit || 50, 200)
+    })
   }
 }
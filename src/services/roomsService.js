@@ -3,82 +3,223 @@
  * CRUD operations for rooms
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import {
+  roomsRepository,
+  attendanceRepository,
+  roomInvitesRepository,
+  roomMembersRepository,
+  roomMemberEventsRepository,
+  roomPausesRepository,
+  profilesRepository
+} from '../repositories/index.js'
+import { ForbiddenError, NotFoundError } from '../utils/errors.js'
+import { profileService } from './profileService.js'
+import { streakService } from './streakService.js'
+import { notificationsService } from './notificationsService.js'
+import { AWAITING_REVIEW_STATUSES } from '../policies/submissionPolicy.js'
+import { isValidTimezone, todayIn } from '../utils/dates.js'
+import {
+  assertRoomRole,
+  assertRoomPermission,
+  getRoomRole,
+  getAdminRoomIds,
+  getAttendedRoomIds,
+  getRoomAdmins,
+  getRoomAdminIds,
+  ROOM_ROLES,
+  ANY_ROOM_ROLE,
+  ADMIN_PERMISSIONS,
+  ALL_ADMIN_PERMISSIONS
+} from '../policies/roomPolicy.js'
+
+/**
+ * Embedded relations for room detail views: invites (with their admin),
+ * memberships and rules
+ */
+const ROOM_DETAIL_INCLUDE = {
+  room_invites: {
+    columns: ['id', 'invite_code', 'role', 'status', 'admin_id'],
+    include: { admin: ['id', 'name', 'email'] }
+  },
+  room_members: ['id', 'user_id', 'role', 'joined_at'],
+  room_rules: []
+}
+
+// Profile fields other members of a room may see
+const MEMBER_PROFILE_COLUMNS = ['id', 'name', 'avatar_url']
+
+// Profile fields shown for a room's admins
+const ADMIN_PROFILE_COLUMNS = ['id', 'name', 'email', 'avatar_url']
+
+/**
+ * Fields that change which days count toward a streak
+ */
+const STREAK_FIELDS = ['schedule', 'time_start', 'time_end', 'timezone', 'is_paused']
+
+/**
+ * Track pause periods (room_pauses) so streaks can skip paused days
+ */
+async function recordPauseChange(roomId, isPaused) {
+  try {
+    if (isPaused) await roomPausesRepository.open(roomId)
+    else await roomPausesRepository.close(roomId)
+  } catch (err) {
+    console.error('Pause tracking failed:', err.message)
+  }
+}
+
+/**
+ * Recalculate the streaks of everyone attending the room
+ */
+async function refreshRoomStreaks(roomId) {
+  try {
+    await streakService.recalculateForRoom(roomId)
+  } catch (err) {
+    console.error('Streak recalculation failed:', err.message)
+  }
+}
+
+/**
+ * Recalculate a user's overall streak after they stop attending a room
+ */
+async function refreshUserStreak(userId) {
+  try {
+    await streakService.recalculateUser(userId)
+  } catch (err) {
+    console.error('Streak recalculation failed:', err.message)
+  }
+}
+
+/**
+ * End someone's place in a room: their membership row, and any accepted
+ * admin invites (which grant legacy admin access on their own)
+ */
+async function endMembership(roomId, userId) {
+  await Promise.all([
+    roomMembersRepository.remove({ room_id: roomId, user_id: userId }),
+    roomInvitesRepository.update({ room_id: roomId, admin_id: userId, status: 'accepted' }, { status: 'revoked' })
+  ])
+}
+
+/**
+ * Pending proofs are a shared queue: when an admin goes, the room's other
+ * reviewers (admins with review_proofs) take it over and are told so. With
+ * nobody left to review, the proofs are released: they stay pending until a
+ * new reviewer joins.
+ * A notification failure here must not fail the departure itself
+ * @returns {Promise<{ count: number, reassigned_to: string[], released: boolean }>}
+ */
+async function handOffPendingProofs(room, departedId) {
+  const [pending, reviewerIds] = await Promise.all([
+    attendanceRepository.find({ room_id: room.id, status: AWAITING_REVIEW_STATUSES }, { columns: ['id'] }),
+    getRoomAdminIds(room.id, ADMIN_PERMISSIONS.REVIEW_PROOFS)
+  ])
+  const reassignedTo = reviewerIds.filter(id => id !== departedId)
+  const handOff = { count: pending.length, reassigned_to: reassignedTo, released: pending.length > 0 && reassignedTo.length === 0 }
+
+  if (pending.length > 0 && reassignedTo.length > 0) {
+    try {
+      await notificationsService.createBulk(reassignedTo, {
+        type: 'proofs_reassigned',
+        title: `📸 ${pending.length} proof${pending.length === 1 ? '' : 's'} to review — ${roomLabel(room)}`,
+        body: `A reviewer left ${room.name}. Their pending proofs are now in your queue.`,
+        data: { roomId: room.id, count: pending.length },
+        push: { url: `/rooms/${room.id}` }
+      })
+    } catch (err) {
+      console.error('Proof hand-off notification failed:', err.message)
+    }
+  }
+  return handOff
+}
+
+function roomLabel(room) {
+  return `${room.emoji || '📋'} ${room.name}`
+}
+
+function handOffSummary(handOff) {
+  if (handOff.count === 0) return ''
+  const proofs = `${handOff.count} pending proof${handOff.count === 1 ? '' : 's'}`
+  return handOff.released
+    ? ` ${proofs} will wait for a new reviewer.`
+    : ` ${proofs} moved to the other reviewers.`
+}
+
+/**
+ * Write the audit record for someone leaving or being removed
+ * An audit failure is logged, not thrown: access is already gone
+ */
+async function recordDeparture(event) {
+  try {
+    return await roomMemberEventsRepository.insert(event)
+  } catch (err) {
+    console.error('Room member audit failed:', err.message)
+    return null
+  }
+}
+
+async function notifyQuietly(userId, notification) {
+  try {
+    await notificationsService.create(userId, notification)
+  } catch (err) {
+    console.error('Room member notification failed:', err.message)
+  }
+}
+
+/**
+ * Add each room's admins (with permissions and profiles) and pending invite
+ * admin_id/admin stay for clients that show a single admin: the earliest one
+ */
+async function withAdmins(rooms) {
+  const adminsByRoom = await Promise.all(rooms.map(room => getRoomAdmins(room.id)))
+  const adminIds = [...new Set(adminsByRoom.flat().map(a => a.user_id))]
+  const profiles = adminIds.length
+    ? await profilesRepository.find({ id: adminIds }, { columns: ADMIN_PROFILE_COLUMNS })
+    : []
+
+  return rooms.map((room, index) => {
+    const admins = adminsByRoom[index].map(a => ({ ...a, user: profiles.find(p => p.id === a.user_id) || null }))
+    const pendingInvite = (room.room_invites || []).find(i => i.status === 'pending')
+
+    return {
+      ...room,
+      admins,
+      admin_id: admins[0]?.user_id || null,
+      admin: admins[0]?.user || null,
+      pending_invite: pendingInvite || null
+    }
+  })
+}
 
 export const roomsService = {
   /**
-   * Get all rooms for a user
+   * Get all rooms a user attends: rooms they own and group rooms they joined
+   * Each room carries the caller's `role` ('owner' or 'member')
    */
   async getUserRooms(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('rooms')
-      .select(`
-        *,
-        room_invites (
-          id,
-          invite_code,
-          status,
-          admin_id,
-          admin:profiles!room_invites_admin_id_fkey (
-            id, name, email
-          )
-        ),
-        room_rules (*)
-      `)
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-    
-    if (error) throw error
-    
-    // Transform room_invites into convenient properties
-    return (data || []).map(room => {
-      const invites = room.room_invites || []
-      const acceptedInvite = invites.find(i => i.status === 'accepted')
-      const pendingInvite = invites.find(i => i.status === 'pending')
-      
-      return {
-        ...room,
-        admin_id: acceptedInvite?.admin_id || null,
-        admin: acceptedInvite?.admin || null,
-        pending_invite: pendingInvite || null
-      }
+    const roomIds = await getAttendedRoomIds(userId)
+    if (roomIds.length === 0) return []
+
+    const rooms = await roomsRepository.find({ id: roomIds }, {
+      include: ROOM_DETAIL_INCLUDE,
+      order: { column: 'created_at', ascending: false }
     })
+    
+    return (await withAdmins(rooms)).map(room => ({
+      ...room,
+      role: room.user_id === userId ? ROOM_ROLES.OWNER : ROOM_ROLES.MEMBER
+    }))
   },
 
   /**
-   * Get single room by ID
+   * Get single room by ID, with all of its admins
    */
   async getRoom(roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('rooms')
-      .select(`
-        *,
-        room_invites (
-          id,
-          invite_code,
-          status,
-          admin_id,
-          admin:profiles!room_invites_admin_id_fkey (
-            id, name, email
-          )
-        ),
-        room_rules (*)
-      `)
-      .eq('id', roomId)
-      .single()
-    
-    if (error) throw error
-    
-    const invites = data.room_invites || []
-    const acceptedInvite = invites.find(i => i.status === 'accepted')
-    const pendingInvite = invites.find(i => i.status === 'pending')
+    const data = await roomsRepository.findById(roomId, { include: ROOM_DETAIL_INCLUDE })
+    if (!data) throw new NotFoundError('Room not found')
     
-    return {
-      ...data,
-      admin_id: acceptedInvite?.admin_id || null,
-      admin: acceptedInvite?.admin || null,
-      pending_invite: pendingInvite || null
-    }
+    const [room] = await withAdmins([data])
+    return room
   },
 
   /**
@@ -88,29 +229,19 @@ export const roomsService = {
     const room = await this.getRoom(roomId)
     
     // Get attendance stats
-    const { data: attendance } = await supabaseAdmin
-      .from('attendance')
-      .select('*')
-      .eq('room_id', roomId)
-      .eq('user_id', userId)
-    
-    const approvedDays = (attendance || []).filter(a => a.status === 'approved').length
-    const totalDays = (attendance || []).length || 1
+    const [attendance, streak] = await Promise.all([
+      attendanceRepository.find({ room_id: roomId, user_id: userId }),
+      streakService.getRoomStreak(roomId, userId)
+    ])
     
-    // Calculate streak
-    let streak = 0
-    const sortedAttendance = [...(attendance || [])].sort((a, b) => 
-      new Date(b.date) - new Date(a.date)
-    )
-    for (const record of sortedAttendance) {
-      if (record.status === 'approved') streak++
-      else break
-    }
+    const approvedDays = attendance.filter(a => a.status === 'approved').length
+    const totalDays = attendance.length || 1
     
     return {
       ...room,
       stats: {
-        streak,
+        streak: streak.current_streak,
+        longestStreak: streak.longest_streak,
         approvedDays,
         totalDays,
         attendanceRate: Math.round((approvedDays / totalDays) * 100)
@@ -124,23 +255,18 @@ export const roomsService = {
    */
   async createRoom(userId, roomData) {
     // 1. Create the room
-    const { data: room, error } = await supabaseAdmin
-      .from('rooms')
-      .insert({
-        user_id: userId,
-        name: roomData.name,
-        emoji: roomData.emoji || '📋',
-        description: roomData.description || '',
-        room_code: null,
-        time_start: null,
-        time_end: null
-      })
-      .select()
-      .single()
-    
-    if (error) throw error
+    const room = await roomsRepository.insert({
+      user_id: userId,
+      name: roomData.name,
+      emoji: roomData.emoji || '📋',
+      description: roomData.description || '',
+      timezone: roomData.timezone || null,
+      room_code: null,
+      time_start: null,
+      time_end: null
+    })
 
-    // 2. Auto-create an invite with a name-based code (e.g. gym-482)
+    // 2. Auto-create an invite with a name-based code (e.g. gym-k7p2)
     const { invitesService } = await import('./invitesService.js')
     let invite = null
     try {
@@ -151,10 +277,7 @@ export const roomsService = {
 
     // 3. Store the invite code on the room too for easy access
     if (invite?.invite_code) {
-      await supabaseAdmin
-        .from('rooms')
-        .update({ room_code: invite.invite_code })
-        .eq('id', room.id)
+      await roomsRepository.updateById(room.id, { room_code: invite.invite_code })
     }
 
     return {
@@ -170,46 +293,28 @@ export const roomsService = {
    */
   async updateRoom(roomId, userId, updates) {
     // Verify ownership
-    const room = await this.getRoom(roomId)
-    if (room.user_id !== userId) {
-      throw new Error('Unauthorized to update this room')
-    }
+    await assertRoomRole(roomId, userId, ROOM_ROLES.OWNER, 'Unauthorized to update this room')
     
-    const { data, error } = await supabaseAdmin
-      .from('rooms')
-      .update({
-        ...updates,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', roomId)
-      .select()
-      .single()
+    const room = await roomsRepository.updateById(roomId, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
     
-    if (error) throw error
-    return data
+    if (STREAK_FIELDS.some(key => updates[key] !== undefined)) {
+      await refreshRoomStreaks(roomId)
+    }
+    return room
   },
 
   /**
-   * Admin update a room (admin can update time, toggle, etc.)
-   * Verifies user is admin of the room via room_invites
+   * Admin update a room (admins with edit_schedule can update time, toggle, etc.)
    */
   async adminUpdateRoom(roomId, adminId, updates) {
     // Verify admin access
-    const { data: invite, error: inviteError } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', roomId)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
-    
-    if (inviteError) throw inviteError
-    if (!invite) {
-      throw new Error('Unauthorized: you are not an admin of this room')
-    }
+    await assertRoomPermission(roomId, adminId, ADMIN_PERMISSIONS.EDIT_SCHEDULE, 'Unauthorized: you are not an admin of this room')
     
     // Only allow specific fields for admin updates
-    const allowedFields = ['time_start', 'time_end', 'is_paused', 'allow_late_upload', 'description']
+    const allowedFields = ['schedule', 'time_start', 'time_end', 'timezone', 'is_paused', 'allow_late_upload', 'description']
     const sanitized = {}
     for (const key of allowedFields) {
       if (updates[key] !== undefined) {
@@ -217,18 +322,35 @@ export const roomsService = {
       }
     }
     
-    const { data, error } = await supabaseAdmin
-      .from('rooms')
-      .update({
-        ...sanitized,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', roomId)
-      .select()
-      .single()
+    const before = await roomsRepository.findById(roomId, { columns: ['is_paused'] })
+    const room = await roomsRepository.updateById(roomId, {
+      ...sanitized,
+      updated_at: new Date().toISOString()
+    })
     
-    if (error) throw error
-    return data
+    if (sanitized.is_paused !== undefined && !!sanitized.is_paused !== !!before?.is_paused) {
+      await recordPauseChange(roomId, !!sanitized.is_paused)
+    }
+    if (STREAK_FIELDS.some(key => key in sanitized)) {
+      await refreshRoomStreaks(roomId)
+    }
+    return room
+  },
+
+  /**
+   * Resolve the timezone a room's times and days are expressed in.
+   * Uses the room's own timezone, falling back to the owner's profile timezone.
+   * @param {string|object} roomOrId - room id, or a room with timezone and user_id
+   * @returns {Promise<string>}
+   */
+  async getRoomTimezone(roomOrId) {
+    let room = roomOrId
+    if (typeof roomOrId === 'string') {
+      room = await roomsRepository.findById(roomOrId, { columns: ['timezone', 'user_id'] })
+    }
+    
+    if (isValidTimezone(room?.timezone)) return room.timezone
+    return profileService.getTimezone(room?.user_id)
   },
 
   /**
@@ -238,15 +360,7 @@ export const roomsService = {
    * @returns {Promise<boolean>}
    */
   async isUserAdminOfRoom(roomId, userId) {
-    const { data: invite } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', roomId)
-      .eq('admin_id', userId)
-      .eq('status', 'accepted')
-      .maybeSingle()
-    
-    return !!invite
+    return (await getRoomRole(roomId, userId)) === ROOM_ROLES.ADMIN
   },
 
   /**
@@ -256,83 +370,43 @@ export const roomsService = {
    * @returns {Promise<boolean>}
    */
   async isUserOwnerOfRoom(roomId, userId) {
-    const { data: room } = await supabaseAdmin
-      .from('rooms')
-      .select('user_id')
-      .eq('id', roomId)
-      .maybeSingle()
-    
-    return room?.user_id === userId
+    return (await getRoomRole(roomId, userId)) === ROOM_ROLES.OWNER
   },
 
   /**
-   * Toggle room pause status (admin)
+   * Toggle room pause status (admin with edit_schedule)
    */
   async toggleRoomPause(roomId, adminId) {
     // Verify admin access
-    const isAdmin = await this.isUserAdminOfRoom(roomId, adminId)
-    if (!isAdmin) {
-      throw new Error('Unauthorized: you are not an admin of this room')
-    }
+    await assertRoomPermission(roomId, adminId, ADMIN_PERMISSIONS.EDIT_SCHEDULE, 'Unauthorized: you are not an admin of this room')
     
     // Get current state
-    const { data: room } = await supabaseAdmin
-      .from('rooms')
-      .select('is_paused')
-      .eq('id', roomId)
-      .single()
+    const room = await roomsRepository.findById(roomId, { columns: ['is_paused'] })
     
-    const { data, error } = await supabaseAdmin
-      .from('rooms')
-      .update({
-        is_paused: !room.is_paused,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', roomId)
-      .select()
-      .single()
+    const updated = await roomsRepository.updateById(roomId, {
+      is_paused: !room.is_paused,
+      updated_at: new Date().toISOString()
+    })
     
-    if (error) throw error
-    return data
+    await recordPauseChange(roomId, updated.is_paused)
+    await refreshRoomStreaks(roomId)
+    return updated
   },
 
   /**
-   * Toggle allow late upload (admin)
+   * Toggle allow late upload (admin with edit_schedule)
    */
   async toggleLateUpload(roomId, adminId) {
     // Verify admin access
-    const { data: invite, error: inviteError } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', roomId)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
-    
-    if (inviteError) throw inviteError
-    if (!invite) {
-      throw new Error('Unauthorized: you are not an admin of this room')
-    }
+    await assertRoomPermission(roomId, adminId, ADMIN_PERMISSIONS.EDIT_SCHEDULE, 'Unauthorized: you are not an admin of this room')
     
     // Get current state
-    const { data: room } = await supabaseAdmin
-      .from('rooms')
-      .select('allow_late_upload')
-      .eq('id', roomId)
-      .single()
-    
-    const { data, error } = await supabaseAdmin
-      .from('rooms')
-      .update({
-        allow_late_upload: !room.allow_late_upload,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', roomId)
-      .select()
-      .single()
+    const room = await roomsRepository.findById(roomId, { columns: ['allow_late_upload'] })
     
-    if (error) throw error
-    return data
+    return roomsRepository.updateById(roomId, {
+      allow_late_upload: !room.allow_late_upload,
+      updated_at: new Date().toISOString()
+    })
   },
 
   /**
@@ -340,65 +414,227 @@ export const roomsService = {
    */
   async deleteRoom(roomId, userId) {
     // Verify ownership
-    const room = await this.getRoom(roomId)
-    if (room.user_id !== userId) {
-      throw new Error('Unauthorized to delete this room')
-    }
-    
-    const { error } = await supabaseAdmin
-      .from('rooms')
-      .delete()
-      .eq('id', roomId)
+    await assertRoomRole(roomId, userId, ROOM_ROLES.OWNER, 'Unauthorized to delete this room')
     
-    if (error) throw error
+    await roomsRepository.removeById(roomId)
     return { success: true }
   },
 
   /**
    * Get rooms where user is admin
+   * Each room carries the caller's `permissions` and all of its `admins`.
+   * today_attendance is the owner's entry for today; attendance_today holds
+   * every attendee's (group rooms have several)
    */
   async getAdminRooms(adminId) {
-    const { data, error } = await supabaseAdmin
-      .from('room_invites')
-      .select(`
-        id,
-        invite_code,
-        status,
-        room:rooms (
-          *,
-          user:profiles!rooms_user_id_fkey (
-            id, name, email, avatar_url
-          )
-        )
-      `)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-    
-    if (error) throw error
+    const roomIds = await getAdminRoomIds(adminId)
+    if (roomIds.length === 0) return []
+
+    const [rooms, invites] = await Promise.all([
+      roomsRepository.find({ id: roomIds }, {
+        include: { user: ['id', 'name', 'email', 'avatar_url'] }
+      }).then(withAdmins),
+      roomInvitesRepository.findAccepted(adminId, roomIds, { columns: ['room_id', 'invite_code'] })
+    ])
     
-    // Get today's attendance for each room
-    const today = new Date().toISOString().split('T')[0]
-    const rooms = await Promise.all((data || []).map(async (invite) => {
-      const room = invite.room
-      if (!room) return null
+    // Get today's attendance for each room (today in the room's timezone)
+    return Promise.all(rooms.map(async (room) => {
+      const today = todayIn(await this.getRoomTimezone(room))
       
-      const { data: todayAttendance } = await supabaseAdmin
-        .from('attendance')
-        .select('*')
-        .eq('room_id', room.id)
-        .eq('user_id', room.user_id)
-        .eq('date', today)
-        .maybeSingle()
+      const attendanceToday = await attendanceRepository.find({ room_id: room.id, date: today })
       
       return {
         ...room,
-        invite_code: invite.invite_code,
+        permissions: room.admins.find(a => a.user_id === adminId)?.permissions || [],
+        invite_code: invites.find(i => i.room_id === room.id)?.invite_code || null,
         assignedBy: room.user,
-        today_attendance: todayAttendance
+        today_attendance: attendanceToday.find(a => a.user_id === room.user_id) || null,
+        attendance_today: attendanceToday
       }
     }))
-    
-    return rooms.filter(Boolean)
+  },
+
+  // ============ MEMBERS ============
+
+  /**
+   * Everyone in a room: the owner, its admins and its members
+   * @returns {Promise<Array<{ user_id: string, role: string, joined_at: string|null, user: object|null }>>}
+   */
+  async getRoomMembers(roomId) {
+    const [room, memberships, admins] = await Promise.all([
+      roomsRepository.findById(roomId, { columns: ['id', 'user_id', 'created_at'] }),
+      roomMembersRepository.findForRoom(roomId, ROOM_ROLES.MEMBER, {
+        columns: ['user_id', 'role', 'joined_at'],
+        order: { column: 'joined_at', ascending: true }
+      }),
+      getRoomAdmins(roomId)
+    ])
+    if (!room) throw new NotFoundError('Room not found')
+
+    const members = [
+      { user_id: room.user_id, role: ROOM_ROLES.OWNER, joined_at: room.created_at },
+      ...admins.map(a => ({ user_id: a.user_id, role: ROOM_ROLES.ADMIN, joined_at: a.joined_at, permissions: a.permissions })),
+      ...memberships
+    ]
+
+    const profiles = await profilesRepository.find({ id: members.map(m => m.user_id) }, { columns: MEMBER_PROFILE_COLUMNS })
+    return members.map(m => ({ ...m, user: profiles.find(p => p.id === m.user_id) || null }))
+  },
+
+  /**
+   * Remove someone from a room
+   * The owner can remove admins and members; admins can remove members.
+   * Their attendance history stays with the room. The removed user is told,
+   * an admin's pending proofs are handed off, and the removal is audited.
+   * @param {{ reason?: string }} [options]
+   */
+  async removeMember(roomId, actorId, userId, { reason = null } = {}) {
+    const [actorRole, targetRole] = await Promise.all([
+      assertRoomRole(roomId, actorId, [ROOM_ROLES.OWNER, ROOM_ROLES.ADMIN], 'Unauthorized to remove members of this room'),
+      getRoomRole(roomId, userId)
+    ])
+
+    if (!targetRole) {
+      throw new NotFoundError('This user is not a member of the room', { code: 'NOT_ROOM_MEMBER' })
+    }
+    if (targetRole === ROOM_ROLES.OWNER) {
+      throw new ForbiddenError('The room owner cannot be removed', { code: 'CANNOT_REMOVE_OWNER' })
+    }
+    if (actorRole === ROOM_ROLES.ADMIN && targetRole !== ROOM_ROLES.MEMBER) {
+      throw new ForbiddenError('Only the room owner can remove admins')
+    }
+
+    const room = await roomsRepository.findById(roomId, { columns: ['id', 'name', 'emoji'] })
+    await endMembership(roomId, userId)
+    await refreshUserStreak(userId)
+    const pendingProofs = targetRole === ROOM_ROLES.ADMIN ? await handOffPendingProofs(room, userId) : null
+
+    const event = await recordDeparture({
+      room_id: roomId,
+      user_id: userId,
+      actor_id: actorId,
+      action: `${targetRole}_removed`,
+      role: targetRole,
+      reason,
+      details: pendingProofs ? { pending_proofs: pendingProofs } : {}
+    })
+    await notifyQuietly(userId, {
+      type: 'room_member_removed',
+      title: `🚪 You were removed from ${roomLabel(room)}`,
+      body: targetRole === ROOM_ROLES.ADMIN
+        ? `You are no longer an admin of ${room.name}.${reason ? ` Reason: ${reason}` : ''}`
+        : `You are no longer a member of ${room.name}.${reason ? ` Reason: ${reason}` : ''}`,
+      data: { roomId, role: targetRole, reason },
+      dedupKey: event ? `room_member_removed:${event.id}` : undefined
+    })
+
+    return { success: true, room_id: roomId, user_id: userId, role: targetRole, pending_proofs: pendingProofs }
+  },
+
+  /**
+   * Leave a room as an admin or member
+   * The owner is told, an admin's pending proofs are handed off, and the
+   * departure is audited. The owner cannot leave their own room.
+   * @param {{ reason?: string }} [options]
+   */
+  async leaveRoom(roomId, userId, { reason = null } = {}) {
+    const role = await assertRoomRole(roomId, userId, ANY_ROOM_ROLE)
+    if (role === ROOM_ROLES.OWNER) {
+      throw new ForbiddenError('The room owner cannot leave their own room', { code: 'OWNER_CANNOT_LEAVE' })
+    }
+
+    const [room, profile] = await Promise.all([
+      roomsRepository.findById(roomId, { columns: ['id', 'user_id', 'name', 'emoji'] }),
+      profilesRepository.findById(userId, { columns: ['name'] })
+    ])
+    await endMembership(roomId, userId)
+    await refreshUserStreak(userId)
+    const pendingProofs = role === ROOM_ROLES.ADMIN ? await handOffPendingProofs(room, userId) : null
+
+    const event = await recordDeparture({
+      room_id: roomId,
+      user_id: userId,
+      actor_id: userId,
+      action: `${role}_left`,
+      role,
+      reason,
+      details: pendingProofs ? { pending_proofs: pendingProofs } : {}
+    })
+    const name = profile?.name || 'Someone'
+    await notifyQuietly(room.user_id, {
+      type: 'room_member_left',
+      title: `🚪 ${name} left ${roomLabel(room)}`,
+      body: `${name} ${role === ROOM_ROLES.ADMIN ? 'stepped down as admin' : 'left the room'}.` +
+        `${pendingProofs ? handOffSummary(pendingProofs) : ''}${reason ? ` Reason: ${reason}` : ''}`,
+      data: { roomId, userId, role, reason, pendingProofs },
+      push: { url: `/rooms/${roomId}` },
+      dedupKey: event ? `room_member_left:${event.id}` : undefined
+    })
+
+    return { success: true, room_id: roomId, user_id: userId, role, pending_proofs: pendingProofs }
+  },
+
+  /**
+   * The room's audit trail of people leaving or being removed, newest first
+   */
+  async getMemberEvents(roomId, { limit = 50 } = {}) {
+    return roomMemberEventsRepository.findForRoom(roomId, {
+      include: {
+        user: MEMBER_PROFILE_COLUMNS,
+        actor: MEMBER_PROFILE_COLUMNS
+      },
+      limit
+    })
+  },
+
+  // ============ ADMINS ============
+
+  /**
+   * A room's admins with their permissions and profiles
+   */
+  async getAdmins(roomId) {
+    const [room] = await withAdmins([{ id: roomId }])
+    return room.admins
+  },
+
+  /**
+   * Replace an admin's permissions (owner only)
+   * Admins who joined before room_members existed get a membership row here
+   * @param {string[]} permissions - any of ADMIN_PERMISSIONS
+   */
+  async updateAdminPermissions(roomId, ownerId, adminId, permissions) {
+    await assertRoomRole(roomId, ownerId, ROOM_ROLES.OWNER, 'Only the room owner can change admin permissions')
+
+    const admin = (await getRoomAdmins(roomId)).find(a => a.user_id === adminId)
+    if (!admin) {
+      throw new NotFoundError('This user is not an admin of this room', { code: 'NOT_ROOM_ADMIN' })
+    }
+
+    const granted = ALL_ADMIN_PERMISSIONS.filter(p => permissions.includes(p))
+    await roomMembersRepository.upsert({
+      room_id: roomId,
+      user_id: adminId,
+      role: ROOM_ROLES.ADMIN,
+      invite_id: admin.invite_id,
+      joined_at: admin.joined_at,
+      permissions: granted
+    }, { onConflict: ['room_id', 'user_id'] })
+
+    const user = await profilesRepository.findById(adminId, { columns: ADMIN_PROFILE_COLUMNS })
+    return { ...admin, permissions: granted, user }
+  },
+
+  /**
+   * Remove an admin from a room (owner only)
+   * @param {{ reason?: string }} [options]
+   */
+  async removeAdmin(roomId, ownerId, adminId, options = {}) {
+    await assertRoomRole(roomId, ownerId, ROOM_ROLES.OWNER, 'Only the room owner can remove admins')
+
+    if ((await getRoomRole(roomId, adminId)) !== ROOM_ROLES.ADMIN) {
+      throw new NotFoundError('This user is not an admin of this room', { code: 'NOT_ROOM_ADMIN' })
+    }
+    return this.removeMember(roomId, ownerId, adminId, options)
   }
 }
 
@@ -3,7 +3,9 @@
  * Handle room rules CRUD operations
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { roomRulesRepository } from '../repositories/index.js'
+import { NotFoundError } from '../utils/errors.js'
+import { assertRoomPermission, ADMIN_PERMISSIONS } from '../policies/roomPolicy.js'
 
 export const rulesService = {
   /**
@@ -11,26 +13,20 @@ export const rulesService = {
    */
   async getRoomRules(roomId) {
     // Try with group_sort ordering first, fall back to sort_order only
-    let { data, error } = await supabaseAdmin
-      .from('room_rules')
-      .select('*')
-      .eq('room_id', roomId)
-      .order('group_sort', { ascending: true })
-      .order('sort_order', { ascending: true })
-    
-    // If group_sort column doesn't exist yet (migration not run), fall back
-    if (error && error.message?.includes('group_sort')) {
-      const fallback = await supabaseAdmin
-        .from('room_rules')
-        .select('*')
-        .eq('room_id', roomId)
-        .order('sort_order', { ascending: true })
-      data = fallback.data
-      error = fallback.error
+    try {
+      return await roomRulesRepository.find({ room_id: roomId }, {
+        order: [
+          { column: 'group_sort', ascending: true },
+          { column: 'sort_order', ascending: true }
+        ]
+      })
+    } catch (error) {
+      // If group_sort column doesn't exist yet (migration not run), fall back
+      if (!error.message?.includes('group_sort')) throw error
+      return roomRulesRepository.find({ room_id: roomId }, {
+        order: { column: 'sort_order', ascending: true }
+      })
     }
-    
-    if (error) throw error
-    return data || []
   },
 
   /**
@@ -38,27 +34,15 @@ export const rulesService = {
    */
   async addRule(roomId, text, adminId, groupTitle = null, groupSort = 0) {
     // Verify admin has access to this room
-    const { data: invite } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', roomId)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
-    
-    if (!invite) {
-      throw new Error('Unauthorized to add rules to this room')
-    }
+    await assertRoomPermission(roomId, adminId, ADMIN_PERMISSIONS.EDIT_RULES, 'Unauthorized to add rules to this room')
     
     // Get max sort_order for this room
-    const { data: existing } = await supabaseAdmin
-      .from('room_rules')
-      .select('sort_order')
-      .eq('room_id', roomId)
-      .order('sort_order', { ascending: false })
-      .limit(1)
+    const last = await roomRulesRepository.findOne({ room_id: roomId }, {
+      columns: ['sort_order'],
+      order: { column: 'sort_order', ascending: false }
+    })
     
-    const nextOrder = (existing?.[0]?.sort_order ?? -1) + 1
+    const nextOrder = (last?.sort_order ?? -1) + 1
     
     // Build insert payload — include group fields only if provided
     const insertData = {
@@ -71,14 +55,7 @@ export const rulesService = {
       insertData.group_sort = groupSort
     }
     
-    let { data, error } = await supabaseAdmin
-      .from('room_rules')
-      .insert(insertData)
-      .select()
-      .single()
-    
-    if (error) throw error
-    return data
+    return roomRulesRepository.insert(insertData)
   },
 
   /**
@@ -86,35 +63,13 @@ export const rulesService = {
    */
   async updateRule(ruleId, updates, adminId) {
     // Verify admin has access
-    const { data: rule } = await supabaseAdmin
-      .from('room_rules')
-      .select('room_id')
-      .eq('id', ruleId)
-      .single()
-    
-    if (!rule) throw new Error('Rule not found')
-    
-    const { data: invite } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', rule.room_id)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
+    const rule = await roomRulesRepository.findById(ruleId, { columns: ['room_id'] })
     
-    if (!invite) {
-      throw new Error('Unauthorized to update this rule')
-    }
+    if (!rule) throw new NotFoundError('Rule not found')
     
-    const { data, error } = await supabaseAdmin
-      .from('room_rules')
-      .update(updates)
-      .eq('id', ruleId)
-      .select()
-      .single()
+    await assertRoomPermission(rule.room_id, adminId, ADMIN_PERMISSIONS.EDIT_RULES, 'Unauthorized to update this rule')
     
-    if (error) throw error
-    return data
+    return roomRulesRepository.updateById(ruleId, updates)
   },
 
   /**
@@ -122,36 +77,14 @@ export const rulesService = {
    */
   async toggleRule(ruleId, adminId) {
     // Get current state
-    const { data: rule } = await supabaseAdmin
-      .from('room_rules')
-      .select('enabled, room_id')
-      .eq('id', ruleId)
-      .single()
+    const rule = await roomRulesRepository.findById(ruleId, { columns: ['enabled', 'room_id'] })
     
-    if (!rule) throw new Error('Rule not found')
+    if (!rule) throw new NotFoundError('Rule not found')
     
     // Verify admin access
-    const { data: invite } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', rule.room_id)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
-    
-    if (!invite) {
-      throw new Error('Unauthorized to toggle this rule')
-    }
-    
-    const { data, error } = await supabaseAdmin
-      .from('room_rules')
-      .update({ enabled: !rule.enabled })
-      .eq('id', ruleId)
-      .select()
-      .single()
+    await assertRoomPermission(rule.room_id, adminId, ADMIN_PERMISSIONS.EDIT_RULES, 'Unauthorized to toggle this rule')
     
-    if (error) throw error
-    return data
+    return roomRulesRepository.updateById(ruleId, { enabled: !rule.enabled })
   },
 
   /**
@@ -159,32 +92,13 @@ export const rulesService = {
    */
   async deleteRule(ruleId, adminId) {
     // Get rule and verify admin access
-    const { data: rule } = await supabaseAdmin
-      .from('room_rules')
-      .select('room_id')
-      .eq('id', ruleId)
-      .single()
+    const rule = await roomRulesRepository.findById(ruleId, { columns: ['room_id'] })
     
-    if (!rule) throw new Error('Rule not found')
-    
-    const { data: invite } = await supabaseAdmin
-      .from('room_invites')
-      .select('id')
-      .eq('room_id', rule.room_id)
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-      .maybeSingle()
-    
-    if (!invite) {
-      throw new Error('Unauthorized to delete this rule')
-    }
+    if (!rule) throw new NotFoundError('Rule not found')
     
-    const { error } = await supabaseAdmin
-      .from('room_rules')
-      .delete()
-      .eq('id', ruleId)
+    await assertRoomPermission(rule.room_id, adminId, ADMIN_PERMISSIONS.EDIT_RULES, 'Unauthorized to delete this rule')
     
-    if (error) throw error
+    await roomRulesRepository.removeById(ruleId)
     return { success: true }
   }
 }
@@ -0,0 +1,193 @@
+/**
+ * Streak Service
+ * Computes streaks with the streak policy and persists them:
+ *   - per room: `streaks` (room_id, user_id, current_streak, longest_streak, last_hit_date, computed_on)
+ *   - per user: profiles.current_streak / longest_streak / streak_computed_on
+ *
+ * Streaks are recalculated whenever attendance, a room's pause state or
+ * schedule, or the rooms a user belongs to change.
+ * Readers go through getRoomStreak/getUserStreak, which also recalculate once a
+ * day so a streak broken by an unattended day is reported as broken.
+ */
+
+import {
+  attendanceRepository,
+  roomsRepository,
+  roomPausesRepository,
+  streaksRepository,
+  profilesRepository
+} from '../repositories/index.js'
+import { roomDayOutcomes, mergeDayOutcomes, foldStreak } from '../policies/streakPolicy.js'
+import { getAttendedRoomIds } from '../policies/roomPolicy.js'
+import { roomsService } from './roomsService.js'
+import { profileService } from './profileService.js'
+import { todayIn, toDateString, safeTimezone } from '../utils/dates.js'
+import { resolveSchedule, getDaySchedule } from '../utils/schedule.js'
+
+const ROOM_COLUMNS = ['id', 'user_id', 'timezone', 'is_paused', 'updated_at', 'schedule', 'time_start', 'time_end']
+
+/**
+ * Pause periods of a room as local date ranges
+ * A room paused before pauses were tracked counts as paused since its last update.
+ */
+async function getPauseRanges(room, timezone) {
+  const pauses = await roomPausesRepository.find({ room_id: room.id })
+  const ranges = pauses.map(p => ({
+    start: toDateString(new Date(p.started_at), timezone),
+    end: p.ended_at ? toDateString(new Date(p.ended_at), timezone) : null
+  }))
+
+  if (room.is_paused && !pauses.some(p => !p.ended_at)) {
+    ranges.push({ start: toDateString(new Date(room.updated_at || Date.now()), timezone), end: null })
+  }
+
+  return ranges
+}
+
+/**
+ * Day outcomes for one user in one room, plus the room's "today"
+ */
+async function getRoomOutcomes(room, userId, records = null) {
+  const timezone = await roomsService.getRoomTimezone(room)
+  const today = todayIn(timezone)
+  const schedule = resolveSchedule(room)
+
+  const [attendance, pauses] = await Promise.all([
+    records || attendanceRepository.find({ room_id: room.id, user_id: userId }, { columns: ['date', 'status'] }),
+    getPauseRanges(room, timezone)
+  ])
+
+  return {
+    today,
+    outcomes: roomDayOutcomes({
+      records: attendance,
+      today,
+      pauses,
+      isScheduled: date => getDaySchedule(schedule, date).scheduled
+    })
+  }
+}
+
+function toStreak(row) {
+  return {
+    current_streak: row?.current_streak || 0,
+    longest_streak: row?.longest_streak || 0,
+    last_hit_date: row?.last_hit_date || null
+  }
+}
+
+export const streakService = {
+  /**
+   * Recompute and store a user's streak in one room
+   */
+  async recalculateRoom(roomId, userId) {
+    const room = await roomsRepository.findById(roomId, { columns: ROOM_COLUMNS })
+    if (!room) return toStreak(null)
+
+    const { today, outcomes } = await getRoomOutcomes(room, userId)
+    const { current, longest, lastHitDate } = foldStreak(outcomes)
+
+    const saved = await streaksRepository.save({
+      room_id: roomId,
+      user_id: userId,
+      current_streak: current,
+      longest_streak: longest,
+      last_hit_date: lastHitDate,
+      computed_on: today,
+      updated_at: new Date().toISOString()
+    })
+    return toStreak(saved)
+  },
+
+  /**
+   * Recompute and store a user's overall streak across all their rooms
+   * Only rooms they still attend count: a room they left would otherwise
+   * report every day since as a miss.
+   */
+  async recalculateUser(userId) {
+    const [records, attendedRoomIds] = await Promise.all([
+      attendanceRepository.find({ user_id: userId }, { columns: ['room_id', 'date', 'status'] }),
+      getAttendedRoomIds(userId)
+    ])
+    const roomIds = [...new Set(records.map(r => r.room_id))].filter(id => attendedRoomIds.includes(id))
+    const rooms = roomIds.length
+      ? await roomsRepository.find({ id: roomIds }, { columns: ROOM_COLUMNS })
+      : []
+
+    const perRoom = await Promise.all(rooms.map(async room => {
+      const { outcomes } = await getRoomOutcomes(room, userId, records.filter(r => r.room_id === room.id))
+      return outcomes
+    }))
+    const { current, longest, lastHitDate } = foldStreak(mergeDayOutcomes(perRoom))
+
+    const profile = await profilesRepository.updateById(userId, {
+      current_streak: current,
+      longest_streak: longest,
+      streak_computed_on: todayIn(await profileService.getTimezone(userId))
+    })
+    return { ...toStreak(profile), last_hit_date: lastHitDate }
+  },
+
+  /**
+   * Recompute both the room streak and the user's overall streak
+   * Called after any change to the user's attendance in the room
+   */
+  async recalculate(roomId, userId) {
+    const room = await this.recalculateRoom(roomId, userId)
+    const user = await this.recalculateUser(userId)
+    return { room, user }
+  },
+
+  /**
+   * Recompute streaks for every user with attendance in a room
+   * (used when the room's pause state changes)
+   */
+  async recalculateForRoom(roomId) {
+    const records = await attendanceRepository.find({ room_id: roomId }, { columns: ['user_id'] })
+    const userIds = [...new Set(records.map(r => r.user_id))]
+    for (const userId of userIds) {
+      await this.recalculate(roomId, userId)
+    }
+  },
+
+  /**
+   * Pause periods of a room as local date ranges ({ start, end|null })
+   * @param {object} room - with id, is_paused and updated_at
+   * @param {string} timezone
+   */
+  async getPauseRanges(room, timezone) {
+    return getPauseRanges(room, timezone)
+  },
+
+  /**
+   * A user's streak in a room (recalculated if not yet computed today)
+   * @returns {Promise<{ current_streak: number, longest_streak: number, last_hit_date: string|null }>}
+   */
+  async getRoomStreak(roomId, userId) {
+    const [row, timezone] = await Promise.all([
+      streaksRepository.findForRoom(roomId, userId),
+      roomsService.getRoomTimezone(roomId)
+    ])
+
+    if (row && row.computed_on === todayIn(timezone)) return toStreak(row)
+    return this.recalculateRoom(roomId, userId)
+  },
+
+  /**
+   * A user's overall streak (recalculated if not yet computed today)
+   * @returns {Promise<{ current_streak: number, longest_streak: number }>}
+   */
+  async getUserStreak(userId) {
+    const profile = await profilesRepository.findById(userId, {
+      columns: ['current_streak', 'longest_streak', 'streak_computed_on', 'timezone']
+    })
+    if (!profile) return toStreak(null)
+
+    if (profile.streak_computed_on === todayIn(safeTimezone(profile.timezone))) {
+      return toStreak(profile)
+    }
+    return this.recalculateUser(userId)
+  }
+}
+
+export default streakService
@@ -3,7 +3,65 @@
  * Handle warnings, auto-triggers, and consequence escalation
  */
 
-import { supabaseAdmin } from '../config/supabase.js'
+import { warningsRepository, consequencesRepository, roomsRepository } from '../repositories/index.js'
+import { getAdminRoomIds, assertRoomAttendee } from '../policies/roomPolicy.js'
+import { ForbiddenError, NotFoundError } from '../utils/errors.js'
+import { webhookService } from './webhookService.js'
+import { notificationsService } from './notificationsService.js'
+
+async function roomLabel(roomId) {
+  const room = await roomsRepository.findById(roomId, { columns: ['name', 'emoji'] })
+  return `${room?.emoji || '📋'} ${room?.name || 'your room'}`
+}
+
+/**
+ * Tell a user they received a warning
+ * A failure here must not fail issuing the warning
+ */
+async function notifyWarning(warning) {
+  try {
+    await notificationsService.create(warning.user_id, {
+      type: 'warning_issued',
+      title: `⚠️ Warning in ${await roomLabel(warning.room_id)}`,
+      body: warning.message || 'An admin issued you a warning.',
+      data: {
+        roomId: warning.room_id,
+        warningId: warning.id,
+        severity: warning.severity,
+        message: warning.message
+      },
+      push: { url: `/rooms/${warning.room_id}` },
+      dedupKey: `warning_issued:${warning.id}`
+    })
+  } catch (err) {
+    console.error('Warning notification failed:', err.message)
+  }
+}
+
+/**
+ * Tell a user a consequence was issued to them
+ */
+async function notifyConsequence(consequence) {
+  try {
+    await notificationsService.create(consequence.user_id, {
+      type: 'consequence_issued',
+      title: `🚨 Consequence in ${await roomLabel(consequence.room_id)}`,
+      body: `Level: ${consequence.level}.${consequence.reason ? ` Reason: ${consequence.reason}` : ''}`,
+      data: {
+        roomId: consequence.room_id,
+        consequenceId: consequence.id,
+        level: consequence.level,
+        reason: consequence.reason,
+        notes: consequence.notes,
+        expires_at: consequence.expires_at
+      },
+      push: { url: `/rooms/${consequence.room_id}` },
+      dedupKey: `consequence_issued:${consequence.id}`
+    })
+  } catch (err) {
+    console.error('Consequence notification failed:', err.message)
+  }
+}
 
 export const warningsService = {
   /**
@@ -11,186 +69,135 @@ export const warningsService = {
    */
   async getAdminWarnings(adminId) {
     // Get rooms this admin manages
-    const { data: invites } = await supabaseAdmin
-      .from('room_invites')
-      .select('room_id')
-      .eq('admin_id', adminId)
-      .eq('status', 'accepted')
-
-    if (!invites || invites.length === 0) return []
-
-    const roomIds = invites.map(i => i.room_id)
-
-    const { data, error } = await supabaseAdmin
-      .from('warnings')
-      .select(`
-        *,
-        room:rooms (id, name, emoji),
-        user:profiles!warnings_user_id_fkey (id, name, avatar_url)
-      `)
-      .in('room_id', roomIds)
-      .eq('active', true)
-      .order('created_at', { ascending: false })
-
-    if (error) throw error
-    return data || []
+    const roomIds = await getAdminRoomIds(adminId)
+    if (roomIds.length === 0) return []
+
+    return warningsRepository.find({ room_id: roomIds, active: true }, {
+      include: {
+        room: ['id', 'name', 'emoji'],
+        user: ['id', 'name', 'avatar_url']
+      },
+      order: { column: 'created_at', ascending: false }
+    })
   },
 
   /**
    * Get warnings for a specific room
+   * @param {object} [options]
+   * @param {string} [options.userId] - only this user's warnings (members see their own)
    */
-  async getWarnings(roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('warnings')
-      .select(`
-        *,
-        user:profiles!warnings_user_id_fkey (id, name, avatar_url)
-      `)
-      .eq('room_id', roomId)
-      .eq('active', true)
-      .order('created_at', { ascending: false })
-
-    if (error) throw error
-    return data || []
+  async getWarnings(roomId, { userId } = {}) {
+    return warningsRepository.find({ room_id: roomId, user_id: userId, active: true }, {
+      include: { user: ['id', 'name', 'avatar_url'] },
+      order: { column: 'created_at', ascending: false }
+    })
   },
 
   /**
    * Create a manual warning
    */
   async createWarning({ room_id, user_id, admin_id, severity, message }) {
-    const { data, error } = await supabaseAdmin
-      .from('warnings')
-      .insert({
-        room_id,
-        user_id,
-        admin_id,
-        type: 'manual',
-        severity: severity || 'warning',
-        message
-      })
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    await assertRoomAttendee(room_id, user_id)
+
+    const warning = await warningsRepository.insert({
+      room_id,
+      user_id,
+      admin_id,
+      type: 'manual',
+      severity: severity || 'warning',
+      message
+    })
+
+    await webhookService.emit(room_id, 'warning.created', warning)
+    await notifyWarning(warning)
+    return warning
   },
 
   /**
    * Create an auto-detected warning (deduplicates by trigger_reason)
    */
   async createAutoWarning({ room_id, user_id, admin_id, trigger_reason, severity, message }) {
+    await assertRoomAttendee(room_id, user_id)
+
     // Check if already exists and is active
-    const { data: existing } = await supabaseAdmin
-      .from('warnings')
-      .select('id')
-      .eq('room_id', room_id)
-      .eq('user_id', user_id)
-      .eq('trigger_reason', trigger_reason)
-      .eq('active', true)
-      .maybeSingle()
+    const existing = await warningsRepository.findOne(
+      { room_id, user_id, trigger_reason, active: true },
+      { columns: ['id'] }
+    )
 
     if (existing) return existing // Already warned for this trigger
 
-    const { data, error } = await supabaseAdmin
-      .from('warnings')
-      .insert({
-        room_id,
-        user_id,
-        admin_id,
-        type: 'auto',
-        trigger_reason,
-        severity: severity || 'warning',
-        message
-      })
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    const warning = await warningsRepository.insert({
+      room_id,
+      user_id,
+      admin_id,
+      type: 'auto',
+      trigger_reason,
+      severity: severity || 'warning',
+      message
+    })
+
+    await webhookService.emit(room_id, 'warning.created', warning)
+    await notifyWarning(warning)
+    return warning
   },
 
   /**
    * Acknowledge a warning (user action)
+   * Only the warned user can acknowledge it
    */
-  async acknowledgeWarning(warningId) {
-    const { data, error } = await supabaseAdmin
-      .from('warnings')
-      .update({ acknowledged: true, updated_at: new Date().toISOString() })
-      .eq('id', warningId)
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+  async acknowledgeWarning(warningId, userId) {
+    const warning = await warningsRepository.findById(warningId, { columns: ['user_id'] })
+    if (!warning) throw new NotFoundError('Warning not found')
+    if (warning.user_id !== userId) throw new ForbiddenError('You can only acknowledge your own warnings')
+
+    return warningsRepository.updateById(warningId, { acknowledged: true, updated_at: new Date().toISOString() })
   },
 
   /**
    * Dismiss/deactivate a warning (admin action)
    */
   async dismissWarning(warningId) {
-    const { data, error } = await supabaseAdmin
-      .from('warnings')
-      .update({ active: false, updated_at: new Date().toISOString() })
-      .eq('id', warningId)
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    return warningsRepository.updateById(warningId, { active: false, updated_at: new Date().toISOString() })
   },
 
   /**
    * Get consequences for a room
+   * @param {object} [options]
+   * @param {string} [options.userId] - only this user's consequences (members see their own)
    */
-  async getConsequences(roomId) {
-    const { data, error } = await supabaseAdmin
-      .from('consequences')
-      .select(`
-        *,
-        user:profiles!consequences_user_id_fkey (id, name, avatar_url)
-      `)
-      .eq('room_id', roomId)
-      .order('created_at', { ascending: false })
-
-    if (error) throw error
-    return data || []
+  async getConsequences(roomId, { userId } = {}) {
+    return consequencesRepository.find({ room_id: roomId, user_id: userId }, {
+      include: { user: ['id', 'name', 'avatar_url'] },
+      order: { column: 'created_at', ascending: false }
+    })
   },
 
   /**
    * Issue a consequence
    */
   async issueConsequence({ room_id, user_id, admin_id, level, reason, notes, expires_at }) {
-    const { data, error } = await supabaseAdmin
-      .from('consequences')
-      .insert({
-        room_id,
-        user_id,
-        admin_id,
-        level: level || 'warning',
-        reason,
-        notes,
-        expires_at
-      })
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    await assertRoomAttendee(room_id, user_id)
+
+    const consequence = await consequencesRepository.insert({
+      room_id,
+      user_id,
+      admin_id,
+      level: level || 'warning',
+      reason,
+      notes,
+      expires_at
+    })
+
+    await notifyConsequence(consequence)
+    return consequence
   },
 
   /**
    * Resolve a consequence
    */
   async resolveConsequence(consequenceId) {
-    const { data, error } = await supabaseAdmin
-      .from('consequences')
-      .update({ active: false, resolved_at: new Date().toISOString() })
-      .eq('id', consequenceId)
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    return consequencesRepository.updateById(consequenceId, { active: false, resolved_at: new Date().toISOString() })
   }
 }
 
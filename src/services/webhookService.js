@@ -0,0 +1,365 @@
+/**
+ * Webhook Service
+ * Room owners and admins register URLs that receive room events
+ * (see WEBHOOK_EVENTS in src/policies/webhookPolicy.js).
+ *
+ * Each event becomes one webhook_deliveries row per subscribed webhook. The
+ * first attempt is made right away, without holding up the request that
+ * raised the event; failures are retried with backoff by the webhook cron.
+ * Requests are POSTed as JSON and signed with the webhook's secret
+ * (see src/utils/webhookSignature.js).
+ *
+ * URLs must point at the public internet, checked when a webhook is saved
+ * and on every connection (see src/utils/outboundRequest.js). The log keeps
+ * the receiver's status code and a short summary, never its response body.
+ */
+
+import { randomUUID } from 'crypto'
+import { STATUS_CODES } from 'http'
+import { webhooksRepository, webhookDeliveriesRepository } from '../repositories/index.js'
+import { WEBHOOK_PUBLIC_COLUMNS, DELIVERY_PUBLIC_COLUMNS } from '../repositories/webhooksRepository.js'
+import { isSubscribed, nextAttemptAt } from '../policies/webhookPolicy.js'
+import { generateWebhookSecret, signPayload, SIGNATURE_HEADER } from '../utils/webhookSignature.js'
+import { findBlockedAddress, sendRequest } from '../utils/outboundRequest.js'
+import { webhookConfig } from '../config/webhooks.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+
+// Per-attempt request timeout
+const REQUEST_TIMEOUT_MS = 10 * 1000
+
+// How much of the receiver's response is read (only its size is kept)
+const RESPONSE_READ_LIMIT = 64 * 1024
+
+// Longest summary or error kept in the log
+const SUMMARY_LIMIT = 200
+
+const USER_AGENT = 'Daylock-Webhooks/1.0'
+
+// A delivery still 'sending' after this long was abandoned by a crashed process
+const STALE_SENDING_MS = 5 * 60 * 1000
+
+function buildPayload({ eventId, event, roomId, data, createdAt = new Date() }) {
+  return {
+    id: eventId,
+    event,
+    room_id: roomId,
+    created_at: createdAt.toISOString(),
+    data
+  }
+}
+
+/**
+ * What the log says about a response: status and size, nothing the receiver wrote
+ * e.g. "404 Not Found, 312 bytes"
+ */
+function summarize({ status, bytes, truncated }) {
+  const size = truncated ? `more than ${bytes} bytes` : `${bytes} bytes`
+  return `${status} ${STATUS_CODES[status] || 'Unknown'}, ${size}`.slice(0, SUMMARY_LIMIT)
+}
+
+/**
+ * POST a delivery's payload to the webhook URL
+ * @returns {Promise<{ ok: boolean, response_status: number|null, response_summary: string|null, error: string|null, duration_ms: number }>}
+ */
+async function post(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload)
+  const startedAt = Date.now()
+
+  try {
+    const response = await sendRequest(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': USER_AGENT,
+        'X-Daylock-Event': delivery.event,
+        'X-Daylock-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+      },
+      body,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      allowPrivate: webhookConfig.allowPrivateUrls,
+      maxResponseBytes: RESPONSE_READ_LIMIT
+    })
+    const ok = response.status >= 200 && response.status < 300
+
+    return {
+      ok,
+      response_status: response.status,
+      response_summary: summarize(response),
+      error: ok ? null : `HTTP ${response.status}`,
+      duration_ms: Date.now() - startedAt
+    }
+  } catch (err) {
+    return {
+      ok: false,
+      response_status: null,
+      response_summary: null,
+      error: (err.message || 'Request failed').slice(0, SUMMARY_LIMIT),
+      duration_ms: Date.now() - startedAt
+    }
+  }
+}
+
+/**
+ * Throw a 400 unless the URL's host resolves to public addresses only
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true skips this for a local test receiver.
+ */
+async function assertPublicUrl(url) {
+  if (webhookConfig.allowPrivateUrls) return
+
+  let blocked
+  try {
+    blocked = await findBlockedAddress(url)
+  } catch {
+    throw new ValidationError('url host could not be resolved', { code: 'WEBHOOK_URL_UNRESOLVABLE' })
+  }
+  if (blocked) {
+    throw new ValidationError('url must point at a public address, not a loopback, private or link-local one', {
+      code: 'WEBHOOK_URL_NOT_ALLOWED'
+    })
+  }
+}
+
+async function findWebhook(webhookId, options = {}) {
+  const webhook = await webhooksRepository.findById(webhookId, options)
+  if (!webhook) throw new NotFoundError('Webhook not found')
+  return webhook
+}
+
+export const webhookService = {
+  // ============ REGISTRATION ============
+
+  /**
+   * Webhooks registered on a room (secrets omitted)
+   */
+  async getForRoom(roomId) {
+    return webhooksRepository.find({ room_id: roomId }, {
+      columns: WEBHOOK_PUBLIC_COLUMNS,
+      order: { column: 'created_at', ascending: false }
+    })
+  },
+
+  async getById(webhookId) {
+    return findWebhook(webhookId, { columns: WEBHOOK_PUBLIC_COLUMNS })
+  },
+
+  /**
+   * Register a webhook; the response is the only time the secret is returned
+   */
+  async create(roomId, userId, { url, events, description = null }) {
+    await assertPublicUrl(url)
+    return webhooksRepository.insert({
+      room_id: roomId,
+      created_by: userId,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: generateWebhookSecret(),
+      is_active: true
+    })
+  },
+
+  async update(webhookId, { url, events, description, is_active }) {
+    await findWebhook(webhookId, { columns: ['id'] })
+    if (url !== undefined) await assertPublicUrl(url)
+
+    const updates = { updated_at: new Date().toISOString() }
+    if (url !== undefined) updates.url = url
+    if (events !== undefined) updates.events = [...new Set(events)]
+    if (description !== undefined) updates.description = description
+    if (is_active !== undefined) updates.is_active = is_active
+
+    await webhooksRepository.updateById(webhookId, updates)
+    return this.getById(webhookId)
+  },
+
+  /**
+   * Replace the signing secret; returns the webhook with the new secret
+   */
+  async rotateSecret(webhookId) {
+    await findWebhook(webhookId, { columns: ['id'] })
+    return webhooksRepository.updateById(webhookId, {
+      secret: generateWebhookSecret(),
+      updated_at: new Date().toISOString()
+    })
+  },
+
+  async remove(webhookId) {
+    await webhooksRepository.removeById(webhookId)
+  },
+
+  // ============ DELIVERY ============
+
+  /**
+   * Queue a room event for every webhook subscribed to it and start delivering
+   * Never throws: a webhook problem must not fail the action that raised the event
+   * @param {string} roomId
+   * @param {string} event - one of WEBHOOK_EVENTS
+   * @param {object} data
+   * @returns {Promise<object[]>} the queued deliveries
+   */
+  async emit(roomId, event, data) {
+    if (!roomId) return []
+    try {
+      const webhooks = (await webhooksRepository.findActiveForRoom(roomId, { columns: ['id', 'events', 'is_active'] }))
+        .filter(webhook => isSubscribed(webhook, event))
+      if (webhooks.length === 0) return []
+
+      const payload = buildPayload({ eventId: randomUUID(), event, roomId, data })
+      const deliveries = await webhookDeliveriesRepository.insertMany(webhooks.map(webhook => ({
+        webhook_id: webhook.id,
+        room_id: roomId,
+        event,
+        event_id: payload.id,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: payload.created_at
+      })))
+
+      // First attempt in the background; the cron picks up anything left pending
+      Promise.all(deliveries.map(delivery => this.attempt(delivery)))
+        .catch(err => console.error('Webhook delivery failed:', err.message))
+
+      return deliveries
+    } catch (err) {
+      console.error(`Webhook emit failed for ${event} in room ${roomId}:`, err.message)
+      return []
+    }
+  },
+
+  /**
+   * Make one attempt at a pending delivery and record the outcome
+   * @param {object} pending
+   * @param {{ now?: Date, retry?: boolean }} [options] - retry: false leaves a failure 'failed'
+   * @returns {Promise<object|null>} the updated delivery, or null if another run took it
+   */
+  async attempt(pending, { now = new Date(), retry = true } = {}) {
+    const delivery = await webhookDeliveriesRepository.claim(pending)
+    if (!delivery) return null
+
+    const webhook = await webhooksRepository.findById(delivery.webhook_id, { columns: ['id', 'url', 'secret', 'is_active'] })
+    if (!webhook?.is_active) {
+      return webhookDeliveriesRepository.updateById(delivery.id, {
+        status: 'failed',
+        error: 'Webhook is disabled',
+        next_attempt_at: null,
+        updated_at: new Date().toISOString()
+      })
+    }
+
+    const { ok, ...result } = await post(webhook, delivery)
+    const retryAt = ok || !retry ? null : nextAttemptAt(delivery.attempts, now)
+
+    return webhookDeliveriesRepository.updateById(delivery.id, {
+      ...result,
+      response_body: null,
+      status: ok ? 'succeeded' : retryAt ? 'pending' : 'failed',
+      next_attempt_at: retryAt ? retryAt.toISOString() : null,
+      delivered_at: ok ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString()
+    })
+  },
+
+  /**
+   * Attempt every pending delivery whose retry is due
+   * @returns {Promise<{ succeeded: number, failed: number }>}
+   */
+  async retryDue(now = new Date()) {
+    const due = await webhookDeliveriesRepository.findDue(now)
+    const counts = { succeeded: 0, failed: 0 }
+
+    for (const pending of due) {
+      const delivery = await this.attempt(pending, { now })
+      if (delivery?.status === 'succeeded') counts.succeeded++
+      else if (delivery) counts.failed++
+    }
+    return counts
+  },
+
+  /**
+   * Put deliveries stuck in 'sending' (the process died mid-attempt) back in the queue
+   * @returns {Promise<number>} deliveries released
+   */
+  async releaseStale(now = new Date()) {
+    const before = new Date(now.getTime() - STALE_SENDING_MS).toISOString()
+    const released = await webhookDeliveriesRepository.update(
+      { status: 'sending', updated_at: { lt: before } },
+      { status: 'pending', next_attempt_at: now.toISOString(), updated_at: now.toISOString() }
+    )
+    return released.length
+  },
+
+  /**
+   * Send a past delivery's payload again as a new, single-attempt delivery
+   * The event id is kept so receivers can recognise the duplicate.
+   * Waits for the attempt, so the response shows the outcome.
+   */
+  async redeliver(webhookId, deliveryId) {
+    const original = await webhookDeliveriesRepository.findOne({ id: deliveryId, webhook_id: webhookId })
+    if (!original) throw new NotFoundError('Delivery not found')
+
+    const delivery = await webhookDeliveriesRepository.insert({
+      webhook_id: original.webhook_id,
+      room_id: original.room_id,
+      event: original.event,
+      event_id: original.event_id,
+      payload: original.payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      redelivery_of: original.id
+    })
+
+    return (await this.attempt(delivery, { retry: false })) || delivery
+  },
+
+  /**
+   * Send a `ping` event to one webhook to check it is reachable
+   */
+  async ping(webhookId) {
+    const webhook = await findWebhook(webhookId, { columns: ['id', 'room_id', 'url', 'events'] })
+    const payload = buildPayload({
+      eventId: randomUUID(),
+      event: 'ping',
+      roomId: webhook.room_id,
+      data: { webhook_id: webhook.id, url: webhook.url, events: webhook.events }
+    })
+
+    const delivery = await webhookDeliveriesRepository.insert({
+      webhook_id: webhook.id,
+      room_id: webhook.room_id,
+      event: 'ping',
+      event_id: payload.id,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: payload.created_at
+    })
+
+    return (await this.attempt(delivery, { retry: false })) || delivery
+  },
+
+  /**
+   * A webhook's delivery log, newest first
+   * @param {{ status?: string, event?: string, limit?: number }} [filters]
+   */
+  async getDeliveries(webhookId, { status, event, limit = 50 } = {}) {
+    return webhookDeliveriesRepository.find({ webhook_id: webhookId, status, event }, {
+      columns: DELIVERY_PUBLIC_COLUMNS,
+      order: { column: 'created_at', ascending: false },
+      limit: Math.min(limit || 50, 200)
+    })
+  },
+
+  async getDelivery(webhookId, deliveryId) {
+    const delivery = await webhookDeliveriesRepository.findOne({ id: deliveryId, webhook_id: webhookId }, {
+      columns: DELIVERY_PUBLIC_COLUMNS
+    })
+    if (!delivery) throw new NotFoundError('Delivery not found')
+    return delivery
+  }
+}
+
+export default webhookService
@@ -0,0 +1,254 @@
+/**
+ * Email Templates
+ * HTML and plain-text bodies for the email channel. Each renderer returns
+ * { subject, html, text }; notification types without a template of their
+ * own use the notification's title and body.
+ *
+ * Every value interpolated into HTML goes through escapeHtml.
+ */
+
+import { APP_URL } from '../config/email.js'
+
+const BRAND_COLOR = '#6366f1'
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function appLink(path = '/') {
+  return `${APP_URL}${path.startsWith('/') ? path : `/${path}`}`
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n)
+}
+
+/**
+ * Shared HTML shell
+ * @param {object} content
+ * @param {string} content.heading
+ * @param {string} content.body - HTML
+ * @param {{ label: string, url: string }} [content.action]
+ * @param {string} [content.footer] - why the recipient got this (plain text)
+ * @param {boolean} [content.manageLink] - link to notification settings (not for non-users)
+ */
+function layout({ heading, body, action, footer, manageLink = true }) {
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:${BRAND_COLOR};color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>`
+    : ''
+
+  return `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#18181b">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px">
+      <p style="margin:0 0 16px;font-weight:600;color:${BRAND_COLOR}">🔒 Daylock</p>
+      <h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(heading)}</h1>
+      ${body}
+      ${button}
+      <p style="margin:24px 0 0;font-size:12px;color:#71717a">${escapeHtml(footer || 'You receive this email because of your Daylock notification settings.')}
+        ${manageLink ? `<a href="${escapeHtml(appLink('/settings/notifications'))}" style="color:#71717a">Manage email notifications</a>` : ''}</p>
+    </div>
+  </body>
+</html>`
+}
+
+function textLayout({ heading, lines, action, footer, manageLink = true }) {
+  return [
+    heading,
+    '',
+    ...lines.filter(line => line !== null && line !== undefined && line !== false),
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    '--',
+    footer || 'You receive this email because of your Daylock notification settings.',
+    ...(manageLink ? [`Manage email notifications: ${appLink('/settings/notifications')}`] : [])
+  ].join('\n')
+}
+
+function paragraph(text) {
+  return `<p style="margin:0 0 12px;line-height:1.5">${escapeHtml(text)}</p>`
+}
+
+function statsTable(rows) {
+  const cells = rows
+    .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#71717a">${escapeHtml(label)}</td><td style="padding:4px 0;font-weight:600">${escapeHtml(value)}</td></tr>`)
+    .join('')
+  return `<table style="border-collapse:collapse;margin:0 0 12px">${cells}</table>`
+}
+
+function list(items) {
+  if (!items.length) return ''
+  return `<ul style="margin:0 0 12px;padding-left:20px">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+}
+
+function render({ subject, heading = subject, paragraphs = [], stats = [], itemsHeading, items = [], action, footer, manageLink }) {
+  const html = layout({
+    heading,
+    body: [
+      ...paragraphs.filter(Boolean).map(paragraph),
+      stats.length ? statsTable(stats) : '',
+      items.length && itemsHeading ? paragraph(itemsHeading) : '',
+      list(items)
+    ].join('\n'),
+    action,
+    footer,
+    manageLink
+  })
+
+  const text = textLayout({
+    heading,
+    lines: [
+      ...paragraphs.filter(Boolean),
+      ...(stats.length ? ['', ...stats.map(([label, value]) => `${label}: ${value}`)] : []),
+      ...(items.length ? ['', ...(itemsHeading ? [itemsHeading] : []), ...items.map(item => `- ${item}`)] : [])
+    ],
+    action,
+    footer,
+    manageLink
+  })
+
+  return { subject, html, text }
+}
+
+// ============ NOTIFICATION TEMPLATES ============
+
+function proofReviewed({ title, data }) {
+  const approved = data.status === 'approved'
+  return render({
+    subject: title,
+    paragraphs: [
+      `Your proof for ${data.date} was ${approved ? 'approved' : 'rejected'}.`,
+      data.rejection_reason && `Reason: ${data.rejection_reason}`,
+      data.admin_feedback && `Feedback from your admin: "${data.admin_feedback}"`
+    ],
+    stats: data.quality_rating ? [['Rating', `${data.quality_rating}/5`]] : [],
+    action: data.roomId && { label: 'Open room', url: appLink(`/rooms/${data.roomId}`) }
+  })
+}
+
+function warningIssued({ title, data }) {
+  return render({
+    subject: title,
+    paragraphs: [
+      data.message,
+      data.severity && `Severity: ${data.severity}`
+    ],
+    action: data.roomId && { label: 'Open room', url: appLink(`/rooms/${data.roomId}`) }
+  })
+}
+
+function consequenceIssued({ title, body, data }) {
+  return render({
+    subject: title,
+    paragraphs: [
+      body,
+      data.notes && `Notes: ${data.notes}`,
+      data.expires_at && `In effect until ${String(data.expires_at).slice(0, 10)}.`
+    ],
+    action: data.roomId && { label: 'Open room', url: appLink(`/rooms/${data.roomId}`) }
+  })
+}
+
+function weeklyDigest({ title, data }) {
+  const stats = [
+    ['Week', `${data.week?.from} – ${data.week?.to}`],
+    ['Approved', `${data.approved}/${data.total}`],
+    ['Missed', data.missed],
+    ['Approval rate', `${data.rate}%`],
+    ['Current streak', `${data.streak?.current ?? 0} day(s)${data.streak?.change ? ` (${signed(data.streak.change)})` : ''}`]
+  ]
+  if (data.rank?.rank) {
+    stats.push(['Leaderboard', `#${data.rank.rank} of ${data.rank.total}${data.rank.change ? ` (${signed(data.rank.change)})` : ''}`])
+  }
+
+  return render({
+    subject: title,
+    heading: 'Your week on Daylock',
+    paragraphs: [
+      data.bestRoom && `Best room: ${data.bestRoom.emoji || '📋'} ${data.bestRoom.name} (${data.bestRoom.rate}%)`
+    ],
+    stats,
+    itemsHeading: 'New achievements:',
+    items: (data.newAchievements || []).map(a => `${a.icon || '🏆'} ${a.name}`),
+    action: { label: 'See your analytics', url: appLink('/analytics') }
+  })
+}
+
+function adminDigest({ title, data }) {
+  return render({
+    subject: title,
+    heading: 'Your rooms this week',
+    paragraphs: [
+      `${data.pendingReviews} proof(s) are waiting for your review.`
+    ],
+    stats: (data.rooms || []).map(room => [
+      `${room.emoji || '📋'} ${room.name}${room.userName ? ` (${room.userName})` : ''}`,
+      `${room.approved}/${room.total} · ${room.rate}%`
+    ]),
+    itemsHeading: 'At risk (under 50% approval or 2+ missed days):',
+    items: (data.atRiskUsers || []).map(u => `${u.name}: ${u.rate}% approved, ${u.missed} missed`),
+    action: { label: 'Open admin dashboard', url: appLink('/admin') }
+  })
+}
+
+function generic({ title, body, data }) {
+  return render({
+    subject: title,
+    paragraphs: [body],
+    action: data?.url
+      ? { label: 'Open Daylock', url: appLink(data.url) }
+      : data?.roomId && { label: 'Open room', url: appLink(`/rooms/${data.roomId}`) }
+  })
+}
+
+const NOTIFICATION_TEMPLATES = {
+  proof_reviewed: proofReviewed,
+  warning_issued: warningIssued,
+  consequence_issued: consequenceIssued,
+  weekly_digest: weeklyDigest,
+  admin_digest: adminDigest
+}
+
+/**
+ * Render a notification as an email
+ * @param {{ type: string, title: string, body: string, data?: object }} notification
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderNotificationEmail({ type, title, body, data = {} }) {
+  const template = NOTIFICATION_TEMPLATES[type] || generic
+  return template({ title, body, data: data || {} })
+}
+
+// ============ INVITES ============
+
+/**
+ * Invitation to administer a room
+ * @param {object} invite
+ * @param {string} invite.code
+ * @param {{ name: string, emoji?: string }} invite.room
+ * @param {string} [invite.inviterName]
+ * @param {string} [invite.url] - where accepting starts (defaults to /invite/<code>)
+ */
+export function renderInviteEmail({ code, room, inviterName, url }) {
+  const roomLabel = `${room?.emoji || '📋'} ${room?.name || 'a room'}`
+  const who = inviterName || 'Someone'
+
+  return render({
+    subject: `${who} invited you to keep them accountable on Daylock`,
+    heading: `You're invited to be an admin of ${roomLabel}`,
+    paragraphs: [
+      `${who} wants you to review their daily proofs for ${roomLabel}.`,
+      `Your invite code is ${code}.`
+    ],
+    action: { label: 'Accept invite', url: url || appLink(`/invite/${encodeURIComponent(code)}`) },
+    footer: `You receive this email because ${who} invited this address on Daylock.`,
+    manageLink: false
+  })
+}
+
+export default { escapeHtml, renderNotificationEmail, renderInviteEmail }
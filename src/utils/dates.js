@@ -0,0 +1,153 @@
+/**
+ * Date Utilities
+ * Timezone-aware helpers for working with calendar days.
+ *
+ * Attendance, streaks and analytics all bucket by calendar day (YYYY-MM-DD).
+ * "Today" must be computed in the user's or room's timezone — not the
+ * server's — otherwise proofs land on the wrong day for anyone far from UTC.
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC'
+
+const DAY_MS = 86400000
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Asia/Kolkata")
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Return the timezone if valid, otherwise the default (UTC)
+ */
+export function safeTimezone(timezone) {
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE
+}
+
+/**
+ * Break a Date into its wall-clock parts in the given timezone
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: safeTimezone(timezone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date)
+
+  const get = (type) => Number(parts.find(p => p.type === type).value)
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  }
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in the given timezone
+ */
+export function toDateString(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timezone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the given timezone
+ */
+export function todayIn(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return toDateString(now, timezone)
+}
+
+/**
+ * Minutes since local midnight for `now` in the given timezone
+ */
+export function minutesInTimezone(now, timezone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = getZonedParts(now, timezone)
+  return hour * 60 + minute
+}
+
+/**
+ * Add (or subtract) whole days to a YYYY-MM-DD string
+ */
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().split('T')[0]
+}
+
+/**
+ * Number of calendar days from `fromDate` to `toDate` (both YYYY-MM-DD)
+ */
+export function diffDays(fromDate, toDate) {
+  const [y1, m1, d1] = fromDate.split('-').map(Number)
+  const [y2, m2, d2] = toDate.split('-').map(Number)
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / DAY_MS)
+}
+
+/**
+ * Day of week (0 = Sunday ... 6 = Saturday) for a YYYY-MM-DD string
+ */
+export function dayOfWeek(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay()
+}
+
+/**
+ * Convert a TIME string in a timezone on a given day to a UTC Date.
+ *
+ * E.g. zonedTimeToUtc("2026-03-01", "09:00:00", "Asia/Kolkata") → 2026-03-01T03:30:00Z
+ */
+export function zonedTimeToUtc(dateStr, timeStr, timezone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = dateStr.split('-').map(Number)
+  const [hours = 0, minutes = 0] = (timeStr || '00:00').split(':').map(Number)
+  const wallClock = Date.UTC(y, m - 1, d, hours, minutes)
+
+  // Offset of the zone at a given instant, in ms (local wall clock - UTC)
+  const offsetAt = (ms) => {
+    const p = getZonedParts(new Date(ms), timezone)
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms
+  }
+
+  // Re-check the offset at the result so DST transitions land correctly
+  let result = wallClock - offsetAt(wallClock)
+  const corrected = offsetAt(result)
+  if (wallClock - corrected !== result) result = wallClock - corrected
+
+  return new Date(result)
+}
+
+/**
+ * Format a duration in minutes for messages: "45 min", "1h", "1h 30m"
+ */
+export function formatMinutes(minutes) {
+  return minutes < 60
+    ? `${minutes} min`
+    : `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`
+}
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  safeTimezone,
+  toDateString,
+  todayIn,
+  minutesInTimezone,
+  addDays,
+  diffDays,
+  dayOfWeek,
+  zonedTimeToUtc,
+  formatMinutes
+}
@@ -0,0 +1,123 @@
+/**
+ * Domain Errors
+ * Typed errors thrown by services and policies. The error handler maps
+ * them to HTTP status codes and exposes `code` so the frontend can switch
+ * on a stable value instead of parsing messages.
+ */
+
+/**
+ * Stable error codes sent to the client
+ */
+export const ERROR_CODES = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+  INVALID_REFERENCE: 'INVALID_REFERENCE',
+  BAD_GATEWAY: 'BAD_GATEWAY',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+}
+
+const DEFAULT_CODES = {
+  400: ERROR_CODES.VALIDATION_ERROR,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  412: ERROR_CODES.PRECONDITION_FAILED,
+  502: ERROR_CODES.BAD_GATEWAY,
+  503: ERROR_CODES.SERVICE_UNAVAILABLE
+}
+
+/**
+ * Custom API Error class
+ */
+export class ApiError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message)
+    this.name = this.constructor.name
+    this.statusCode = statusCode
+    this.details = details
+    this.code = code || DEFAULT_CODES[statusCode] || ERROR_CODES.INTERNAL_ERROR
+    this.isOperational = true
+  }
+}
+
+/**
+ * 400 — request input is invalid
+ */
+export class ValidationError extends ApiError {
+  constructor(message = 'Invalid request', { code, details } = {}) {
+    super(400, message, details, code || ERROR_CODES.VALIDATION_ERROR)
+  }
+}
+
+/**
+ * 403 — caller is authenticated but not allowed to do this
+ */
+export class ForbiddenError extends ApiError {
+  constructor(message = 'Forbidden', { code, details } = {}) {
+    super(403, message, details, code || ERROR_CODES.FORBIDDEN)
+  }
+}
+
+/**
+ * 404 — the referenced resource does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found', { code, details } = {}) {
+    super(404, message, details, code || ERROR_CODES.NOT_FOUND)
+  }
+}
+
+/**
+ * 409 — the request conflicts with the current state of the resource
+ */
+export class ConflictError extends ApiError {
+  constructor(message = 'Conflict', { code, details } = {}) {
+    super(409, message, details, code || ERROR_CODES.CONFLICT)
+  }
+}
+
+/**
+ * 412 — a state the action depends on does not hold (e.g. room is paused)
+ */
+export class PreconditionFailedError extends ApiError {
+  constructor(message = 'Precondition failed', { code, details } = {}) {
+    super(412, message, details, code || ERROR_CODES.PRECONDITION_FAILED)
+  }
+}
+
+/**
+ * 502 — a service the server relies on (e.g. the mail server) failed
+ */
+export class BadGatewayError extends ApiError {
+  constructor(message = 'Bad gateway', { code, details } = {}) {
+    super(502, message, details, code || ERROR_CODES.BAD_GATEWAY)
+  }
+}
+
+/**
+ * 503 — the feature is not configured on this server
+ */
+export class ServiceUnavailableError extends ApiError {
+  constructor(message = 'Service unavailable', { code, details } = {}) {
+    super(503, message, details, code || ERROR_CODES.SERVICE_UNAVAILABLE)
+  }
+}
+
+export default {
+  ERROR_CODES,
+  ApiError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  BadGatewayError,
+  ServiceUnavailableError
+}
@@ -0,0 +1,83 @@
+/**
+ * Invite Code Utilities
+ * One scheme for generating and checking room invite codes:
+ *
+ *   <room-name-slug>-<suffix>      e.g. "gym-k7p2", "morning-study-x4hd"
+ *
+ * - Codes are case-insensitive: stored lowercase, matched after normalizing
+ * - The random suffix skips characters that are easy to misread
+ *   (0/o, 1/i/l), so a code read aloud or off a screen types back correctly
+ * - Older codes ("gym-482", timestamp fallbacks, "ABC-1234") have the same
+ *   shape, so they still validate and can still be accepted
+ */
+
+import { randomInt } from 'crypto'
+
+// Lowercase letters and digits minus 0, o, 1, i and l
+export const INVITE_CODE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz'
+
+export const INVITE_CODE_SUFFIX_LENGTH = 4
+
+// Longest code accepted. New codes are far shorter (20-character slug +
+// suffix), but older ones kept the whole room name (up to 100 characters)
+// plus "-482" or a 4-character timestamp fragment
+export const INVITE_CODE_MAX_LENGTH = 128
+
+// Only applies to new codes
+const SLUG_MAX_LENGTH = 20
+
+// One or more lowercase alphanumeric parts joined by single hyphens, at least two parts
+const INVITE_CODE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)+$/
+
+/**
+ * Canonical form of a code as typed or scanned: trimmed and lowercase
+ */
+export function normalizeInviteCode(code) {
+  return String(code ?? '').trim().toLowerCase()
+}
+
+/**
+ * Whether a code has the shape of an invite code, new or old (any case)
+ */
+export function isValidInviteCode(code) {
+  const normalized = normalizeInviteCode(code)
+  return normalized.length <= INVITE_CODE_MAX_LENGTH && INVITE_CODE_PATTERN.test(normalized)
+}
+
+/**
+ * The readable part of a code, from the room name
+ * e.g. "Morning Study" -> "morning-study"
+ */
+export function inviteCodeSlug(roomName) {
+  return (roomName || 'room')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-|-$/g, '')
+    || 'room'
+}
+
+/**
+ * A new random code for a room; the caller checks it is unique
+ * e.g. "Gym" -> "gym-k7p2"
+ */
+export function generateInviteCode(roomName) {
+  let suffix = ''
+  for (let i = 0; i < INVITE_CODE_SUFFIX_LENGTH; i++) {
+    suffix += INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)]
+  }
+  return `${inviteCodeSlug(roomName)}-${suffix}`
+}
+
+export default {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_SUFFIX_LENGTH,
+  INVITE_CODE_MAX_LENGTH,
+  normalizeInviteCode,
+  isValidInviteCode,
+  inviteCodeSlug,
+  generateInviteCode
+}
@@ -0,0 +1,126 @@
+/**
+ * JWT Verification
+ * Verifies Supabase access tokens locally instead of calling the Auth API
+ * on every request. Checks signature, expiry, audience and issuer.
+ */
+
+import { jwtVerify, createRemoteJWKSet, createLocalJWKSet, decodeProtectedHeader, errors } from 'jose'
+import { jwtConfig } from '../config/auth.js'
+
+const ASYMMETRIC_ALGORITHMS = ['ES256', 'RS256']
+
+/**
+ * The token is malformed, expired, or fails signature/claim checks
+ */
+export class InvalidTokenError extends Error {
+  constructor(message = 'Invalid token') {
+    super(message)
+    this.name = 'InvalidTokenError'
+  }
+}
+
+/**
+ * The token could not be checked locally (no key configured, JWKS unreachable)
+ * — says nothing about whether the token itself is valid
+ */
+export class UnverifiableTokenError extends Error {
+  constructor(message = 'Token could not be verified locally') {
+    super(message)
+    this.name = 'UnverifiableTokenError'
+  }
+}
+
+const secretKey = jwtConfig.secret ? new TextEncoder().encode(jwtConfig.secret) : null
+
+let jwks = null
+
+/**
+ * Lazily build the JWKS key resolver (jose caches fetched keys internally)
+ */
+function getJwks() {
+  if (jwks) return jwks
+
+  if (jwtConfig.jwks) {
+    jwks = createLocalJWKSet(jwtConfig.jwks)
+  } else if (jwtConfig.jwksUrl) {
+    jwks = createRemoteJWKSet(new URL(jwtConfig.jwksUrl), {
+      cacheMaxAge: jwtConfig.jwksCacheMaxAgeMs
+    })
+  }
+  return jwks
+}
+
+/**
+ * Errors that mean "couldn't reach or use the key source", not "bad token"
+ */
+function isKeySourceFailure(err) {
+  return err instanceof errors.JWKSTimeout ||
+    err instanceof errors.JWKSInvalid ||
+    !(err instanceof errors.JOSEError)
+}
+
+/**
+ * Verify an access token and return its claims
+ * @param {string} token
+ * @returns {Promise<object>} JWT payload
+ * @throws {InvalidTokenError|UnverifiableTokenError}
+ */
+export async function verifyAccessToken(token) {
+  let header
+  try {
+    header = decodeProtectedHeader(token)
+  } catch {
+    throw new InvalidTokenError('Malformed token')
+  }
+
+  let key
+  if (header.alg === 'HS256') {
+    if (!secretKey) throw new UnverifiableTokenError('SUPABASE_JWT_SECRET is not configured')
+    key = secretKey
+  } else if (ASYMMETRIC_ALGORITHMS.includes(header.alg)) {
+    key = getJwks()
+    if (!key) throw new UnverifiableTokenError('No JWKS configured for asymmetric tokens')
+  } else {
+    throw new InvalidTokenError(`Unsupported token algorithm: ${header.alg}`)
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, key, {
+      algorithms: [header.alg],
+      audience: jwtConfig.audience,
+      ...(jwtConfig.issuer && { issuer: jwtConfig.issuer }),
+      clockTolerance: jwtConfig.clockToleranceSec,
+      requiredClaims: ['sub', 'exp']
+    })
+    return payload
+  } catch (err) {
+    if (isKeySourceFailure(err)) {
+      throw new UnverifiableTokenError(`Could not load signing keys: ${err.message}`)
+    }
+    if (err instanceof errors.JWTExpired) {
+      throw new InvalidTokenError('Token has expired')
+    }
+    throw new InvalidTokenError(err.message)
+  }
+}
+
+/**
+ * Map verified JWT claims to the req.user shape
+ * `exp` (seconds since the epoch) lets long-lived connections end with the token
+ */
+export function userFromClaims(claims) {
+  return {
+    id: claims.sub,
+    email: claims.email,
+    role: claims.role,
+    aud: claims.aud,
+    exp: claims.exp ?? null
+  }
+}
+
+export default {
+  InvalidTokenError,
+  UnverifiableTokenError,
+  verifyAccessToken,
+  userFromClaims
+}
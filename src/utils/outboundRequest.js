@@ -0,0 +1,158 @@
+/**
+ * Outbound Request Utilities
+ * Server-side HTTP requests to user-supplied URLs (webhooks), guarded against
+ * SSRF: the host must resolve to public addresses only. Loopback, private,
+ * link-local, unique-local and other special-purpose ranges are refused.
+ *
+ * The check runs when a URL is saved (findBlockedAddress) and again on the
+ * connection itself: the request's own DNS lookup is filtered, so a host
+ * cannot pass validation with a public address and later resolve to a
+ * private one. Redirects are never followed.
+ */
+
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved, broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['fc00::', 7, 'ipv6'], // unique-local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+]
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const blockList = new net.BlockList()
+for (const [network, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(network, prefix, type)
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address)
+  if (family === 0) return true
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '')
+}
+
+/**
+ * The first address a URL's host resolves to that is not public, if any
+ * Rejects when the host cannot be resolved.
+ * @returns {Promise<string|null>}
+ */
+export async function findBlockedAddress(url) {
+  const host = hostOf(url)
+  if (net.isIP(host)) return isBlockedAddress(host) ? host : null
+
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true })
+  return addresses.map(a => a.address).find(isBlockedAddress) || null
+}
+
+/**
+ * dns.lookup for http.request that fails instead of returning a blocked address
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err)
+
+    const blocked = addresses.find(a => isBlockedAddress(a.address))
+    if (blocked) return callback(blockedError(blocked.address))
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+function blockedError(address) {
+  const error = new Error(`Refusing to connect to non-public address ${address}`)
+  error.code = 'BLOCKED_ADDRESS'
+  return error
+}
+
+/**
+ * Send one HTTP request and read the response's status and size (not its body)
+ * Redirects are not followed: a 3xx is returned like any other status.
+ * @param {string} url
+ * @param {object} options
+ * @param {string} [options.method]
+ * @param {object} [options.headers]
+ * @param {string} [options.body]
+ * @param {number} options.timeoutMs - for the whole exchange
+ * @param {boolean} [options.allowPrivate] - skip the address check (local test receivers)
+ * @param {number} [options.maxResponseBytes] - stop reading the response after this much
+ * @returns {Promise<{ status: number, bytes: number, truncated: boolean }>}
+ *   rejects with code BLOCKED_ADDRESS, TIMEOUT or a network error code
+ */
+export function sendRequest(url, { method = 'POST', headers = {}, body, timeoutMs, allowPrivate = false, maxResponseBytes = 64 * 1024 }) {
+  return new Promise((resolve, reject) => {
+    let target
+    try {
+      target = new URL(url)
+    } catch {
+      return reject(Object.assign(new Error('Invalid URL'), { code: 'INVALID_URL' }))
+    }
+
+    const host = hostOf(url)
+    if (!allowPrivate && net.isIP(host) && isBlockedAddress(host)) {
+      return reject(blockedError(host))
+    }
+
+    const client = target.protocol === 'https:' ? https : http
+    const request = client.request(target, {
+      method,
+      headers,
+      // A fresh connection every time, so every request goes through the lookup
+      agent: false,
+      ...(!allowPrivate && { lookup: publicLookup })
+    }, (response) => {
+      let bytes = 0
+      let truncated = false
+      response.on('data', (chunk) => {
+        bytes += chunk.length
+        if (bytes > maxResponseBytes) {
+          truncated = true
+          response.destroy()
+        }
+      })
+      response.on('close', () => {
+        clearTimeout(timer)
+        resolve({ status: response.statusCode, bytes: Math.min(bytes, maxResponseBytes), truncated })
+      })
+    })
+
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error(`Timed out after ${timeoutMs / 1000}s`), { code: 'TIMEOUT' }))
+    }, timeoutMs)
+
+    request.on('error', (err) => {
+      clearTimeout(timer)
+      reject(err)
+    })
+    request.end(body)
+  })
+}
+
+export default { isBlockedAddress, findBlockedAddress, sendRequest }
@@ -0,0 +1,199 @@
+/**
+ * Room Schedule Utilities
+ * A room's schedule (rooms.schedule, JSONB) says which days the room runs
+ * and the time windows on those days:
+ *
+ *   {
+ *     "weekly": [
+ *       { "days": ["mon", "wed", "fri"], "windows": [{ "start": "06:00", "end": "07:00" }] },
+ *       { "days": ["sat"], "windows": [{ "start": "09:00", "end": "10:00" }, { "start": "18:00", "end": "19:00" }] }
+ *     ],
+ *     "exceptions": [
+ *       { "date": "2026-12-25", "closed": true },
+ *       { "date": "2026-12-31", "windows": [{ "start": "10:00", "end": "11:00" }] }
+ *     ]
+ *   }
+ *
+ * - A day with an empty `windows` list is scheduled all day
+ * - Exceptions replace the weekly rule for their date
+ * - A window may cross midnight (22:00–02:00); both its late-evening and
+ *   early-morning parts count toward the same calendar day
+ * - Rooms without a schedule fall back to the legacy time_start/time_end pair
+ *   every day, or all day every day when no window is set
+ */
+
+import { dayOfWeek, addDays, zonedTimeToUtc } from './dates.js'
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const MAX_WINDOWS_PER_DAY = 6
+
+/**
+ * Convert a TIME string ("HH:MM" or "HH:MM:SS") to minutes since midnight
+ */
+export function toMinutes(timeStr) {
+  if (!timeStr) return null
+  const [hours, minutes] = timeStr.split(':').map(Number)
+  return (hours || 0) * 60 + (minutes || 0)
+}
+
+/**
+ * Whether a window crosses midnight (end before start)
+ */
+export function crossesMidnight(window) {
+  return toMinutes(window.end) < toMinutes(window.start)
+}
+
+/**
+ * Whether a time (minutes since midnight) falls inside a window
+ */
+export function isInsideWindow(window, minutes) {
+  const start = toMinutes(window.start)
+  const end = toMinutes(window.end)
+  return crossesMidnight(window)
+    ? minutes >= start || minutes < end
+    : minutes >= start && minutes < end
+}
+
+/**
+ * The schedule a room runs on, falling back to its legacy single window
+ * @param {object} room - schedule, time_start, time_end
+ */
+export function resolveSchedule(room) {
+  if (room?.schedule?.weekly) return room.schedule
+
+  const windows = room?.time_start && room?.time_end
+    ? [{ start: room.time_start, end: room.time_end }]
+    : []
+  return { weekly: [{ days: [...WEEKDAYS], windows }], exceptions: [] }
+}
+
+/**
+ * What the schedule says about one date
+ * @param {object} schedule - a resolved schedule
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {{ scheduled: boolean, windows: { start: string, end: string }[] }}
+ */
+export function getDaySchedule(schedule, dateStr) {
+  const exception = (schedule.exceptions || []).find(e => e.date === dateStr)
+  if (exception) {
+    return exception.closed
+      ? { scheduled: false, windows: [] }
+      : { scheduled: true, windows: sortWindows(exception.windows || []) }
+  }
+
+  const weekday = WEEKDAYS[dayOfWeek(dateStr)]
+  const rules = (schedule.weekly || []).filter(rule => rule.days.includes(weekday))
+  if (!rules.length) return { scheduled: false, windows: [] }
+
+  // An all-day rule wins over windowed rules for the same day
+  if (rules.some(rule => !rule.windows?.length)) return { scheduled: true, windows: [] }
+  return { scheduled: true, windows: sortWindows(rules.flatMap(rule => rule.windows)) }
+}
+
+/**
+ * Whether the room expects attendance on a date
+ */
+export function isScheduledDay(room, dateStr) {
+  return getDaySchedule(resolveSchedule(room), dateStr).scheduled
+}
+
+/**
+ * Whether the room has any timing set (a schedule or a legacy window)
+ * Rooms without one are all-day rooms: no closing warnings, but missed days
+ * are still recorded once each day ends
+ */
+export function hasConfiguredSchedule(room) {
+  return !!(room?.schedule?.weekly || (room?.time_start && room?.time_end))
+}
+
+/**
+ * The moment a scheduled day is over and can no longer be attended
+ * - With late uploads allowed, or no windows, the day closes at midnight
+ * - Otherwise when the day's last window closes (next day for overnight windows)
+ * @param {object} schedule - a resolved schedule
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} timezone
+ * @param {{ allowLate?: boolean }} [options]
+ * @returns {Date}
+ */
+export function getDayClose(schedule, dateStr, timezone, { allowLate = false } = {}) {
+  const { windows } = getDaySchedule(schedule, dateStr)
+  const nextDay = addDays(dateStr, 1)
+
+  if (allowLate || !windows.length) return zonedTimeToUtc(nextDay, '00:00', timezone)
+
+  const last = windows.reduce((latest, window) => closingMinutes(window) > closingMinutes(latest) ? window : latest)
+  return crossesMidnight(last)
+    ? zonedTimeToUtc(nextDay, last.end, timezone)
+    : zonedTimeToUtc(dateStr, last.end, timezone)
+}
+
+// Minutes from the day's midnight until a window closes (past 1440 for overnight windows)
+function closingMinutes(window) {
+  return toMinutes(window.end) + (crossesMidnight(window) ? 24 * 60 : 0)
+}
+
+function sortWindows(windows) {
+  return [...windows].sort((a, b) => toMinutes(a.start) - toMinutes(b.start))
+}
+
+function validateWindows(windows, where) {
+  if (!Array.isArray(windows)) return `${where}.windows must be an array`
+  if (windows.length > MAX_WINDOWS_PER_DAY) return `${where} allows at most ${MAX_WINDOWS_PER_DAY} windows`
+
+  for (const window of windows) {
+    if (!TIME_PATTERN.test(window?.start || '') || !TIME_PATTERN.test(window?.end || '')) {
+      return `${where} windows need start and end times (HH:MM)`
+    }
+    if (window.start === window.end) return `${where} window start and end must differ`
+  }
+  return null
+}
+
+/**
+ * Check a schedule submitted by a client
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'schedule must be an object'
+  }
+  if (!Array.isArray(schedule.weekly)) return 'schedule.weekly must be an array'
+
+  for (const [i, rule] of schedule.weekly.entries()) {
+    if (!Array.isArray(rule?.days) || !rule.days.length || !rule.days.every(d => WEEKDAYS.includes(d))) {
+      return `schedule.weekly[${i}].days must list weekdays (${WEEKDAYS.join(', ')})`
+    }
+    const error = validateWindows(rule.windows || [], `schedule.weekly[${i}]`)
+    if (error) return error
+  }
+
+  if (schedule.exceptions !== undefined && !Array.isArray(schedule.exceptions)) {
+    return 'schedule.exceptions must be an array'
+  }
+  for (const [i, exception] of (schedule.exceptions || []).entries()) {
+    if (!DATE_PATTERN.test(exception?.date || '')) return `schedule.exceptions[${i}].date must be YYYY-MM-DD`
+    if (!exception.closed) {
+      const error = validateWindows(exception.windows || [], `schedule.exceptions[${i}]`)
+      if (error) return error
+    }
+  }
+
+  return null
+}
+
+export default {
+  WEEKDAYS,
+  toMinutes,
+  crossesMidnight,
+  isInsideWindow,
+  resolveSchedule,
+  getDaySchedule,
+  isScheduledDay,
+  hasConfiguredSchedule,
+  getDayClose,
+  validateSchedule
+}
@@ -0,0 +1,52 @@
+/**
+ * Webhook Signatures
+ * Every webhook request carries
+ *   X-Daylock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * where the HMAC is computed with the webhook's secret over `<t>.<raw body>`.
+ * Receivers recompute it and reject stale timestamps to stop replays.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+
+export const SIGNATURE_HEADER = 'X-Daylock-Signature'
+
+// Receivers should reject signatures older than this
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60
+
+/**
+ * A new webhook signing secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`
+}
+
+function hmac(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {string} body - the exact JSON string sent
+ * @param {number} [timestamp] - unix seconds
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`
+}
+
+/**
+ * Check a signature header against a raw body (what a receiver does)
+ * @returns {boolean}
+ */
+export function verifySignature(secret, body, header, { now = Date.now(), tolerance = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')))
+  const timestamp = Number(parts.t)
+  if (!Number.isInteger(timestamp) || !parts.v1) return false
+  if (Math.abs(now / 1000 - timestamp) > tolerance) return false
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex')
+  const actual = Buffer.from(parts.v1, 'hex')
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+export default { SIGNATURE_HEADER, SIGNATURE_TOLERANCE_SECONDS, generateWebhookSecret, signPayload, verifySignature }
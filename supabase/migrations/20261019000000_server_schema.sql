@@ -0,0 +1,412 @@
+-- Server schema
+-- Tables, columns and views the API server reads and writes beyond the
+-- original Daylock tables (profiles, rooms, attendance, room_invites,
+-- room_rules, warnings, consequences, challenges, notifications,
+-- notification_preferences, push_subscriptions).
+--
+-- Safe to run more than once: tables and indexes are created if missing,
+-- columns are added if missing, and the views are recreated.
+--
+-- Unique indexes double as upsert targets (see uniqueKeys in
+-- src/repositories/schema.js), and ON DELETE CASCADE matches `cascades` there.
+-- The server connects with the service role key; row level security is
+-- enabled on the new tables so anon and authenticated clients cannot read them.
+
+-- ---------------------------------------------------------------------------
+-- Columns on existing tables
+-- ---------------------------------------------------------------------------
+
+-- IANA timezone, e.g. 'Europe/Berlin'; null falls back to UTC
+alter table public.profiles
+  add column if not exists timezone text,
+  add column if not exists total_discipline_points integer not null default 0,
+  add column if not exists current_streak integer not null default 0,
+  add column if not exists longest_streak integer not null default 0;
+
+-- schedule: { weekly: [{ days, windows: [{ start, end }] }], exceptions: [...] }
+-- timezone: null uses the owner's profile timezone
+alter table public.rooms
+  add column if not exists schedule jsonb,
+  add column if not exists timezone text,
+  add column if not exists is_paused boolean not null default false,
+  add column if not exists allow_late_upload boolean not null default false,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- role: what accepting grants; admin invites are single-use
+-- max_uses / use_count: member invites only, null means no limit
+-- target_email / target_user_id: the code works for that person only
+alter table public.room_invites
+  add column if not exists role text not null default 'admin'
+    check (role in ('admin', 'member')),
+  add column if not exists expires_at timestamptz,
+  add column if not exists max_uses integer check (max_uses is null or max_uses > 0),
+  add column if not exists use_count integer not null default 0,
+  add column if not exists target_email text,
+  add column if not exists target_user_id uuid references public.profiles (id) on delete cascade,
+  add column if not exists accepted_at timestamptz;
+
+create unique index if not exists room_invites_invite_code_key
+  on public.room_invites (invite_code);
+
+create unique index if not exists attendance_room_id_user_id_date_key
+  on public.attendance (room_id, user_id, date);
+
+alter table public.notification_preferences
+  add column if not exists warnings boolean not null default true,
+  add column if not exists consequences boolean not null default true,
+  add column if not exists channels jsonb not null default '{}'::jsonb,
+  add column if not exists quiet_hours_start text,
+  add column if not exists quiet_hours_end text;
+
+create unique index if not exists notification_preferences_user_id_key
+  on public.notification_preferences (user_id);
+
+-- One row per device; failing endpoints are deactivated, not deleted
+alter table public.push_subscriptions
+  add column if not exists name text,
+  add column if not exists muted_types jsonb not null default '[]'::jsonb,
+  add column if not exists active boolean not null default true,
+  add column if not exists last_used_at timestamptz,
+  add column if not exists failure_count integer not null default 0,
+  add column if not exists last_success_at timestamptz,
+  add column if not exists last_failure_at timestamptz,
+  add column if not exists last_error text,
+  add column if not exists last_status_code integer,
+  add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists push_subscriptions_user_id_endpoint_key
+  on public.push_subscriptions (user_id, endpoint);
+
+-- ---------------------------------------------------------------------------
+-- Room membership
+-- ---------------------------------------------------------------------------
+
+-- Everyone in a room besides its owner (rooms.user_id)
+-- permissions: admins only; null means all of them
+create table if not exists public.room_members (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  role text not null default 'member' check (role in ('admin', 'member')),
+  permissions text[],
+  invite_id uuid references public.room_invites (id) on delete set null,
+  joined_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  constraint room_members_room_id_user_id_key unique (room_id, user_id)
+);
+
+create index if not exists room_members_user_id_idx on public.room_members (user_id);
+
+-- Append-only audit log of people leaving or being removed
+create table if not exists public.room_member_events (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  user_id uuid references public.profiles (id) on delete set null,
+  actor_id uuid references public.profiles (id) on delete set null,
+  action text not null
+    check (action in ('admin_removed', 'admin_left', 'member_removed', 'member_left')),
+  role text,
+  reason text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists room_member_events_room_id_created_at_idx
+  on public.room_member_events (room_id, created_at desc);
+
+-- ---------------------------------------------------------------------------
+-- Streaks and pauses
+-- ---------------------------------------------------------------------------
+
+-- Per-room streaks, recalculated from attendance (computed_on is the local day)
+create table if not exists public.streaks (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  current_streak integer not null default 0,
+  longest_streak integer not null default 0,
+  last_hit_date date,
+  computed_on date,
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  constraint streaks_room_id_user_id_key unique (room_id, user_id)
+);
+
+-- Pause periods streaks skip over; ended_at is null while the room is paused
+create table if not exists public.room_pauses (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists room_pauses_room_id_idx on public.room_pauses (room_id);
+
+-- ---------------------------------------------------------------------------
+-- Reminders
+-- ---------------------------------------------------------------------------
+
+create table if not exists public.room_reminders (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  minutes_before integer not null check (minutes_before > 0),
+  enabled boolean not null default true,
+  timezone text not null default 'UTC',
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists room_reminders_user_id_room_id_minutes_before_key
+  on public.room_reminders (user_id, room_id, minutes_before);
+
+-- ---------------------------------------------------------------------------
+-- Notifications
+-- ---------------------------------------------------------------------------
+
+-- The dispatcher's delivery log; dedup_key makes a row the claim on an event
+create table if not exists public.notification_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  type text not null,
+  dedup_key text,
+  notification_id uuid references public.notifications (id) on delete set null,
+  status text not null check (status in (
+    'sending', 'sent', 'queued', 'no_subscription', 'push_disabled', 'failed',
+    'deferred', 'dropped', 'disabled', 'push_off'
+  )),
+  payload jsonb,
+  deliver_after timestamptz,
+  attempts integer not null default 0,
+  push_sent integer,
+  push_failed integer,
+  error text,
+  email_status text
+    check (email_status in ('sending', 'sent', 'failed', 'no_address', 'email_disabled', 'off')),
+  email_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_deliveries
+  add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists notification_deliveries_user_id_dedup_key_key
+  on public.notification_deliveries (user_id, dedup_key);
+
+create index if not exists notification_deliveries_status_deliver_after_idx
+  on public.notification_deliveries (status, deliver_after);
+
+-- One row per reminder firing; the unique key is the cross-instance claim
+create table if not exists public.reminder_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  reminder_id uuid not null references public.room_reminders (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  local_date date not null,
+  window_start text not null,
+  status text not null check (status in ('sending', 'sent', 'queued', 'failed', 'skipped')),
+  attempts integer not null default 0,
+  error text,
+  notification_delivery_id uuid references public.notification_deliveries (id) on delete set null,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.reminder_deliveries
+  add column if not exists notification_delivery_id uuid
+    references public.notification_deliveries (id) on delete set null;
+
+create unique index if not exists reminder_deliveries_reminder_id_local_date_window_start_key
+  on public.reminder_deliveries (reminder_id, local_date, window_start);
+
+create index if not exists reminder_deliveries_status_updated_at_idx
+  on public.reminder_deliveries (status, updated_at);
+
+create index if not exists reminder_deliveries_notification_delivery_id_idx
+  on public.reminder_deliveries (notification_delivery_id);
+
+-- One row per push to one subscription, retried with backoff
+create table if not exists public.push_queue (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references public.push_subscriptions (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  delivery_id uuid references public.notification_deliveries (id) on delete set null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'sent', 'failed', 'gone')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_status_code integer,
+  error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists push_queue_status_next_attempt_at_idx
+  on public.push_queue (status, next_attempt_at);
+
+create index if not exists push_queue_delivery_id_idx on public.push_queue (delivery_id);
+
+-- ---------------------------------------------------------------------------
+-- Webhooks
+-- ---------------------------------------------------------------------------
+
+create table if not exists public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  created_by uuid references public.profiles (id) on delete set null,
+  url text not null,
+  description text,
+  events text[] not null default '{}',
+  secret text not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_room_id_idx on public.webhooks (room_id);
+
+-- response_body is legacy: no longer written and never returned
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks (id) on delete cascade,
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  event text not null,
+  event_id uuid not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  response_status integer,
+  response_summary text,
+  response_body text,
+  error text,
+  duration_ms integer,
+  delivered_at timestamptz,
+  redelivery_of uuid references public.webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_status_next_attempt_at_idx
+  on public.webhook_deliveries (status, next_attempt_at);
+
+create index if not exists webhook_deliveries_webhook_id_created_at_idx
+  on public.webhook_deliveries (webhook_id, created_at desc);
+
+-- ---------------------------------------------------------------------------
+-- Achievements and feed
+-- ---------------------------------------------------------------------------
+
+-- Definitions; ids are stable slugs, e.g. 'streak_7'
+create table if not exists public.achievements (
+  id text primary key,
+  name text not null,
+  description text,
+  icon text,
+  xp_reward integer not null default 0,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.user_achievements (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  achievement_id text not null references public.achievements (id) on delete cascade,
+  metadata jsonb,
+  notified boolean not null default false,
+  earned_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists user_achievements_user_id_achievement_id_key
+  on public.user_achievements (user_id, achievement_id);
+
+create table if not exists public.activity_feed (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references public.profiles (id) on delete cascade,
+  room_id uuid references public.rooms (id) on delete cascade,
+  event_type text not null,
+  actor_name text,
+  title text,
+  description text,
+  data jsonb,
+  metadata jsonb,
+  visibility text not null default 'room' check (visibility in ('room', 'public')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists activity_feed_room_id_created_at_idx
+  on public.activity_feed (room_id, created_at desc);
+
+create index if not exists activity_feed_user_id_created_at_idx
+  on public.activity_feed (user_id, created_at desc);
+
+-- ---------------------------------------------------------------------------
+-- Leaderboard views (src/repositories/drivers/memoryViews.js computes the same rows)
+-- ---------------------------------------------------------------------------
+
+drop view if exists public.leaderboard_view;
+drop view if exists public.room_leaderboard_view;
+
+-- One row per profile
+create view public.leaderboard_view with (security_invoker = true) as
+select
+  p.id as user_id,
+  p.name,
+  p.avatar_url,
+  coalesce(p.total_discipline_points, 0) as discipline_score,
+  coalesce(p.current_streak, 0) as current_streak,
+  coalesce(p.longest_streak, 0) as longest_streak,
+  coalesce(round(100.0 * a.approved / nullif(a.total, 0)), 0)::integer as attendance_rate,
+  coalesce(a.approved, 0)::integer as total_approved,
+  coalesce(ua.achievements_count, 0)::integer as achievements_count
+from public.profiles p
+left join (
+  select user_id, count(*) filter (where status = 'approved') as approved, count(*) as total
+  from public.attendance
+  group by user_id
+) a on a.user_id = p.id
+left join (
+  select user_id, count(*) as achievements_count
+  from public.user_achievements
+  group by user_id
+) ua on ua.user_id = p.id;
+
+-- One row per room and user with attendance in it
+create view public.room_leaderboard_view with (security_invoker = true) as
+select
+  a.room_id,
+  a.user_id,
+  p.name,
+  p.avatar_url,
+  count(*) filter (where a.status = 'approved')::integer as approved_count,
+  count(*)::integer as total_count,
+  round(100.0 * count(*) filter (where a.status = 'approved') / count(*))::integer as attendance_rate,
+  coalesce(s.current_streak, 0) as current_streak
+from public.attendance a
+left join public.profiles p on p.id = a.user_id
+left join public.streaks s on s.room_id = a.room_id and s.user_id = a.user_id
+group by a.room_id, a.user_id, p.name, p.avatar_url, s.current_streak;
+
+-- ---------------------------------------------------------------------------
+-- Row level security (service role only)
+-- ---------------------------------------------------------------------------
+
+alter table public.room_members enable row level security;
+alter table public.room_member_events enable row level security;
+alter table public.streaks enable row level security;
+alter table public.room_pauses enable row level security;
+alter table public.room_reminders enable row level security;
+alter table public.notification_deliveries enable row level security;
+alter table public.reminder_deliveries enable row level security;
+alter table public.push_queue enable row level security;
+alter table public.webhooks enable row level security;
+alter table public.webhook_deliveries enable row level security;
+alter table public.achievements enable row level security;
+alter table public.user_achievements enable row level security;
+alter table public.activity_feed enable row level security;
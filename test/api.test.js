@@ -0,0 +1,433 @@
+/**
+ * API suite on the memory data driver
+ * Exercises the dashboards and social endpoints end to end through the Express app.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startApp, tokenFor, createClient } from './helpers.js'
+
+const alice = { id: '00000000-0000-4000-8000-00000000000a', email: 'alice@example.com', name: 'Alice' }
+const bob = { id: '00000000-0000-4000-8000-00000000000b', email: 'bob@example.com', name: 'Bob' }
+const carol = { id: '00000000-0000-4000-8000-00000000000c', email: 'carol@example.com', name: 'Carol' }
+const dave = { id: '00000000-0000-4000-8000-00000000000d', email: 'dave@example.com', name: 'Dave' }
+const roomId = '00000000-0000-4000-8000-000000000001'
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString().slice(0, 10)
+
+function fixtures() {
+  return {
+    profiles: [
+      { ...alice, timezone: 'UTC', total_discipline_points: 40, current_streak: 2, longest_streak: 5 },
+      { ...bob, timezone: 'UTC', total_discipline_points: 90, current_streak: 1, longest_streak: 1 },
+      { ...carol, timezone: 'UTC', total_discipline_points: null },
+      { ...dave, timezone: 'UTC', total_discipline_points: 10 }
+    ],
+    rooms: [
+      { id: roomId, user_id: alice.id, name: 'Gym', emoji: '🏋️', time_start: '06:00', time_end: '08:00', timezone: 'UTC' }
+    ],
+    room_members: [
+      { room_id: roomId, user_id: bob.id, role: 'member' },
+      { room_id: roomId, user_id: carol.id, role: 'admin', permissions: ['review_proofs'] }
+    ],
+    attendance: [
+      { room_id: roomId, user_id: alice.id, date: daysAgo(2), status: 'approved', proof_url: 'https://cdn.example.com/a2.jpg' },
+      { room_id: roomId, user_id: alice.id, date: daysAgo(1), status: 'approved', proof_url: 'https://cdn.example.com/a1.jpg', quality_rating: 5 },
+      { room_id: roomId, user_id: bob.id, date: daysAgo(1), status: 'missed' }
+    ],
+    streaks: [
+      { room_id: roomId, user_id: alice.id, current_streak: 2, longest_streak: 2 }
+    ],
+    achievements: [
+      { id: 'first_room', name: 'First Room', description: 'Get a check-in approved', icon: '🎉', xp_reward: 10, sort_order: 1 },
+      { id: 'streak_3', name: 'Three in a Row', description: 'A 3 day streak', icon: '🔥', xp_reward: 30, sort_order: 2 },
+      { id: 'quality_5', name: 'Top Marks', description: 'A proof rated 5', icon: '⭐', xp_reward: 20, sort_order: 3 }
+    ]
+  }
+}
+
+describe('API (memory driver)', () => {
+  let app
+  let request
+  const tokens = {}
+
+  before(async () => {
+    app = await startApp()
+    request = createClient(app.url)
+    for (const user of [alice, bob, carol, dave]) tokens[user.id] = await tokenFor(user)
+  })
+
+  after(() => app.close())
+
+  beforeEach(() => {
+    app.dataDriver.reset()
+    app.dataDriver.seed(fixtures())
+  })
+
+  describe('analytics', () => {
+    it('returns the user dashboard', async () => {
+      const res = await request('GET', '/api/analytics/user', { token: tokens[alice.id] })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.overview.approved, 2)
+      assert.equal(res.body.totalRooms, 1)
+      assert.equal(res.body.records[0].room.name, 'Gym')
+    })
+
+    it('returns the admin dashboard for a room admin', async () => {
+      const res = await request('GET', '/api/analytics/admin', { token: tokens[carol.id] })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.records.length, 3)
+    })
+  })
+
+  describe('leaderboard', () => {
+    it('ranks everyone by discipline score', async () => {
+      const res = await request('GET', '/api/leaderboard', { token: tokens[alice.id] })
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(res.body.map(row => [row.rank, row.user_id]), [
+        [1, bob.id],
+        [2, alice.id],
+        [3, dave.id],
+        [4, carol.id]
+      ])
+      assert.equal(res.body[1].attendance_rate, 100)
+    })
+
+    it('accepts the streak sort alias', async () => {
+      const res = await request('GET', '/api/leaderboard?sortBy=streak', { token: tokens[alice.id] })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body[0].user_id, alice.id)
+    })
+
+    it('ranks a room by attendance rate', async () => {
+      const res = await request('GET', `/api/leaderboard/room/${roomId}`, { token: tokens[bob.id] })
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(res.body.map(row => [row.user_id, row.attendance_rate, row.current_streak]), [
+        [alice.id, 100, 2],
+        [bob.id, 0, 0]
+      ])
+    })
+
+    it('keeps non-members out of a room leaderboard', async () => {
+      const res = await request('GET', `/api/leaderboard/room/${roomId}`, { token: tokens[dave.id] })
+      assert.equal(res.status, 403)
+    })
+
+    it('returns the caller rank', async () => {
+      const res = await request('GET', '/api/leaderboard/me', { token: tokens[alice.id] })
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(res.body, { rank: 2, total: 4 })
+    })
+  })
+
+  describe('achievements and feed', () => {
+    it('awards earned achievements once, with XP and a feed event', async () => {
+      const first = await request('POST', '/api/achievements/check', { token: tokens[alice.id] })
+      assert.equal(first.status, 200)
+      assert.deepEqual(first.body.map(a => a.achievement_id).sort(), ['first_room', 'quality_5'])
+
+      const again = await request('POST', '/api/achievements/check', { token: tokens[alice.id] })
+      assert.deepEqual(again.body, [])
+
+      const [profile] = app.dataDriver.dump('profiles').filter(p => p.id === alice.id)
+      assert.equal(profile.total_discipline_points, 70)
+
+      const mine = await request('GET', '/api/achievements/me', { token: tokens[alice.id] })
+      assert.equal(mine.body.length, 2)
+      assert.ok(mine.body.every(a => a.achievement.name))
+
+      const feed = await request('GET', '/api/feed/global', { token: tokens[bob.id] })
+      assert.equal(feed.status, 200)
+      assert.equal(feed.body.length, 2)
+      assert.ok(feed.body.every(event => event.event_type === 'achievement_earned'))
+    })
+
+    it('marks achievements as notified', async () => {
+      await request('POST', '/api/achievements/check', { token: tokens[alice.id] })
+      await request('POST', '/api/achievements/mark-notified', {
+        token: tokens[alice.id],
+        body: { achievementIds: ['first_room'] }
+      })
+
+      const res = await request('GET', '/api/achievements/unnotified', { token: tokens[alice.id] })
+      assert.deepEqual(res.body.map(a => a.achievement_id), ['quality_5'])
+    })
+
+    it('pages a room feed with a before cursor', async () => {
+      app.dataDriver.seed({
+        activity_feed: [
+          { room_id: roomId, user_id: alice.id, title: 'old', visibility: 'room', created_at: '2026-01-01T00:00:00.000Z' },
+          { room_id: roomId, user_id: alice.id, title: 'new', visibility: 'room', created_at: '2026-01-02T00:00:00.000Z' }
+        ]
+      })
+
+      const all = await request('GET', `/api/feed/room/${roomId}`, { token: tokens[bob.id] })
+      assert.deepEqual(all.body.map(event => event.title), ['new', 'old'])
+
+      const older = await request('GET', `/api/feed/room/${roomId}?before=2026-01-02T00:00:00.000Z`, { token: tokens[bob.id] })
+      assert.deepEqual(older.body.map(event => event.title), ['old'])
+    })
+  })
+
+  describe('gallery', () => {
+    it('lists rooms with approved photos and filters photos by date', async () => {
+      const rooms = await request('GET', '/api/gallery', { token: tokens[alice.id] })
+      assert.equal(rooms.status, 200)
+      assert.equal(rooms.body[0].photoCount, 2)
+      assert.equal(rooms.body[0].latestPhoto, 'https://cdn.example.com/a1.jpg')
+
+      const photos = await request('GET', `/api/gallery/room/${roomId}?fromDate=${daysAgo(1)}`, { token: tokens[alice.id] })
+      assert.equal(photos.status, 200)
+      assert.deepEqual(photos.body.map(p => p.proof_url), ['https://cdn.example.com/a1.jpg'])
+      assert.equal(photos.body[0].room.name, 'Gym')
+    })
+  })
+
+  describe('reminders', () => {
+    it('replaces, adds, toggles and removes reminders', async () => {
+      const token = tokens[bob.id]
+
+      const set = await request('PUT', `/api/reminders/room/${roomId}`, { token, body: { minutesBefore: [10, 30] } })
+      assert.equal(set.status, 200)
+      assert.equal(set.body.length, 2)
+
+      const added = await request('POST', '/api/reminders', { token, body: { roomId, minutesBefore: 10 } })
+      assert.equal(added.status, 201)
+      assert.equal(added.body.id, set.body.find(r => r.minutes_before === 10).id)
+
+      const toggled = await request('PATCH', `/api/reminders/${added.body.id}/toggle`, { token, body: { enabled: false } })
+      assert.equal(toggled.body.enabled, false)
+
+      const enabled = await request('GET', '/api/reminders', { token })
+      assert.deepEqual(enabled.body.map(r => [r.minutes_before, r.rooms.name]), [[30, 'Gym']])
+
+      await request('DELETE', `/api/reminders/${added.body.id}`, { token })
+      const left = await request('GET', `/api/reminders/room/${roomId}`, { token })
+      assert.deepEqual(left.body.map(r => r.minutes_before), [30])
+    })
+
+    it('returns 404 when toggling someone else\'s reminder', async () => {
+      const set = await request('PUT', `/api/reminders/room/${roomId}`, { token: tokens[bob.id], body: { minutesBefore: [10] } })
+
+      const res = await request('PATCH', `/api/reminders/${set.body[0].id}/toggle`, {
+        token: tokens[alice.id],
+        body: { enabled: false }
+      })
+      assert.equal(res.status, 404)
+    })
+  })
+
+  describe('invites', () => {
+    const invite = { room_id: roomId, invite_code: 'gym-k7p2', role: 'member', status: 'pending' }
+
+    it('looks up a code without a token', async () => {
+      app.dataDriver.seed({ room_invites: [invite] })
+
+      const res = await request('GET', '/api/invites/code/GYM-K7P2')
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.state, 'active')
+      assert.equal(res.body.room.name, 'Gym')
+    })
+
+    it('names the room of a targeted code only to the person it is for', async () => {
+      app.dataDriver.seed({ room_invites: [{ ...invite, target_email: dave.email }] })
+
+      const anonymous = await request('GET', '/api/invites/code/gym-k7p2')
+      const target = await request('GET', '/api/invites/code/gym-k7p2', { token: tokens[dave.id] })
+
+      assert.equal(anonymous.status, 200)
+      assert.equal(anonymous.body.room, null)
+      assert.equal(target.body.room.name, 'Gym')
+    })
+
+    it('accepts a legacy code made from a long room name, in any case', async () => {
+      const legacyCode = `${'morning-study-group-'.repeat(3)}${'x'.repeat(40)}-482`
+      app.dataDriver.seed({ room_invites: [{ ...invite, invite_code: legacyCode }] })
+
+      const res = await request('POST', '/api/invites/accept', {
+        token: tokens[dave.id],
+        body: { invite_code: ` ${legacyCode.toUpperCase()} ` }
+      })
+
+      assert.equal(res.status, 200)
+      assert.ok(app.dataDriver.dump('room_members').some(row => row.user_id === dave.id && row.role === 'member'))
+    })
+
+    it('refuses an expired code', async () => {
+      app.dataDriver.seed({ room_invites: [{ ...invite, expires_at: new Date(Date.now() - 60000).toISOString() }] })
+
+      const res = await request('POST', '/api/invites/accept', { token: tokens[dave.id], body: { invite_code: 'gym-k7p2' } })
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.code, 'INVITE_EXPIRED')
+      assert.ok(!app.dataDriver.dump('room_members').some(row => row.user_id === dave.id))
+    })
+
+    it('refuses a code whose uses have run out', async () => {
+      app.dataDriver.seed({ room_invites: [{ ...invite, max_uses: 2, use_count: 2 }] })
+
+      const res = await request('POST', '/api/invites/accept', { token: tokens[dave.id], body: { invite_code: 'gym-k7p2' } })
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.code, 'INVITE_ALREADY_USED')
+      assert.equal(app.dataDriver.dump('room_invites')[0].use_count, 2)
+    })
+
+    it('refuses a code meant for someone else', async () => {
+      app.dataDriver.seed({ room_invites: [{ ...invite, target_user_id: carol.id }] })
+
+      const res = await request('POST', '/api/invites/accept', { token: tokens[dave.id], body: { invite_code: 'gym-k7p2' } })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, 'INVITE_NOT_FOR_YOU')
+      assert.equal(app.dataDriver.dump('room_invites')[0].use_count, 0)
+    })
+
+    it('regenerates the room code and revokes the old one', async () => {
+      app.dataDriver.seed({ room_invites: [{ ...invite, id: 'invite-old' }] })
+      await app.dataDriver.update('rooms', { id: roomId }, { room_code: 'gym-k7p2' })
+
+      const res = await request('POST', `/api/invites/room/${roomId}/regenerate`, { token: tokens[alice.id], body: {} })
+      const room = app.dataDriver.dump('rooms').find(row => row.id === roomId)
+      const old = await request('GET', '/api/invites/code/gym-k7p2')
+
+      assert.equal(res.status, 201)
+      assert.notEqual(res.body.room_code, 'gym-k7p2')
+      assert.match(res.body.room_code, /^gym-/)
+      assert.equal(res.body.invite.role, 'member')
+      assert.equal(res.body.revoked_invite_id, 'invite-old')
+      assert.equal(room.room_code, res.body.room_code)
+      assert.equal(app.dataDriver.dump('room_invites').find(row => row.id === 'invite-old').status, 'revoked')
+      assert.equal(old.body.state, 'revoked')
+    })
+
+    it('only lets the owner regenerate the room code', async () => {
+      const res = await request('POST', `/api/invites/room/${roomId}/regenerate`, { token: tokens[carol.id], body: {} })
+
+      assert.equal(res.status, 403)
+    })
+
+    it('still requires a token for the other invite routes', async () => {
+      const res = await request('GET', `/api/invites/room/${roomId}`)
+      assert.equal(res.status, 401)
+    })
+  })
+
+  describe('streaks', () => {
+    const gymRoomId = roomId
+    const otherRoomId = '00000000-0000-4000-8000-000000000002'
+
+    it('recalculates the room\'s streaks when the owner changes its time window', async () => {
+      const res = await request('PUT', `/api/rooms/${gymRoomId}`, { token: tokens[alice.id], body: { time_start: '05:00' } })
+      const streaks = app.dataDriver.dump('streaks')
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.time_start, '05:00')
+      assert.ok(streaks.find(row => row.user_id === alice.id).computed_on)
+      assert.equal(streaks.find(row => row.user_id === bob.id).current_streak, 0)
+    })
+
+    it('stops counting a room toward the overall streak once the user leaves it', async () => {
+      const { rooms, room_members, attendance } = fixtures()
+      app.dataDriver.seed({
+        rooms: [...rooms, { id: otherRoomId, user_id: carol.id, name: 'Run', time_start: '06:00', time_end: '08:00', timezone: 'UTC' }],
+        room_members: [
+          ...room_members,
+          { room_id: gymRoomId, user_id: dave.id, role: 'member' },
+          { room_id: otherRoomId, user_id: dave.id, role: 'member' }
+        ],
+        attendance: [
+          ...attendance,
+          { room_id: otherRoomId, user_id: dave.id, date: daysAgo(3), status: 'approved' },
+          { room_id: gymRoomId, user_id: dave.id, date: daysAgo(2), status: 'approved' },
+          { room_id: gymRoomId, user_id: dave.id, date: daysAgo(1), status: 'pending_review' }
+        ]
+      })
+
+      const res = await request('POST', `/api/rooms/${otherRoomId}/leave`, { token: tokens[dave.id], body: {} })
+      const profile = app.dataDriver.dump('profiles').find(row => row.id === dave.id)
+
+      // Run has nothing recorded since, which would count as misses on the days Gym skipped
+      assert.equal(res.status, 200)
+      assert.equal(profile.current_streak, 1)
+    })
+  })
+
+  describe('room permissions', () => {
+    const pendingFor = (user) => ({ id: '00000000-0000-4000-8000-0000000000e1', room_id: roomId, user_id: user.id, date: daysAgo(0), status: 'pending_review' })
+
+    it('lets the owner review a member\'s proof', async () => {
+      app.dataDriver.seed({ attendance: [pendingFor(bob)] })
+
+      const res = await request('POST', `/api/attendance/${pendingFor(bob).id}/approve`, { token: tokens[alice.id], body: {} })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.status, 'approved')
+      assert.equal(res.body.reviewed_by, alice.id)
+    })
+
+    it('does not let the owner review their own proof', async () => {
+      app.dataDriver.seed({ attendance: [pendingFor(alice)] })
+
+      const res = await request('POST', `/api/attendance/${pendingFor(alice).id}/reject`, { token: tokens[alice.id], body: {} })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, 'OWN_ATTENDANCE')
+    })
+
+    it('lets the owner reject a member\'s proof with a reason', async () => {
+      app.dataDriver.seed({ attendance: [pendingFor(bob)] })
+
+      const res = await request('POST', `/api/attendance/${pendingFor(bob).id}/reject`, {
+        token: tokens[alice.id],
+        body: { reason: '  Photo is from last week  ' }
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.status, 'rejected')
+      assert.equal(res.body.rejection_reason, 'Photo is from last week')
+    })
+
+    for (const [name, id, body] of [
+      ['a malformed attendance id', 'not-a-uuid', {}],
+      ['an over-long reason', pendingFor(bob).id, { reason: 'x'.repeat(501) }],
+      ['a non-string reason', pendingFor(bob).id, { reason: { text: 'no' } }],
+      ['an out-of-range rating', pendingFor(bob).id, { quality_rating: 9 }]
+    ]) {
+      it(`refuses a rejection with ${name}`, async () => {
+        app.dataDriver.seed({ attendance: [pendingFor(bob)] })
+
+        const res = await request('POST', `/api/attendance/${id}/reject`, { token: tokens[alice.id], body })
+
+        assert.equal(res.status, 400)
+        assert.equal(app.dataDriver.dump('attendance')[0].status, 'pending_review')
+      })
+    }
+
+    it('lets the owner mark a member absent', async () => {
+      const res = await request('POST', '/api/attendance/mark-absent', {
+        token: tokens[alice.id],
+        body: { room_id: roomId, user_id: bob.id, date: daysAgo(3) }
+      })
+
+      assert.equal(res.status, 201)
+      assert.equal(res.body.status, 'missed')
+    })
+
+    it('gates webhooks on manage_webhooks', async () => {
+      const owner = await request('GET', `/api/webhooks/room/${roomId}`, { token: tokens[alice.id] })
+      const reviewer = await request('GET', `/api/webhooks/room/${roomId}`, { token: tokens[carol.id] })
+
+      assert.equal(owner.status, 200)
+      assert.equal(reviewer.status, 403)
+      assert.equal(reviewer.body.code, 'MISSING_PERMISSION')
+    })
+  })
+})
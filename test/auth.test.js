@@ -0,0 +1,128 @@
+/**
+ * Authentication
+ * Local verification of HS256 and ES256 access tokens: signature, expiry,
+ * audience and issuer
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { SignJWT, generateKeyPair, exportJWK } from 'jose'
+import { startApp, tokenFor, createClient, SUPABASE_URL } from './helpers.js'
+
+const user = { id: '00000000-0000-4000-8000-0000000000e1', email: 'eve@example.com', name: 'Eve' }
+const ISSUER = `${SUPABASE_URL}/auth/v1`
+const PROTECTED = '/api/notifications/unread-count'
+
+describe('authentication', () => {
+  let app
+  let request
+  let es256
+
+  before(async () => {
+    // Signing key for ES256 tokens, published through an inline JWKS
+    const { publicKey, privateKey } = await generateKeyPair('ES256')
+    process.env.SUPABASE_JWKS = JSON.stringify({ keys: [{ ...(await exportJWK(publicKey)), kid: 'test-key', alg: 'ES256' }] })
+
+    es256 = ({ expiresIn = '1h', audience = 'authenticated', issuer = ISSUER, kid = 'test-key' } = {}) =>
+      new SignJWT({ email: user.email, role: 'authenticated' })
+        .setProtectedHeader({ alg: 'ES256', kid })
+        .setSubject(user.id)
+        .setAudience(audience)
+        .setIssuer(issuer)
+        .setIssuedAt()
+        .setExpirationTime(expiresIn)
+        .sign(privateKey)
+
+    app = await startApp()
+    request = createClient(app.url)
+    app.dataDriver.seed({ profiles: [{ ...user, timezone: 'UTC' }] })
+  })
+
+  after(() => app.close())
+
+  const expectRejected = async (token, message) => {
+    const res = await request('GET', PROTECTED, { token })
+    assert.equal(res.status, 401)
+    assert.equal(res.body.code, 'UNAUTHORIZED')
+    if (message) assert.match(res.body.message, message)
+  }
+
+  it('rejects a request without a token', async () => {
+    await expectRejected(undefined)
+  })
+
+  describe('HS256', () => {
+    it('accepts a valid token', async () => {
+      const res = await request('GET', PROTECTED, { token: await tokenFor(user) })
+      assert.equal(res.status, 200)
+    })
+
+    it('rejects an expired token', async () => {
+      await expectRejected(await tokenFor(user, { expiresIn: Math.floor(Date.now() / 1000) - 60 }), /expired/)
+    })
+
+    it('rejects another audience', async () => {
+      await expectRejected(await tokenFor(user, { audience: 'anon' }), /aud/)
+    })
+
+    it('rejects another issuer', async () => {
+      await expectRejected(await tokenFor(user, { issuer: 'https://evil.example.com/auth/v1' }), /iss/)
+    })
+
+    it('rejects a token signed with another secret', async () => {
+      const forged = await new SignJWT({})
+        .setProtectedHeader({ alg: 'HS256' })
+        .setSubject(user.id)
+        .setAudience('authenticated')
+        .setIssuer(ISSUER)
+        .setExpirationTime('1h')
+        .sign(new TextEncoder().encode('not-the-secret'))
+      await expectRejected(forged, /signature/)
+    })
+  })
+
+  describe('ES256', () => {
+    it('accepts a valid token', async () => {
+      const res = await request('GET', PROTECTED, { token: await es256() })
+      assert.equal(res.status, 200)
+    })
+
+    it('rejects an expired token', async () => {
+      await expectRejected(await es256({ expiresIn: Math.floor(Date.now() / 1000) - 60 }), /expired/)
+    })
+
+    it('rejects another audience', async () => {
+      await expectRejected(await es256({ audience: 'anon' }), /aud/)
+    })
+
+    it('rejects another issuer', async () => {
+      await expectRejected(await es256({ issuer: 'https://evil.example.com/auth/v1' }), /iss/)
+    })
+
+    it('rejects a token signed by an unknown key', async () => {
+      await expectRejected(await es256({ kid: 'other-key' }))
+    })
+  })
+
+  describe('remote fallback default', () => {
+    const remoteFallbackWith = (env) => execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      "const { jwtConfig } = await import('./src/config/auth.js'); process.stdout.write(String(jwtConfig.remoteFallback))"
+    ], { env: { PATH: process.env.PATH, SUPABASE_URL, ...env }, stdio: ['ignore', 'pipe', 'ignore'] }).toString()
+
+    it('is on when no JWT secret is configured', () => {
+      assert.equal(remoteFallbackWith({}), 'true')
+    })
+
+    it('is off when a JWT secret is configured', () => {
+      assert.equal(remoteFallbackWith({ SUPABASE_JWT_SECRET: 'secret' }), 'false')
+    })
+
+    it('follows AUTH_REMOTE_FALLBACK when set', () => {
+      assert.equal(remoteFallbackWith({ AUTH_REMOTE_FALLBACK: 'false' }), 'false')
+      assert.equal(remoteFallbackWith({ SUPABASE_JWT_SECRET: 'secret', AUTH_REMOTE_FALLBACK: 'true' }), 'true')
+    })
+  })
+})
@@ -0,0 +1,59 @@
+/**
+ * Digests
+ * The weekly run pages through profiles instead of loading them all at once
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import './helpers.js'
+
+// 2026-10-19 is a Monday; 09:00 UTC is digest time in UTC
+const mondayMorning = new Date('2026-10-19T09:00:00Z')
+const PROFILE_COUNT = 501
+
+const profileId = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`
+
+describe('digests', () => {
+  let dataDriver
+  let profilesRepository
+  let digestService
+
+  before(async () => {
+    ({ dataDriver, profilesRepository } = await import('../src/repositories/index.js'))
+    ;({ digestService } = await import('../src/services/digestService.js'))
+  })
+
+  beforeEach(() => {
+    const ids = Array.from({ length: PROFILE_COUNT }, (_, i) => profileId(i + 1))
+    dataDriver.reset()
+    dataDriver.seed({
+      profiles: ids.map(id => ({ id, timezone: 'UTC' })),
+      rooms: ids.map((id, i) => ({ id: `room-${i}`, user_id: id, name: 'Gym', time_start: '06:00', time_end: '08:00', timezone: 'UTC' }))
+    })
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  it('sends to every profile, one page at a time', async () => {
+    const find = mock.method(profilesRepository, 'find')
+    const sendUserDigest = mock.method(digestService, 'sendUserDigest', async () => ({ notification: {} }))
+
+    const sent = await digestService.sendDueDigests(mondayMorning)
+
+    const digested = sendUserDigest.mock.calls.map(call => call.arguments[0])
+    assert.equal(sent, PROFILE_COUNT)
+    assert.equal(new Set(digested).size, PROFILE_COUNT)
+
+    const pages = find.mock.calls.map(call => call.arguments)
+    assert.equal(pages.length, 2)
+    assert.ok(pages.every(([, options]) => options.limit < PROFILE_COUNT && options.order.column === 'id'))
+    assert.deepEqual(pages[1][0], { id: { gt: digested[pages[0][1].limit - 1] } })
+  })
+
+  it('sends nothing before digest time', async () => {
+    const sendUserDigest = mock.method(digestService, 'sendUserDigest', async () => ({ notification: {} }))
+
+    assert.equal(await digestService.sendDueDigests(new Date('2026-10-19T07:00:00Z')), 0)
+    assert.equal(sendUserDigest.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * Email channel
+ * Runs with EMAIL_OUTBOX_DIR so every message is rendered and written to a
+ * .eml file: the templates, the per-channel toggles, and the send running
+ * after the request that raised the notification has answered.
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import path from 'path'
+import { startApp, tokenFor, createClient } from './helpers.js'
+
+const owner = { id: '00000000-0000-4000-8000-00000000000a', email: 'owner@example.com', name: 'Owen' }
+const member = { id: '00000000-0000-4000-8000-00000000000b', email: 'ana@example.com', name: 'Ana' }
+const roomId = '00000000-0000-4000-8000-000000000001'
+const attendanceId = '00000000-0000-4000-8000-0000000000e1'
+const FRONTEND_URL = 'https://app.daylock.test'
+
+/**
+ * Undo quoted-printable soft line breaks and escapes in a raw message
+ */
+function decodeQuotedPrintable(raw) {
+  const bytes = raw
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  return Buffer.from(bytes, 'latin1').toString('utf8')
+}
+
+async function waitFor(check, { timeoutMs = 2000 } = {}) {
+  const until = Date.now() + timeoutMs
+  while (!(await check())) {
+    if (Date.now() > until) throw new Error('Timed out waiting for the email')
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+describe('email channel', () => {
+  let app
+  let request
+  let outbox
+  let emailService
+  let notificationDispatcher
+  const tokens = {}
+
+  const readOutbox = async () => {
+    const files = (await readdir(outbox).catch(() => [])).filter(file => file.endsWith('.eml'))
+    return Promise.all(files.map(async file => decodeQuotedPrintable(await readFile(path.join(outbox, file), 'utf8'))))
+  }
+
+  before(async () => {
+    outbox = await mkdtemp(path.join(tmpdir(), 'daylock-outbox-'))
+    process.env.EMAIL_OUTBOX_DIR = outbox
+    process.env.FRONTEND_URL = FRONTEND_URL
+
+    app = await startApp()
+    request = createClient(app.url)
+    for (const user of [owner, member]) tokens[user.id] = await tokenFor(user)
+    ;({ emailService } = await import('../src/services/emailService.js'))
+    ;({ notificationDispatcher } = await import('../src/services/notificationDispatcher.js'))
+  })
+
+  after(async () => {
+    await app.close()
+    await rm(outbox, { recursive: true, force: true })
+  })
+
+  beforeEach(async () => {
+    await rm(outbox, { recursive: true, force: true })
+    app.dataDriver.reset()
+    app.dataDriver.seed({
+      profiles: [{ ...owner, timezone: 'UTC' }, { ...member, timezone: 'UTC' }],
+      rooms: [{ id: roomId, user_id: owner.id, name: 'Gym', emoji: '🏋️', time_start: '06:00', time_end: '08:00', timezone: 'UTC' }],
+      room_members: [{ room_id: roomId, user_id: member.id, role: 'member' }]
+    })
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  const deliveryFor = (userId) => app.dataDriver.dump('notification_deliveries').find(row => row.user_id === userId)
+
+  it('writes the test email to the outbox', async () => {
+    const res = await request('POST', '/api/notifications/email/test', { token: tokens[member.id] })
+
+    assert.equal(res.status, 200)
+    const [message] = await readOutbox()
+    assert.match(message, /^To: ana@example\.com$/m)
+    assert.match(message, /Email notifications are working\./)
+  })
+
+  it('renders the notification type\'s template', async () => {
+    const result = await notificationDispatcher.dispatch(member.id, {
+      type: 'proof_reviewed',
+      title: 'Proof approved - Gym',
+      body: 'Your proof was approved.',
+      data: { roomId, date: '2026-10-18', status: 'approved', quality_rating: 4, admin_feedback: 'Nice <b>form</b>' }
+    })
+    assert.equal(result.email, 'sending')
+
+    await waitFor(() => deliveryFor(member.id).email_status === 'sent')
+    const [message] = await readOutbox()
+
+    assert.match(message, /^Subject: Proof approved - Gym$/m)
+    assert.match(message, /^To: ana@example\.com$/m)
+    assert.match(message, /Your proof for 2026-10-18 was approved\./)
+    assert.match(message, /4\/5/)
+    assert.match(message, /Nice &lt;b&gt;form&lt;\/b&gt;/)
+    assert.ok(message.includes(`${FRONTEND_URL}/rooms/${roomId}`))
+  })
+
+  it('skips email for a type the user turned off on the email channel', async () => {
+    const prefs = await request('PUT', '/api/notifications/preferences', {
+      token: tokens[member.id],
+      body: { channels: { email: { proof_reviewed: false } } }
+    })
+    assert.equal(prefs.status, 200)
+
+    const result = await notificationDispatcher.dispatch(member.id, { type: 'proof_reviewed', title: 'Proof approved', body: 'Nice', data: { status: 'approved' } })
+
+    assert.equal(result.email, 'off')
+    assert.ok(result.notification)
+    assert.equal(deliveryFor(member.id).email_status, 'off')
+    assert.deepEqual(await readOutbox(), [])
+  })
+
+  it('emails a type that is off by default once the user turns it on', async () => {
+    const event = { type: 'room_opening', title: 'Gym opens soon', body: 'Get ready' }
+
+    const before = await notificationDispatcher.dispatch(member.id, { ...event, dedupKey: 'room_opening:1' })
+    assert.equal(before.email, 'off')
+
+    await request('PUT', '/api/notifications/preferences', {
+      token: tokens[member.id],
+      body: { channels: { email: { room_opening: true } } }
+    })
+    const after = await notificationDispatcher.dispatch(member.id, { ...event, dedupKey: 'room_opening:2' })
+    assert.equal(after.email, 'sending')
+
+    await waitFor(async () => (await readOutbox()).length === 1)
+    const [message] = await readOutbox()
+    assert.match(message, /^Subject: Gym opens soon$/m)
+  })
+
+  it('answers the review before its email is sent', async () => {
+    app.dataDriver.seed({
+      attendance: [{ id: attendanceId, room_id: roomId, user_id: member.id, date: new Date().toISOString().slice(0, 10), status: 'pending_review' }]
+    })
+    const send = emailService.send
+    let releaseEmail
+    const held = new Promise(resolve => { releaseEmail = resolve })
+    mock.method(emailService, 'send', async function (message) {
+      await held
+      return send.call(this, message)
+    })
+
+    const res = await request('POST', `/api/attendance/${attendanceId}/approve`, { token: tokens[owner.id], body: { quality_rating: 5 } })
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.status, 'approved')
+    assert.equal(deliveryFor(member.id).email_status, 'sending')
+    assert.deepEqual(await readOutbox(), [])
+
+    releaseEmail()
+    await waitFor(() => deliveryFor(member.id).email_status === 'sent')
+    const [message] = await readOutbox()
+    assert.match(message, /^To: ana@example\.com$/m)
+    assert.match(message, /Proof approved/)
+  })
+})
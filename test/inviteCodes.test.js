@@ -0,0 +1,118 @@
+/**
+ * Invite codes
+ * New codes are short and readable, but any code people were already given,
+ * however it was typed, must keep working.
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import './helpers.js'
+import {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_SUFFIX_LENGTH,
+  normalizeInviteCode,
+  isValidInviteCode,
+  generateInviteCode
+} from '../src/utils/inviteCodes.js'
+
+describe('invite codes', () => {
+  it('normalizes case and surrounding whitespace', () => {
+    assert.equal(normalizeInviteCode('  GYM-K7P2\n'), 'gym-k7p2')
+    assert.equal(normalizeInviteCode(undefined), '')
+    assert.ok(isValidInviteCode(' Gym-K7P2 '))
+  })
+
+  it('accepts the older code shapes', () => {
+    assert.ok(isValidInviteCode('gym-482'))
+    assert.ok(isValidInviteCode('ABC-1234'))
+    assert.ok(isValidInviteCode('morning-study-x4hd'))
+  })
+
+  it('accepts a legacy code made from a full 100 character room name', () => {
+    const slug = Array.from({ length: 20 }, () => 'abcd').join('-')
+    assert.equal(slug.length, 99)
+
+    assert.ok(isValidInviteCode(`${slug}-482`))
+    assert.ok(isValidInviteCode(`${'a'.repeat(100)}-482`))
+  })
+
+  it('rejects codes that are not slug-suffix shaped', () => {
+    assert.equal(isValidInviteCode(''), false)
+    assert.equal(isValidInviteCode('gym'), false)
+    assert.equal(isValidInviteCode('gym--482'), false)
+    assert.equal(isValidInviteCode('gym-48 2'), false)
+    assert.equal(isValidInviteCode(`${'a'.repeat(200)}-482`), false)
+  })
+
+  it('generates a short code from the room name with a readable suffix', () => {
+    const code = generateInviteCode(`Morning Study ${'x'.repeat(80)}`)
+    const [suffix] = code.split('-').slice(-1)
+
+    assert.ok(code.startsWith('morning-study-'))
+    assert.ok(code.length <= 20 + 1 + INVITE_CODE_SUFFIX_LENGTH)
+    assert.equal(suffix.length, INVITE_CODE_SUFFIX_LENGTH)
+    assert.ok([...suffix].every(char => INVITE_CODE_ALPHABET.includes(char)))
+    assert.ok(isValidInviteCode(code))
+  })
+})
+
+describe('invite code collisions', () => {
+  const roomId = 'room-1'
+  const ownerId = 'owner-1'
+  let dataDriver
+  let roomInvitesRepository
+  let invitesService
+
+  before(async () => {
+    ({ dataDriver, roomInvitesRepository } = await import('../src/repositories/index.js'))
+    ;({ invitesService } = await import('../src/services/invitesService.js'))
+  })
+
+  beforeEach(() => {
+    dataDriver.reset()
+    dataDriver.seed({
+      rooms: [{ id: roomId, user_id: ownerId, name: 'Gym', time_start: '06:00', time_end: '08:00', timezone: 'UTC' }]
+    })
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  it('tries a fresh code when the first one is taken', async () => {
+    const insert = roomInvitesRepository.insert
+    let calls = 0
+    mock.method(roomInvitesRepository, 'insert', async (row) => {
+      calls++
+      if (calls === 1) throw Object.assign(new Error('duplicate key'), { code: '23505' })
+      return insert.call(roomInvitesRepository, row)
+    })
+
+    const invite = await invitesService.createInvite(roomId, ownerId, 'Gym', 'member')
+
+    assert.equal(calls, 2)
+    assert.match(invite.invite_code, /^gym-/)
+  })
+
+  it('gives up after a bounded number of taken codes', async () => {
+    const insert = mock.method(roomInvitesRepository, 'insert', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: '23505' })
+    })
+
+    await assert.rejects(
+      invitesService.createInvite(roomId, ownerId, 'Gym', 'member'),
+      { statusCode: 409, code: 'INVITE_CODE_UNAVAILABLE' }
+    )
+    assert.equal(insert.mock.callCount(), 5)
+  })
+
+  it('does not retry other insert failures', async () => {
+    const insert = mock.method(roomInvitesRepository, 'insert', async () => {
+      throw Object.assign(new Error('connection reset'), { code: 'ECONNRESET' })
+    })
+
+    await assert.rejects(
+      invitesService.createInvite(roomId, ownerId, 'Gym', 'member'),
+      { message: 'connection reset' }
+    )
+    assert.equal(insert.mock.callCount(), 1)
+  })
+})
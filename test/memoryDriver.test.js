@@ -0,0 +1,90 @@
+/**
+ * Memory driver
+ * The offline driver has to enforce the same constraints as the database,
+ * or API tests pass against data Postgres would reject. Repositories on top
+ * of it refuse writes whose filters went missing.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryDriver } from '../src/repositories/drivers/memoryDriver.js'
+import { createRepository } from '../src/repositories/createRepository.js'
+
+describe('memory driver', () => {
+  it('rejects an insert that repeats a unique key', async () => {
+    const driver = createMemoryDriver({ room_invites: [{ room_id: 'r1', invite_code: 'gym-k7p2' }] })
+
+    await assert.rejects(
+      driver.insert('room_invites', [{ room_id: 'r2', invite_code: 'gym-k7p2' }]),
+      { code: '23505' }
+    )
+  })
+
+  it('rejects an upsert update that collides with another unique key', async () => {
+    const driver = createMemoryDriver({
+      room_invites: [
+        { id: 'i1', room_id: 'r1', invite_code: 'gym-k7p2' },
+        { id: 'i2', room_id: 'r2', invite_code: 'run-x4hd' }
+      ]
+    })
+
+    await assert.rejects(
+      driver.upsert('room_invites', [{ id: 'i2', invite_code: 'gym-k7p2' }]),
+      { code: '23505' }
+    )
+    assert.equal(driver.dump('room_invites').find(row => row.id === 'i2').invite_code, 'run-x4hd')
+  })
+
+  it('updates the matching row on upsert', async () => {
+    const driver = createMemoryDriver({ streaks: [{ room_id: 'r1', user_id: 'u1', current_streak: 1 }] })
+
+    await driver.upsert('streaks', [{ room_id: 'r1', user_id: 'u1', current_streak: 2 }], { onConflict: ['room_id', 'user_id'] })
+
+    assert.deepEqual(driver.dump('streaks').map(row => row.current_streak), [2])
+  })
+
+  it('orders nulls as asked', async () => {
+    const driver = createMemoryDriver({
+      profiles: [{ id: 'a', total_discipline_points: null }, { id: 'b', total_discipline_points: 5 }]
+    })
+
+    const desc = await driver.select('profiles', { order: { column: 'total_discipline_points', ascending: false } })
+    const nullsLast = await driver.select('profiles', {
+      order: { column: 'total_discipline_points', ascending: false, nullsFirst: false }
+    })
+
+    assert.deepEqual(desc.map(row => row.id), ['a', 'b'])
+    assert.deepEqual(nullsLast.map(row => row.id), ['b', 'a'])
+  })
+})
+
+describe('repository writes', () => {
+  const subscriptions = () => createRepository(createMemoryDriver({
+    push_subscriptions: [
+      { id: 's1', user_id: 'u1', endpoint: 'https://push.example.com/1' },
+      { id: 's2', user_id: 'u1', endpoint: 'https://push.example.com/2' }
+    ]
+  }), 'push_subscriptions')
+
+  it('refuses a remove or update with an undefined filter', async () => {
+    const repository = subscriptions()
+
+    await assert.rejects(repository.remove({ user_id: 'u1', endpoint: undefined }), /endpoint is undefined/)
+    await assert.rejects(repository.update({ user_id: 'u1', endpoint: { eq: undefined } }, { active: false }), /endpoint is undefined/)
+    await assert.rejects(repository.removeById(undefined), /id is undefined/)
+    assert.equal(await repository.count({ user_id: 'u1', active: { neq: false } }), 2)
+  })
+
+  it('refuses a remove or update with an empty where', async () => {
+    const repository = subscriptions()
+
+    await assert.rejects(repository.remove({}), /where is empty/)
+    await assert.rejects(repository.update(undefined, { active: false }), /where is empty/)
+    assert.equal(await repository.count(), 2)
+  })
+
+  it('still skips undefined filters on reads', async () => {
+    const rows = await subscriptions().find({ user_id: 'u1', endpoint: undefined })
+    assert.equal(rows.length, 2)
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Missed day cron
+ * All-day rooms (no schedule or time window) close at midnight in the owner's timezone
+ */
+
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import './helpers.js'
+
+const owner = { id: '00000000-0000-4000-8000-0000000000b1', name: 'Bo', timezone: 'America/New_York' }
+const room = {
+  id: '00000000-0000-4000-8000-0000000000c1',
+  user_id: owner.id,
+  name: 'Anytime',
+  is_paused: false,
+  allow_late_upload: false,
+  created_at: '2026-10-16T12:00:00.000Z'
+}
+
+describe('missed day cron', () => {
+  let dataDriver
+  let markMissedDays
+
+  before(async () => {
+    ({ dataDriver } = await import('../src/repositories/index.js'))
+    ;({ markMissedDays } = await import('../src/cron/missedCron.js'))
+  })
+
+  beforeEach(() => {
+    dataDriver.reset()
+    dataDriver.seed({ profiles: [owner], rooms: [room] })
+  })
+
+  it('records days of an all-day room once they end in the owner timezone', async () => {
+    // 23:30 on the 18th in New York: the 18th is still open there
+    const marked = await markMissedDays(new Date('2026-10-19T03:30:00.000Z'))
+
+    const missed = dataDriver.dump('attendance')
+      .filter(record => record.status === 'missed')
+      .map(record => record.date)
+      .sort()
+    assert.equal(marked, 2)
+    assert.deepEqual(missed, ['2026-10-16', '2026-10-17'])
+  })
+
+  it('leaves days that already have an entry alone', async () => {
+    dataDriver.seed({
+      attendance: [{ room_id: room.id, user_id: owner.id, date: '2026-10-16', status: 'approved' }]
+    })
+
+    const marked = await markMissedDays(new Date('2026-10-19T03:30:00.000Z'))
+
+    assert.equal(marked, 1)
+    const statuses = Object.fromEntries(dataDriver.dump('attendance').map(record => [record.date, record.status]))
+    assert.deepEqual(statuses, { '2026-10-16': 'approved', '2026-10-17': 'missed' })
+  })
+})
@@ -0,0 +1,196 @@
+/**
+ * Notifications
+ * Preference validation, push unsubscribe, the test email endpoint, and
+ * dispatches that fail after claiming their delivery or wait on email
+ */
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { startApp, tokenFor, createClient } from './helpers.js'
+
+const user = { id: '00000000-0000-4000-8000-0000000000a1', email: 'ana@example.com', name: 'Ana' }
+
+describe('notifications', () => {
+  let app
+  let request
+  let token
+
+  before(async () => {
+    app = await startApp()
+    request = createClient(app.url)
+    token = await tokenFor(user)
+  })
+
+  after(() => app.close())
+
+  beforeEach(() => {
+    app.dataDriver.reset()
+    app.dataDriver.seed({ profiles: [{ ...user, timezone: 'UTC' }] })
+  })
+
+  describe('PUT /api/notifications/preferences', () => {
+    it('saves known flags, quiet hours and channel flags', async () => {
+      const res = await request('PUT', '/api/notifications/preferences', {
+        token,
+        body: {
+          room_opening: false,
+          quiet_hours_start: '22:00',
+          quiet_hours_end: '07:00',
+          channels: { email: { room_opening: true } }
+        }
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.room_opening, false)
+      assert.equal(res.body.channels.email.room_opening, true)
+      assert.equal(res.body.channels.push.room_opening, true)
+    })
+
+    for (const [name, body] of [
+      ['unknown fields', { user_id: '00000000-0000-4000-8000-000000000000' }],
+      ['non-boolean flags', { room_opening: 'no' }],
+      ['malformed quiet hours', { quiet_hours_start: '25:00' }],
+      ['unknown channels', { channels: { sms: { room_opening: true } } }],
+      ['unknown channel flags', { channels: { push: { everything: false } } }],
+      ['non-boolean channel flags', { channels: { email: { weekly_digest: 1 } } }]
+    ]) {
+      it(`rejects ${name}`, async () => {
+        const res = await request('PUT', '/api/notifications/preferences', { token, body })
+
+        assert.equal(res.status, 400)
+        assert.equal(res.body.code, 'VALIDATION_ERROR')
+      })
+    }
+  })
+
+  describe('DELETE /api/notifications/push/subscribe', () => {
+    const devices = [
+      { user_id: user.id, endpoint: 'https://push.example.com/phone', keys: {} },
+      { user_id: user.id, endpoint: 'https://push.example.com/laptop', keys: {} }
+    ]
+
+    for (const [name, body] of [['no endpoint', {}], ['an empty endpoint', { endpoint: '  ' }], ['a non-string endpoint', { endpoint: 42 }]]) {
+      it(`rejects ${name} and keeps every device`, async () => {
+        app.dataDriver.seed({ push_subscriptions: devices })
+
+        const res = await request('DELETE', '/api/notifications/push/subscribe', { token, body })
+
+        assert.equal(res.status, 400)
+        assert.equal(app.dataDriver.dump('push_subscriptions').length, 2)
+      })
+    }
+
+    it('removes only the device with that endpoint', async () => {
+      app.dataDriver.seed({ push_subscriptions: devices })
+
+      const res = await request('DELETE', '/api/notifications/push/subscribe', {
+        token,
+        body: { endpoint: 'https://push.example.com/phone' }
+      })
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(app.dataDriver.dump('push_subscriptions').map(row => row.endpoint), ['https://push.example.com/laptop'])
+    })
+
+    it('refuses a missing endpoint in the service too', async () => {
+      const { notificationsService } = await import('../src/services/notificationsService.js')
+      app.dataDriver.seed({ push_subscriptions: devices })
+
+      await assert.rejects(notificationsService.removePushSubscription(user.id, undefined), { code: 'ENDPOINT_REQUIRED' })
+      assert.equal(app.dataDriver.dump('push_subscriptions').length, 2)
+    })
+  })
+
+  describe('POST /api/notifications/email/test', () => {
+    it('answers 503 with a code when email is not configured', async () => {
+      const res = await request('POST', '/api/notifications/email/test', { token })
+
+      assert.equal(res.status, 503)
+      assert.equal(res.body.code, 'EMAIL_DISABLED')
+    })
+  })
+
+  describe('dispatcher', () => {
+    let notificationDispatcher
+    let notificationsService
+    let emailService
+
+    before(async () => {
+      ({ notificationDispatcher } = await import('../src/services/notificationDispatcher.js'))
+      ;({ notificationsService } = await import('../src/services/notificationsService.js'))
+      ;({ emailService } = await import('../src/services/emailService.js'))
+    })
+
+    const event = { type: 'room_opening', title: 'Gym opens soon!', body: 'Get ready', dedupKey: 'room_opening:rem-1' }
+
+    it('marks the claimed delivery failed when a later step throws, and retries it', async () => {
+      const getPreferences = mock.method(notificationsService, 'getPreferences', async () => {
+        throw new Error('preferences unavailable')
+      })
+      await assert.rejects(notificationDispatcher.dispatch(user.id, event), /preferences unavailable/)
+      getPreferences.mock.restore()
+
+      const [failed] = app.dataDriver.dump('notification_deliveries')
+      assert.equal(failed.status, 'failed')
+      assert.equal(failed.error, 'preferences unavailable')
+
+      const retried = await notificationDispatcher.dispatch(user.id, event)
+      assert.equal(retried.status, 'push_disabled')
+      assert.equal(retried.notification.title, 'Gym opens soon!')
+      assert.equal(app.dataDriver.dump('notification_deliveries').length, 1)
+    })
+
+    it('takes over a delivery abandoned in sending', async () => {
+      app.dataDriver.seed({
+        notification_deliveries: [{
+          user_id: user.id,
+          type: 'room_opening',
+          dedup_key: event.dedupKey,
+          status: 'sending',
+          attempts: 0,
+          updated_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+        }]
+      })
+
+      const result = await notificationDispatcher.dispatch(user.id, event)
+      assert.equal(result.status, 'push_disabled')
+      assert.ok(result.notification)
+    })
+
+    it('returns without waiting for the email, then records its outcome', async () => {
+      let finishEmail
+      const sendNotification = mock.method(emailService, 'sendNotification', () => new Promise(resolve => {
+        finishEmail = resolve
+      }))
+
+      const result = await notificationDispatcher.dispatch(user.id, { type: 'proof_reviewed', title: 'Proof approved', body: 'Nice work' })
+      assert.equal(result.email, 'sending')
+      assert.equal(app.dataDriver.dump('notification_deliveries')[0].email_status, 'sending')
+
+      finishEmail({ status: 'failed', error: 'Mail server unavailable' })
+      await new Promise(resolve => setImmediate(resolve))
+      sendNotification.mock.restore()
+
+      const [delivery] = app.dataDriver.dump('notification_deliveries')
+      assert.equal(delivery.email_status, 'failed')
+      assert.equal(delivery.email_error, 'Mail server unavailable')
+      assert.equal(delivery.status, 'push_disabled')
+    })
+
+    it('leaves a delivery that is still sending alone', async () => {
+      app.dataDriver.seed({
+        notification_deliveries: [{
+          user_id: user.id,
+          type: 'room_opening',
+          dedup_key: event.dedupKey,
+          status: 'sending',
+          attempts: 0,
+          updated_at: new Date().toISOString()
+        }]
+      })
+
+      const result = await notificationDispatcher.dispatch(user.id, event)
+      assert.equal(result.status, 'duplicate')
+    })
+  })
+})
@@ -0,0 +1,71 @@
+/**
+ * Push queue
+ * Finished retries settle the notification delivery and the reminder delivery waiting on it
+ */
+
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import './helpers.js'
+
+describe('push queue', () => {
+  let dataDriver
+  let pushService
+
+  before(async () => {
+    ({ dataDriver } = await import('../src/repositories/index.js'))
+    ;({ pushService } = await import('../src/services/pushService.js'))
+  })
+
+  beforeEach(() => {
+    dataDriver.reset()
+    dataDriver.seed({
+      push_subscriptions: [
+        { id: 'sub-1', user_id: 'u1', endpoint: 'https://push.example.com/sub-1', active: false }
+      ],
+      push_queue: [
+        {
+          id: 'push-1',
+          subscription_id: 'sub-1',
+          user_id: 'u1',
+          delivery_id: 'nd-1',
+          status: 'pending',
+          attempts: 1,
+          payload: { title: 'Gym opens soon!' },
+          next_attempt_at: '2026-10-19T05:50:00.000Z'
+        }
+      ],
+      notification_deliveries: [
+        { id: 'nd-1', user_id: 'u1', type: 'room_opening', status: 'queued' }
+      ],
+      reminder_deliveries: [
+        {
+          id: 'rd-1',
+          reminder_id: 'rem-1',
+          user_id: 'u1',
+          room_id: 'r1',
+          local_date: '2026-10-19',
+          window_start: '06:00',
+          status: 'queued',
+          attempts: 1,
+          notification_delivery_id: 'nd-1'
+        }
+      ]
+    })
+  })
+
+  it('settles the linked reminder delivery when the retries give up', async () => {
+    await pushService.processQueue(new Date('2026-10-19T05:55:00.000Z'))
+
+    const [notification] = dataDriver.dump('notification_deliveries')
+    const [reminder] = dataDriver.dump('reminder_deliveries')
+    assert.equal(notification.status, 'failed')
+    assert.equal(reminder.status, 'failed')
+    assert.equal(reminder.error, 'Push failed after retries')
+  })
+
+  it('leaves reminder deliveries alone while a retry is still pending', async () => {
+    await pushService.processQueue(new Date('2026-10-19T05:40:00.000Z'))
+
+    assert.equal(dataDriver.dump('reminder_deliveries')[0].status, 'queued')
+  })
+})
@@ -0,0 +1,40 @@
+/**
+ * Reminder deliveries
+ * The delivery row is the dedup claim: one run sends, crashed runs are taken over
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryDriver } from '../src/repositories/drivers/memoryDriver.js'
+import { createReminderDeliveriesRepository } from '../src/repositories/reminderDeliveriesRepository.js'
+
+const window = { reminder_id: 'rem-1', user_id: 'u1', room_id: 'r1', local_date: '2026-10-19', window_start: '06:00' }
+
+describe('reminder deliveries', () => {
+  it('lets only the first run claim a window', async () => {
+    const deliveries = createReminderDeliveriesRepository(createMemoryDriver())
+
+    const first = await deliveries.claim(window)
+    const second = await deliveries.claim(window)
+
+    assert.equal(first.status, 'sending')
+    assert.equal(second, null)
+  })
+
+  it('releases claims left in sending past the lease, and only those', async () => {
+    const deliveries = createReminderDeliveriesRepository(createMemoryDriver({
+      reminder_deliveries: [
+        { ...window, id: 'stale', status: 'sending', attempts: 1, updated_at: '2026-10-19T05:50:00.000Z' },
+        { ...window, id: 'fresh', window_start: '07:00', status: 'sending', attempts: 1, updated_at: '2026-10-19T05:59:00.000Z' }
+      ]
+    }))
+
+    const released = await deliveries.releaseStale('2026-10-19T05:58:00.000Z')
+    assert.deepEqual(released.map(row => [row.id, row.status]), [['stale', 'failed']])
+
+    const retried = await deliveries.reclaim(released[0])
+    assert.equal(retried.status, 'sending')
+    assert.equal(retried.attempts, 2)
+    assert.equal((await deliveries.findById('fresh')).status, 'sending')
+  })
+})
@@ -0,0 +1,168 @@
+/**
+ * Streak policy
+ * How days are classified as hits, misses and skips, and how those add up
+ * to a streak in one room and across rooms
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DAY_OUTCOMES,
+  classifyDay,
+  isPausedOn,
+  roomDayOutcomes,
+  mergeDayOutcomes,
+  foldStreak
+} from '../src/policies/streakPolicy.js'
+
+const { HIT, MISS, SKIP } = DAY_OUTCOMES
+
+// 2026-10-19 is a Monday
+const today = '2026-10-19'
+
+const outcomesOf = (entries) => new Map(Object.entries(entries))
+
+describe('streak policy', () => {
+  describe('classifyDay', () => {
+    it('counts an approved proof as a hit, even on an unscheduled or paused day', () => {
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'approved' }), HIT)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'approved', scheduled: false }), HIT)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'approved', paused: true }), HIT)
+    })
+
+    it('counts rejected and missed days as misses', () => {
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'rejected' }), MISS)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'missed' }), MISS)
+    })
+
+    it('counts a past day with nothing recorded as a miss, but not today', () => {
+      assert.equal(classifyDay({ date: '2026-10-18', today }), MISS)
+      assert.equal(classifyDay({ date: today, today }), SKIP)
+    })
+
+    it('skips excused days and proofs awaiting review', () => {
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'excused' }), SKIP)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'pending_review' }), SKIP)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'late' }), SKIP)
+    })
+
+    it('skips unscheduled and paused days instead of missing them', () => {
+      assert.equal(classifyDay({ date: '2026-10-18', today, scheduled: false }), SKIP)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'missed', paused: true }), SKIP)
+      assert.equal(classifyDay({ date: '2026-10-18', today, status: 'rejected', scheduled: false }), SKIP)
+    })
+  })
+
+  describe('isPausedOn', () => {
+    it('includes both ends of a pause and runs an open pause to today', () => {
+      const pauses = [{ start: '2026-10-10', end: '2026-10-12' }, { start: '2026-10-17', end: null }]
+
+      assert.equal(isPausedOn('2026-10-09', pauses), false)
+      assert.equal(isPausedOn('2026-10-10', pauses), true)
+      assert.equal(isPausedOn('2026-10-12', pauses), true)
+      assert.equal(isPausedOn('2026-10-13', pauses), false)
+      assert.equal(isPausedOn(today, pauses), true)
+    })
+  })
+
+  describe('roomDayOutcomes', () => {
+    it('is empty without records', () => {
+      assert.equal(roomDayOutcomes({ records: [], today }).size, 0)
+    })
+
+    it('fills every day from the first record to today', () => {
+      const outcomes = roomDayOutcomes({
+        records: [
+          { date: '2026-10-15', status: 'approved' },
+          { date: '2026-10-17', status: 'excused' }
+        ],
+        today
+      })
+
+      assert.deepEqual(Object.fromEntries(outcomes), {
+        '2026-10-15': HIT,
+        '2026-10-16': MISS,
+        '2026-10-17': SKIP,
+        '2026-10-18': MISS,
+        '2026-10-19': SKIP
+      })
+    })
+
+    it('skips unscheduled days and days inside a pause', () => {
+      const outcomes = roomDayOutcomes({
+        records: [{ date: '2026-10-12', status: 'approved' }],
+        today,
+        // Weekdays only: the 17th and 18th are a weekend
+        isScheduled: date => !['2026-10-17', '2026-10-18'].includes(date),
+        pauses: [{ start: '2026-10-13', end: '2026-10-15' }]
+      })
+
+      assert.deepEqual(Object.fromEntries(outcomes), {
+        '2026-10-12': HIT,
+        '2026-10-13': SKIP,
+        '2026-10-14': SKIP,
+        '2026-10-15': SKIP,
+        '2026-10-16': MISS,
+        '2026-10-17': SKIP,
+        '2026-10-18': SKIP,
+        '2026-10-19': SKIP
+      })
+    })
+  })
+
+  describe('mergeDayOutcomes', () => {
+    it('takes a hit in any room over a miss, and a miss over a skip', () => {
+      const merged = mergeDayOutcomes([
+        outcomesOf({ '2026-10-16': MISS, '2026-10-17': SKIP, '2026-10-18': SKIP }),
+        outcomesOf({ '2026-10-16': HIT, '2026-10-17': MISS, '2026-10-18': SKIP })
+      ])
+
+      assert.deepEqual(Object.fromEntries(merged), {
+        '2026-10-16': HIT,
+        '2026-10-17': MISS,
+        '2026-10-18': SKIP
+      })
+    })
+
+    it('keeps a hit when a later room missed the same day', () => {
+      const merged = mergeDayOutcomes([outcomesOf({ '2026-10-18': HIT }), outcomesOf({ '2026-10-18': MISS })])
+      assert.equal(merged.get('2026-10-18'), HIT)
+    })
+  })
+
+  describe('foldStreak', () => {
+    it('counts consecutive hits, resets on a miss and keeps the longest run', () => {
+      const streak = foldStreak(outcomesOf({
+        '2026-10-12': HIT,
+        '2026-10-13': HIT,
+        '2026-10-14': HIT,
+        '2026-10-15': MISS,
+        '2026-10-16': HIT,
+        '2026-10-17': HIT
+      }))
+
+      assert.deepEqual(streak, { current: 2, longest: 3, lastHitDate: '2026-10-17' })
+    })
+
+    it('carries a streak across skipped days', () => {
+      const streak = foldStreak(outcomesOf({
+        '2026-10-15': HIT,
+        '2026-10-16': SKIP,
+        '2026-10-17': SKIP,
+        '2026-10-18': HIT,
+        '2026-10-19': SKIP
+      }))
+
+      assert.deepEqual(streak, { current: 2, longest: 2, lastHitDate: '2026-10-18' })
+    })
+
+    it('walks the days in date order whatever order they were added in', () => {
+      const streak = foldStreak(outcomesOf({ '2026-10-18': HIT, '2026-10-16': HIT, '2026-10-17': MISS }))
+      assert.deepEqual(streak, { current: 1, longest: 1, lastHitDate: '2026-10-18' })
+    })
+
+    it('is zero with no hits', () => {
+      assert.deepEqual(foldStreak(new Map()), { current: 0, longest: 0, lastHitDate: null })
+    })
+  })
+})
@@ -0,0 +1,32 @@
+/**
+ * Live stream
+ * The stream ends when the access token it was opened with expires
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startApp, tokenFor } from './helpers.js'
+
+const user = { id: '00000000-0000-4000-8000-0000000000f1', email: 'fay@example.com', name: 'Fay' }
+
+describe('live stream', () => {
+  let app
+
+  before(async () => {
+    app = await startApp()
+  })
+
+  after(() => app.close())
+
+  it('sends token_expired and closes when the token expires', { timeout: 10000 }, async () => {
+    const token = await tokenFor(user, { expiresIn: '2s' })
+
+    const res = await fetch(`${app.url}/api/stream?access_token=${token}`)
+    assert.equal(res.status, 200)
+
+    // Resolves only once the server ends the stream
+    const body = await res.text()
+    assert.match(body, /event: ready/)
+    assert.match(body, /event: token_expired\n/)
+  })
+})
@@ -0,0 +1,59 @@
+/**
+ * Submission policy
+ * Which day a submission counts for, around windows that cross midnight
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { evaluateSubmission, SUBMISSION_REJECTIONS } from '../src/policies/submissionPolicy.js'
+
+// 2026-10-19 is a Monday
+const at = (iso) => ({ now: new Date(iso), timezone: 'UTC' })
+
+const mondayNights = {
+  schedule: { weekly: [{ days: ['mon'], windows: [{ start: '22:00', end: '02:00' }] }], exceptions: [] }
+}
+
+describe('submission policy', () => {
+  it('counts the evening part of an overnight window for the day it opens', () => {
+    assert.deepEqual(evaluateSubmission(mondayNights, at('2026-10-19T23:00:00Z')), {
+      allowed: true,
+      status: 'pending_review',
+      date: '2026-10-19'
+    })
+  })
+
+  it('counts the early-morning part for the previous day', () => {
+    assert.deepEqual(evaluateSubmission(mondayNights, at('2026-10-20T01:30:00Z')), {
+      allowed: true,
+      status: 'pending_review',
+      date: '2026-10-19'
+    })
+  })
+
+  it('does not open the early-morning part on the day the window starts', () => {
+    const result = evaluateSubmission(mondayNights, at('2026-10-19T01:00:00Z'))
+    assert.equal(result.allowed, false)
+    assert.equal(result.reason, SUBMISSION_REJECTIONS.WINDOW_NOT_OPEN)
+  })
+
+  it('rejects after the overnight window has closed', () => {
+    const result = evaluateSubmission(mondayNights, at('2026-10-20T02:00:00Z'))
+    assert.equal(result.allowed, false)
+    assert.equal(result.reason, SUBMISSION_REJECTIONS.NOT_SCHEDULED)
+  })
+
+  it('records late uploads for today after the last window', () => {
+    const room = { time_start: '06:00', time_end: '07:00', allow_late_upload: true }
+    assert.deepEqual(evaluateSubmission(room, at('2026-10-19T09:00:00Z')), {
+      allowed: true,
+      status: 'late',
+      date: '2026-10-19'
+    })
+  })
+
+  it('keeps paused rooms closed, even inside a carried-over window', () => {
+    const result = evaluateSubmission({ ...mondayNights, is_paused: true }, at('2026-10-20T01:30:00Z'))
+    assert.equal(result.reason, SUBMISSION_REJECTIONS.ROOM_PAUSED)
+  })
+})
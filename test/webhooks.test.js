@@ -0,0 +1,212 @@
+/**
+ * Webhooks
+ * Deliveries against a real HTTP receiver on loopback: signing, retries with
+ * backoff, redelivery by hand, and the refusal to call private addresses.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { startApp, tokenFor, createClient } from './helpers.js'
+
+const owner = { id: '00000000-0000-4000-8000-00000000000a', email: 'owner@example.com' }
+const roomId = '00000000-0000-4000-8000-000000000001'
+const webhookId = '00000000-0000-4000-8000-0000000000f1'
+const deliveryId = '00000000-0000-4000-8000-0000000000f2'
+const secret = 'whsec_test'
+
+/**
+ * A local receiver that records each request and answers with `status`
+ */
+async function startReceiver() {
+  const receiver = { requests: [], status: 200 }
+  const server = createServer((req, res) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body })
+      res.writeHead(receiver.status, { 'Content-Type': 'text/plain' })
+      res.end('receiver says hi')
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`
+  receiver.close = () => new Promise(resolve => server.close(resolve))
+  return receiver
+}
+
+describe('webhooks', () => {
+  let app
+  let request
+  let token
+  let receiver
+  let webhookConfig
+  let webhookService
+  let verifySignature
+  let RETRY_DELAYS_MS
+  let MAX_ATTEMPTS
+
+  before(async () => {
+    app = await startApp()
+    request = createClient(app.url)
+    token = await tokenFor(owner)
+    receiver = await startReceiver()
+    ;({ webhookConfig } = await import('../src/config/webhooks.js'))
+    ;({ webhookService } = await import('../src/services/webhookService.js'))
+    ;({ verifySignature } = await import('../src/utils/webhookSignature.js'))
+    ;({ RETRY_DELAYS_MS, MAX_ATTEMPTS } = await import('../src/policies/webhookPolicy.js'))
+  })
+
+  after(async () => {
+    await receiver.close()
+    await app.close()
+  })
+
+  beforeEach(() => {
+    webhookConfig.allowPrivateUrls = true
+    receiver.requests = []
+    receiver.status = 200
+
+    const createdAt = new Date().toISOString()
+    app.dataDriver.reset()
+    app.dataDriver.seed({
+      profiles: [{ ...owner, timezone: 'UTC' }],
+      rooms: [{ id: roomId, user_id: owner.id, name: 'Gym', time_start: '06:00', time_end: '08:00', timezone: 'UTC' }],
+      webhooks: [{ id: webhookId, room_id: roomId, created_by: owner.id, url: receiver.url, events: ['*'], secret, is_active: true }],
+      webhook_deliveries: [{
+        id: deliveryId,
+        webhook_id: webhookId,
+        room_id: roomId,
+        event: 'attendance.approved',
+        event_id: 'evt-1',
+        payload: { id: 'evt-1', event: 'attendance.approved', room_id: roomId, created_at: createdAt, data: { status: 'approved' } },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: createdAt,
+        created_at: createdAt
+      }]
+    })
+  })
+
+  it('signs each request with the webhook secret', async () => {
+    const res = await request('POST', `/api/webhooks/${webhookId}/ping`, { token })
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.status, 'succeeded')
+    assert.equal(res.body.response_status, 200)
+    assert.equal(res.body.response_body, null)
+
+    const [sent] = receiver.requests
+    assert.equal(sent.headers['x-daylock-event'], 'ping')
+    assert.equal(sent.headers['x-daylock-delivery'], res.body.id)
+    assert.match(sent.headers['x-daylock-signature'], /^t=\d+,v1=[0-9a-f]{64}$/)
+    assert.ok(verifySignature(secret, sent.body, sent.headers['x-daylock-signature']))
+    assert.equal(verifySignature('whsec_other', sent.body, sent.headers['x-daylock-signature']), false)
+    assert.equal(JSON.parse(sent.body).event, 'ping')
+  })
+
+  it('retries a failing delivery with backoff until it is failed', async () => {
+    receiver.status = 500
+    let now = new Date(Date.now() + 1000)
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const counts = await webhookService.retryDue(now)
+      assert.deepEqual(counts, { succeeded: 0, failed: 1 })
+      assert.equal(receiver.requests.length, attempt)
+
+      const delivery = app.dataDriver.dump('webhook_deliveries').find(row => row.id === deliveryId)
+      assert.equal(delivery.attempts, attempt)
+      assert.equal(delivery.response_status, 500)
+      assert.equal(delivery.error, 'HTTP 500')
+
+      if (attempt === MAX_ATTEMPTS) {
+        assert.equal(delivery.status, 'failed')
+        assert.equal(delivery.next_attempt_at, null)
+        break
+      }
+
+      const delay = RETRY_DELAYS_MS[attempt - 1]
+      assert.equal(delivery.status, 'pending')
+      assert.equal(delivery.next_attempt_at, new Date(now.getTime() + delay).toISOString())
+
+      // Nothing is sent before the backoff has elapsed
+      assert.deepEqual(await webhookService.retryDue(new Date(now.getTime() + delay - 1000)), { succeeded: 0, failed: 0 })
+      now = new Date(now.getTime() + delay)
+    }
+
+    assert.deepEqual(await webhookService.retryDue(new Date(now.getTime() + 7 * 86400000)), { succeeded: 0, failed: 0 })
+    assert.equal(receiver.requests.length, MAX_ATTEMPTS)
+  })
+
+  it('redelivers a past delivery by hand with the same event id', async () => {
+    app.dataDriver.seed({
+      webhook_deliveries: [{
+        ...app.dataDriver.dump('webhook_deliveries')[0],
+        status: 'failed',
+        attempts: MAX_ATTEMPTS,
+        next_attempt_at: null
+      }]
+    })
+
+    const res = await request('POST', `/api/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`, { token })
+
+    assert.equal(res.status, 201)
+    assert.notEqual(res.body.id, deliveryId)
+    assert.equal(res.body.redelivery_of, deliveryId)
+    assert.equal(res.body.status, 'succeeded')
+    assert.equal(res.body.attempts, 1)
+    assert.equal(receiver.requests.length, 1)
+    assert.equal(JSON.parse(receiver.requests[0].body).id, 'evt-1')
+
+    const original = app.dataDriver.dump('webhook_deliveries').find(row => row.id === deliveryId)
+    assert.equal(original.status, 'failed')
+  })
+
+  it('leaves a failed redelivery failed instead of retrying it', async () => {
+    receiver.status = 503
+
+    const res = await request('POST', `/api/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`, { token })
+
+    assert.equal(res.status, 201)
+    assert.equal(res.body.status, 'failed')
+    assert.equal(res.body.next_attempt_at, null)
+  })
+
+  describe('private addresses', () => {
+    beforeEach(() => {
+      webhookConfig.allowPrivateUrls = false
+    })
+
+    for (const url of ['http://127.0.0.1:4000/hook', 'http://10.0.0.5/hook', 'http://[::1]:4000/hook', 'http://169.254.169.254/latest']) {
+      it(`refuses to register ${url}`, async () => {
+        const res = await request('POST', '/api/webhooks', { token, body: { room_id: roomId, url, events: ['*'] } })
+
+        assert.equal(res.status, 400)
+        assert.equal(res.body.code, 'WEBHOOK_URL_NOT_ALLOWED')
+        assert.equal(app.dataDriver.dump('webhooks').length, 1)
+      })
+    }
+
+    it('refuses to send to a loopback receiver saved earlier', async () => {
+      const res = await request('POST', `/api/webhooks/${webhookId}/ping`, { token })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.status, 'failed')
+      assert.equal(res.body.response_status, null)
+      assert.ok(res.body.error)
+      assert.equal(receiver.requests.length, 0)
+    })
+
+    it('allows a local receiver when WEBHOOK_ALLOW_PRIVATE_URLS is set', async () => {
+      webhookConfig.allowPrivateUrls = true
+
+      const res = await request('POST', '/api/webhooks', { token, body: { room_id: roomId, url: receiver.url, events: ['attendance.approved'] } })
+
+      assert.equal(res.status, 201)
+      assert.equal(res.body.url, receiver.url)
+      assert.match(res.body.secret, /^whsec_/)
+    })
+  })
+})